@@ -0,0 +1,136 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ValidationError } from './errors.js';
+
+// Attachment types the models accept as inline data. Binary types are checked
+// against their leading bytes so a mislabelled upload is rejected.
+export const ATTACHMENT_TYPES = {
+  'image/png': { extensions: ['.png'], signature: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], signature: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  'image/gif': { extensions: ['.gif'], signature: buffer => buffer.subarray(0, 4).toString('latin1') === 'GIF8' },
+  'image/webp': { extensions: ['.webp'], signature: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' },
+  'application/pdf': { extensions: ['.pdf'], signature: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  'text/plain': { extensions: ['.txt', '.log'], text: true },
+  'text/markdown': { extensions: ['.md', '.markdown'], text: true },
+  'text/csv': { extensions: ['.csv'], text: true },
+  'text/html': { extensions: ['.html', '.htm'], text: true },
+  'application/json': { extensions: ['.json'], text: true }
+};
+
+export function attachmentLimitsFromEnv(env = process.env) {
+  return {
+    maxBytes: Number(env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024,
+    maxCount: Number(env.ATTACHMENT_MAX_COUNT) || 5
+  };
+}
+
+export const isTextType = (mimeType) => Boolean(ATTACHMENT_TYPES[mimeType]?.text);
+
+const isUtf8Text = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validates one file and returns { name, mimeType, size, sha256, data } with
+// data base64-encoded for Gemini `inlineData` parts.
+export function createAttachment({ name, mimeType, buffer }, limits = attachmentLimitsFromEnv()) {
+  const displayName = path.basename(name || 'attachment');
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  const spec = ATTACHMENT_TYPES[type];
+
+  if (!spec) {
+    throw new ValidationError(`Invalid attachment ${displayName}: unsupported MIME type ${type || '(none)'}`);
+  }
+  if (buffer.length === 0) {
+    throw new ValidationError(`Invalid attachment ${displayName}: file is empty`);
+  }
+  if (buffer.length > limits.maxBytes) {
+    throw new ValidationError(`Invalid attachment ${displayName}: ${buffer.length} bytes exceeds the ${limits.maxBytes} byte limit`);
+  }
+  if (spec.signature && !spec.signature(buffer)) {
+    throw new ValidationError(`Invalid attachment ${displayName}: content does not match ${type}`);
+  }
+  if (spec.text && !isUtf8Text(buffer)) {
+    throw new ValidationError(`Invalid attachment ${displayName}: ${type} must be UTF-8 text`);
+  }
+
+  return {
+    name: displayName,
+    mimeType: type,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    data: buffer.toString('base64')
+  };
+}
+
+// Accepts JSON attachments `{ name, mimeType, data }` where data is base64 or
+// a data: URL, and multer files `{ originalname, mimetype, buffer }`.
+export function parseAttachments({ json = [], files = [] } = {}, limits = attachmentLimitsFromEnv()) {
+  if (!Array.isArray(json)) {
+    throw new ValidationError('Invalid attachments: expected an array');
+  }
+  if (json.length + files.length > limits.maxCount) {
+    throw new ValidationError(`Invalid attachments: at most ${limits.maxCount} files per message`);
+  }
+
+  const fromJson = json.map((item, index) => {
+    if (!item || typeof item.data !== 'string') {
+      throw new ValidationError(`Invalid attachment ${index}: data must be a base64 string`);
+    }
+    let { mimeType } = item;
+    let data = item.data;
+    const dataUrl = data.match(/^data:([^;,]+)(?:;[^,]*)?;base64,/);
+    if (dataUrl) {
+      mimeType = mimeType || dataUrl[1];
+      data = data.slice(dataUrl[0].length);
+    }
+    if (!/^[A-Za-z0-9+/\s]*={0,2}$/.test(data)) {
+      throw new ValidationError(`Invalid attachment ${item.name || index}: data is not valid base64`);
+    }
+    return createAttachment({
+      name: item.name || `attachment-${index + 1}`,
+      mimeType,
+      buffer: Buffer.from(data, 'base64')
+    }, limits);
+  });
+
+  const fromFiles = files.map(file => createAttachment({
+    name: file.originalname,
+    mimeType: file.mimetype,
+    buffer: file.buffer
+  }, limits));
+
+  return [...fromJson, ...fromFiles];
+}
+
+export async function readAttachmentFile(filePath, limits = attachmentLimitsFromEnv()) {
+  const extension = path.extname(filePath).toLowerCase();
+  const mimeType = Object.keys(ATTACHMENT_TYPES)
+    .find(type => ATTACHMENT_TYPES[type].extensions.includes(extension));
+  if (!mimeType) {
+    throw new Error(`Unsupported file type: ${extension || '(no extension)'}`);
+  }
+  const stats = await fs.stat(filePath);
+  if (stats.size > limits.maxBytes) {
+    throw new Error(`${path.basename(filePath)} is ${stats.size} bytes, the limit is ${limits.maxBytes}`);
+  }
+  return createAttachment({ name: filePath, mimeType, buffer: await fs.readFile(filePath) }, limits);
+}
+
+// Builds the message parts: the text first, then one inlineData part per file
+export function toMessageParts(message, attachments = []) {
+  if (attachments.length === 0) return message;
+  return [
+    ...(message ? [{ text: message }] : []),
+    ...attachments.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }))
+  ];
+}
+
+// What history keeps about a file: everything except the content itself
+export const attachmentMetadata = ({ name, mimeType, size, sha256 }) => ({ name, mimeType, size, sha256 });
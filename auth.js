@@ -0,0 +1,89 @@
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import { UnauthorizedError, ForbiddenError } from './errors.js';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Parses API_KEYS in the form "key:userId[:role],key2:userId2[:role]".
+export function parseApiKeys(value = '') {
+  const keys = new Map();
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [key, userId, role = 'user'] = entry.split(':');
+    if (!key || !userId) {
+      throw new Error(`Invalid API_KEYS entry: expected key:userId[:role]`);
+    }
+    keys.set(hashKey(key), { id: userId, role, authMethod: 'api-key' });
+  }
+  return keys;
+}
+
+// Resolves the user for an API key or an HS256 JWT and returns { id, role }.
+// Throws an UnauthorizedError with the reason when the credentials are missing or invalid. With
+// `disabled` everyone is an anonymous admin, matching the behaviour of a
+// server without authentication.
+export function createAuthenticator({ apiKeys = new Map(), jwtSecret, jwtIssuer, jwtAudience, disabled = false }) {
+  return ({ apiKey, token }) => {
+    if (disabled) {
+      return { id: 'anonymous', role: 'admin', authMethod: 'none' };
+    }
+
+    if (apiKey) {
+      const user = apiKeys.get(hashKey(apiKey));
+      if (!user) throw new UnauthorizedError('Invalid API key');
+      return user;
+    }
+
+    if (token && jwtSecret) {
+      let claims;
+      try {
+        claims = jwt.verify(token, jwtSecret, {
+          algorithms: ['HS256'],
+          issuer: jwtIssuer,
+          audience: jwtAudience
+        });
+      } catch (error) {
+        throw new UnauthorizedError(`Invalid token: ${error.message}`);
+      }
+      if (!claims.sub) throw new UnauthorizedError('Token has no subject');
+      const roles = [claims.role, ...(claims.roles || [])];
+      return {
+        id: claims.sub,
+        role: roles.includes('admin') ? 'admin' : 'user',
+        authMethod: 'jwt'
+      };
+    }
+
+    throw new UnauthorizedError('Authentication required');
+  };
+}
+
+// Authenticates requests with an `X-API-Key` header or an
+// `Authorization: Bearer <jwt>` token and sets req.user. Failures go to the
+// error middleware as UnauthorizedError.
+export function createAuthMiddleware(authenticate) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    req.user = authenticate({
+      apiKey: req.get('X-API-Key'),
+      token: scheme === 'Bearer' ? token : undefined
+    });
+    next();
+  };
+}
+
+// The role stays on the middleware for the OpenAPI document
+export function requireRole(role) {
+  const middleware = (req, res, next) => {
+    if (req.user?.role !== role) {
+      return next(new ForbiddenError(`${role} role required`, { code: 'ROLE_REQUIRED' }));
+    }
+    next();
+  };
+  middleware.requiredRole = role;
+  return middleware;
+}
+
+// Admins may access every session; everyone else only the sessions they own.
+export function canAccessSession(user, session) {
+  return user?.role === 'admin' || (session.owner && session.owner === user?.id);
+}
@@ -0,0 +1,57 @@
+// Conversation branching. Every exchange records its parentId, so a
+// conversation is a tree: editing a message or regenerating a reply adds a
+// sibling instead of overwriting anything. The active branch is the path from
+// the root to the active exchange and is the only part the model sees.
+
+// Links a flat history (stored before branching existed) into one branch
+export const linkExchanges = (history) => history.map((exchange, index) => ({
+  parentId: index === 0 ? null : history[index - 1].id,
+  ...exchange
+}));
+
+// Exchanges from the root down to exchangeId, oldest first
+export function pathTo(exchanges, exchangeId) {
+  const byId = new Map(exchanges.map(exchange => [exchange.id, exchange]));
+  const path = [];
+  for (let exchange = byId.get(exchangeId); exchange; exchange = byId.get(exchange.parentId)) {
+    path.push(exchange);
+  }
+  return path.reverse();
+}
+
+// The newest leaf below exchangeId (or exchangeId itself if it has no
+// replies). Exchanges are stored in creation order, so the last child wins.
+export function latestLeaf(exchanges, exchangeId) {
+  let current = exchangeId;
+  for (;;) {
+    const child = exchanges.findLast(exchange => exchange.parentId === current);
+    if (!child) return current;
+    current = child.id;
+  }
+}
+
+export function sharedPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length].id === b[length].id) length++;
+  return length;
+}
+
+// One entry per leaf. `sharedExchanges` is how many leading exchanges the
+// branch has in common with the active one.
+export function listBranches(exchanges, activeExchangeId) {
+  const parents = new Set(exchanges.map(exchange => exchange.parentId));
+  const activePath = pathTo(exchanges, activeExchangeId);
+  return exchanges
+    .filter(exchange => !parents.has(exchange.id))
+    .map(leaf => {
+      const path = pathTo(exchanges, leaf.id);
+      return {
+        leafId: leaf.id,
+        active: leaf.id === activeExchangeId,
+        messageCount: path.length,
+        sharedExchanges: sharedPrefixLength(path, activePath),
+        lastMessage: leaf.user.slice(0, 100),
+        updatedAt: leaf.timestamp
+      };
+    });
+}
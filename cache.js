@@ -0,0 +1,205 @@
+import crypto from 'node:crypto';
+import { MemorySessionStore } from './session-store.js';
+
+// Optional cache of model replies, for test suites and demos that send the
+// same prompts over and over. A reply is cached under a hash of everything
+// that shapes it: provider, model, system instruction, generation config,
+// tools, the conversation context the model sees and the new message (see
+// responseCacheKey). Entries live for ttlMs; beyond maxEntries the least
+// recently used one is evicted.
+//
+// Entries are held in memory and written through to a record store with the
+// session-store interface (load/save/delete, keyed by `id`), so a file or
+// SQLite store keeps the cache across restarts.
+//
+// Identical requests that arrive while the first one is still waiting for
+// the model share its call instead of making their own.
+
+export function cacheConfigFromEnv(env = process.env) {
+  return {
+    enabled: env.RESPONSE_CACHE === 'true',
+    ttlMs: Number(env.RESPONSE_CACHE_TTL_MS) || 60 * 60 * 1000,
+    maxEntries: Number(env.RESPONSE_CACHE_MAX_ENTRIES) || 1000
+  };
+}
+
+// Strings compare without regard to runs of whitespace, and object keys in
+// any order, so requests that only differ in formatting share a key
+const normalize = (value) => {
+  if (typeof value === 'string') return value.replace(/\s+/g, ' ').trim();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => [key, normalize(value[key])]));
+  }
+  return value;
+};
+
+// history and parts are in the provider-neutral format of providers.js
+export function responseCacheKey({ provider, model, systemInstruction, generationConfig, tools = [], history = [], parts }) {
+  const request = normalize({ provider, model, systemInstruction, generationConfig, tools: [...tools].sort(), history, parts });
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+// Rejects as soon as `signal` aborts, whatever `promise` does
+const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+export class ResponseCache {
+  // onError(error) hears about store failures, which never fail a reply
+  constructor({ store = new MemorySessionStore(), ttlMs = 60 * 60 * 1000, maxEntries = 1000, onError } = {}) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.onError = onError;
+    // Entries by key, least recently used first
+    this.entries = new Map();
+    // Calls waiting for the model by key: { promise, signal }
+    this.inflight = new Map();
+    this.counts = { hits: 0, misses: 0, shared: 0, stored: 0, evicted: 0, expired: 0 };
+  }
+
+  // Entries expire ttlMs after they were stored, also when the TTL has been
+  // changed since
+  isExpired(entry, now = Date.now()) {
+    return Date.parse(entry.createdAt) + this.ttlMs <= now;
+  }
+
+  // Restores stored entries that have not expired, the most recently used
+  // ones if there are more than maxEntries
+  async load(now = Date.now()) {
+    const records = (await this.store.load()).sort((a, b) => Date.parse(a.lastUsedAt) - Date.parse(b.lastUsedAt));
+    for (const record of records) {
+      if (this.isExpired(record, now)) {
+        await this.store.delete(record.id);
+        continue;
+      }
+      this.entries.set(record.id, record);
+    }
+    this.evict();
+    return { loaded: this.entries.size };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Store failures are reported to onError; the returned promise never rejects
+  persist(operation) {
+    return operation.catch(error => this.onError?.(error));
+  }
+
+  lookup(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (this.isExpired(entry, now)) {
+      this.counts.expired++;
+      this.persist(this.store.delete(key));
+      return undefined;
+    }
+    entry.hits++;
+    entry.lastUsedAt = new Date(now).toISOString();
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  // meta ({ provider, model }) is kept with the entry for purges
+  set(key, value, meta = {}, now = Date.now()) {
+    const entry = {
+      id: key,
+      ...meta,
+      value,
+      hits: 0,
+      createdAt: new Date(now).toISOString(),
+      lastUsedAt: new Date(now).toISOString()
+    };
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counts.stored++;
+    this.persist(this.store.save(entry));
+    this.evict();
+  }
+
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) return;
+      this.entries.delete(key);
+      this.counts.evicted++;
+      this.persist(this.store.delete(key));
+    }
+  }
+
+  // The cached value for key, or the value of an identical call already in
+  // flight, or else the value of compute(), stored when cacheable(value)
+  // says so. Resolves to { value, source: 'hit' | 'shared' | 'miss' }.
+  // `signal` is the caller's: when it aborts the caller stops waiting, and
+  // when a shared call fails because its own caller aborted, the callers
+  // sharing it make a call of their own instead. With `refresh` the value is
+  // always computed, and replaces the cached one.
+  async fetch(key, compute, { signal, meta, cacheable = () => true, refresh = false } = {}) {
+    const cached = refresh ? undefined : this.lookup(key);
+    if (cached !== undefined) {
+      this.counts.hits++;
+      return { value: cached, source: 'hit' };
+    }
+
+    const leader = refresh ? undefined : this.inflight.get(key);
+    if (leader) {
+      try {
+        const value = await abortable(leader.promise, signal);
+        this.counts.shared++;
+        return { value, source: 'shared' };
+      } catch (error) {
+        if (signal?.aborted || !leader.signal?.aborted) throw error;
+      }
+      return this.fetch(key, compute, { signal, meta, cacheable });
+    }
+
+    this.counts.misses++;
+    const promise = compute();
+    this.inflight.set(key, { promise, signal });
+    try {
+      const value = await promise;
+      if (cacheable(value)) this.set(key, value, meta);
+      return { value, source: 'miss' };
+    } finally {
+      // A refresh may have replaced this call in the meantime
+      if (this.inflight.get(key)?.promise === promise) this.inflight.delete(key);
+    }
+  }
+
+  // Removes every entry, or those of one provider and/or model. Resolves to
+  // the number removed once the store has been updated; entries the store
+  // failed to delete are reported to onError and are gone from memory anyway.
+  async purge({ provider, model } = {}) {
+    const keys = Array.from(this.entries.values())
+      .filter(entry => (!provider || entry.provider === provider) && (!model || entry.model === model))
+      .map(entry => entry.id);
+    for (const key of keys) {
+      this.entries.delete(key);
+    }
+    await Promise.all(keys.map(key => this.persist(this.store.delete(key))));
+    return keys.length;
+  }
+
+  stats() {
+    const lookups = this.counts.hits + this.counts.misses + this.counts.shared;
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      inflight: this.inflight.size,
+      ...this.counts,
+      hitRate: lookups > 0 ? Number(((this.counts.hits + this.counts.shared) / lookups).toFixed(4)) : 0
+    };
+  }
+}
@@ -0,0 +1,131 @@
+// Client for the chat REST API (test2.js), used by the CLI's --server mode so
+// terminal and web sessions are the same sessions. Requests authenticate with
+// an API key (X-API-Key) or a JWT (Authorization: Bearer).
+//
+// Every failure is a ChatApiError: error responses carry the server's
+// envelope (see errors.js), and an unreachable server or a request that
+// takes longer than timeoutMs gets a code of its own.
+
+export class ChatApiError extends Error {
+  constructor(message, { status = null, code = 'REQUEST_FAILED', details, retryAfter = null, requestId, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ChatApiError';
+    // null when no response arrived
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+    this.requestId = requestId;
+  }
+}
+
+export class ChatApiClient {
+  constructor({ baseUrl, apiKey, token, timeoutMs = 120000 }) {
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch {
+      throw new Error(`Invalid server URL: ${baseUrl}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Invalid server URL: ${baseUrl} (expected http or https)`);
+    }
+    this.baseUrl = url.href.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+  }
+
+  static fromEnv(baseUrl, env = process.env) {
+    return new ChatApiClient({
+      baseUrl,
+      apiKey: env.CHAT_API_KEY,
+      token: env.CHAT_API_TOKEN,
+      timeoutMs: Number(env.CHAT_API_TIMEOUT_MS) || undefined
+    });
+  }
+
+  async request(method, path, body) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(this.apiKey ? { 'X-API-Key': this.apiKey } : {}),
+          ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new ChatApiError(`${method} ${path} timed out after ${this.timeoutMs}ms`, { code: 'TIMEOUT', cause: error });
+      }
+      throw new ChatApiError(`Cannot reach ${this.baseUrl}: ${error.cause?.message || error.message}`, { code: 'SERVER_UNREACHABLE', cause: error });
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      // Proxies and wrong URLs answer with HTML; reported by status below
+    }
+    if (!response.ok || data?.success === false) {
+      throw new ChatApiError(data?.error || `Server answered ${response.status} ${response.statusText}`, {
+        status: response.status,
+        code: data?.code || `HTTP_${response.status}`,
+        details: data?.details,
+        retryAfter: data?.retryAfter ?? (Number(response.headers.get('retry-after')) || null),
+        requestId: data?.requestId || response.headers.get('x-request-id') || undefined
+      });
+    }
+    if (data === null) {
+      throw new ChatApiError(`${method} ${path} did not answer with JSON`, { status: response.status, code: 'INVALID_RESPONSE' });
+    }
+    return data;
+  }
+
+  // options: provider, model, generationConfig, tools, persona, variables,
+  // collections, and sessionId for a chosen ID
+  createSession(options = {}) {
+    return this.request('POST', '/api/chat/session', options);
+  }
+
+  // attachments as from readAttachmentFile (only name, mimeType and data are sent)
+  sendMessage(sessionId, message, attachments = []) {
+    return this.request('POST', '/api/chat/message', {
+      sessionId,
+      message,
+      ...(attachments.length > 0 ? { attachments: attachments.map(({ name, mimeType, data }) => ({ name, mimeType, data })) } : {})
+    });
+  }
+
+  getHistory(sessionId) {
+    return this.request('GET', `/api/chat/session/${encodeURIComponent(sessionId)}/history`);
+  }
+
+  clearHistory(sessionId) {
+    return this.request('PUT', `/api/chat/session/${encodeURIComponent(sessionId)}/clear`);
+  }
+
+  deleteSession(sessionId) {
+    return this.request('DELETE', `/api/chat/session/${encodeURIComponent(sessionId)}`);
+  }
+
+  recentSessions(limit = 10) {
+    return this.request('GET', `/api/chat/recent?limit=${limit}`);
+  }
+
+  // Searches the caller's conversations; options: sessionId, role, from, to,
+  // limit and offset (see GET /api/chat/search)
+  search(query, options = {}) {
+    const params = new URLSearchParams({ q: query });
+    for (const [name, value] of Object.entries(options)) {
+      if (value !== undefined) params.set(name, String(value));
+    }
+    return this.request('GET', `/api/chat/search?${params}`);
+  }
+}
@@ -0,0 +1,110 @@
+import { parseArgs } from 'node:util';
+
+// Command-line arguments of the text chat (test.js), kept apart from it so
+// they can be checked without starting a chat.
+
+// Exit codes, for scripts
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1, // a message could not be answered, or an unexpected error
+  usage: 2, // invalid arguments
+  unavailable: 3, // the chat could not start (no provider, server unreachable, unknown session)
+  interrupted: 130
+};
+
+export const OUTPUT_FORMATS = ['text', 'json', 'markdown'];
+
+export const USAGE = `Usage: node test.js [options] [prompt...]
+
+Without a prompt and with a terminal on stdin, starts an interactive chat.
+Otherwise the prompt, text piped on stdin, or both (prompt first) are sent as
+one message and the reply is printed.
+
+Options:
+  -b, --batch <file>     Send the prompts in <file> one after another in one session
+                         (one per line, \\ at the end continues a line, # comments; - reads stdin)
+  -o, --output <format>  ${OUTPUT_FORMATS.join(', ')} (default text; json and markdown print the transcript)
+  -s, --system <text>    System instruction to use instead of the persona's
+  -m, --model <spec>     [provider:]model to chat with
+  -t, --temperature <n>  Sampling temperature, 0 to 2
+  -i, --interactive      Chat interactively even when stdin is not a terminal
+      --server <url>     Chat through the REST server (or set CHAT_SERVER_URL)
+      --session <id>     Continue a session on the server
+  -h, --help             Show this help
+
+Exit codes: 0 success, 1 a message failed, 2 invalid arguments,
+3 the chat could not start, 130 interrupted.`;
+
+export class UsageError extends Error {}
+
+// The options of a CLI run; CHAT_SERVER_URL stands in for --server
+export function parseCliArgs(args, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        batch: { type: 'string', short: 'b' },
+        output: { type: 'string', short: 'o', default: 'text' },
+        system: { type: 'string', short: 's' },
+        model: { type: 'string', short: 'm' },
+        temperature: { type: 'string', short: 't' },
+        interactive: { type: 'boolean', short: 'i' },
+        server: { type: 'string' },
+        session: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  const options = { ...values, prompt: positionals.join(' ').trim(), server: values.server || env.CHAT_SERVER_URL };
+
+  if (!OUTPUT_FORMATS.includes(options.output)) {
+    throw new UsageError(`--output must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (options.temperature !== undefined) {
+    const temperature = Number(options.temperature);
+    if (options.temperature.trim() === '' || !(temperature >= 0 && temperature <= 2)) {
+      throw new UsageError('--temperature must be a number from 0 to 2');
+    }
+    options.temperature = temperature;
+  }
+  if (options.prompt && options.batch) {
+    throw new UsageError('Give either a prompt or --batch, not both');
+  }
+  if (options.interactive && (options.prompt || options.batch)) {
+    throw new UsageError('--interactive does not take a prompt or --batch');
+  }
+  if (options.session && !options.server) {
+    throw new UsageError('--session needs --server <url>');
+  }
+  if (options.server && options.system !== undefined) {
+    throw new UsageError('--system is not available with --server; choose a persona on the server instead');
+  }
+  if (options.session && (options.model || options.temperature !== undefined)) {
+    throw new UsageError('--model and --temperature only apply to new sessions, not with --session');
+  }
+  return options;
+}
+
+// One prompt per line; a line ending in a backslash continues on the next
+// one, and blank lines and # comments between prompts are skipped
+export function parseBatch(text) {
+  const prompts = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (current === null && (!line.trim() || line.trimStart().startsWith('#'))) continue;
+    const continues = line.endsWith('\\');
+    const content = continues ? line.slice(0, -1) : line;
+    current = current === null ? content : `${current}\n${content}`;
+    if (!continues) {
+      prompts.push(current.trim());
+      current = null;
+    }
+  }
+  if (current !== null) prompts.push(current.trim());
+  return prompts.filter(Boolean);
+}
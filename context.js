@@ -0,0 +1,79 @@
+// Context-window management: keeps a session's prompt under a token budget by
+// either dropping the oldest exchanges (sliding-window) or condensing them
+// into a summary preamble (summarize). The model context is always
+//   [summary preamble] + history.slice(context.start)
+// while the full history stays available through the API.
+
+export const CONTEXT_STRATEGIES = ['none', 'sliding-window', 'summarize'];
+
+export function contextConfigFromEnv(env = process.env) {
+  const config = {
+    strategy: env.CONTEXT_STRATEGY || 'none',
+    tokenBudget: Number(env.CONTEXT_TOKEN_BUDGET) || 32000,
+    // Trim once the next prompt would use this share of the budget...
+    threshold: Number(env.CONTEXT_THRESHOLD) || 0.8,
+    // ...and trim down to this share of it
+    target: Number(env.CONTEXT_TARGET) || 0.5,
+    // Exchanges that are never summarized away
+    keepRecent: Number(env.CONTEXT_KEEP_RECENT) || 4
+  };
+  if (!CONTEXT_STRATEGIES.includes(config.strategy)) {
+    throw new Error(`Unknown CONTEXT_STRATEGY: ${config.strategy}`);
+  }
+  return config;
+}
+
+// Rough count for providers without a token counting endpoint
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+// An exchange's share of the context. Reported usage can't be used here: its
+// input count covers the whole prompt the exchange was sent with.
+export const exchangeTokens = (exchange) => estimateTokens(`${exchange.user}${exchange.assistant}`);
+
+export const emptyUsage = () => ({ inputTokens: 0, outputTokens: 0, totalTokens: 0 });
+
+export function addUsage(total, usage) {
+  for (const key of Object.keys(total)) {
+    total[key] += usage?.[key] || 0;
+  }
+  return total;
+}
+
+export const summaryPreamble = (summary) => [
+  { user: `Summary of our conversation so far:\n${summary}`, assistant: 'Understood. I will continue from that summary.' }
+];
+
+// Index of the first exchange to keep so the kept exchanges fit in `budget`.
+// The newest exchange is always kept.
+export function slidingWindowStart(exchanges, start, budget) {
+  let used = 0;
+  let index = exchanges.length;
+  while (index > start) {
+    used += exchangeTokens(exchanges[index - 1]);
+    if (used > budget && index < exchanges.length) break;
+    index--;
+  }
+  return index;
+}
+
+const SUMMARY_INSTRUCTION = 'You condense chat transcripts. Write a concise summary of the conversation ' +
+  'below that keeps every fact, decision, name, number and open question the assistant needs to ' +
+  'continue the conversation. Reply with the summary only.';
+
+// Asks the session's provider for a summary of the exchanges (and any
+// earlier summary they continue from).
+export async function summarizeExchanges(provider, { model }, exchanges, previousSummary = null) {
+  const transcript = exchanges
+    .map(exchange => `User: ${exchange.user}\nAssistant: ${exchange.assistant}`)
+    .join('\n\n');
+  const chat = provider.startChat({
+    model,
+    systemInstruction: SUMMARY_INSTRUCTION,
+    generationConfig: { temperature: 0.2, maxOutputTokens: 1024 }
+  });
+  const prompt = previousSummary
+    ? `Earlier summary:\n${previousSummary}\n\nLater conversation:\n${transcript}`
+    : transcript;
+  const { text, usage } = await chat.sendMessage(prompt);
+  return { summary: text.trim(), usage };
+}
@@ -0,0 +1,120 @@
+// Typed errors for the HTTP API. Each class carries the status it is answered
+// with and a machine-readable `code`; the classes set a generic code that a
+// throw site can make more specific (e.g. SESSION_NOT_FOUND). Errors are often
+// wrapped with context ("Failed to send message: ...") as
+// new Error(message, { cause }), so the typed error is looked up along the
+// cause chain.
+//
+// Every error response has the same envelope:
+//   { success: false, error, code, details?, retryAfter?, timestamp, requestId }
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, retryAfter = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    // Seconds the client should wait before trying again, when known
+    this.retryAfter = retryAfter;
+  }
+}
+
+// `details` lists the offending fields as [{ field, message }]
+export class ValidationError extends AppError {
+  constructor(message, { code = 'VALIDATION_ERROR', ...options } = {}) {
+    super(message, { ...options, status: 400, code });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message, { code = 'UNAUTHORIZED', ...options } = {}) {
+    super(message, { ...options, status: 401, code });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message, { code = 'FORBIDDEN', ...options } = {}) {
+    super(message, { ...options, status: 403, code });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND', ...options } = {}) {
+    super(message, { ...options, status: 404, code });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', ...options } = {}) {
+    super(message, { ...options, status: 409, code });
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(message, { code = 'TOO_MANY_REQUESTS', ...options } = {}) {
+    super(message, { ...options, status: 429, code });
+  }
+}
+
+// A backend we depend on (e.g. a model provider) failed; the status is 502
+// unless a subclass knows better (see ModelCallError in resilience.js)
+export class UpstreamError extends AppError {
+  constructor(message, { status = 502, code = 'UPSTREAM_ERROR', ...options } = {}) {
+    super(message, { ...options, status, code });
+  }
+}
+
+// The AppError behind an error wrapped with { cause }, or null
+export function appErrorOf(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof AppError) return current;
+  }
+  return null;
+}
+
+// Errors of express' own parsers (body-parser, http-errors) expose a 4xx
+// status and a type
+const PARSER_ERROR_CODES = {
+  'entity.parse.failed': 'INVALID_JSON',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE',
+  'encoding.unsupported': 'UNSUPPORTED_ENCODING',
+  'charset.unsupported': 'UNSUPPORTED_ENCODING'
+};
+
+// The status and response body for any error. The message is the outermost
+// one, with its context; errors that are not AppErrors are internal and their
+// message is not shown.
+export function errorEnvelope(error) {
+  const appError = appErrorOf(error);
+  let status = 500;
+  let body = { error: 'Internal server error', code: 'INTERNAL_ERROR' };
+  if (appError) {
+    status = appError.status;
+    body = {
+      error: error.message,
+      code: appError.code,
+      ...(appError.details !== undefined ? { details: appError.details } : {}),
+      ...(appError.retryAfter ? { retryAfter: appError.retryAfter } : {})
+    };
+  } else if (error.expose && error.status >= 400 && error.status < 500) {
+    status = error.status;
+    body = { error: error.message, code: PARSER_ERROR_CODES[error.type] || 'BAD_REQUEST' };
+  }
+  return { status, body: { success: false, ...body, timestamp: new Date().toISOString() } };
+}
+
+// The single error middleware of the app. Internal errors are logged with
+// their stack; the rest are logged with the request (see logger.js).
+export function createErrorHandler(logger) {
+  return (error, req, res, next) => {
+    const { status, body } = errorEnvelope(error);
+    if (status === 500) {
+      logger?.error('Unhandled error', { error });
+    }
+    if (res.headersSent) return next(error);
+    if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+    if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+    res.status(status).json(body);
+  };
+}
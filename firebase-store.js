@@ -0,0 +1,159 @@
+import { initializeApp, getApps } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4'
+};
+
+// Persists CLI conversations to Firestore and uploads to Cloud Storage.
+// Layout:
+//   <collection>/<sessionId>                 session metadata
+//   <collection>/<sessionId>/exchanges/<id>  one document per exchange
+//   <collection>/<sessionId>/uploads/<id>    metadata for uploaded files
+//
+// Point FIRESTORE_EMULATOR_HOST and FIREBASE_STORAGE_EMULATOR_HOST at the
+// Firebase emulator suite to run without a live project.
+export class FirebaseChatStore {
+  constructor({ projectId, storageBucket, collection = 'chatSessions', timeoutMs = 10000 }) {
+    const app = getApps()[0] || initializeApp({ projectId, storageBucket });
+    this.db = getFirestore(app);
+    this.storage = storageBucket ? getStorage(app) : null;
+    this.storageBucket = storageBucket;
+    this.collection = this.db.collection(collection);
+    this.timeoutMs = timeoutMs;
+  }
+
+  // Firestore retries unreachable hosts for minutes; fail fast instead so the
+  // chat keeps working when the project or emulator is down.
+  withTimeout(promise, action) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Firebase ${action} timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Returns null when Firebase is not configured, so callers can run without it.
+  static fromEnv(env = process.env) {
+    const projectId = env.FIREBASE_PROJECT_ID || env.GCLOUD_PROJECT;
+    if (!projectId) return null;
+    return new FirebaseChatStore({
+      projectId,
+      storageBucket: env.FIREBASE_STORAGE_BUCKET,
+      collection: env.FIREBASE_SESSIONS_COLLECTION,
+      timeoutMs: Number(env.FIREBASE_TIMEOUT_MS) || undefined
+    });
+  }
+
+  get isEmulator() {
+    return Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+  }
+
+  async createSession(sessionId, data = {}) {
+    const doc = this.collection.doc(sessionId);
+    await this.withTimeout(doc.set({
+      ...data,
+      sessionId,
+      messageCount: 0,
+      createdAt: FieldValue.serverTimestamp(),
+      lastActivity: FieldValue.serverTimestamp()
+    }), 'createSession');
+    return doc.path;
+  }
+
+  async addExchange(sessionId, exchange) {
+    const doc = this.collection.doc(sessionId);
+    const batch = this.db.batch();
+    batch.set(doc.collection('exchanges').doc(), {
+      ...exchange,
+      createdAt: FieldValue.serverTimestamp()
+    });
+    batch.update(doc, {
+      messageCount: FieldValue.increment(1),
+      lastMessage: exchange.user.slice(0, 200),
+      lastActivity: FieldValue.serverTimestamp()
+    });
+    await this.withTimeout(batch.commit(), 'addExchange');
+  }
+
+  async endSession(sessionId, data = {}) {
+    await this.withTimeout(this.collection.doc(sessionId).update({
+      ...data,
+      endedAt: FieldValue.serverTimestamp(),
+      lastActivity: FieldValue.serverTimestamp()
+    }), 'endSession');
+  }
+
+  async uploadFile(sessionId, filePath, description = '') {
+    if (!this.storage) {
+      throw new Error('FIREBASE_STORAGE_BUCKET is not configured');
+    }
+
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile()) {
+      throw new Error(`Not a file: ${filePath}`);
+    }
+
+    const name = path.basename(filePath);
+    const contentType = MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+    const destination = `uploads/${sessionId}/${Date.now()}_${name}`;
+
+    await this.withTimeout(this.storage.bucket(this.storageBucket).upload(filePath, {
+      destination,
+      metadata: {
+        contentType,
+        metadata: { sessionId, description }
+      }
+    }), 'uploadFile');
+
+    const upload = {
+      name,
+      contentType,
+      size: stats.size,
+      description,
+      storagePath: `gs://${this.storageBucket}/${destination}`
+    };
+    await this.withTimeout(this.collection.doc(sessionId).collection('uploads').add({
+      ...upload,
+      uploadedAt: FieldValue.serverTimestamp()
+    }), 'uploadFile');
+    return upload;
+  }
+
+  async close() {
+    await this.withTimeout(this.db.terminate(), 'close');
+  }
+
+  async listRecentSessions(limit = 10) {
+    const snapshot = await this.withTimeout(this.collection
+      .orderBy('lastActivity', 'desc')
+      .limit(limit)
+      .get(), 'listRecentSessions');
+
+    return snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        sessionId: doc.id,
+        model: data.model,
+        messageCount: data.messageCount || 0,
+        lastMessage: data.lastMessage || '',
+        createdAt: data.createdAt?.toDate() || null,
+        lastActivity: data.lastActivity?.toDate() || null
+      };
+    });
+  }
+}
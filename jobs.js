@@ -0,0 +1,116 @@
+import crypto from 'node:crypto';
+import { AppError, NotFoundError, errorEnvelope } from './errors.js';
+
+// Bounded in-process queue for work finished after the request has been
+// answered, such as replies requested with ?async=true. At most `concurrency`
+// jobs run at once and at most `maxQueued` wait; beyond that enqueue refuses
+// with 503 QUEUE_FULL. Jobs with the same key (a session id) run one after
+// another in the order they were queued. Finished jobs are kept for
+// `retentionMs` so their result can be fetched, then dropped; nothing survives
+// a restart.
+//
+// A job looks like
+//   { id, type, owner, key, status: queued | running | succeeded | failed,
+//     createdAt, startedAt?, finishedAt?, result?, error? }
+// where error is the error envelope (see errors.js) with the HTTP status the
+// request would have been answered with.
+
+export function jobConfigFromEnv(env = process.env) {
+  return {
+    concurrency: Number(env.JOB_CONCURRENCY) || 2,
+    maxQueued: Number(env.JOB_QUEUE_SIZE) || 100,
+    retentionMs: Number(env.JOB_RETENTION_MS) || 60 * 60 * 1000
+  };
+}
+
+export class JobQueue {
+  // onSettled(job, error) is called once a job has succeeded or failed
+  constructor({ concurrency = 2, maxQueued = 100, retentionMs = 60 * 60 * 1000, onSettled } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.retentionMs = retentionMs;
+    this.onSettled = onSettled;
+    // Every known job by id; waiting holds { job, run } in queue order
+    this.jobs = new Map();
+    this.waiting = [];
+    this.running = 0;
+    this.busyKeys = new Set();
+  }
+
+  get queued() {
+    return this.waiting.length;
+  }
+
+  // run(job) does the work and resolves to the job's result
+  enqueue({ type, owner, key, run }) {
+    if (this.waiting.length >= this.maxQueued) {
+      throw new AppError('Too many jobs are waiting, try again later', { status: 503, code: 'QUEUE_FULL', retryAfter: 5 });
+    }
+    this.prune();
+    const job = { id: crypto.randomUUID(), type, owner, key, status: 'queued', createdAt: new Date().toISOString() };
+    this.jobs.set(job.id, job);
+    this.waiting.push({ job, run });
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    this.prune();
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new NotFoundError('Job not found', { code: 'JOB_NOT_FOUND' });
+    }
+    return job;
+  }
+
+  // How many jobs would start before this one, or null once it has started
+  positionOf(id) {
+    const index = this.waiting.findIndex(entry => entry.job.id === id);
+    return index >= 0 ? index : null;
+  }
+
+  // Whether a job with this key is queued or running
+  hasPending(key) {
+    return this.busyKeys.has(key) || this.waiting.some(({ job }) => job.key === key);
+  }
+
+  drain() {
+    while (this.running < this.concurrency) {
+      const index = this.waiting.findIndex(({ job }) => !job.key || !this.busyKeys.has(job.key));
+      if (index < 0) return;
+      const [{ job, run }] = this.waiting.splice(index, 1);
+      this.start(job, run);
+    }
+  }
+
+  async start(job, run) {
+    this.running++;
+    if (job.key) this.busyKeys.add(job.key);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    let failure = null;
+    try {
+      job.result = await run(job);
+      job.status = 'succeeded';
+    } catch (error) {
+      failure = error;
+      const { status, body: { success, timestamp, ...envelope } } = errorEnvelope(error);
+      job.status = 'failed';
+      job.error = { status, ...envelope };
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.running--;
+      if (job.key) this.busyKeys.delete(job.key);
+    }
+    this.onSettled?.(job, failure);
+    this.drain();
+  }
+
+  prune(now = Date.now()) {
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > this.retentionMs) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
@@ -0,0 +1,576 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { MemorySessionStore } from './session-store.js';
+import { tokenize, parseQuery, highlight } from './search.js';
+import { AppError, ValidationError, NotFoundError, ConflictError, ForbiddenError } from './errors.js';
+
+// Document collections that sessions answer from. Documents (plain text,
+// markdown or PDF) are split into overlapping chunks when they are added, and
+// the chunks are indexed with BM25. With an embedder the chunks are embedded
+// too, and retrieval fuses the keyword and the vector ranking. Sessions name
+// the collections they draw on; each message retrieves the top passages,
+// which the prompt numbers and the reply cites (see withSources/toCitations).
+//
+// Collections and documents live in a record store with the session-store
+// interface: `collection:<name>` records, and `document:<id>` records that
+// carry their chunks { index, text, page?, heading?, embedding? }. Any user
+// can read a collection and attach it to a session; only its owner or an
+// admin can change it.
+
+export const DOCUMENT_TYPES = {
+  'text/plain': { extensions: ['.txt', '.text'] },
+  'text/markdown': { extensions: ['.md', '.markdown'] },
+  'application/pdf': { extensions: ['.pdf'] }
+};
+
+export function knowledgeConfigFromEnv(env = process.env) {
+  return {
+    // Chunk size and how much consecutive chunks share, in characters
+    chunkSize: Number(env.KNOWLEDGE_CHUNK_SIZE) || 1200,
+    chunkOverlap: Number(env.KNOWLEDGE_CHUNK_OVERLAP) || 200,
+    // Passages added to a prompt
+    topK: Number(env.KNOWLEDGE_TOP_K) || 4,
+    maxBytes: Number(env.KNOWLEDGE_MAX_BYTES) || 20 * 1024 * 1024,
+    maxFiles: Number(env.KNOWLEDGE_MAX_FILES) || 10
+  };
+}
+
+const COLLECTION_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Texts per embedding request
+const EMBED_BATCH = 64;
+
+const documentTypeOf = (name, mimeType = '') => {
+  const extension = path.extname(name).toLowerCase();
+  const type = Object.keys(DOCUMENT_TYPES).find(key => DOCUMENT_TYPES[key].extensions.includes(extension))
+    || mimeType.split(';')[0].trim().toLowerCase();
+  if (!DOCUMENT_TYPES[type]) {
+    throw new ValidationError(`Unsupported document ${name}: expected one of ${Object.keys(DOCUMENT_TYPES).join(', ')}`, {
+      code: 'UNSUPPORTED_DOCUMENT_TYPE'
+    });
+  }
+  return type;
+};
+
+const decodeText = (buffer, name) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    throw new ValidationError(`Invalid document ${name}: text documents must be UTF-8`);
+  }
+};
+
+// pdf-parse is an optional dependency, loaded on the first PDF
+async function readPdfPages(buffer, name) {
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw new ValidationError(`Invalid document ${name}: not a PDF file`);
+  }
+  let PDFParse;
+  try {
+    ({ PDFParse } = await import('pdf-parse'));
+  } catch (error) {
+    throw new AppError('Reading PDF documents requires the pdf-parse package', { status: 501, code: 'PDF_NOT_SUPPORTED' });
+  }
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { pages } = await parser.getText();
+    return pages.map(({ num, text }) => ({ page: num, text }));
+  } catch (error) {
+    throw new ValidationError(`Invalid document ${name}: ${error.message}`);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+// Markdown is split at its headings, so a chunk never spans two sections and
+// knows the heading it sits under. Headings inside code fences do not count.
+function sectionsOf(text, markdown) {
+  if (!markdown) return [{ heading: null, body: text }];
+  const sections = [{ heading: null, lines: [] }];
+  let fenced = false;
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const heading = !fenced && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) sections.push({ heading: heading[1], lines: [] });
+    sections.at(-1).lines.push(line);
+  }
+  return sections.map(({ heading, lines }) => ({ heading, body: lines.join('\n') }));
+}
+
+// Pieces of at most `size` characters: the block itself, its sentences, or
+// runs of its words
+function splitBlock(block, size) {
+  if (block.length <= size) return [block];
+  const sentences = block.split(/(?<=[.!?])\s+/);
+  if (sentences.length > 1) return sentences.flatMap(sentence => splitBlock(sentence, size));
+  const pieces = [];
+  let current = '';
+  for (const word of block.split(/\s+/).flatMap(item => item.match(new RegExp(`.{1,${size}}`, 'gsu')) || [])) {
+    if (current && current.length + word.length + 1 > size) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${word}` : word;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Splits a document's text into chunks of about `size` characters along
+// paragraphs (then sentences, then words). A new chunk starts with the last
+// pieces of the one before, up to `overlap` characters, so a passage cut at a
+// chunk boundary is still found whole in one of them.
+export function chunkText(text, { size = 1200, overlap = 200, markdown = false } = {}) {
+  const chunks = [];
+  for (const { heading, body } of sectionsOf(text.replace(/\r\n?/g, '\n'), markdown)) {
+    const pieces = body.split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .flatMap(paragraph => splitBlock(paragraph, size));
+    let current = [];
+    let length = 0;
+    const emit = () => chunks.push({ text: current.join('\n\n'), ...(heading ? { heading } : {}) });
+    for (const piece of pieces) {
+      if (current.length > 0 && length + piece.length > size) {
+        emit();
+        const carried = [];
+        let carriedLength = 0;
+        for (let index = current.length - 1; index >= 0 && carriedLength + current[index].length <= overlap; index--) {
+          carried.unshift(current[index]);
+          carriedLength += current[index].length + 2;
+        }
+        current = carried;
+        length = carriedLength;
+      }
+      current.push(piece);
+      length += piece.length + 2;
+    }
+    if (current.length > 0) emit();
+  }
+  return chunks;
+}
+
+// Okapi BM25 over chunks, keyed by chunk id
+class Bm25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    // term -> Map(chunk id -> occurrences)
+    this.postings = new Map();
+    // chunk id -> its terms and length in tokens
+    this.chunks = new Map();
+    this.totalLength = 0;
+  }
+
+  add(id, text) {
+    const tokens = tokenize(text);
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    for (const [term, count] of counts) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, count);
+    }
+    this.chunks.set(id, { terms: Array.from(counts.keys()), length: tokens.length });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const chunk = this.chunks.get(id);
+    if (!chunk) return;
+    for (const term of chunk.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.chunks.delete(id);
+    this.totalLength -= chunk.length;
+  }
+
+  // The best `limit` chunks as [{ id, score }]
+  search(query, limit) {
+    const count = this.chunks.size;
+    if (count === 0) return [];
+    const averageLength = this.totalLength / count;
+    const scores = new Map();
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, occurrences] of posting) {
+        const length = this.chunks.get(id).length;
+        const weight = (occurrences * (this.k1 + 1)) / (occurrences + this.k1 * (1 - this.b + this.b * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + idf * weight);
+      }
+    }
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Reciprocal rank fusion: rankings with incomparable scores are merged by
+// rank alone, 1 / (RRF_K + rank) per ranking a chunk appears in
+const RRF_K = 60;
+
+const chunkIdOf = (documentId, index) => `${documentId}:${index}`;
+
+const round = (score) => Math.round(score * 10000) / 10000;
+
+export class KnowledgeBase {
+  // embedder is { model, embed(texts) -> vectors } or null for keyword
+  // retrieval only; onEmbeddingError(error) is told when a query could not be
+  // embedded and keywords alone were used
+  constructor({ store = new MemorySessionStore(), embedder = null, limits = knowledgeConfigFromEnv(), onEmbeddingError } = {}) {
+    this.store = store;
+    this.embedder = embedder;
+    this.limits = limits;
+    this.onEmbeddingError = onEmbeddingError;
+    this.collections = new Map();
+    // Documents with their chunks, by id
+    this.documents = new Map();
+    // BM25 index of each collection, by name
+    this.indexes = new Map();
+  }
+
+  async load() {
+    const records = await this.store.load();
+    for (const { id, type, ...record } of records) {
+      if (type === 'collection') {
+        this.collections.set(record.name, record);
+        this.indexes.set(record.name, new Bm25Index());
+      }
+    }
+    for (const { id, type, ...record } of records) {
+      if (type === 'document' && this.collections.has(record.collection)) {
+        this.addToIndex({ id: id.slice('document:'.length), ...record });
+      }
+    }
+    return { collections: this.collections.size, documents: this.documents.size };
+  }
+
+  get chunkCount() {
+    let count = 0;
+    for (const document of this.documents.values()) count += document.chunks.length;
+    return count;
+  }
+
+  has(name) {
+    return this.collections.has(name);
+  }
+
+  getCollection(name) {
+    const collection = this.collections.get(name);
+    if (!collection) {
+      throw new NotFoundError(`Unknown collection: ${name}`, { code: 'COLLECTION_NOT_FOUND' });
+    }
+    return collection;
+  }
+
+  documentsOf(name) {
+    return Array.from(this.documents.values()).filter(document => document.collection === name);
+  }
+
+  // A collection with its document and chunk counts
+  describeCollection(name) {
+    const documents = this.documentsOf(name);
+    return {
+      ...this.getCollection(name),
+      documentCount: documents.length,
+      chunkCount: documents.reduce((total, document) => total + document.chunks.length, 0)
+    };
+  }
+
+  listCollections() {
+    return Array.from(this.collections.keys(), name => this.describeCollection(name));
+  }
+
+  // A document without its chunks
+  describeDocument({ chunks, ...document }) {
+    return { ...document, chunkCount: chunks.length };
+  }
+
+  getDocument(collectionName, documentId) {
+    this.getCollection(collectionName);
+    const document = this.documents.get(documentId);
+    if (!document || document.collection !== collectionName) {
+      throw new NotFoundError('Document not found', { code: 'DOCUMENT_NOT_FOUND' });
+    }
+    return document;
+  }
+
+  // One chunk by its id (`<documentId>:<index>`)
+  getChunk(collectionName, chunkId) {
+    const separator = chunkId.lastIndexOf(':');
+    const document = this.documents.get(chunkId.slice(0, separator));
+    const chunk = document?.collection === collectionName ? document.chunks[Number(chunkId.slice(separator + 1))] : null;
+    if (!chunk) {
+      throw new NotFoundError('Chunk not found', { code: 'CHUNK_NOT_FOUND' });
+    }
+    const { embedding, ...fields } = chunk;
+    return { id: chunkId, collection: collectionName, documentId: document.id, document: document.name, ...fields };
+  }
+
+  assertCanChange(collection, user) {
+    if (user.role !== 'admin' && collection.owner !== user.id) {
+      throw new ForbiddenError(`Collection ${collection.name} can only be changed by its owner`);
+    }
+  }
+
+  async createCollection({ name, description }, user) {
+    if (typeof name !== 'string' || !COLLECTION_NAME.test(name)) {
+      throw new ValidationError('Invalid collection: name must be lowercase letters, digits, "-" or "_" (up to 64)');
+    }
+    if (this.collections.has(name)) {
+      throw new ConflictError(`Collection already exists: ${name}`, { code: 'COLLECTION_EXISTS' });
+    }
+    const now = new Date().toISOString();
+    const collection = { name, ...(description ? { description } : {}), owner: user.id, createdAt: now, updatedAt: now };
+    await this.store.save({ id: `collection:${name}`, type: 'collection', ...collection });
+    this.collections.set(name, collection);
+    this.indexes.set(name, new Bm25Index());
+    return this.describeCollection(name);
+  }
+
+  // Sessions that name a deleted collection simply stop retrieving from it
+  async deleteCollection(name, user) {
+    const collection = this.getCollection(name);
+    this.assertCanChange(collection, user);
+    for (const document of this.documentsOf(name)) {
+      this.documents.delete(document.id);
+      await this.store.delete(`document:${document.id}`);
+    }
+    this.collections.delete(name);
+    this.indexes.delete(name);
+    await this.store.delete(`collection:${name}`);
+    return { name, deletedAt: new Date().toISOString() };
+  }
+
+  // Reads and chunks a file { name, mimeType?, buffer }
+  async parseDocument({ name, mimeType, buffer }) {
+    if (buffer.length > this.limits.maxBytes) {
+      throw new AppError(`Document ${name} is ${buffer.length} bytes, the limit is ${this.limits.maxBytes}`, { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+    }
+    const type = documentTypeOf(name, mimeType);
+    const options = { size: this.limits.chunkSize, overlap: this.limits.chunkOverlap };
+    let chunks;
+    let title = null;
+    let pages;
+    if (type === 'application/pdf') {
+      const pageTexts = await readPdfPages(buffer, name);
+      pages = pageTexts.length;
+      // Chunks stay within a page, so citations can name it
+      chunks = pageTexts.flatMap(({ page, text }) => chunkText(text, options).map(chunk => ({ ...chunk, page })));
+    } else {
+      const text = decodeText(buffer, name);
+      const markdown = type === 'text/markdown';
+      title = markdown ? text.match(/^#\s+(.+?)\s*#*\s*$/m)?.[1] || null : null;
+      chunks = chunkText(text, { ...options, markdown });
+    }
+    if (chunks.length === 0) {
+      throw new ValidationError(`Invalid document ${name}: it contains no text`, { code: 'EMPTY_DOCUMENT' });
+    }
+    return {
+      name,
+      ...(title ? { title } : {}),
+      mimeType: type,
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      ...(pages ? { pages } : {}),
+      chunks: chunks.map((chunk, index) => ({ index, ...chunk }))
+    };
+  }
+
+  async embedChunks(chunks) {
+    for (let start = 0; start < chunks.length; start += EMBED_BATCH) {
+      const batch = chunks.slice(start, start + EMBED_BATCH);
+      const vectors = await this.embedder.embed(batch.map(chunk => chunk.text));
+      batch.forEach((chunk, index) => { chunk.embedding = vectors[index]; });
+    }
+  }
+
+  addToIndex(document) {
+    this.documents.set(document.id, document);
+    const index = this.indexes.get(document.collection);
+    for (const chunk of document.chunks) {
+      index.add(chunkIdOf(document.id, chunk.index), [document.title, chunk.heading, chunk.text].filter(Boolean).join('\n'));
+    }
+  }
+
+  removeFromIndex(document) {
+    this.documents.delete(document.id);
+    const index = this.indexes.get(document.collection);
+    for (const chunk of document.chunks) index.remove(chunkIdOf(document.id, chunk.index));
+  }
+
+  // Adds files { name, mimeType?, buffer } to a collection. Every file is read
+  // and chunked before any is stored, so a bad file leaves the collection as
+  // it was. A document with the name of an existing one replaces it.
+  async addDocuments(collectionName, files, user) {
+    const collection = this.getCollection(collectionName);
+    this.assertCanChange(collection, user);
+    if (files.length === 0 || files.length > this.limits.maxFiles) {
+      throw new ValidationError(`Invalid documents: expected 1 to ${this.limits.maxFiles} files`);
+    }
+    const parsed = [];
+    for (const file of files) parsed.push(await this.parseDocument(file));
+    if (this.embedder) {
+      for (const document of parsed) await this.embedChunks(document.chunks);
+    }
+
+    const added = [];
+    const replaced = [];
+    for (const fields of parsed) {
+      const previous = this.documentsOf(collectionName).find(document => document.name === fields.name);
+      const document = {
+        id: crypto.randomUUID(),
+        collection: collectionName,
+        ...fields,
+        ...(this.embedder ? { embeddingModel: this.embedder.model } : {}),
+        owner: user.id,
+        createdAt: new Date().toISOString()
+      };
+      await this.store.save({ ...document, id: `document:${document.id}`, type: 'document' });
+      this.addToIndex(document);
+      if (previous) {
+        this.removeFromIndex(previous);
+        await this.store.delete(`document:${previous.id}`);
+        replaced.push(previous.id);
+      }
+      added.push(this.describeDocument(document));
+    }
+    await this.touch(collection);
+    return { documents: added, replaced };
+  }
+
+  async deleteDocument(collectionName, documentId, user) {
+    const document = this.getDocument(collectionName, documentId);
+    const collection = this.getCollection(collectionName);
+    this.assertCanChange(collection, user);
+    this.removeFromIndex(document);
+    await this.store.delete(`document:${documentId}`);
+    await this.touch(collection);
+    return { documentId, deletedAt: new Date().toISOString() };
+  }
+
+  async touch(collection) {
+    collection.updatedAt = new Date().toISOString();
+    await this.store.save({ id: `collection:${collection.name}`, type: 'collection', ...collection });
+  }
+
+  // Chunks of the given collections most similar to `query`, by vector
+  async semanticRanking(names, query, limit) {
+    if (!this.embedder) return [];
+    let vector;
+    try {
+      [vector] = await this.embedder.embed([query]);
+    } catch (error) {
+      this.onEmbeddingError?.(error);
+      return [];
+    }
+    const ranking = [];
+    for (const document of this.documents.values()) {
+      if (!names.includes(document.collection) || document.embeddingModel !== this.embedder.model) continue;
+      for (const chunk of document.chunks) {
+        if (!chunk.embedding) continue;
+        const score = cosine(vector, chunk.embedding);
+        if (score > 0) ranking.push({ id: chunkIdOf(document.id, chunk.index), score });
+      }
+    }
+    return ranking.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // The `limit` best passages of the named collections for `query`, as
+  // { collection, documentId, document, title?, chunkId, index, page?,
+  // heading?, text, score }. Unknown collections are skipped. Scores are
+  // BM25 scores, or fused ranks when embeddings are used.
+  async search(names, query, { limit = this.limits.topK } = {}) {
+    const collections = names.filter(name => this.collections.has(name));
+    if (collections.length === 0 || tokenize(query).length === 0) return [];
+    // Each ranking contributes more candidates than are finally kept
+    const pool = limit * 5;
+    const keyword = collections
+      .flatMap(name => this.indexes.get(name).search(query, pool))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, pool);
+    const semantic = await this.semanticRanking(collections, query, pool);
+
+    let ranked = keyword;
+    if (semantic.length > 0) {
+      const fused = new Map();
+      for (const ranking of [keyword, semantic]) {
+        ranking.forEach(({ id }, rank) => fused.set(id, (fused.get(id) || 0) + 1 / (RRF_K + rank + 1)));
+      }
+      ranked = Array.from(fused, ([id, score]) => ({ id, score })).sort((a, b) => b.score - a.score);
+    }
+
+    return ranked.slice(0, limit).map(({ id, score }) => {
+      const separator = id.lastIndexOf(':');
+      const document = this.documents.get(id.slice(0, separator));
+      const { embedding, ...chunk } = document.chunks[Number(id.slice(separator + 1))];
+      return {
+        collection: document.collection,
+        documentId: document.id,
+        document: document.name,
+        ...(document.title ? { title: document.title } : {}),
+        chunkId: id,
+        ...chunk,
+        score: round(score)
+      };
+    });
+  }
+}
+
+const sourceLabel = ({ title, document, page, heading }) => [
+  title || document,
+  page ? `page ${page}` : null,
+  heading && heading !== title ? heading : null
+].filter(Boolean).join(', ');
+
+// The message with the retrieved passages in front of it, numbered so the
+// model can cite them
+export function withSources(message, passages) {
+  if (passages.length === 0) return message;
+  return [
+    'Answer using the numbered sources below where they are relevant, and cite them as [1], [2] after the ' +
+      'statements they support. If the sources do not contain the answer, say so.',
+    '',
+    ...passages.flatMap((passage, index) => [`[${index + 1}] ${sourceLabel(passage)}`, passage.text, '']),
+    `Question: ${message}`
+  ].join('\n');
+}
+
+// Citations of the passages a reply was given, in prompt order. `cited` tells
+// whether the reply refers to the passage by its number.
+export function toCitations(passages, reply, query) {
+  const cited = new Set();
+  for (const [, numbers] of reply.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    numbers.split(',').forEach(number => cited.add(Number(number)));
+  }
+  const parsed = parseQuery(query);
+  return passages.map((passage, index) => ({
+    index: index + 1,
+    collection: passage.collection,
+    documentId: passage.documentId,
+    document: passage.document,
+    ...(passage.title ? { title: passage.title } : {}),
+    chunkId: passage.chunkId,
+    ...(passage.page ? { page: passage.page } : {}),
+    ...(passage.heading ? { heading: passage.heading } : {}),
+    score: passage.score,
+    excerpt: highlight(passage.text, parsed, { radius: 150, pre: '', post: '', escape: text => text }),
+    cited: cited.has(index + 1),
+    link: `/api/knowledge/collections/${passage.collection}/chunks/${passage.chunkId}`
+  }));
+}
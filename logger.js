@@ -0,0 +1,90 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'node:crypto';
+
+// Structured logging: one JSON object per line, with `time`, `level` and
+// `msg` followed by any fields. Warnings and errors go to stderr, the rest to
+// stdout. Everything logged while a request is handled carries its
+// `requestId`, including lines written deep inside ChatService, because the
+// ID travels in requestContext rather than through every call.
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields of the request being handled, e.g. { requestId }
+export const requestContext = new AsyncLocalStorage();
+
+const serializeError = (error, withStack) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code ? { code: error.code } : {}),
+  ...(withStack && error.stack ? { stack: error.stack } : {})
+});
+
+const writeLine = (level, line) => {
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+export class Logger {
+  constructor({ level = 'info', fields = {}, write = writeLine } = {}) {
+    if (!LOG_LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    this.level = level;
+    this.fields = fields;
+    this.write = write;
+  }
+
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields }, write: this.write });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields, ...requestContext.getStore(), ...fields };
+    for (const [key, value] of Object.entries(entry)) {
+      if (value instanceof Error) entry[key] = serializeError(value, level === 'error');
+    }
+    this.write(level, JSON.stringify(entry));
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+export const createLogger = ({ level = process.env.LOG_LEVEL || 'info', fields } = {}) => new Logger({ level, fields });
+
+// Runs fn with a request ID in the logging context; used for work that does
+// not come through HTTP, like WebSocket messages
+export const withRequestId = (requestId, fn) => requestContext.run({ requestId: requestId || crypto.randomUUID() }, fn);
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Gives every request an ID (the caller's X-Request-Id when it looks sane),
+// echoes it in the X-Request-Id response header and in every error body, and
+// logs the request once the response is finished.
+export function createRequestLogging(logger) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const json = res.json.bind(res);
+    res.json = (body) => json(body?.success === false && !body.requestId ? { ...body, requestId: req.id } : body);
+
+    const started = performance.now();
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger.log(level, 'Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(performance.now() - started),
+        ...(req.user ? { userId: req.user.id } : {})
+      });
+    });
+
+    requestContext.run({ requestId: req.id }, next);
+  };
+}
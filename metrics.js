@@ -0,0 +1,219 @@
+// Counters, gauges and histograms rendered in the Prometheus text exposition
+// format (version 0.0.4). Labels are passed as objects; a metric keeps one
+// series per distinct combination of its label values.
+
+import crypto from 'node:crypto';
+import { UnauthorizedError } from './errors.js';
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // JSON of the label values -> series
+    this.series = new Map();
+  }
+
+  // The series for `labels`, created with `init` on first use
+  seriesFor(labels, init) {
+    const values = this.labelNames.map(name => labels[name] ?? '');
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]])), ...init() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    ];
+  }
+}
+
+// A gauge is set directly, or read from `collect()` at scrape time
+export class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    if (this.collect) this.set({}, this.collect());
+    return [
+      ...this.header(),
+      ...Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    ];
+  }
+}
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  render() {
+    return `${Array.from(this.metrics.values(), metric => metric.render().join('\n')).join('\n')}\n`;
+  }
+}
+
+// Error types of HTTP error responses, for the errors counter
+const HTTP_ERROR_TYPES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited'
+};
+
+// Route pattern of a handled request (not its URL, which would give every
+// session its own series)
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Counts requests and their latency per method, route and status. Error
+// responses are also counted in `errors` by type.
+export function createHttpMetricsMiddleware(registry, { errors } = {}) {
+  const requests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status']
+  });
+  const duration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method and route',
+    labelNames: ['method', 'route']
+  });
+
+  return (req, res, next) => {
+    const started = performance.now();
+    res.on('finish', () => {
+      const route = routeLabel(req);
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, (performance.now() - started) / 1000);
+      if (res.statusCode >= 400) {
+        errors?.inc({ type: HTTP_ERROR_TYPES[res.statusCode] || (res.statusCode >= 500 ? 'internal' : 'client_error') });
+      }
+    });
+    next();
+  };
+}
+
+// A label value limited to `allowed`: anything else counts as `other`, so
+// values chosen by clients (e.g. model names) cannot add series without bound
+export function boundedLabel(allowed, other = 'other') {
+  const values = new Set(allowed);
+  return (value) => (values.has(value) ? value : other);
+}
+
+const tokenDigest = (token) => crypto.createHash('sha256').update(token).digest();
+
+// Serves the registry; with `token` set, scrapers must send it as a bearer
+// token. Digests of equal length let the comparison take constant time.
+export function createMetricsHandler(registry, { token } = {}) {
+  const expected = token ? tokenDigest(`Bearer ${token}`) : null;
+  return (req, res) => {
+    if (expected && !crypto.timingSafeEqual(tokenDigest(req.get('Authorization') || ''), expected)) {
+      throw new UnauthorizedError('Metrics require a bearer token');
+    }
+    res.type(PROMETHEUS_CONTENT_TYPE).send(registry.render());
+  };
+}
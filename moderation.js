@@ -0,0 +1,261 @@
+import { readFileSync } from 'node:fs';
+import { ValidationError } from './errors.js';
+
+// Content moderation for messages on their way to the model (input) and
+// replies on their way back (output). A policy has one set of rules per stage:
+//   {
+//     input:  { blockWords: [...], blockPatterns: [...], pii: { email, phone, card } },
+//     output: { ... },
+//     blockedMessage: 'shown instead of a withheld reply'
+//   }
+// blockWords match whole words and blockPatterns are regular expressions, both
+// case-insensitive; a match blocks the text. Each PII type has an action:
+// off, flag (count it only), redact (replace it with [REDACTED EMAIL] etc.) or
+// block. Replies the provider's own safety filters withheld (see safetyBlock
+// in providers.js) count as blocked output.
+//
+// The deployment policy comes from MODERATION_POLICY (JSON) or
+// MODERATION_POLICY_FILE on top of the defaults below; a persona's
+// `moderation` adds its block lists to the deployment's and overrides its PII
+// actions and blockedMessage.
+
+export const PII_TYPES = ['email', 'phone', 'card'];
+export const PII_ACTIONS = ['off', 'flag', 'redact', 'block'];
+
+export const DEFAULT_MODERATION_POLICY = {
+  input: { blockWords: [], blockPatterns: [], pii: { email: 'redact', phone: 'redact', card: 'redact' } },
+  output: { blockWords: [], blockPatterns: [], pii: { email: 'redact', phone: 'redact', card: 'redact' } },
+  blockedMessage: 'This reply was withheld by the content policy.'
+};
+
+// Luhn checksum, so that any long number is not taken for a card
+const isCardNumber = (match) => {
+  const digits = match.replace(/\D/g, '');
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Dates, times and IP addresses have the shape of short phone numbers
+const NOT_PHONE = /^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{2,4}|\d{1,3}(?:\.\d{1,3}){3})$/;
+
+// Plain runs of digits are only taken for phone numbers from 10 digits on
+const isPhoneNumber = (match) => {
+  const digits = match.replace(/\D/g, '').length;
+  return digits >= 7 && digits <= 15 && (digits >= 10 || /\D/.test(match)) && !NOT_PHONE.test(match);
+};
+
+// Checked in this order, so the digits of a card are not also taken for a phone
+const PII_PATTERNS = {
+  email: { regex: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi },
+  card: { regex: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g, accept: isCardNumber },
+  phone: {
+    regex: /(?<![\w+@]|\d[.,])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?![\w@]|[.,]\d)/g,
+    accept: isPhoneNumber
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compilePattern = (pattern, label) => {
+  try {
+    return new RegExp(pattern, 'gi');
+  } catch (error) {
+    throw new ValidationError(`Invalid ${label}: ${error.message}`);
+  }
+};
+
+// A stage's rules as [{ rule, type?, action, regex, accept? }]
+function compileStage(stage = {}, label) {
+  const rules = [];
+  for (const type of PII_TYPES) {
+    const action = stage.pii?.[type] || 'off';
+    if (action !== 'off') rules.push({ rule: 'pii', type, action, ...PII_PATTERNS[type] });
+  }
+  const words = (stage.blockWords || []).map(word => escapeRegExp(word.trim())).filter(Boolean);
+  if (words.length > 0) {
+    rules.push({ rule: 'word', action: 'block', regex: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.join('|')})(?![\\p{L}\\p{N}_])`, 'giu') });
+  }
+  for (const pattern of stage.blockPatterns || []) {
+    rules.push({ rule: 'pattern', action: 'block', regex: compilePattern(pattern, `${label}.blockPatterns`) });
+  }
+  return rules;
+}
+
+// `override` (a persona's policy) on top of `base`
+export function mergeModerationPolicies(base, override = {}) {
+  const stage = (name) => ({
+    blockWords: [...(base[name]?.blockWords || []), ...(override[name]?.blockWords || [])],
+    blockPatterns: [...(base[name]?.blockPatterns || []), ...(override[name]?.blockPatterns || [])],
+    pii: { ...base[name]?.pii, ...override[name]?.pii }
+  });
+  return {
+    input: stage('input'),
+    output: stage('output'),
+    blockedMessage: override.blockedMessage ?? base.blockedMessage
+  };
+}
+
+export function compileModerationPolicy(policy) {
+  return {
+    input: compileStage(policy.input, 'moderation.input'),
+    output: compileStage(policy.output, 'moderation.output'),
+    blockedMessage: policy.blockedMessage || DEFAULT_MODERATION_POLICY.blockedMessage
+  };
+}
+
+const matchesOf = (text, { regex, accept }) => Array.from(text.matchAll(regex)).filter(match => !accept || accept(match[0]));
+
+// Applies compiled rules to text: { text, blocked, flags }. Flags are
+// { stage, rule, type?, action, count } and never contain the matched text.
+export function moderateText(text, rules, stage) {
+  let result = text;
+  let blocked = false;
+  const flags = [];
+  for (const rule of rules) {
+    let count = 0;
+    if (rule.action === 'redact') {
+      result = result.replace(rule.regex, (match) => {
+        if (rule.accept && !rule.accept(match)) return match;
+        count++;
+        return `[REDACTED ${rule.type.toUpperCase()}]`;
+      });
+    } else {
+      count = matchesOf(result, rule).length;
+    }
+    if (count === 0) continue;
+    if (rule.action === 'block') blocked = true;
+    flags.push({ stage, rule: rule.rule, ...(rule.type ? { type: rule.type } : {}), action: rule.action, count });
+  }
+  return { text: result, blocked, flags };
+}
+
+// Streamed replies are checked before they reach the client: the last
+// HOLDBACK characters are kept back, and never the middle of a match, so that
+// redactions and blocked words spanning two chunks are still caught. Once
+// something blocked shows up nothing more is emitted; the finished reply
+// (checked as a whole) then carries the blocked message.
+const HOLDBACK = 80;
+
+class StreamFilter {
+  constructor(rules, emit) {
+    this.rules = rules;
+    this.emit = emit;
+    this.pending = '';
+    this.stopped = false;
+  }
+
+  push(delta) {
+    if (this.stopped) return;
+    if (this.rules.length === 0) return this.emit(delta);
+    this.pending += delta;
+    const limit = this.pending.length - HOLDBACK;
+    if (limit <= 0) return;
+    let cut = this.pending.slice(0, limit).search(/\s\S*$/) + 1;
+    const matches = this.rules.flatMap(rule => matchesOf(this.pending, rule));
+    for (let moved = true; moved;) {
+      moved = false;
+      for (const match of matches) {
+        if (match.index < cut && match.index + match[0].length >= cut) {
+          cut = match.index;
+          moved = true;
+        }
+      }
+    }
+    if (cut > 0) this.release(cut);
+  }
+
+  flush() {
+    if (!this.stopped && this.pending) this.release(this.pending.length);
+  }
+
+  release(length) {
+    const { text, blocked } = moderateText(this.pending.slice(0, length), this.rules, 'output');
+    this.pending = this.pending.slice(length);
+    if (blocked) {
+      this.stopped = true;
+      return;
+    }
+    if (text) this.emit(text);
+  }
+}
+
+export class ModerationPipeline {
+  // onFlag({ stage, rule, type, action, count }) is for metrics
+  constructor(policy = DEFAULT_MODERATION_POLICY, { onFlag } = {}) {
+    this.policy = policy;
+    this.onFlag = onFlag;
+    this.deployment = compileModerationPolicy(policy);
+    // Compiled persona policies, by their policy object
+    this.compiled = new WeakMap();
+  }
+
+  policyFor(override) {
+    if (!override) return this.deployment;
+    if (!this.compiled.has(override)) {
+      this.compiled.set(override, compileModerationPolicy(mergeModerationPolicies(this.policy, override)));
+    }
+    return this.compiled.get(override);
+  }
+
+  report(result) {
+    result.flags.forEach(flag => this.onFlag?.(flag));
+    return result;
+  }
+
+  // A user message before it is sent: { text, blocked, flags }
+  checkInput(text, override) {
+    return this.report(moderateText(text, this.policyFor(override).input, 'input'));
+  }
+
+  // A finished reply: { text, blocked, flags }, where the text of a blocked
+  // reply is the policy's blockedMessage
+  checkOutput(text, override, { safetyBlock } = {}) {
+    const policy = this.policyFor(override);
+    const result = safetyBlock
+      ? {
+        text,
+        blocked: true,
+        flags: [{
+          stage: safetyBlock.stage === 'prompt' ? 'input' : 'output',
+          rule: 'provider',
+          type: safetyBlock.reason,
+          action: 'block',
+          count: 1,
+          ...(safetyBlock.categories?.length > 0 ? { categories: safetyBlock.categories } : {})
+        }]
+      }
+      : moderateText(text, policy.output, 'output');
+    if (result.blocked) result.text = policy.blockedMessage;
+    return this.report(result);
+  }
+
+  // Wraps `emit` for streamed replies; call flush() once the reply is complete
+  streamFilter(override, emit) {
+    return new StreamFilter(this.policyFor(override).output, emit);
+  }
+}
+
+export function moderationPolicyFromEnv(env = process.env) {
+  let json = env.MODERATION_POLICY;
+  if (!json && env.MODERATION_POLICY_FILE) {
+    json = readFileSync(env.MODERATION_POLICY_FILE, 'utf8');
+  }
+  if (!json) return DEFAULT_MODERATION_POLICY;
+  let policy;
+  try {
+    policy = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid MODERATION_POLICY: ${error.message}`);
+  }
+  // Stages given in the variable replace the default ones field by field
+  const stage = (name) => ({ ...DEFAULT_MODERATION_POLICY[name], ...policy[name], pii: { ...DEFAULT_MODERATION_POLICY[name].pii, ...policy[name]?.pii } });
+  return { input: stage('input'), output: stage('output'), blockedMessage: policy.blockedMessage ?? DEFAULT_MODERATION_POLICY.blockedMessage };
+}
@@ -0,0 +1,215 @@
+import * as schemas from './schemas.js';
+
+// The OpenAPI 3.1 document of the HTTP API, built from the app's own routes:
+// paths and methods from the router, parameters and request bodies from the
+// schemas of their validateRequest middleware, roles from requireRole, and
+// summaries and response schemas from a describeRoute() annotation placed
+// first in each route. Named schemas of schemas.js become components and are
+// referenced by name wherever they are used.
+
+// No-op middleware carrying the description of a route:
+//   summary, description, tags
+//   responses: { status: schema } for JSON bodies, or
+//              { status: { description?, content: { mediaType: schema } } }
+//   errors: statuses of error responses the handler itself produces
+//   requestBody: { mediaType: schema } for bodies no validator describes
+//   uploads: the body may also be multipart/form-data with files under `files`
+//   auth: false for routes under /api that need no credentials
+export function describeRoute(description) {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = description;
+  return middleware;
+}
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Missing or invalid credentials',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  413: 'Payload too large',
+  501: 'Not supported by this server',
+  429: 'Rate limit or quota exceeded',
+  502: 'The model failed',
+  503: 'The model is unavailable',
+  504: 'The model did not answer in time'
+};
+
+// Exported values of schemas.js that are JSON schemas, by identity
+const namedSchemas = new Map(
+  Object.entries(schemas)
+    .filter(([, value]) => value && typeof value === 'object' && (value.type || value.anyOf))
+    .map(([name, schema]) => [schema, name])
+);
+
+// Copies `schema`, replacing named schemas (other than `self`) with a $ref
+const withRefs = (schema, self = null) => {
+  if (Array.isArray(schema)) return schema.map(item => withRefs(item));
+  if (!schema || typeof schema !== 'object') return schema;
+  if (schema !== self && namedSchemas.has(schema)) {
+    return { $ref: `#/components/schemas/${namedSchemas.get(schema)}` };
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, withRefs(value)]));
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema: withRefs(schema) } });
+
+const mediaContent = (content) => Object.fromEntries(Object.entries(content).map(([mediaType, schema]) => [
+  mediaType,
+  schema ? { schema: withRefs(schema) } : {}
+]));
+
+// Path and query parameters from the properties of an object schema
+const parametersOf = (location, schema) => Object.entries(schema.properties || {}).map(([name, property]) => ({
+  name,
+  in: location,
+  required: location === 'path' || (schema.required || []).includes(name),
+  schema: withRefs(property)
+}));
+
+// Multipart bodies carry the files as parts instead of base64 attachments
+const multipartSchemaOf = (schema) => {
+  const { attachments, ...properties } = schema.properties || {};
+  return {
+    type: 'object',
+    ...(schema.required ? { required: schema.required } : {}),
+    properties: { ...withRefs(properties), files: { type: 'array', items: { type: 'string', contentEncoding: 'binary' } } }
+  };
+};
+
+// Express 5 path syntax to OpenAPI: /session/:sessionId -> /session/{sessionId}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Every route of the app as { path, method, handlers }
+export function listRoutes(app) {
+  return app.router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) => Object.keys(route.methods).map(method => ({
+      path: route.path,
+      method,
+      handlers: route.stack.filter(layer => layer.method === method || !layer.method).map(layer => layer.handle)
+    })));
+}
+
+function describeOperation({ path, handlers }) {
+  const description = handlers.find(handler => handler.openapi)?.openapi || {};
+  const validated = Object.assign({}, ...handlers.filter(handler => handler.schemas).map(handler => handler.schemas));
+  const role = handlers.find(handler => handler.requiredRole)?.requiredRole;
+  const secured = path.startsWith('/api/') && description.auth !== false;
+
+  const operation = {
+    summary: description.summary,
+    ...(description.description || role ? {
+      description: [description.description, role && `Requires the ${role} role.`].filter(Boolean).join('\n\n')
+    } : {}),
+    ...(description.tags ? { tags: description.tags } : {}),
+    ...(role ? { 'x-required-role': role } : {})
+  };
+
+  const parameters = [
+    ...(validated.params ? parametersOf('path', validated.params) : []),
+    ...(validated.query ? parametersOf('query', validated.query) : [])
+  ];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (validated.body || description.requestBody) {
+    const content = {
+      ...(validated.body ? jsonContent(validated.body) : {}),
+      ...(validated.body && description.uploads ? { 'multipart/form-data': { schema: multipartSchemaOf(validated.body) } } : {}),
+      ...(description.requestBody ? mediaContent(description.requestBody) : {})
+    };
+    operation.requestBody = { required: Boolean(validated.body?.required?.length || description.requestBody), content };
+  }
+
+  operation.responses = {};
+  for (const [status, response] of Object.entries(description.responses || {})) {
+    operation.responses[status] = response.content
+      ? { description: response.description || 'Success', content: mediaContent(response.content) }
+      : { description: 'Success', content: jsonContent(response) };
+  }
+
+  const errors = new Set(description.errors);
+  if (Object.keys(validated).length > 0 || description.uploads) errors.add(400);
+  if (secured) errors.add(401).add(429);
+  if (role) errors.add(403);
+  for (const status of [...errors].sort((a, b) => a - b)) {
+    operation.responses[status] = { description: ERROR_DESCRIPTIONS[status], content: jsonContent(schemas.errorResponse) };
+  }
+  operation.responses.default = { description: 'Error', content: jsonContent(schemas.errorResponse) };
+
+  if (!secured) operation.security = [];
+  return operation;
+}
+
+export function buildOpenApiDocument(app, { info, servers } = {}) {
+  const paths = {};
+  for (const route of listRoutes(app)) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: describeOperation(route) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    ...(servers ? { servers } : {}),
+    security: [{ apiKey: [] }, { bearer: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: Object.fromEntries(Array.from(namedSchemas, ([schema, name]) => [name, withRefs(schema, schema)]))
+    }
+  };
+}
+
+// Swagger UI from a CDN, pointed at the document
+const CDN = 'https://unpkg.com';
+const SWAGGER_UI = `${CDN}/swagger-ui-dist@5`;
+
+const docsPage = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>API documentation</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script src="/api/docs/init.js"></script>
+</body>
+</html>
+`;
+
+const docsInit = `SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#docs', persistAuthorization: true });
+`;
+
+// Serves GET /api/openapi.json, GET /api/docs (Swagger UI) and its script.
+// They need no credentials, so they are mounted before the auth middleware;
+// the document is built on first request, once every route is registered.
+export function mountApiDocs(app, options) {
+  let document = null;
+  const describeDocs = (summary, mediaType) => describeRoute({
+    summary,
+    tags: ['docs'],
+    auth: false,
+    responses: { 200: { content: { [mediaType]: null } } }
+  });
+
+  app.get('/api/openapi.json', describeDocs('This OpenAPI document', 'application/json'), (req, res) => {
+    document ??= buildOpenApiDocument(app, options);
+    res.json(document);
+  });
+
+  app.get('/api/docs', describeDocs('Interactive API documentation', 'text/html'), (req, res) => {
+    // helmet's default policy only allows scripts and styles from this origin
+    res.set('Content-Security-Policy', `default-src 'self'; script-src 'self' ${CDN}; style-src 'self' 'unsafe-inline' ${CDN}; img-src 'self' data:`);
+    res.type('html').send(docsPage);
+  });
+
+  app.get('/api/docs/init.js', describeDocs('Script of the documentation page', 'text/javascript'), (req, res) => {
+    res.type('js').send(docsInit);
+  });
+}
@@ -0,0 +1,191 @@
+import { MemorySessionStore } from './session-store.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError } from './errors.js';
+
+// Named personas: a system prompt with {{variable}} placeholders, defaults for
+// those variables, default generation settings and an optional greeting.
+// Built-in personas are always available and read-only; custom personas are
+// kept in a record store with the session-store interface (load/save/delete,
+// keyed by `id`), so they can live in memory, a JSON file or SQLite.
+
+export const BUILT_IN_PERSONAS = [
+  {
+    name: 'assistant',
+    description: 'Friendly general-purpose assistant',
+    systemPrompt: 'You are a helpful assistant. Answer in a friendly, conversational tone. Keep responses concise but informative.'
+  },
+  {
+    name: 'tutor',
+    description: 'Patient tutor that teaches instead of handing out answers',
+    systemPrompt: 'You are a patient {{subject}} tutor for a {{level}} student. Explain concepts step by step, ' +
+      'check understanding with short questions and do not simply solve exercises for the student.',
+    variables: { subject: 'math', level: 'beginner' },
+    generationConfig: { temperature: 0.4 },
+    greeting: "Hi! I'm your {{subject}} tutor. What would you like to work on today?"
+  },
+  {
+    name: 'translator',
+    description: 'Translates every message into a target language',
+    systemPrompt: 'You are a professional translator. Translate every message the user sends into {{language}}, ' +
+      'keeping its meaning, tone and formatting. Reply with the translation only.',
+    variables: { language: 'English' },
+    generationConfig: { temperature: 0.2 }
+  }
+];
+
+const PERSONA_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const PERSONA_FIELDS = ['name', 'description', 'systemPrompt', 'variables', 'generationConfig', 'greeting', 'moderation'];
+
+export function renderTemplate(template, variables = {}) {
+  return template.replace(PLACEHOLDER, (placeholder, name) => {
+    if (variables[name] === undefined) {
+      throw new ValidationError(`Missing persona variable: ${name}`);
+    }
+    return String(variables[name]);
+  });
+}
+
+const validateVariables = (variables, label) => {
+  if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+    throw new ValidationError(`Invalid ${label}: expected an object of strings`);
+  }
+  for (const [name, value] of Object.entries(variables)) {
+    if (!['string', 'number', 'boolean'].includes(typeof value) || String(value).length > 1000) {
+      throw new ValidationError(`Invalid ${label}: ${name} must be a string of at most 1000 characters`);
+    }
+  }
+  return variables;
+};
+
+export class PersonaRegistry {
+  // validateGenerationConfig checks a persona's generationConfig overrides
+  // and validateModeration its moderation policy (see moderation.js); both
+  // throw a ValidationError for invalid input
+  constructor({ store = new MemorySessionStore(), validateGenerationConfig = config => config, validateModeration = policy => policy } = {}) {
+    this.store = store;
+    this.validateGenerationConfig = validateGenerationConfig;
+    this.validateModeration = validateModeration;
+    this.personas = new Map(BUILT_IN_PERSONAS.map(persona => [persona.name, { ...persona, builtIn: true }]));
+  }
+
+  async load() {
+    for (const { id, ...persona } of await this.store.load()) {
+      if (!this.personas.get(id)?.builtIn) this.personas.set(id, persona);
+    }
+    return { loaded: this.personas.size - BUILT_IN_PERSONAS.length };
+  }
+
+  list() {
+    return Array.from(this.personas.values());
+  }
+
+  has(name) {
+    return this.personas.has(name);
+  }
+
+  get(name) {
+    const persona = this.personas.get(name);
+    if (!persona) {
+      throw new NotFoundError(`Unknown persona: ${name}`, { code: 'PERSONA_NOT_FOUND' });
+    }
+    return persona;
+  }
+
+  validate(persona) {
+    const unknownField = Object.keys(persona).find(field => !PERSONA_FIELDS.includes(field));
+    if (unknownField) {
+      throw new ValidationError(`Invalid persona: unknown field ${unknownField}`);
+    }
+    if (typeof persona.name !== 'string' || !PERSONA_NAME.test(persona.name)) {
+      throw new ValidationError('Invalid persona: name must be lowercase letters, digits, "-" or "_" (up to 64)');
+    }
+    if (typeof persona.systemPrompt !== 'string' || !persona.systemPrompt.trim() || persona.systemPrompt.length > 20000) {
+      throw new ValidationError('Invalid persona: systemPrompt must be a non-empty string of at most 20000 characters');
+    }
+    for (const field of ['description', 'greeting']) {
+      if (persona[field] !== undefined && typeof persona[field] !== 'string') {
+        throw new ValidationError(`Invalid persona: ${field} must be a string`);
+      }
+    }
+    validateVariables(persona.variables || {}, 'persona: variables');
+    if (persona.generationConfig !== undefined) {
+      this.validateGenerationConfig(persona.generationConfig);
+    }
+    if (persona.moderation !== undefined) {
+      this.validateModeration(persona.moderation);
+    }
+    return persona;
+  }
+
+  // A persona's moderation policy can loosen the deployment's (e.g. let
+  // email addresses through), so only admins may set it
+  assertCanModerate(fields, user) {
+    if (fields.moderation !== undefined && user.role !== 'admin') {
+      throw new ForbiddenError('Only admins can set the moderation policy of a persona', { code: 'ROLE_REQUIRED' });
+    }
+  }
+
+  assertCanChange(persona, user) {
+    if (persona.builtIn) {
+      throw new ForbiddenError(`Persona ${persona.name} is built in and cannot be changed`, { code: 'PERSONA_BUILT_IN' });
+    }
+    if (user.role !== 'admin' && persona.owner !== user.id) {
+      throw new ForbiddenError(`Persona ${persona.name} can only be changed by its owner`);
+    }
+  }
+
+  async save(persona) {
+    this.personas.set(persona.name, persona);
+    await this.store.save({ id: persona.name, ...persona });
+    return persona;
+  }
+
+  async create(fields, user) {
+    this.assertCanModerate(fields, user);
+    const persona = this.validate({ ...fields });
+    if (this.personas.has(persona.name)) {
+      throw new ConflictError(`Persona already exists: ${persona.name}`, { code: 'PERSONA_EXISTS' });
+    }
+    const now = new Date().toISOString();
+    return this.save({ ...persona, owner: user.id, createdAt: now, updatedAt: now });
+  }
+
+  // Changes the given fields; a field set to null is removed
+  async update(name, changes, user) {
+    const current = this.get(name);
+    this.assertCanChange(current, user);
+    this.assertCanModerate(changes, user);
+    if (changes.name !== undefined && changes.name !== name) {
+      throw new ValidationError('Invalid persona: name cannot be changed');
+    }
+    const { owner, createdAt, updatedAt, ...fields } = current;
+    const merged = { ...fields, ...changes };
+    for (const [field, value] of Object.entries(merged)) {
+      if (value === null) delete merged[field];
+    }
+    const persona = this.validate(merged);
+    return this.save({ ...persona, owner, createdAt, updatedAt: new Date().toISOString() });
+  }
+
+  async delete(name, user) {
+    const persona = this.get(name);
+    this.assertCanChange(persona, user);
+    this.personas.delete(name);
+    await this.store.delete(name);
+    return { name, deletedAt: new Date().toISOString() };
+  }
+
+  // The system instruction and greeting with the persona's variable defaults
+  // overridden by `variables`
+  render(name, variables = {}) {
+    const persona = this.get(name);
+    const values = { ...persona.variables, ...validateVariables(variables, 'variables') };
+    return {
+      persona: persona.name,
+      variables: values,
+      systemInstruction: renderTemplate(persona.systemPrompt, values),
+      greeting: persona.greeting ? renderTemplate(persona.greeting, values) : null,
+      generationConfig: persona.generationConfig || {}
+    };
+  }
+}
@@ -0,0 +1,712 @@
+import crypto from 'node:crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Model providers share one chat interface so sessions can switch backends:
+//   provider.startChat({ model, systemInstruction, generationConfig, history, tools }) -> chat
+//   chat.sendMessage(message, { signal })       -> { text, usage, functionCalls, safetyBlock? }
+//   chat.sendMessageStream(message, { signal }) -> { stream, response }
+//     stream yields text deltas; response resolves to { text, usage, functionCalls, safetyBlock? }
+//     once the stream has been consumed. Aborting `signal` cancels the request.
+//     safetyBlock is { stage: 'prompt' | 'reply', reason, categories } when the
+//     provider's own safety filters withheld the prompt or the reply.
+//   chat.getHistory()               -> Gemini-style contents
+//   chat.countTokens(message)       -> prompt tokens of history + message
+//   provider.supportsAttachment(mimeType) -> whether files of this type can
+//     be sent as inlineData parts
+//
+// Providers that can embed text also implement
+//   provider.embed(texts, { model, signal }) -> one vector per text
+// with provider.defaultEmbeddingModel; see knowledge.js.
+//
+// generationConfig uses Gemini's field names. responseMimeType
+// 'application/json' asks for a reply that is only JSON (see
+// structured-output.js); the other providers map it to their JSON mode.
+//
+// History and messages always use the Gemini `{ role, parts }` shape, including
+// functionCall / functionResponse parts; other providers convert it to their
+// own message format. `tools` are `{ name, description, parameters }` objects.
+
+export const exchangesToHistory = (exchanges = []) => exchanges.flatMap(exchange => [
+  { role: 'user', parts: [{ text: exchange.user }] },
+  { role: 'model', parts: [{ text: exchange.assistant }] }
+]);
+
+const partsToText = (parts = []) => parts.map(part => part.text || '').join('');
+
+const messageToContent = (message) => {
+  const parts = typeof message === 'string'
+    ? [{ text: message }]
+    : (Array.isArray(message) ? message : [message]);
+  const role = parts.some(part => part.functionResponse) ? 'function' : 'user';
+  return { role, parts };
+};
+
+// Gemini accepts only an OpenAPI subset of JSON schema in function declarations
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+const toGeminiSchema = (schema) => {
+  const result = {};
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] === undefined) continue;
+    if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else if (key === 'items') {
+      result.items = toGeminiSchema(schema.items);
+    } else {
+      result[key] = schema[key];
+    }
+  }
+  return result;
+};
+
+const usage = (inputTokens = 0, outputTokens = 0) => ({
+  inputTokens,
+  outputTokens,
+  totalTokens: inputTokens + outputTokens
+});
+
+// Keeps a derived promise from raising an unhandled rejection when the
+// caller only consumes the stream.
+const quiet = (promise) => {
+  promise.catch(() => {});
+  return promise;
+};
+
+// Gemini answers prompts and replies its safety settings block without text
+// (response.text() throws for them): the prompt feedback has a blockReason, or
+// the candidate stopped for one of these reasons
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+const blockedCategories = (ratings = []) => ratings
+  .filter(rating => rating.blocked || ['MEDIUM', 'HIGH'].includes(rating.probability))
+  .map(rating => rating.category);
+
+export function geminiSafetyBlock(response) {
+  const feedback = response.promptFeedback;
+  if (feedback?.blockReason) {
+    return { stage: 'prompt', reason: feedback.blockReason, categories: blockedCategories(feedback.safetyRatings) };
+  }
+  const candidate = response.candidates?.[0];
+  if (GEMINI_BLOCK_REASONS.includes(candidate?.finishReason)) {
+    return { stage: 'reply', reason: candidate.finishReason, categories: blockedCategories(candidate.safetyRatings) };
+  }
+  return null;
+}
+
+class GeminiChat {
+  constructor(chatSession, generativeModel) {
+    this.chatSession = chatSession;
+    this.generativeModel = generativeModel;
+  }
+
+  static toResult(response) {
+    const metadata = response.usageMetadata || {};
+    const safetyBlock = geminiSafetyBlock(response);
+    return {
+      text: safetyBlock ? '' : response.text(),
+      usage: usage(metadata.promptTokenCount, metadata.candidatesTokenCount),
+      functionCalls: safetyBlock ? [] : response.functionCalls() || [],
+      ...(safetyBlock ? { safetyBlock } : {}),
+      response
+    };
+  }
+
+  async sendMessage(message, { signal } = {}) {
+    const result = await this.chatSession.sendMessage(message, { signal });
+    return GeminiChat.toResult(await result.response);
+  }
+
+  async sendMessageStream(message, { signal } = {}) {
+    const result = await this.chatSession.sendMessageStream(message, { signal });
+    const stream = (async function* () {
+      for await (const chunk of result.stream) {
+        if (geminiSafetyBlock(chunk)) continue;
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    })();
+    return { stream, response: quiet(result.response.then(GeminiChat.toResult)) };
+  }
+
+  getHistory() {
+    return this.chatSession.getHistory();
+  }
+
+  // Counted by the API, including the system instruction and tools
+  async countTokens(message) {
+    const history = await this.chatSession.getHistory();
+    const { totalTokens } = await this.generativeModel.countTokens({
+      contents: [...history, messageToContent(message)]
+    });
+    return totalTokens;
+  }
+}
+
+export class GeminiProvider {
+  constructor({ apiKey, defaultModel = 'gemini-1.5-flash' }) {
+    this.name = 'gemini';
+    this.defaultModel = defaultModel;
+    this.defaultEmbeddingModel = 'text-embedding-004';
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  supportsAttachment() {
+    return true;
+  }
+
+  async embed(texts, { model = this.defaultEmbeddingModel, signal } = {}) {
+    const { embeddings } = await this.client.getGenerativeModel({ model }).batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    }, { signal });
+    return embeddings.map(embedding => embedding.values);
+  }
+
+  startChat({ model, systemInstruction, generationConfig, history = [], tools = [] }) {
+    const generativeModel = this.client.getGenerativeModel({
+      model: model || this.defaultModel,
+      systemInstruction,
+      generationConfig,
+      ...(tools.length > 0 ? {
+        tools: [{
+          functionDeclarations: tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: toGeminiSchema(tool.parameters)
+          }))
+        }]
+      } : {})
+    });
+    return new GeminiChat(generativeModel.startChat({ history }), generativeModel);
+  }
+}
+
+const isInlinedText = (mimeType) => mimeType.startsWith('text/') || mimeType === 'application/json';
+
+// Chat for HTTP providers that take the full message list on every call.
+// Providers implement complete(chat, messages), stream(chat, messages),
+// formatToolCall(call), formatToolResult(functionResponse) and
+// attachImages(message, inlineDataParts).
+class MessageListChat {
+  // Text files are inlined into the message; images use the provider's own
+  // format. Other file types (e.g. PDF) are Gemini-only.
+  static supportsAttachment(mimeType) {
+    return isInlinedText(mimeType) || mimeType.startsWith('image/');
+  }
+
+  constructor(provider, { model, systemInstruction, generationConfig = {}, history = [], tools = [] }) {
+    this.provider = provider;
+    this.model = model || provider.defaultModel;
+    this.systemInstruction = systemInstruction;
+    this.generationConfig = generationConfig;
+    this.history = [...history];
+    this.tools = tools;
+  }
+
+  buildMessages(content) {
+    const messages = this.systemInstruction
+      ? [{ role: 'system', content: this.systemInstruction }]
+      : [];
+    for (const { role, parts } of [...this.history, content]) {
+      const results = parts.filter(part => part.functionResponse);
+      if (results.length > 0) {
+        messages.push(...results.map(part => this.provider.formatToolResult(part.functionResponse)));
+        continue;
+      }
+      const message = {
+        role: role === 'model' ? 'assistant' : 'user',
+        content: partsToText(parts)
+      };
+      this.addInlineData(message, parts.filter(part => part.inlineData).map(part => part.inlineData));
+      const calls = parts.filter(part => part.functionCall);
+      if (calls.length > 0) {
+        message.tool_calls = calls.map(part => this.provider.formatToolCall(part.functionCall));
+      }
+      messages.push(message);
+    }
+    return messages;
+  }
+
+  addInlineData(message, files) {
+    const images = [];
+    for (const file of files) {
+      if (isInlinedText(file.mimeType)) {
+        message.content += `\n\n${Buffer.from(file.data, 'base64').toString('utf8')}`;
+      } else if (file.mimeType.startsWith('image/')) {
+        images.push(file);
+      } else {
+        throw new Error(`${this.provider.name} does not support ${file.mimeType} attachments`);
+      }
+    }
+    if (images.length > 0) {
+      this.provider.attachImages(message, images);
+    }
+  }
+
+  remember(content, result) {
+    this.history.push(content, {
+      role: 'model',
+      parts: [
+        ...(result.text ? [{ text: result.text }] : []),
+        ...result.functionCalls.map(functionCall => ({ functionCall }))
+      ]
+    });
+  }
+
+  async sendMessage(message, { signal } = {}) {
+    const content = messageToContent(message);
+    const result = await this.provider.complete(this, this.buildMessages(content), { signal });
+    this.remember(content, result);
+    return result;
+  }
+
+  async sendMessageStream(message, { signal } = {}) {
+    const content = messageToContent(message);
+    const events = this.provider.stream(this, this.buildMessages(content), { signal });
+    let resolve;
+    let reject;
+    const response = quiet(new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    }));
+
+    const chat = this;
+    const stream = (async function* () {
+      const result = { text: '', usage: usage(), functionCalls: [] };
+      try {
+        for await (const event of events) {
+          if (event.usage) result.usage = event.usage;
+          if (event.functionCalls) result.functionCalls.push(...event.functionCalls);
+          if (event.safetyBlock) result.safetyBlock = event.safetyBlock;
+          if (event.text) {
+            result.text += event.text;
+            yield event.text;
+          }
+        }
+      } catch (error) {
+        reject(error);
+        throw error;
+      }
+      chat.remember(content, result);
+      resolve(result);
+    })();
+
+    return { stream, response };
+  }
+
+  async getHistory() {
+    return this.history;
+  }
+
+  // These APIs have no counting endpoint, so estimate ~4 characters a token
+  async countTokens(message) {
+    const messages = this.buildMessages(messageToContent(message));
+    return Math.ceil(JSON.stringify(messages).length / 4);
+  }
+}
+
+async function requestJson(providerName, url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    let detail = response.statusText;
+    try {
+      const body = await response.json();
+      detail = body.error?.message || body.error || detail;
+    } catch (error) {
+      // Keep the status text when the body is not JSON
+    }
+    const error = new Error(`${providerName} request failed (${response.status}): ${detail}`);
+    error.status = response.status;
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (response.headers.has('retry-after') && Number.isFinite(retryAfter)) error.retryAfter = retryAfter;
+    throw error;
+  }
+  return response;
+}
+
+const toFunctionTool = ({ name, description, parameters }) => ({
+  type: 'function',
+  function: { name, description, parameters }
+});
+
+const parseOpenAIToolCall = (call) => {
+  let args = {};
+  try {
+    args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+  } catch (error) {
+    // Malformed arguments are passed on as-is so argument validation reports them
+    args = call.function.arguments;
+  }
+  return { id: call.id, name: call.function.name, args };
+};
+
+const parseOllamaToolCall = (call) => ({
+  name: call.function.name,
+  args: call.function.arguments || {}
+});
+
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+// Any endpoint implementing the OpenAI chat completions API
+// (OpenAI, Azure-compatible gateways, vLLM, LM Studio, ...).
+export class OpenAICompatibleProvider {
+  constructor({ apiKey, baseUrl = 'https://api.openai.com/v1', defaultModel = 'gpt-4o-mini', name = 'openai' }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.defaultModel = defaultModel;
+    this.defaultEmbeddingModel = 'text-embedding-3-small';
+  }
+
+  startChat(options) {
+    return new MessageListChat(this, options);
+  }
+
+  supportsAttachment(mimeType) {
+    return MessageListChat.supportsAttachment(mimeType);
+  }
+
+  async embed(texts, { model = this.defaultEmbeddingModel, signal } = {}) {
+    const response = await requestJson(this.name, `${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({ model, input: texts }),
+      signal
+    });
+    const { data } = await response.json();
+    return data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+
+  formatToolCall({ id, name, args }) {
+    return { id, type: 'function', function: { name, arguments: JSON.stringify(args || {}) } };
+  }
+
+  formatToolResult({ id, response }) {
+    return { role: 'tool', tool_call_id: id, content: JSON.stringify(response) };
+  }
+
+  attachImages(message, images) {
+    message.content = [
+      { type: 'text', text: message.content },
+      ...images.map(({ mimeType, data }) => ({
+        type: 'image_url',
+        image_url: { url: `data:${mimeType};base64,${data}` }
+      }))
+    ];
+  }
+
+  buildRequest(chat, messages, stream) {
+    const config = chat.generationConfig;
+    return {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: chat.model,
+        messages,
+        stream,
+        ...(chat.tools.length > 0 ? { tools: chat.tools.map(toFunctionTool) } : {}),
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+        ...(config.responseMimeType === 'application/json' ? { response_format: { type: 'json_object' } } : {}),
+        temperature: config.temperature,
+        top_p: config.topP,
+        max_tokens: config.maxOutputTokens,
+        stop: config.stopSequences
+      })
+    };
+  }
+
+  async complete(chat, messages, { signal } = {}) {
+    const response = await requestJson(this.name, `${this.baseUrl}/chat/completions`, { ...this.buildRequest(chat, messages, false), signal });
+    const data = await response.json();
+    const message = data.choices?.[0]?.message || {};
+    return {
+      text: message.content || '',
+      usage: usage(data.usage?.prompt_tokens, data.usage?.completion_tokens),
+      functionCalls: (message.tool_calls || []).map(parseOpenAIToolCall)
+    };
+  }
+
+  // Tool calls arrive as fragments keyed by index and are emitted once the
+  // stream ends.
+  async* stream(chat, messages, { signal } = {}) {
+    const response = await requestJson(this.name, `${this.baseUrl}/chat/completions`, { ...this.buildRequest(chat, messages, true), signal });
+    const toolCalls = [];
+    for await (const line of readLines(response.body)) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') break;
+      const event = JSON.parse(data);
+      if (event.usage) {
+        yield { usage: usage(event.usage.prompt_tokens, event.usage.completion_tokens) };
+      }
+      const delta = event.choices?.[0]?.delta || {};
+      for (const fragment of delta.tool_calls || []) {
+        const call = toolCalls[fragment.index] ||= { id: fragment.id, function: { name: '', arguments: '' } };
+        call.function.name += fragment.function?.name || '';
+        call.function.arguments += fragment.function?.arguments || '';
+      }
+      if (delta.content) yield { text: delta.content };
+    }
+    if (toolCalls.length > 0) {
+      yield { functionCalls: toolCalls.filter(Boolean).map(parseOpenAIToolCall) };
+    }
+  }
+}
+
+// Local models served by Ollama (https://ollama.com).
+export class OllamaProvider {
+  constructor({ baseUrl = 'http://localhost:11434', defaultModel = 'llama3.1' }) {
+    this.name = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.defaultModel = defaultModel;
+    this.defaultEmbeddingModel = 'nomic-embed-text';
+  }
+
+  startChat(options) {
+    return new MessageListChat(this, options);
+  }
+
+  supportsAttachment(mimeType) {
+    return MessageListChat.supportsAttachment(mimeType);
+  }
+
+  async embed(texts, { model = this.defaultEmbeddingModel, signal } = {}) {
+    const response = await requestJson(this.name, `${this.baseUrl}/api/embed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input: texts }),
+      signal
+    });
+    const { embeddings } = await response.json();
+    return embeddings;
+  }
+
+  formatToolCall({ name, args }) {
+    return { function: { name, arguments: args || {} } };
+  }
+
+  formatToolResult({ name, response }) {
+    return { role: 'tool', name, content: JSON.stringify(response) };
+  }
+
+  attachImages(message, images) {
+    message.images = images.map(image => image.data);
+  }
+
+  buildRequest(chat, messages, stream) {
+    const config = chat.generationConfig;
+    return {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: chat.model,
+        messages,
+        stream,
+        ...(chat.tools.length > 0 ? { tools: chat.tools.map(toFunctionTool) } : {}),
+        ...(config.responseMimeType === 'application/json' ? { format: 'json' } : {}),
+        options: {
+          temperature: config.temperature,
+          top_k: config.topK,
+          top_p: config.topP,
+          num_predict: config.maxOutputTokens,
+          stop: config.stopSequences
+        }
+      })
+    };
+  }
+
+  async complete(chat, messages, { signal } = {}) {
+    const response = await requestJson(this.name, `${this.baseUrl}/api/chat`, { ...this.buildRequest(chat, messages, false), signal });
+    const data = await response.json();
+    return {
+      text: data.message?.content || '',
+      usage: usage(data.prompt_eval_count, data.eval_count),
+      functionCalls: (data.message?.tool_calls || []).map(parseOllamaToolCall)
+    };
+  }
+
+  async* stream(chat, messages, { signal } = {}) {
+    const response = await requestJson(this.name, `${this.baseUrl}/api/chat`, { ...this.buildRequest(chat, messages, true), signal });
+    for await (const line of readLines(response.body)) {
+      const event = JSON.parse(line);
+      if (event.error) throw new Error(`ollama stream failed: ${event.error}`);
+      if (event.message?.content) yield { text: event.message.content };
+      if (event.message?.tool_calls) {
+        yield { functionCalls: event.message.tool_calls.map(parseOllamaToolCall) };
+      }
+      if (event.done) {
+        yield { usage: usage(event.prompt_eval_count, event.eval_count) };
+        return;
+      }
+    }
+  }
+}
+
+// Offline provider for development and tests. It echoes the last user
+// message, and the model name picks a failure mode:
+//   echo         answers after `latencyMs`
+//   flaky        fails the first `failures` calls with a 503, then answers
+//   unavailable  always fails with a 503
+//   rate-limited always fails with a 429 asking to retry after 2 seconds
+//   hang         never answers (until aborted)
+//   blocked      answers as if its safety filters withheld the reply
+// Asked for JSON (responseMimeType), it answers { "reply": <the echo> }.
+// Its embeddings are hashed word counts, so texts sharing words are similar.
+export class MockProvider {
+  constructor({ defaultModel = 'echo', latencyMs = 0, failures = 2 } = {}) {
+    this.name = 'mock';
+    this.defaultModel = defaultModel;
+    this.defaultEmbeddingModel = 'hashed-words';
+    this.latencyMs = latencyMs;
+    this.failures = failures;
+    this.calls = 0;
+  }
+
+  startChat(options) {
+    return new MessageListChat(this, options);
+  }
+
+  supportsAttachment(mimeType) {
+    return MessageListChat.supportsAttachment(mimeType);
+  }
+
+  formatToolCall({ id, name, args }) {
+    return { id, name, args };
+  }
+
+  formatToolResult({ name, response }) {
+    return { role: 'tool', name, content: JSON.stringify(response) };
+  }
+
+  attachImages(message, images) {
+    message.content += images.map(image => `\n[image ${image.mimeType}]`).join('');
+  }
+
+  async respond(chat, messages, signal) {
+    this.calls++;
+    const fail = (status, message, retryAfter) => {
+      const error = new Error(`mock request failed (${status}): ${message}`);
+      error.status = status;
+      if (retryAfter) error.retryAfter = retryAfter;
+      throw error;
+    };
+    const wait = (ms) => new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+
+    switch (chat.model) {
+      case 'flaky':
+        if (this.calls <= this.failures) fail(503, 'The model is overloaded');
+        break;
+      case 'unavailable':
+        fail(503, 'The model is overloaded');
+        break;
+      case 'rate-limited':
+        fail(429, 'Too many requests', 2);
+        break;
+      case 'hang':
+        await wait(2 ** 31 - 1);
+        break;
+      case 'blocked':
+        return {
+          text: '',
+          usage: usage(Math.ceil(JSON.stringify(messages).length / 4), 0),
+          functionCalls: [],
+          safetyBlock: { stage: 'reply', reason: 'SAFETY', categories: ['HARM_CATEGORY_DANGEROUS_CONTENT'] }
+        };
+    }
+    if (this.latencyMs) await wait(this.latencyMs);
+
+    const last = messages.findLast(message => message.role === 'user');
+    const echo = `${chat.model}: ${typeof last?.content === 'string' ? last.content : ''}`;
+    const text = chat.generationConfig.responseMimeType === 'application/json' ? JSON.stringify({ reply: echo }) : echo;
+    return { text, usage: usage(Math.ceil(JSON.stringify(messages).length / 4), Math.ceil(text.length / 4)), functionCalls: [] };
+  }
+
+  async complete(chat, messages, { signal } = {}) {
+    return this.respond(chat, messages, signal);
+  }
+
+  async embed(texts) {
+    return texts.map((text) => {
+      const vector = new Array(64).fill(0);
+      for (const [word] of String(text).toLowerCase().matchAll(/[\p{L}\p{N}]+/gu)) {
+        const hash = crypto.createHash('sha256').update(word).digest();
+        vector[hash[0] % 64] += 1;
+      }
+      return vector;
+    });
+  }
+
+  async* stream(chat, messages, { signal } = {}) {
+    const result = await this.respond(chat, messages, signal);
+    for (const word of result.text.split(/(?<= )/)) {
+      yield { text: word };
+    }
+    yield { usage: result.usage, ...(result.safetyBlock ? { safetyBlock: result.safetyBlock } : {}) };
+  }
+}
+
+// Registers every provider that has enough configuration to run.
+export function createProviders(env = process.env) {
+  const providers = new Map();
+  if (env.GEMINI_API_KEY) {
+    providers.set('gemini', new GeminiProvider({ apiKey: env.GEMINI_API_KEY }));
+  }
+  if (env.OPENAI_API_KEY || env.OPENAI_BASE_URL) {
+    providers.set('openai', new OpenAICompatibleProvider({
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: env.OPENAI_BASE_URL,
+      defaultModel: env.OPENAI_MODEL
+    }));
+  }
+  if (env.OLLAMA_BASE_URL || env.OLLAMA_MODEL) {
+    providers.set('ollama', new OllamaProvider({
+      baseUrl: env.OLLAMA_BASE_URL,
+      defaultModel: env.OLLAMA_MODEL
+    }));
+  }
+  if (env.MOCK_PROVIDER === 'true') {
+    providers.set('mock', new MockProvider({
+      defaultModel: env.MOCK_MODEL,
+      latencyMs: Number(env.MOCK_LATENCY_MS) || 0,
+      failures: env.MOCK_FAILURES ? Number(env.MOCK_FAILURES) : undefined
+    }));
+  }
+  return providers;
+}
+
+// Accepts "model" or "provider:model" (e.g. "ollama:llama3.1").
+export function parseModelSpec(spec, providers, currentProvider) {
+  const separator = spec.indexOf(':');
+  if (separator > 0 && providers.has(spec.slice(0, separator))) {
+    return { provider: spec.slice(0, separator), model: spec.slice(separator + 1) };
+  }
+  if (providers.has(spec)) {
+    return { provider: spec, model: providers.get(spec).defaultModel };
+  }
+  return { provider: currentProvider, model: spec };
+}
@@ -0,0 +1,267 @@
+import { ValidationError, TooManyRequestsError } from './errors.js';
+
+// Per-user usage accounting with daily and monthly quotas on requests, input
+// tokens and output tokens. Periods are calendar days and months in UTC.
+//
+// Counters live in a usage store. Every backend implements the same async
+// interface:
+//   get(key)               -> stored value or null
+//   set(key, value)        -> replace a value
+//   increment(key, deltas) -> add numeric deltas to a counters object, returns it
+//   list(prefix)           -> [key, value] pairs whose key starts with prefix
+
+export const QUOTA_METRICS = ['requests', 'inputTokens', 'outputTokens'];
+
+export const QUOTA_PERIODS = {
+  daily: {
+    key: date => date.toISOString().slice(0, 10),
+    resetAt: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)),
+    window: 24 * 60 * 60
+  },
+  monthly: {
+    key: date => date.toISOString().slice(0, 7),
+    resetAt: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+    window: 30 * 24 * 60 * 60
+  }
+};
+
+export class MemoryUsageStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(key) {
+    return structuredClone(this.values.get(key) ?? null);
+  }
+
+  async set(key, value) {
+    this.values.set(key, structuredClone(value));
+  }
+
+  async increment(key, deltas) {
+    const counters = this.values.get(key) || {};
+    for (const [name, delta] of Object.entries(deltas)) {
+      counters[name] = (counters[name] || 0) + delta;
+    }
+    this.values.set(key, counters);
+    return { ...counters };
+  }
+
+  async list(prefix) {
+    return Array.from(this.values.entries())
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => [key, structuredClone(value)]);
+  }
+}
+
+export function createUsageStore({ type = 'memory' } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryUsageStore();
+    default:
+      throw new Error(`Unknown usage store type: ${type}`);
+  }
+}
+
+// Quotas from QUOTA_DAILY_REQUESTS, QUOTA_DAILY_INPUT_TOKENS,
+// QUOTA_DAILY_OUTPUT_TOKENS and the QUOTA_MONTHLY_* equivalents. Unset means
+// unlimited (null).
+export function quotaLimitsFromEnv(env = process.env) {
+  const envName = metric => metric.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+  const limits = {};
+  for (const period of Object.keys(QUOTA_PERIODS)) {
+    limits[period] = {};
+    for (const metric of QUOTA_METRICS) {
+      const value = env[`QUOTA_${period.toUpperCase()}_${envName(metric)}`];
+      limits[period][metric] = value ? Number(value) : null;
+    }
+  }
+  return limits;
+}
+
+const emptyCounters = () => Object.fromEntries(QUOTA_METRICS.map(metric => [metric, 0]));
+
+// Validates admin input of the shape { daily: { requests: 500 } }
+function validateQuotaValues(values, label, { allowNull = false } = {}) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ValidationError(`Invalid ${label}: expected an object`);
+  }
+  for (const [period, metrics] of Object.entries(values)) {
+    if (!QUOTA_PERIODS[period]) {
+      throw new ValidationError(`Invalid ${label}: unknown period ${period}`);
+    }
+    if (!metrics || typeof metrics !== 'object' || Array.isArray(metrics)) {
+      throw new ValidationError(`Invalid ${label}: ${period} must be an object`);
+    }
+    for (const [metric, value] of Object.entries(metrics)) {
+      if (!QUOTA_METRICS.includes(metric)) {
+        throw new ValidationError(`Invalid ${label}: unknown metric ${metric}`);
+      }
+      if (!(Number.isInteger(value) && value >= 0) && !(allowNull && value === null)) {
+        throw new ValidationError(`Invalid ${label}: ${period}.${metric} must be a non-negative integer${allowNull ? ' or null' : ''}`);
+      }
+    }
+  }
+  return values;
+}
+
+export class QuotaManager {
+  constructor({ store = createUsageStore(), limits = quotaLimitsFromEnv(), now = () => new Date() } = {}) {
+    this.store = store;
+    this.limits = limits;
+    this.now = now;
+  }
+
+  usageKey(period, userId, date = this.now()) {
+    return `usage:${period}:${QUOTA_PERIODS[period].key(date)}:${userId}`;
+  }
+
+  // Server-wide limits with the user's admin overrides applied
+  async limitsFor(userId) {
+    const overrides = await this.store.get(`limits:${userId}`) || {};
+    return Object.fromEntries(Object.entries(this.limits).map(([period, metrics]) => (
+      [period, { ...metrics, ...overrides[period] }]
+    )));
+  }
+
+  async status(userId, date = this.now()) {
+    const limits = await this.limitsFor(userId);
+    const periods = {};
+    for (const [period, spec] of Object.entries(QUOTA_PERIODS)) {
+      periods[period] = {
+        period: spec.key(date),
+        resetAt: spec.resetAt(date).toISOString(),
+        usage: { ...emptyCounters(), ...await this.store.get(this.usageKey(period, userId, date)) },
+        limits: limits[period]
+      };
+    }
+    return { userId, periods };
+  }
+
+  // The first quota that is used up, or null
+  exceeded(status) {
+    for (const [period, { usage, limits, resetAt }] of Object.entries(status.periods)) {
+      for (const metric of QUOTA_METRICS) {
+        const limit = limits[metric];
+        if (limit !== null && limit !== undefined && usage[metric] >= limit) {
+          return { period, metric, limit, used: usage[metric], resetAt };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Counts a request unless a quota is already used up. Token quotas are
+  // checked here too, so the request that crosses one still completes.
+  // The request is counted before the check and the count taken back if it
+  // is refused: concurrent requests of a user each see their own count, so
+  // they cannot all pass the check on the same usage.
+  async consumeRequest(userId) {
+    const date = this.now();
+    const periods = Object.keys(QUOTA_PERIODS);
+    const counted = {};
+    for (const period of periods) {
+      counted[period] = await this.store.increment(this.usageKey(period, userId, date), { requests: 1 });
+    }
+    const status = await this.status(userId, date);
+    for (const period of periods) {
+      // The usage this request found, before it was counted
+      status.periods[period].usage = { ...emptyCounters(), ...counted[period], requests: counted[period].requests - 1 };
+    }
+    const exceeded = this.exceeded(status);
+    if (exceeded) {
+      for (const period of periods) {
+        await this.store.increment(this.usageKey(period, userId, date), { requests: -1 });
+      }
+      return { allowed: false, exceeded, status };
+    }
+    for (const period of periods) {
+      status.periods[period].usage.requests++;
+    }
+    return { allowed: true, status };
+  }
+
+  async recordTokens(userId, usage = {}) {
+    const deltas = { inputTokens: usage.inputTokens || 0, outputTokens: usage.outputTokens || 0 };
+    if (deltas.inputTokens === 0 && deltas.outputTokens === 0) return;
+    for (const period of Object.keys(QUOTA_PERIODS)) {
+      await this.store.increment(this.usageKey(period, userId), deltas);
+    }
+  }
+
+  // Admin adjustments: `limits` replaces the user's overrides (null meaning
+  // unlimited), `usage` sets counters of the current periods, e.g.
+  // { daily: { requests: 0 } } to reset the daily request count
+  async adjust(userId, { limits, usage } = {}) {
+    if (limits !== undefined) validateQuotaValues(limits, 'limits', { allowNull: true });
+    if (usage !== undefined) validateQuotaValues(usage, 'usage');
+
+    if (limits !== undefined) {
+      await this.store.set(`limits:${userId}`, limits);
+    }
+    if (usage !== undefined) {
+      for (const [period, counters] of Object.entries(usage)) {
+        const key = this.usageKey(period, userId);
+        await this.store.set(key, { ...emptyCounters(), ...await this.store.get(key), ...counters });
+      }
+    }
+    return this.status(userId);
+  }
+
+  // Status of every user with usage in the current day or month
+  async listStatuses() {
+    const userIds = new Set();
+    for (const period of Object.keys(QUOTA_PERIODS)) {
+      const prefix = this.usageKey(period, '');
+      for (const [key] of await this.store.list(prefix)) {
+        userIds.add(key.slice(prefix.length));
+      }
+    }
+    return Promise.all(Array.from(userIds).map(userId => this.status(userId)));
+  }
+}
+
+export const quotaExceededMessage = ({ period, metric }) =>
+  `${period === 'daily' ? 'Daily' : 'Monthly'} ${metric} quota exceeded`;
+
+// RateLimit-* headers (IETF draft) for the quota closest to running out, and
+// RateLimit-Policy listing every configured quota
+function setRateLimitHeaders(res, status) {
+  const now = Date.now();
+  const policies = [];
+  let tightest = null;
+  for (const [period, { usage, limits, resetAt }] of Object.entries(status.periods)) {
+    for (const metric of QUOTA_METRICS) {
+      const limit = limits[metric];
+      if (limit === null || limit === undefined) continue;
+      const remaining = Math.max(0, limit - usage[metric]);
+      policies.push(`${limit};w=${QUOTA_PERIODS[period].window};comment="${period} ${metric}"`);
+      if (!tightest || remaining / (limit || 1) < tightest.remaining / (tightest.limit || 1)) {
+        tightest = { limit, remaining, reset: Math.ceil((new Date(resetAt) - now) / 1000) };
+      }
+    }
+  }
+  if (!tightest) return;
+  res.set({
+    'RateLimit-Policy': policies.join(', '),
+    'RateLimit-Limit': String(tightest.limit),
+    'RateLimit-Remaining': String(tightest.remaining),
+    'RateLimit-Reset': String(tightest.reset)
+  });
+}
+
+// Counts every request against req.user's quotas and rejects it with 429
+// once one is used up. Must run after the auth middleware.
+export function createQuotaMiddleware(quotas) {
+  return async (req, res, next) => {
+    const { allowed, exceeded, status } = await quotas.consumeRequest(req.user.id);
+    setRateLimitHeaders(res, status);
+    if (allowed) return next();
+
+    next(new TooManyRequestsError(quotaExceededMessage(exceeded), {
+      code: 'QUOTA_EXCEEDED',
+      details: exceeded,
+      retryAfter: Math.ceil((new Date(exceeded.resetAt) - Date.now()) / 1000)
+    }));
+  };
+}
@@ -0,0 +1,225 @@
+import { WebSocketServer } from 'ws';
+import { parseAttachments, attachmentLimitsFromEnv } from './attachments.js';
+import { quotaExceededMessage } from './quotas.js';
+import { withRequestId } from './logger.js';
+import { NotFoundError, ValidationError, TooManyRequestsError, appErrorOf, errorEnvelope } from './errors.js';
+import { assertValid, messageBody } from './schemas.js';
+
+// WebSocket channel next to the REST API. Clients authenticate like REST
+// clients (X-API-Key or Authorization header, or the `api_key` /
+// `access_token` query parameters for browsers, which cannot set headers on
+// a WebSocket) and then exchange JSON messages:
+//
+//   client -> server
+//     { type: 'join', sessionId }            receive the session's events
+//     { type: 'leave', sessionId }
+//     { type: 'message', sessionId, message, attachments?, requestId? }
+//     { type: 'typing', sessionId, typing }  relayed to the other clients
+//     { type: 'abort', sessionId }           cancel the reply in progress
+//     { type: 'ping' }
+//
+//   server -> client
+//     { type: 'joined', sessionId, messageCount, activeExchangeId, generating }
+//     { type: 'left', sessionId }
+//     { type: 'status', sessionId, status: 'generating', message, parentId }
+//     { type: 'delta', sessionId, text } and { type: 'tool', sessionId, ... }
+//     { type: 'done', sessionId, response, exchangeId, usage, ... }
+//     { type: 'status', sessionId, status: 'idle', outcome: 'completed' | 'aborted' | 'failed', error? }
+//     { type: 'typing', sessionId, userId, typing }
+//     { type: 'abort', sessionId, aborted }
+//     { type: 'error', error, code, details?, retryAfter?, sessionId?, requestId? }
+//     { type: 'pong' }
+//
+// Session events come from ChatService, so every client that joined a
+// session sees its replies, including ones requested over REST. Each message
+// is handled under its requestId (or a generated one) for logging.
+
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Typing events are not echoed back to the connection that sent them
+const ORIGIN = Symbol('origin');
+
+// Answers the upgrade request with the error envelope (see errors.js)
+const rejectUpgrade = (socket, error) => {
+  const { status, body: envelope } = errorEnvelope(error);
+  const body = JSON.stringify(envelope);
+  socket.end([
+    `HTTP/1.1 ${status} ${{ 401: 'Unauthorized', 404: 'Not Found' }[status] || 'Error'}`,
+    ...(status === 401 ? ['WWW-Authenticate: Bearer'] : []),
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+};
+
+function handleConnection(ws, user, { chatService, quotas, logger, attachmentLimits }) {
+  const watching = new Map();
+
+  const send = (data) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(data));
+  };
+
+  const join = (sessionId) => {
+    chatService.assertSessionAccess(sessionId, user);
+    if (watching.has(sessionId)) return;
+    const listener = (event) => {
+      if (event[ORIGIN] === ws) return;
+      send(event);
+    };
+    chatService.events.on(sessionId, listener);
+    watching.set(sessionId, listener);
+  };
+
+  const leave = (sessionId) => {
+    chatService.events.off(sessionId, watching.get(sessionId));
+    watching.delete(sessionId);
+  };
+
+  const handlers = {
+    join: ({ sessionId }) => {
+      join(sessionId);
+      const session = chatService.getSession(sessionId);
+      send({
+        type: 'joined',
+        sessionId,
+        messageCount: session.history.length,
+        activeExchangeId: session.activeExchangeId,
+        generating: chatService.generations.has(sessionId)
+      });
+    },
+
+    leave: ({ sessionId }) => {
+      if (watching.has(sessionId)) leave(sessionId);
+      send({ type: 'left', sessionId });
+    },
+
+    // The reply reaches this client through the session events; only
+    // failures are reported to the sender directly
+    // Checked against the same schema as POST /api/chat/message
+    message: async ({ sessionId, message = '', attachments: json = [] }) => {
+      assertValid(messageBody, { sessionId, message, attachments: json }, { root: 'message' });
+      const attachments = parseAttachments({ json }, attachmentLimits);
+      if (!message && attachments.length === 0) {
+        throw new ValidationError('Invalid request: message.message is required without attachments');
+      }
+      join(sessionId);
+
+      if (quotas) {
+        const { allowed, exceeded } = await quotas.consumeRequest(user.id);
+        if (!allowed) {
+          throw new TooManyRequestsError(quotaExceededMessage(exceeded), {
+            code: 'QUOTA_EXCEEDED',
+            details: exceeded,
+            retryAfter: Math.ceil((new Date(exceeded.resetAt) - Date.now()) / 1000)
+          });
+        }
+      }
+
+      try {
+        const result = await chatService.sendMessage(sessionId, message, { attachments });
+        if (!result.cached) await quotas?.recordTokens(user.id, result.usage);
+      } catch (error) {
+        // Aborts are already announced by the idle status event
+        if (appErrorOf(error)?.code !== 'GENERATION_ABORTED') throw error;
+      }
+    },
+
+    typing: ({ sessionId, typing }) => {
+      join(sessionId);
+      chatService.publish(sessionId, 'typing', { userId: user.id, typing: Boolean(typing), [ORIGIN]: ws });
+    },
+
+    abort: ({ sessionId }) => {
+      chatService.assertSessionAccess(sessionId, user);
+      send({ type: 'abort', ...chatService.abortGeneration(sessionId) });
+    },
+
+    ping: () => send({ type: 'pong' })
+  };
+
+  ws.on('message', async (data) => {
+    let request;
+    try {
+      request = JSON.parse(data.toString());
+    } catch (error) {
+      return send({ type: 'error', error: 'Invalid message: expected JSON', code: 'INVALID_JSON' });
+    }
+
+    const requestId = typeof request?.requestId === 'string' ? request.requestId : undefined;
+    await withRequestId(requestId, async () => {
+      try {
+        const handler = handlers[request?.type];
+        if (!handler) {
+          throw new ValidationError(`Unknown message type: ${request?.type}`, { code: 'UNKNOWN_MESSAGE_TYPE' });
+        }
+        if (request.type !== 'ping' && !request.sessionId) {
+          throw new ValidationError('sessionId is required');
+        }
+        await handler(request);
+      } catch (error) {
+        logger?.warn('WebSocket message failed', { userId: user.id, type: request?.type, sessionId: request?.sessionId, error });
+        const { success, timestamp, ...envelope } = errorEnvelope(error).body;
+        send({
+          type: 'error',
+          ...envelope,
+          ...(request?.sessionId ? { sessionId: request.sessionId } : {}),
+          ...(request?.requestId ? { requestId: request.requestId } : {})
+        });
+      }
+    });
+  });
+
+  ws.on('close', () => {
+    for (const sessionId of watching.keys()) leave(sessionId);
+    logger?.debug('WebSocket connection closed', { userId: user.id });
+  });
+}
+
+// Serves the channel on `path` of an existing HTTP server
+export function attachRealtimeServer(server, {
+  chatService, authenticate, quotas, logger, attachmentLimits = attachmentLimitsFromEnv(), path = '/api/ws', maxPayload = 10 * 1024 * 1024
+}) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      return rejectUpgrade(socket, new NotFoundError('Endpoint not found', { code: 'ROUTE_NOT_FOUND' }));
+    }
+
+    let user;
+    try {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      user = authenticate({
+        apiKey: req.headers['x-api-key'] || url.searchParams.get('api_key'),
+        token: (scheme === 'Bearer' ? token : undefined) || url.searchParams.get('access_token')
+      });
+    } catch (error) {
+      return rejectUpgrade(socket, error);
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      logger?.debug('WebSocket connection opened', { userId: user.id });
+      handleConnection(ws, user, { chatService, quotas, logger, attachmentLimits });
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL).unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
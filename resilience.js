@@ -0,0 +1,258 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { UpstreamError } from './errors.js';
+
+// Resilient model calls. Every attempt gets a timeout; retryable failures
+// (rate limits, unavailable or overloaded backends, timeouts, network errors)
+// are retried with exponential backoff and full jitter; and a circuit breaker
+// per provider:model stops calling a backend that keeps failing, sending the
+// call to the configured fallback model instead. Failures surface as
+// ModelCallError with a stable code and the HTTP status to answer with.
+
+export const MODEL_ERROR_CODES = {
+  MODEL_RATE_LIMITED: { status: 429, retryable: true },
+  MODEL_UNAVAILABLE: { status: 503, retryable: true },
+  MODEL_TIMEOUT: { status: 504, retryable: true },
+  MODEL_ERROR: { status: 502, retryable: false }
+};
+
+export class ModelCallError extends UpstreamError {
+  constructor(code, message, { retryAfter = null, provider, model, cause } = {}) {
+    super(message, { status: MODEL_ERROR_CODES[code].status, code, retryAfter, cause });
+    this.retryable = MODEL_ERROR_CODES[code].retryable;
+    this.provider = provider;
+    this.model = model;
+  }
+}
+
+// The ModelCallError behind an error wrapped with { cause }, or null
+export function modelErrorOf(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof ModelCallError) return current;
+  }
+  return null;
+}
+
+const DEFAULT_MAX_CIRCUITS = 100;
+
+// MODEL_TIMEOUT_MS, MODEL_MAX_RETRIES, MODEL_RETRY_BASE_MS, MODEL_RETRY_MAX_MS,
+// CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_RESET_MS, CIRCUIT_MAX_TARGETS and
+// FALLBACK_MODEL ("[provider:]model", unset for none)
+export function resilienceConfigFromEnv(env = process.env) {
+  const number = (name, fallback) => (env[name] !== undefined && env[name] !== '' ? Number(env[name]) : fallback);
+  return {
+    timeoutMs: number('MODEL_TIMEOUT_MS', 60000),
+    maxRetries: number('MODEL_MAX_RETRIES', 2),
+    baseDelayMs: number('MODEL_RETRY_BASE_MS', 500),
+    maxDelayMs: number('MODEL_RETRY_MAX_MS', 8000),
+    failureThreshold: number('CIRCUIT_FAILURE_THRESHOLD', 5),
+    resetTimeoutMs: number('CIRCUIT_RESET_MS', 30000),
+    maxCircuits: number('CIRCUIT_MAX_TARGETS', DEFAULT_MAX_CIRCUITS),
+    fallbackModel: env.FALLBACK_MODEL || null
+  };
+}
+
+// Gemini reports the wait as RetryInfo { retryDelay: '7s' } in errorDetails;
+// the HTTP providers copy the Retry-After header onto the error
+const retryAfterOf = (error) => {
+  if (Number.isFinite(error.retryAfter)) return error.retryAfter;
+  const retryInfo = error.errorDetails?.find(detail => detail.retryDelay);
+  const seconds = retryInfo ? parseFloat(retryInfo.retryDelay) : NaN;
+  return Number.isFinite(seconds) ? Math.ceil(seconds) : null;
+};
+
+const NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+export function classifyModelError(error, { timedOut = false, provider, model } = {}) {
+  if (error instanceof ModelCallError) return error;
+  const target = `${provider}:${model}`;
+  const details = { provider, model, cause: error };
+  if (timedOut) {
+    return new ModelCallError('MODEL_TIMEOUT', `${target} did not answer in time`, details);
+  }
+
+  const status = error.status ?? Number(/\[(\d{3})[^\]]*\]/.exec(error.message)?.[1]);
+  const code = error.cause?.code || error.code;
+  if (status === 429) {
+    return new ModelCallError('MODEL_RATE_LIMITED', `${target} is rate limited: ${error.message}`, { ...details, retryAfter: retryAfterOf(error) });
+  }
+  if (status === 408 || status === 504) {
+    return new ModelCallError('MODEL_TIMEOUT', `${target} timed out: ${error.message}`, details);
+  }
+  if ([500, 502, 503].includes(status) || NETWORK_ERRORS.includes(code) || error.message === 'fetch failed') {
+    return new ModelCallError('MODEL_UNAVAILABLE', `${target} is unavailable: ${error.message}`, { ...details, retryAfter: retryAfterOf(error) });
+  }
+  return new ModelCallError('MODEL_ERROR', `${target} failed: ${error.message}`, details);
+}
+
+// Full jitter: a random wait up to the exponentially growing cap
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }, random = Math.random) =>
+  Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+// closed: calls go through. open: calls fail fast until resetTimeoutMs has
+// passed. half-open: a single probe call decides whether to close again.
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now, onStateChange } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.onStateChange = onStateChange;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    this.state = state;
+    this.onStateChange?.(state);
+  }
+
+  allowRequest() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.setState('half-open');
+    }
+    if (this.state === 'half-open') {
+      if (this.probing) return false;
+      this.probing = true;
+      return true;
+    }
+    return this.state === 'closed';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.probing = false;
+    this.setState('closed');
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.probing = false;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      this.setState('open');
+    }
+  }
+
+  // Seconds until the next probe is allowed
+  retryAfter() {
+    if (this.state !== 'open') return 0;
+    return Math.max(1, Math.ceil((this.openedAt + this.resetTimeoutMs - this.now()) / 1000));
+  }
+}
+
+// Rejects once `signal` aborts, for calls that do not take a signal themselves
+const raceAbort = (promise, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => reject(signal.reason);
+  if (signal.aborted) return onAbort();
+  signal.addEventListener('abort', onAbort, { once: true });
+  promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+});
+
+const targetKey = ({ provider, model }) => `${provider}:${model}`;
+
+export class ModelGateway {
+  // onRetry({ provider, model, attempt, delay, error }) and
+  // onCircuitChange({ provider, model, state }) are for logs and metrics
+  constructor(config = resilienceConfigFromEnv(), { onRetry, onCircuitChange, wait = sleep, random = Math.random } = {}) {
+    this.config = config;
+    this.onRetry = onRetry;
+    this.onCircuitChange = onCircuitChange;
+    this.wait = wait;
+    this.random = random;
+    this.breakers = new Map();
+  }
+
+  // Models are named by clients, so the breakers are kept in least recently
+  // used order and the oldest closed one is forgotten once there are
+  // maxCircuits. A closed breaker only holds a few failures; open and
+  // half-open ones are always kept.
+  breakerFor(target) {
+    const key = targetKey(target);
+    let breaker = this.breakers.get(key);
+    if (breaker) {
+      this.breakers.delete(key);
+    } else {
+      if (this.breakers.size >= (this.config.maxCircuits ?? DEFAULT_MAX_CIRCUITS)) {
+        const closed = Array.from(this.breakers.keys()).find(other => this.breakers.get(other).state === 'closed');
+        if (closed) this.breakers.delete(closed);
+      }
+      breaker = new CircuitBreaker({
+        failureThreshold: this.config.failureThreshold,
+        resetTimeoutMs: this.config.resetTimeoutMs,
+        onStateChange: state => this.onCircuitChange?.({ ...target, state })
+      });
+    }
+    this.breakers.set(key, breaker);
+    return breaker;
+  }
+
+  // provider:model keys whose circuit is not closed, with their state
+  circuits() {
+    return Array.from(this.breakers.entries())
+      .filter(([, breaker]) => breaker.state !== 'closed')
+      .map(([key, breaker]) => ({ target: key, state: breaker.state, retryAfter: breaker.retryAfter() }));
+  }
+
+  // The primary target followed by the fallback, when there is one.
+  // `fallback` is { provider, model } already resolved by the caller.
+  targets(primary, fallback) {
+    return fallback && targetKey(fallback) !== targetKey(primary) ? [primary, fallback] : [primary];
+  }
+
+  // Runs attempt(target, signal, { attempt, fallback }) until it succeeds.
+  // Retries stop when canRetry() says the failed attempt already had visible
+  // effects (e.g. streamed text), and aborting `signal` stops everything.
+  // Resolves to { result, target, fallback }.
+  async call(targets, attempt, { signal, canRetry = () => true } = {}) {
+    let lastError = null;
+    for (const [index, target] of targets.entries()) {
+      const breaker = this.breakerFor(target);
+      if (!breaker.allowRequest()) {
+        lastError = new ModelCallError('MODEL_UNAVAILABLE', `${targetKey(target)} is temporarily unavailable after repeated failures`, {
+          ...target,
+          retryAfter: breaker.retryAfter()
+        });
+        continue;
+      }
+
+      for (let attemptNumber = 1; ; attemptNumber++) {
+        const timeout = AbortSignal.timeout(this.config.timeoutMs);
+        const attemptSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+        try {
+          const result = await raceAbort(attempt(target, attemptSignal, { attempt: attemptNumber, fallback: index > 0 }), attemptSignal);
+          breaker.recordSuccess();
+          return { result, target, fallback: index > 0 };
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          lastError = classifyModelError(error, { timedOut: timeout.aborted, ...target });
+          if (!lastError.retryable) {
+            // The backend answered, it just rejected this request
+            breaker.recordSuccess();
+            throw lastError;
+          }
+          breaker.recordFailure();
+          if (!canRetry()) throw this.withRetryAfter(lastError);
+          if (attemptNumber > this.config.maxRetries || !breaker.allowRequest()) break;
+
+          // A backend asking for a longer pause than we would wait is left alone
+          const delay = Math.max(backoffDelay(attemptNumber, this.config, this.random), (lastError.retryAfter || 0) * 1000);
+          if (delay > this.config.maxDelayMs) break;
+          this.onRetry?.({ ...target, attempt: attemptNumber, delay, error: lastError });
+          await this.wait(delay, undefined, signal ? { signal } : undefined);
+        }
+      }
+    }
+    throw this.withRetryAfter(lastError);
+  }
+
+  // Without a hint from the backend, clients are asked to wait as long as
+  // the longest backoff
+  withRetryAfter(error) {
+    if (error.retryable && !error.retryAfter) {
+      error.retryAfter = Math.max(1, Math.ceil(this.config.maxDelayMs / 1000));
+    }
+    return error;
+  }
+}
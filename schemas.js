@@ -0,0 +1,1035 @@
+import Ajv from 'ajv';
+import { ValidationError } from './errors.js';
+import { EXPORT_FORMATS } from './transcripts.js';
+import { PII_TYPES, PII_ACTIONS } from './moderation.js';
+import { DOCUMENT_TYPES } from './knowledge.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+
+// JSON schemas for the bodies, path parameters and query strings of the HTTP
+// API, checked by validateRequest before a handler runs. Path and query values
+// always arrive as strings, so their schemas describe strings. Checks that
+// need server state (does the session exist, is the persona known) are left
+// to the handlers.
+//
+// The response schemas further down are not checked at runtime; together
+// with the request schemas they make up the OpenAPI document (see openapi.js)
+// that the contract test checks real responses against.
+
+// Bounds for generationConfig overrides
+const generationConfigLimits = {
+  temperature: { min: 0, max: 2 },
+  topK: { min: 1, max: 100, integer: true },
+  topP: { min: 0, max: 1 },
+  maxOutputTokens: { min: 1, max: 8192, integer: true }
+};
+
+export const generationConfigSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...Object.fromEntries(Object.entries(generationConfigLimits).map(([key, { min, max, integer }]) => [
+      key,
+      { type: integer ? 'integer' : 'number', minimum: min, maximum: max }
+    ])),
+    stopSequences: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1, maxLength: 100 } }
+  }
+};
+
+// Deployment (MODERATION_POLICY) and persona moderation policies, see moderation.js
+const moderationStageSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    blockWords: { type: 'array', maxItems: 1000, items: { type: 'string', minLength: 1, maxLength: 100 } },
+    blockPatterns: { type: 'array', maxItems: 100, items: { type: 'string', minLength: 1, maxLength: 500 } },
+    pii: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(PII_TYPES.map(type => [type, { enum: PII_ACTIONS }]))
+    }
+  }
+};
+
+export const moderationPolicySchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    input: moderationStageSchema,
+    output: moderationStageSchema,
+    blockedMessage: { type: 'string', minLength: 1, maxLength: 1000 }
+  }
+};
+
+// Same format as request IDs (see logger.js); generated IDs are UUIDs
+export const sessionIdSchema = { type: 'string', pattern: '^[\\w.:-]{1,128}$' };
+const exchangeIdSchema = { type: 'string', minLength: 1, maxLength: 128 };
+const personaNameSchema = { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$' };
+const collectionNameSchema = { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$' };
+const variablesSchema = {
+  type: 'object',
+  additionalProperties: { type: ['string', 'number', 'boolean'], maxLength: 1000 }
+};
+const messageSchema = { type: 'string', maxLength: 32000 };
+const attachmentsSchema = {
+  type: 'array',
+  maxItems: 5,
+  items: {
+    type: 'object',
+    required: ['data'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', maxLength: 255 },
+      mimeType: { type: 'string', maxLength: 255 },
+      data: { type: 'string' }
+    }
+  }
+};
+const integerString = { type: 'string', pattern: '^\\d{1,15}$' };
+
+// Limits that come from the server's configuration. They are set once .env
+// has been loaded, before any route compiles these schemas.
+export function setRequestLimits({ maxMessageLength, maxAttachments }) {
+  messageSchema.maxLength = maxMessageLength;
+  attachmentsSchema.maxItems = maxAttachments;
+}
+
+export const sessionParams = {
+  type: 'object',
+  required: ['sessionId'],
+  properties: { sessionId: sessionIdSchema }
+};
+
+export const createSessionBody = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    sessionId: sessionIdSchema,
+    provider: { type: 'string', minLength: 1, maxLength: 64 },
+    model: { type: 'string', minLength: 1, maxLength: 128 },
+    generationConfig: generationConfigSchema,
+    tools: { type: 'array', maxItems: 64, items: { type: 'string' } },
+    persona: personaNameSchema,
+    variables: variablesSchema,
+    collections: { type: 'array', maxItems: 10, uniqueItems: true, items: collectionNameSchema }
+  }
+};
+
+// Options of a single reply: generationConfig overrides the session's, and
+// responseSchema (a JSON schema) asks for a structured JSON reply, see
+// structured-output.js, which also limits its size and keywords. Both need a
+// JSON body.
+const replyOptions = {
+  generationConfig: generationConfigSchema,
+  responseSchema: { type: 'object' }
+};
+
+// JSON or multipart/form-data (files are checked by parseAttachments). A
+// message needs text, attachments or both.
+export const messageBody = {
+  type: 'object',
+  required: ['sessionId'],
+  additionalProperties: false,
+  properties: {
+    sessionId: sessionIdSchema,
+    message: messageSchema,
+    attachments: attachmentsSchema,
+    ...replyOptions
+  }
+};
+
+export const editBody = {
+  type: 'object',
+  required: ['exchangeId'],
+  additionalProperties: false,
+  properties: {
+    exchangeId: exchangeIdSchema,
+    message: messageSchema,
+    attachments: attachmentsSchema,
+    ...replyOptions
+  }
+};
+
+// Without a body the options of the last message apply again
+export const regenerateBody = {
+  type: 'object',
+  additionalProperties: false,
+  properties: replyOptions
+};
+
+export const branchBody = {
+  type: 'object',
+  required: ['exchangeId'],
+  additionalProperties: false,
+  properties: { exchangeId: exchangeIdSchema }
+};
+
+export const searchQuery = {
+  type: 'object',
+  required: ['q'],
+  properties: {
+    q: { type: 'string', minLength: 1, maxLength: 500 },
+    sessionId: sessionIdSchema,
+    role: { enum: ['user', 'assistant'] },
+    from: { type: 'string', maxLength: 64 },
+    to: { type: 'string', maxLength: 64 },
+    limit: integerString,
+    offset: integerString
+  }
+};
+
+export const exportQuery = {
+  type: 'object',
+  properties: { format: { enum: Object.keys(EXPORT_FORMATS) } }
+};
+
+// The transcript itself is checked by parseTranscript (see transcripts.js)
+export const importQuery = {
+  type: 'object',
+  properties: { sessionId: sessionIdSchema }
+};
+
+export const recentSessionsQuery = {
+  type: 'object',
+  properties: { limit: integerString }
+};
+
+// maxAge is in milliseconds: at least a minute, at most a year
+export const cleanupBody = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    maxAge: { type: 'integer', minimum: 60 * 1000, maximum: 365 * 24 * 60 * 60 * 1000 }
+  }
+};
+
+export const userParams = {
+  type: 'object',
+  required: ['userId'],
+  properties: { userId: { type: 'string', minLength: 1, maxLength: 128 } }
+};
+
+// Limits and usage counters are checked in detail by QuotaManager.adjust
+export const usageAdjustBody = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    limits: { type: 'object' },
+    usage: { type: 'object' }
+  }
+};
+
+export const personaParams = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: personaNameSchema }
+};
+
+const personaFields = {
+  name: personaNameSchema,
+  description: { type: 'string', maxLength: 1000 },
+  systemPrompt: { type: 'string', minLength: 1, maxLength: 20000 },
+  variables: variablesSchema,
+  generationConfig: generationConfigSchema,
+  greeting: { type: 'string', maxLength: 2000 },
+  moderation: moderationPolicySchema
+};
+
+export const personaBody = {
+  type: 'object',
+  required: ['name', 'systemPrompt'],
+  additionalProperties: false,
+  properties: personaFields
+};
+
+// null removes an optional field
+export const personaUpdateBody = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(Object.entries(personaFields).map(([field, schema]) => [
+    field,
+    field === 'name' || field === 'systemPrompt' ? schema : { anyOf: [schema, { type: 'null' }] }
+  ]))
+};
+
+export const collectionParams = {
+  type: 'object',
+  required: ['collection'],
+  properties: { collection: collectionNameSchema }
+};
+
+export const documentParams = {
+  type: 'object',
+  required: ['collection', 'documentId'],
+  properties: { collection: collectionNameSchema, documentId: { type: 'string', minLength: 1, maxLength: 128 } }
+};
+
+export const chunkParams = {
+  type: 'object',
+  required: ['collection', 'chunkId'],
+  properties: { collection: collectionNameSchema, chunkId: { type: 'string', pattern: '^[\\w-]{1,128}:\\d{1,6}$' } }
+};
+
+export const collectionBody = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: collectionNameSchema,
+    description: { type: 'string', maxLength: 1000 }
+  }
+};
+
+// JSON with the text of one document, or multipart/form-data with files
+// under `files` (checked by KnowledgeBase.parseDocument)
+export const documentBody = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 255 },
+    text: { type: 'string', minLength: 1 },
+    mimeType: { enum: Object.keys(DOCUMENT_TYPES).filter(type => type.startsWith('text/')) }
+  }
+};
+
+// collections is a comma-separated list; all collections when left out
+export const knowledgeSearchQuery = {
+  type: 'object',
+  required: ['q'],
+  properties: {
+    q: { type: 'string', minLength: 1, maxLength: 500 },
+    collections: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}(,[a-z0-9][a-z0-9_-]{0,63})*$' },
+    limit: integerString
+  }
+};
+
+// ?async=true answers with a job instead of the reply (see jobs.js)
+export const replyQuery = {
+  type: 'object',
+  properties: { async: { enum: ['true', 'false'] } }
+};
+
+export const jobParams = {
+  type: 'object',
+  required: ['jobId'],
+  properties: { jobId: { type: 'string', minLength: 1, maxLength: 128 } }
+};
+
+export const webhookParams = {
+  type: 'object',
+  required: ['webhookId'],
+  properties: { webhookId: { type: 'string', minLength: 1, maxLength: 128 } }
+};
+
+// The URL is checked further by WebhookRegistry.create; without a secret one
+// is generated
+export const webhookBody = {
+  type: 'object',
+  required: ['url', 'events'],
+  additionalProperties: false,
+  properties: {
+    url: { type: 'string', minLength: 1, maxLength: 2048 },
+    events: { type: 'array', minItems: 1, uniqueItems: true, items: { enum: WEBHOOK_EVENTS } },
+    secret: { type: 'string', minLength: 16, maxLength: 256 },
+    description: { type: 'string', maxLength: 1000 }
+  }
+};
+
+export const cachePurgeQuery = {
+  type: 'object',
+  properties: {
+    provider: { type: 'string', minLength: 1, maxLength: 64 },
+    model: { type: 'string', minLength: 1, maxLength: 128 }
+  }
+};
+
+// Responses. Successful bodies have success: true and error bodies the
+// envelope of errors.js.
+
+const timestamp = { type: 'string' };
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+export const errorResponse = {
+  type: 'object',
+  required: ['success', 'error', 'code', 'timestamp'],
+  properties: {
+    success: { const: false },
+    error: { type: 'string' },
+    code: { type: 'string' },
+    details: {},
+    retryAfter: { type: 'integer' },
+    timestamp,
+    requestId: { type: 'string' }
+  }
+};
+
+const success = (required, properties) => ({
+  type: 'object',
+  required: ['success', ...required],
+  properties: { success: { const: true }, ...properties }
+});
+
+export const usageSchema = {
+  type: 'object',
+  required: ['inputTokens', 'outputTokens', 'totalTokens'],
+  properties: {
+    inputTokens: { type: 'integer' },
+    outputTokens: { type: 'integer' },
+    totalTokens: { type: 'integer' },
+    estimated: { type: 'boolean' }
+  }
+};
+
+const toolCallSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: { id: { type: 'string' }, name: { type: 'string' }, args: { type: 'object' }, result: {}, error: { type: 'string' } }
+};
+
+// What moderation found in an exchange; see moderation.js
+export const moderationResultSchema = {
+  type: 'object',
+  required: ['blocked', 'flags'],
+  properties: {
+    blocked: { type: 'boolean' },
+    flags: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['stage', 'rule', 'action', 'count'],
+        properties: {
+          stage: { enum: ['input', 'output'] },
+          rule: { enum: ['pii', 'word', 'pattern', 'provider'] },
+          type: { type: 'string' },
+          action: { enum: PII_ACTIONS },
+          count: { type: 'integer' },
+          categories: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+// A passage a reply was given, see knowledge.js
+export const citationSchema = {
+  type: 'object',
+  required: ['index', 'collection', 'documentId', 'document', 'chunkId', 'score', 'excerpt', 'cited'],
+  properties: {
+    index: { type: 'integer' },
+    collection: { type: 'string' },
+    documentId: { type: 'string' },
+    document: { type: 'string' },
+    title: { type: 'string' },
+    chunkId: { type: 'string' },
+    page: { type: 'integer' },
+    heading: { type: 'string' },
+    score: { type: 'number' },
+    excerpt: { type: 'string' },
+    cited: { type: 'boolean' },
+    link: { type: 'string' }
+  }
+};
+
+export const exchangeSchema = {
+  type: 'object',
+  required: ['id', 'parentId', 'user', 'assistant', 'timestamp'],
+  properties: {
+    id: { type: 'string' },
+    parentId: nullable({ type: 'string' }),
+    user: { type: 'string' },
+    assistant: { type: 'string' },
+    usage: usageSchema,
+    attachments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: { type: 'string' }, mimeType: { type: 'string' }, size: { type: 'integer' }, sha256: { type: 'string' } }
+      }
+    },
+    toolCalls: { type: 'array', items: toolCallSchema },
+    fallbackModel: { type: 'string' },
+    moderation: moderationResultSchema,
+    citations: { type: 'array', items: citationSchema },
+    cached: { type: 'boolean' },
+    generationConfig: generationConfigSchema,
+    responseSchema: { type: 'object' },
+    data: {},
+    attempts: { type: 'integer' },
+    timestamp
+  }
+};
+
+const resolvedGenerationConfig = {
+  type: 'object',
+  properties: generationConfigSchema.properties
+};
+
+export const sessionResponse = success(['sessionId', 'owner', 'provider', 'model', 'generationConfig', 'tools', 'persona', 'createdAt'], {
+  sessionId: { type: 'string' },
+  owner: nullable({ type: 'string' }),
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  generationConfig: resolvedGenerationConfig,
+  tools: { type: 'array', items: { type: 'string' } },
+  persona: { type: 'string' },
+  variables: { type: 'object' },
+  collections: { type: 'array', items: { type: 'string' } },
+  greeting: nullable({ type: 'string' }),
+  createdAt: timestamp
+});
+
+const replySchema = {
+  type: 'object',
+  required: ['response', 'exchangeId', 'sessionId', 'usage'],
+  properties: {
+    response: { type: 'string' },
+    exchangeId: { type: 'string' },
+    sessionId: { type: 'string' },
+    usage: usageSchema,
+    toolCalls: { type: 'array', items: toolCallSchema },
+    fallbackModel: { type: 'string' },
+    moderation: moderationResultSchema,
+    citations: { type: 'array', items: citationSchema },
+    // Served from the response cache, or by an identical request's model call
+    cached: { type: 'boolean' },
+    // Structured replies: the parsed JSON and how many replies it took
+    data: {},
+    attempts: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Also the `done` event of streamed replies
+export const replyResponse = {
+  ...replySchema,
+  required: ['success', ...replySchema.required, 'timestamp'],
+  properties: { success: { const: true }, ...replySchema.properties, timestamp }
+};
+
+export const historyResponse = success(['sessionId', 'provider', 'model', 'messageCount', 'usage', 'activeExchangeId', 'history'], {
+  sessionId: { type: 'string' },
+  owner: nullable({ type: 'string' }),
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  generationConfig: resolvedGenerationConfig,
+  tools: { type: 'array', items: { type: 'string' } },
+  persona: { type: 'string' },
+  variables: { type: 'object' },
+  collections: { type: 'array', items: { type: 'string' } },
+  systemInstruction: { type: 'string' },
+  createdAt: timestamp,
+  lastActivity: timestamp,
+  messageCount: { type: 'integer' },
+  usage: usageSchema,
+  context: { type: 'object', required: ['strategy', 'start'], properties: { strategy: { type: 'string' }, start: { type: 'integer' } } },
+  activeExchangeId: nullable({ type: 'string' }),
+  branchCount: { type: 'integer' },
+  history: { type: 'array', items: exchangeSchema }
+});
+
+export const abortResponse = success(['sessionId', 'aborted'], {
+  sessionId: { type: 'string' },
+  aborted: { type: 'boolean' },
+  timestamp
+});
+
+export const branchesResponse = success(['sessionId', 'activeExchangeId', 'branches', 'count'], {
+  sessionId: { type: 'string' },
+  activeExchangeId: nullable({ type: 'string' }),
+  branches: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['leafId', 'active', 'messageCount'],
+      properties: {
+        leafId: { type: 'string' },
+        active: { type: 'boolean' },
+        messageCount: { type: 'integer' },
+        sharedExchanges: { type: 'integer' },
+        lastMessage: { type: 'string' },
+        updatedAt: timestamp
+      }
+    }
+  },
+  count: { type: 'integer' },
+  timestamp
+});
+
+export const branchSwitchResponse = success(['sessionId', 'activeExchangeId', 'messageCount', 'history'], {
+  sessionId: { type: 'string' },
+  activeExchangeId: nullable({ type: 'string' }),
+  messageCount: { type: 'integer' },
+  history: { type: 'array', items: exchangeSchema },
+  timestamp
+});
+
+export const searchResponse = success(['query', 'results', 'total', 'limit', 'offset', 'nextOffset'], {
+  query: { type: 'string' },
+  results: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['sessionId', 'exchangeId', 'role', 'score', 'snippet', 'activeBranch', 'links'],
+      properties: {
+        sessionId: { type: 'string' },
+        exchangeId: { type: 'string' },
+        role: { enum: ['user', 'assistant'] },
+        timestamp,
+        score: { type: 'number' },
+        snippet: { type: 'string' },
+        activeBranch: { type: 'boolean' },
+        links: { type: 'object', properties: { history: { type: 'string' }, branch: { type: 'string' } } }
+      }
+    }
+  },
+  total: { type: 'integer' },
+  limit: { type: 'integer' },
+  offset: { type: 'integer' },
+  nextOffset: nullable({ type: 'integer' }),
+  timestamp
+});
+
+export const importResponse = success(['sessionId', 'owner', 'provider', 'model', 'messageCount', 'exchangeCount', 'warnings'], {
+  sessionId: { type: 'string' },
+  owner: nullable({ type: 'string' }),
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  messageCount: { type: 'integer' },
+  exchangeCount: { type: 'integer' },
+  warnings: { type: 'array', items: { type: 'string' } },
+  createdAt: timestamp,
+  timestamp
+});
+
+export const deleteResponse = success(['sessionId', 'deletedAt'], { sessionId: { type: 'string' }, deletedAt: timestamp });
+
+export const clearResponse = success(['sessionId', 'clearedAt'], { sessionId: { type: 'string' }, clearedAt: timestamp });
+
+export const sessionsResponse = success(['sessions', 'count'], {
+  sessions: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'provider', 'model', 'messageCount'],
+      properties: {
+        id: { type: 'string' },
+        owner: nullable({ type: 'string' }),
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        persona: { type: 'string' },
+        createdAt: timestamp,
+        lastActivity: timestamp,
+        messageCount: { type: 'integer' },
+        usage: usageSchema
+      }
+    }
+  },
+  count: { type: 'integer' },
+  timestamp
+});
+
+export const recentSessionsResponse = success(['sessions', 'count'], {
+  sessions: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'provider', 'model', 'messageCount'],
+      properties: {
+        id: { type: 'string' },
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        persona: { type: 'string' },
+        createdAt: timestamp,
+        lastActivity: timestamp,
+        messageCount: { type: 'integer' },
+        lastMessage: { type: 'string' }
+      }
+    }
+  },
+  count: { type: 'integer' },
+  timestamp
+});
+
+export const cleanupResponse = success(['cleaned', 'remaining'], {
+  cleaned: { type: 'integer' },
+  remaining: { type: 'integer' },
+  timestamp
+});
+
+const quotaStatus = {
+  type: 'object',
+  required: ['userId', 'periods'],
+  properties: {
+    userId: { type: 'string' },
+    periods: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['period', 'resetAt', 'usage', 'limits'],
+        properties: {
+          period: { type: 'string' },
+          resetAt: timestamp,
+          usage: { type: 'object', additionalProperties: { type: 'integer' } },
+          limits: { type: 'object', additionalProperties: nullable({ type: 'integer' }) }
+        }
+      }
+    }
+  }
+};
+
+export const usageResponse = {
+  ...quotaStatus,
+  required: ['success', ...quotaStatus.required],
+  properties: { success: { const: true }, ...quotaStatus.properties, timestamp }
+};
+
+export const usageListResponse = success(['users', 'count'], {
+  users: { type: 'array', items: quotaStatus },
+  count: { type: 'integer' },
+  timestamp
+});
+
+const personaSchema = {
+  type: 'object',
+  required: ['name', 'systemPrompt'],
+  properties: {
+    ...personaFields,
+    builtIn: { type: 'boolean' },
+    owner: { type: 'string' },
+    createdAt: timestamp,
+    updatedAt: timestamp
+  }
+};
+
+export const personaResponse = success(['persona'], { persona: personaSchema, timestamp });
+
+export const personasResponse = success(['personas', 'count', 'default'], {
+  personas: { type: 'array', items: personaSchema },
+  count: { type: 'integer' },
+  default: { type: 'string' },
+  timestamp
+});
+
+export const personaDeletedResponse = success(['name', 'deletedAt'], { name: { type: 'string' }, deletedAt: timestamp });
+
+const collectionSchema = {
+  type: 'object',
+  required: ['name', 'owner', 'createdAt', 'documentCount', 'chunkCount'],
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    owner: { type: 'string' },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    documentCount: { type: 'integer' },
+    chunkCount: { type: 'integer' }
+  }
+};
+
+const documentSchema = {
+  type: 'object',
+  required: ['id', 'collection', 'name', 'mimeType', 'size', 'sha256', 'chunkCount', 'createdAt'],
+  properties: {
+    id: { type: 'string' },
+    collection: { type: 'string' },
+    name: { type: 'string' },
+    title: { type: 'string' },
+    mimeType: { enum: Object.keys(DOCUMENT_TYPES) },
+    size: { type: 'integer' },
+    sha256: { type: 'string' },
+    pages: { type: 'integer' },
+    chunkCount: { type: 'integer' },
+    embeddingModel: { type: 'string' },
+    owner: { type: 'string' },
+    createdAt: timestamp
+  }
+};
+
+const chunkSchema = {
+  type: 'object',
+  required: ['index', 'text'],
+  properties: {
+    id: { type: 'string' },
+    collection: { type: 'string' },
+    documentId: { type: 'string' },
+    document: { type: 'string' },
+    index: { type: 'integer' },
+    text: { type: 'string' },
+    page: { type: 'integer' },
+    heading: { type: 'string' }
+  }
+};
+
+export const collectionResponse = success(['collection'], {
+  collection: collectionSchema,
+  documents: { type: 'array', items: documentSchema },
+  timestamp
+});
+
+export const collectionsResponse = success(['collections', 'count'], {
+  collections: { type: 'array', items: collectionSchema },
+  count: { type: 'integer' },
+  timestamp
+});
+
+export const collectionDeletedResponse = success(['name', 'deletedAt'], { name: { type: 'string' }, deletedAt: timestamp });
+
+export const ingestResponse = success(['collection', 'documents', 'replaced'], {
+  collection: { type: 'string' },
+  documents: { type: 'array', items: documentSchema },
+  replaced: { type: 'array', items: { type: 'string' } },
+  timestamp
+});
+
+export const documentResponse = success(['document', 'chunks'], {
+  document: documentSchema,
+  chunks: { type: 'array', items: chunkSchema },
+  timestamp
+});
+
+export const documentDeletedResponse = success(['documentId', 'deletedAt'], { documentId: { type: 'string' }, deletedAt: timestamp });
+
+export const chunkResponse = success(['chunk'], { chunk: chunkSchema, timestamp });
+
+export const knowledgeSearchResponse = success(['query', 'collections', 'results', 'count'], {
+  query: { type: 'string' },
+  collections: { type: 'array', items: { type: 'string' } },
+  results: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['collection', 'documentId', 'document', 'chunkId', 'index', 'text', 'score'],
+      properties: {
+        collection: { type: 'string' },
+        documentId: { type: 'string' },
+        document: { type: 'string' },
+        title: { type: 'string' },
+        chunkId: { type: 'string' },
+        index: { type: 'integer' },
+        page: { type: 'integer' },
+        heading: { type: 'string' },
+        text: { type: 'string' },
+        score: { type: 'number' }
+      }
+    }
+  },
+  count: { type: 'integer' },
+  timestamp
+});
+
+export const toolsResponse = success(['tools', 'count'], {
+  tools: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string' }, description: { type: 'string' }, parameters: { type: 'object' } }
+    }
+  },
+  count: { type: 'integer' },
+  timestamp
+});
+
+export const jobAcceptedResponse = success(['jobId', 'status', 'links'], {
+  jobId: { type: 'string' },
+  // Jobs start right away while the queue has room
+  status: { enum: ['queued', 'running'] },
+  sessionId: { type: 'string' },
+  links: { type: 'object', required: ['job'], properties: { job: { type: 'string' } } },
+  timestamp
+});
+
+export const jobResponse = success(['job'], {
+  job: {
+    type: 'object',
+    required: ['id', 'type', 'status', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string' },
+      status: { enum: ['queued', 'running', 'succeeded', 'failed'] },
+      sessionId: { type: 'string' },
+      // Jobs ahead of a queued job
+      position: { type: 'integer' },
+      createdAt: timestamp,
+      startedAt: timestamp,
+      finishedAt: timestamp,
+      result: replySchema,
+      // The error envelope with the status the request would have been answered with
+      error: {
+        type: 'object',
+        required: ['status', 'error', 'code'],
+        properties: {
+          status: { type: 'integer' },
+          error: { type: 'string' },
+          code: { type: 'string' },
+          details: {},
+          retryAfter: { type: 'integer' }
+        }
+      }
+    }
+  },
+  timestamp
+});
+
+const webhookSchema = {
+  type: 'object',
+  required: ['id', 'owner', 'url', 'events', 'createdAt'],
+  properties: {
+    id: { type: 'string' },
+    owner: { type: 'string' },
+    allSessions: { type: 'boolean' },
+    allowPrivateNetworks: { type: 'boolean' },
+    url: { type: 'string' },
+    events: { type: 'array', items: { enum: WEBHOOK_EVENTS } },
+    description: { type: 'string' },
+    createdAt: timestamp
+  }
+};
+
+// The secret is only returned when the webhook is created
+export const webhookResponse = success(['webhook'], {
+  webhook: { ...webhookSchema, properties: { ...webhookSchema.properties, secret: { type: 'string' } } },
+  timestamp
+});
+
+export const webhooksResponse = success(['webhooks', 'count'], {
+  webhooks: { type: 'array', items: webhookSchema },
+  count: { type: 'integer' },
+  timestamp
+});
+
+export const webhookDeletedResponse = success(['webhookId', 'deletedAt'], { webhookId: { type: 'string' }, deletedAt: timestamp });
+
+export const deliveriesResponse = success(['webhookId', 'deliveries', 'count'], {
+  webhookId: { type: 'string' },
+  deliveries: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'eventId', 'event', 'status', 'attempts', 'createdAt'],
+      properties: {
+        id: { type: 'string' },
+        eventId: { type: 'string' },
+        event: { enum: WEBHOOK_EVENTS },
+        status: { enum: ['pending', 'retrying', 'delivered', 'failed'] },
+        attempts: { type: 'integer' },
+        responseStatus: { type: 'integer' },
+        error: { type: 'string' },
+        durationMs: { type: 'integer' },
+        createdAt: timestamp,
+        lastAttemptAt: timestamp,
+        nextAttemptAt: timestamp,
+        deliveredAt: timestamp
+      }
+    }
+  },
+  count: { type: 'integer' },
+  timestamp
+});
+
+export const infoResponse = success(['provider', 'model', 'providers', 'persona', 'generationConfig'], {
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  providers: {
+    type: 'array',
+    items: { type: 'object', properties: { name: { type: 'string' }, defaultModel: { type: 'string' } } }
+  },
+  persona: { type: 'string' },
+  generationConfig: resolvedGenerationConfig,
+  context: { type: 'object' },
+  resilience: { type: 'object' },
+  quotas: { type: 'object' },
+  knowledge: { type: 'object' },
+  jobs: { type: 'object' },
+  webhooks: { type: 'object' },
+  responseCache: { type: 'object', required: ['enabled'], properties: { enabled: { type: 'boolean' } } },
+  structuredOutput: { type: 'object', properties: { maxAttempts: { type: 'integer' } } },
+  activeSessions: { type: 'integer' },
+  timestamp
+});
+
+export const cacheStatsResponse = success(['cache'], {
+  cache: {
+    type: 'object',
+    required: ['enabled'],
+    properties: {
+      enabled: { type: 'boolean' },
+      entries: { type: 'integer' },
+      maxEntries: { type: 'integer' },
+      ttlMs: { type: 'integer' },
+      inflight: { type: 'integer' },
+      hits: { type: 'integer' },
+      misses: { type: 'integer' },
+      shared: { type: 'integer' },
+      stored: { type: 'integer' },
+      evicted: { type: 'integer' },
+      expired: { type: 'integer' },
+      hitRate: { type: 'number' }
+    }
+  },
+  timestamp
+});
+
+export const cachePurgeResponse = success(['removed', 'remaining'], {
+  removed: { type: 'integer' },
+  remaining: { type: 'integer' },
+  timestamp
+});
+
+export const healthResponse = {
+  type: 'object',
+  required: ['status', 'circuits', 'timestamp'],
+  properties: {
+    status: { enum: ['healthy', 'degraded'] },
+    circuits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { target: { type: 'string' }, state: { enum: ['open', 'half-open'] }, retryAfter: { type: 'integer' } }
+      }
+    },
+    timestamp,
+    uptime: { type: 'integer' },
+    sessions: { type: 'integer' },
+    generating: { type: 'integer' }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// { field, message } for an Ajv error, with the field as a dotted path
+const describeError = ({ keyword, instancePath, params, message }, root) => {
+  const field = [root, ...instancePath.split('/').slice(1)].join('.');
+  if (keyword === 'required') return { field: `${field}.${params.missingProperty}`, message: 'is required' };
+  if (keyword === 'additionalProperties') return { field: `${field}.${params.additionalProperty}`, message: 'is not allowed' };
+  return { field, message };
+};
+
+const compiled = new WeakMap();
+const validatorFor = (schema) => {
+  if (!compiled.has(schema)) compiled.set(schema, ajv.compile(schema));
+  return compiled.get(schema);
+};
+
+// Throws a ValidationError listing every problem of `value`, e.g.
+// "Invalid generationConfig: generationConfig.temperature must be <= 2"
+export function assertValid(schema, value, { label = 'request', root = label } = {}) {
+  const validate = validatorFor(schema);
+  if (validate(value)) return value;
+  const details = validate.errors.map(error => describeError(error, root));
+  throw new ValidationError(`Invalid ${label}: ${details.map(({ field, message }) => `${field} ${message}`).join('; ')}`, { details });
+}
+
+// Middleware checking req.params, req.query and/or req.body against the
+// given schemas, e.g. validateRequest({ params: sessionParams, body: branchBody }).
+// The schemas stay on the middleware for the OpenAPI document.
+export function validateRequest(schemas) {
+  // Compiled up front, so a broken schema fails at startup
+  Object.values(schemas).forEach(validatorFor);
+  const middleware = (req, res, next) => {
+    for (const [location, schema] of Object.entries(schemas)) {
+      assertValid(schema, req[location] ?? {}, { root: location });
+    }
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
+}
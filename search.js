@@ -0,0 +1,189 @@
+import { ValidationError } from './errors.js';
+
+// Full-text search over conversations. An in-memory inverted index maps every
+// word to the messages containing it; one document is the user or the
+// assistant side of one exchange. Callers keep it current by indexing
+// exchanges as they are recorded and removing sessions that are cleared or
+// deleted.
+//
+// Queries are words, all of which must match (case-insensitive, whole words),
+// and "quoted phrases", which must appear as written.
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const ROLES = ['user', 'assistant'];
+
+export const tokenize = (text = '') => Array.from(String(text).toLowerCase().matchAll(WORD), match => match[0]);
+
+export function parseQuery(query = '') {
+  const phrases = [];
+  const rest = String(query).replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+    return ' ';
+  });
+  const terms = Array.from(new Set([...tokenize(rest), ...phrases.flatMap(phrase => tokenize(phrase))]));
+  return { terms, phrases };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Up to `radius` characters either side of the first match, with every match
+// wrapped in pre/post. The rest of the text is passed through `escape`, so the
+// default <mark> snippets are safe to render as HTML.
+export function highlight(text, { terms, phrases }, { radius = 80, pre = '<mark>', post = '</mark>', escape = escapeHtml } = {}) {
+  // Longest first, so a phrase wins over the words inside it
+  const alternatives = [
+    ...phrases.map(phrase => [phrase, escapeRegExp(phrase)]),
+    ...terms.map(term => [term, `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`])
+  ].sort(([a], [b]) => b.length - a.length).map(([, source]) => source);
+  const pattern = new RegExp(alternatives.join('|'), 'giu');
+
+  const first = text.search(pattern);
+  let start = Math.max(0, first - radius);
+  let end = Math.min(text.length, Math.max(first, 0) + radius * 2);
+  // Widen to whole words
+  while (start > 0 && /\S/.test(text[start - 1])) start--;
+  while (end < text.length && /\S/.test(text[end])) end++;
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+
+  let snippet = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    snippet += escape(excerpt.slice(last, match.index)) + pre + escape(match[0]) + post;
+    last = match.index + match[0].length;
+  }
+  snippet += escape(excerpt.slice(last));
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+}
+
+const parseDate = (value, name, endOfDay = false) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${name}: expected an ISO date`);
+  }
+  // A bare day as the end of the range includes that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+};
+
+const parseInteger = (value, name, { fallback, min, max }) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ValidationError(`Invalid ${name}: expected an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+export class SearchIndex {
+  constructor() {
+    // Document key -> { sessionId, exchangeId, role, text, timestamp, counts }
+    this.documents = new Map();
+    // Word -> set of document keys
+    this.postings = new Map();
+    // Session id -> set of document keys
+    this.sessionDocuments = new Map();
+  }
+
+  addExchange(sessionId, exchange) {
+    for (const role of ROLES) {
+      const text = exchange[role];
+      if (!text) continue;
+      const key = `${sessionId}\u0000${exchange.id}\u0000${role}`;
+      const counts = new Map();
+      for (const word of tokenize(text)) counts.set(word, (counts.get(word) || 0) + 1);
+
+      this.documents.set(key, { sessionId, exchangeId: exchange.id, role, text, timestamp: exchange.timestamp, counts });
+      for (const word of counts.keys()) {
+        if (!this.postings.has(word)) this.postings.set(word, new Set());
+        this.postings.get(word).add(key);
+      }
+      if (!this.sessionDocuments.has(sessionId)) this.sessionDocuments.set(sessionId, new Set());
+      this.sessionDocuments.get(sessionId).add(key);
+    }
+  }
+
+  removeSession(sessionId) {
+    for (const key of this.sessionDocuments.get(sessionId) || []) {
+      for (const word of this.documents.get(key).counts.keys()) {
+        const keys = this.postings.get(word);
+        keys.delete(key);
+        if (keys.size === 0) this.postings.delete(word);
+      }
+      this.documents.delete(key);
+    }
+    this.sessionDocuments.delete(sessionId);
+  }
+
+  // (Re)indexes every exchange of a session, on all branches
+  indexSession(session) {
+    this.removeSession(session.id);
+    for (const exchange of session.exchanges) this.addExchange(session.id, exchange);
+  }
+
+  // Matches ranked by term frequency weighted by rarity, newest first on
+  // ties. `filter(document)` can hide documents, e.g. other users' sessions;
+  // from/to are ISO dates, limit/offset page through the matches and
+  // `highlight` holds options for the snippets (see highlight above).
+  search(query, { sessionId, role, from, to, limit, offset, filter = () => true, highlight: highlightOptions } = {}) {
+    const parsed = parseQuery(query);
+    if (parsed.terms.length === 0) {
+      throw new ValidationError('Invalid query: expected at least one word to search for');
+    }
+    if (role !== undefined && role !== null && role !== '' && !ROLES.includes(role)) {
+      throw new ValidationError(`Invalid role: expected ${ROLES.join(' or ')}`);
+    }
+    const after = parseDate(from, 'from');
+    const before = parseDate(to, 'to', true);
+    const pageSize = parseInteger(limit, 'limit', { fallback: 20, min: 1, max: 100 });
+    const skip = parseInteger(offset, 'offset', { fallback: 0, min: 0, max: Number.MAX_SAFE_INTEGER });
+
+    // Start from the rarest word; every other word has to match too
+    const postings = parsed.terms.map(term => this.postings.get(term) || new Set()).sort((a, b) => a.size - b.size);
+    const matches = [];
+    for (const key of postings[0]) {
+      if (!postings.every(keys => keys.has(key))) continue;
+      const document = this.documents.get(key);
+      if (sessionId && document.sessionId !== sessionId) continue;
+      if (role && document.role !== role) continue;
+      const time = new Date(document.timestamp);
+      if ((after && time < after) || (before && time > before)) continue;
+      const lowerText = document.text.toLowerCase();
+      if (!parsed.phrases.every(phrase => lowerText.includes(phrase))) continue;
+      if (!filter(document)) continue;
+
+      const score = parsed.terms.reduce((total, term) => {
+        const count = document.counts.get(term);
+        const rarity = Math.log(1 + this.documents.size / this.postings.get(term).size);
+        return total + (count / (count + 1.2)) * rarity;
+      }, 0);
+      matches.push({ document, score });
+    }
+    matches.sort((a, b) => b.score - a.score || String(b.document.timestamp).localeCompare(String(a.document.timestamp)));
+
+    const results = matches.slice(skip, skip + pageSize).map(({ document, score }) => ({
+      sessionId: document.sessionId,
+      exchangeId: document.exchangeId,
+      role: document.role,
+      timestamp: document.timestamp,
+      score: Math.round(score * 1000) / 1000,
+      snippet: highlight(document.text, parsed, highlightOptions)
+    }));
+    return {
+      results,
+      total: matches.length,
+      limit: pageSize,
+      offset: skip,
+      nextOffset: skip + pageSize < matches.length ? skip + pageSize : null
+    };
+  }
+}
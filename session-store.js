@@ -0,0 +1,219 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Session stores persist plain session records (everything except the live
+// Gemini chat object). Every backend implements the same async interface:
+//   load()       -> array of all stored records
+//   save(record) -> insert or replace a record by id
+//   delete(id)   -> remove a record if present
+
+export class MemorySessionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async load() {
+    return Array.from(this.records.values()).map(record => structuredClone(record));
+  }
+
+  async save(record) {
+    this.records.set(record.id, structuredClone(record));
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+export class FileSessionStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.records = null;
+    this.reading = null;
+    this.pending = Promise.resolve();
+  }
+
+  // Calls made while the file is being read share that read, so records saved
+  // by one of them are not dropped by another; a failed read is tried again
+  readRecords() {
+    this.reading ||= this.readFile().catch((error) => {
+      this.reading = null;
+      throw error;
+    });
+    return this.reading;
+  }
+
+  async readFile() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.records = new Map(Object.entries(data.sessions || {}));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read session file ${this.filePath}: ${error.message}`);
+      }
+      this.records = new Map();
+    }
+    return this.records;
+  }
+
+  // Writes are chained so concurrent saves never interleave, and go through a
+  // temporary file so a crash mid-write cannot corrupt the store.
+  write() {
+    const run = async () => {
+      const data = {
+        version: 1,
+        sessions: Object.fromEntries(this.records)
+      };
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    };
+    this.pending = this.pending.catch(() => {}).then(run);
+    return this.pending;
+  }
+
+  async load() {
+    const records = await this.readRecords();
+    return Array.from(records.values()).map(record => structuredClone(record));
+  }
+
+  async save(record) {
+    const records = await this.readRecords();
+    records.set(record.id, structuredClone(record));
+    await this.write();
+  }
+
+  async delete(id) {
+    const records = await this.readRecords();
+    if (records.delete(id)) {
+      await this.write();
+    }
+  }
+}
+
+async function openDatabase(filePath) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error('SQLite stores require the better-sqlite3 package');
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  return db;
+}
+
+export class SqliteSessionStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+    this.db = await openDatabase(this.filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        last_activity TEXT NOT NULL
+      )
+    `);
+    return this.db;
+  }
+
+  async load() {
+    const db = await this.open();
+    return db.prepare('SELECT data FROM sessions').all().map(row => JSON.parse(row.data));
+  }
+
+  async save(record) {
+    const db = await this.open();
+    db.prepare(`
+      INSERT INTO sessions (id, data, last_activity) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, last_activity = excluded.last_activity
+    `).run(record.id, JSON.stringify(record), record.lastActivity);
+  }
+
+  async delete(id) {
+    const db = await this.open();
+    db.prepare('DELETE FROM sessions WHERE id = ?').run(id);
+  }
+}
+
+// Keeps records that are not sessions (webhooks and the like) in their own
+// table, which only has the id and the record
+export class SqliteRecordStore {
+  constructor(filePath, table) {
+    if (!/^\w+$/.test(table)) {
+      throw new Error(`Invalid table name: ${table}`);
+    }
+    this.filePath = path.resolve(filePath);
+    this.table = table;
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+    this.db = await openDatabase(this.filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )
+    `);
+    return this.db;
+  }
+
+  async load() {
+    const db = await this.open();
+    return db.prepare(`SELECT data FROM ${this.table}`).all().map(row => JSON.parse(row.data));
+  }
+
+  async save(record) {
+    const db = await this.open();
+    db.prepare(`
+      INSERT INTO ${this.table} (id, data) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data
+    `).run(record.id, JSON.stringify(record));
+  }
+
+  async delete(id) {
+    const db = await this.open();
+    db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id);
+  }
+}
+
+// Picks a backend from configuration, e.g. SESSION_STORE=file with
+// SESSION_STORE_PATH=./data/sessions.json.
+export function createSessionStore({ type = 'memory', path: filePath } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+    case 'json':
+      return new FileSessionStore(filePath || './data/sessions.json');
+    case 'sqlite':
+      return new SqliteSessionStore(filePath || './data/sessions.db');
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+}
+
+// The same for records that are not sessions: memory, file or sqlite, with
+// `table` naming the SQLite table and the default file names.
+export function createRecordStore({ type = 'memory', path: filePath, table } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+    case 'json':
+      return new FileSessionStore(filePath || `./data/${table}.json`);
+    case 'sqlite':
+      return new SqliteRecordStore(filePath || `./data/${table}.db`, table);
+    default:
+      throw new Error(`Unknown record store type: ${type}`);
+  }
+}
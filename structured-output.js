@@ -0,0 +1,154 @@
+import crypto from 'node:crypto';
+import Ajv from 'ajv';
+import { ValidationError } from './errors.js';
+
+// Structured replies: the caller sends a JSON schema (responseSchema) with a
+// message and gets the reply as parsed JSON that matches it. The schema is
+// added to the prompt and the provider is asked for JSON output where it
+// supports that (responseMimeType, see providers.js). A reply that is not
+// JSON or does not match is sent back to the model with the problems found,
+// up to maxAttempts replies in all.
+
+export function structuredOutputConfigFromEnv(env = process.env) {
+  return {
+    maxAttempts: Number(env.STRUCTURED_OUTPUT_MAX_ATTEMPTS) || 3
+  };
+}
+
+// The generationConfig field asking providers for JSON output
+export const JSON_MIME_TYPE = 'application/json';
+
+// Callers' schemas are kept to plain structural keywords. Regular
+// expressions (pattern, patternProperties) could backtrack for as long as the
+// caller likes, and $ref may only point inside the schema. format is only a
+// hint for the model, Ajv does not check it.
+export const MAX_SCHEMA_BYTES = 16 * 1024;
+export const MAX_SCHEMA_DEPTH = 10;
+
+// Keywords whose value is a schema, a list of schemas or a map of schemas
+const SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'if', 'then', 'else', 'contains', 'propertyNames'];
+const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SCHEMA_MAP_KEYWORDS = ['properties', '$defs', 'definitions', 'dependentSchemas'];
+const ALLOWED_KEYWORDS = new Set([
+  ...SCHEMA_KEYWORDS, ...SCHEMA_LIST_KEYWORDS, ...SCHEMA_MAP_KEYWORDS,
+  '$schema', '$id', '$ref', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly',
+  'type', 'enum', 'const', 'format', 'nullable',
+  'minLength', 'maxLength', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minItems', 'maxItems', 'uniqueItems', 'minContains', 'maxContains',
+  'required', 'minProperties', 'maxProperties', 'dependentRequired'
+]);
+
+// The first reason `schema` is refused, or null
+function schemaProblem(schema, path, depth) {
+  if (typeof schema === 'boolean') return null;
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) return `${path || 'the schema'} must be a schema object`;
+  if (depth > MAX_SCHEMA_DEPTH) return `${path} is nested more than ${MAX_SCHEMA_DEPTH} levels deep`;
+  for (const [keyword, value] of Object.entries(schema)) {
+    const at = `${path}/${keyword}`;
+    if (!ALLOWED_KEYWORDS.has(keyword)) return `${at} is not supported`;
+    if (keyword === '$ref' && (typeof value !== 'string' || !value.startsWith('#'))) return `${at} must point inside the schema`;
+    let children = [];
+    if (SCHEMA_KEYWORDS.includes(keyword)) {
+      children = keyword === 'items' && Array.isArray(value) ? value.map((child, index) => [child, `${at}/${index}`]) : [[value, at]];
+    } else if (SCHEMA_LIST_KEYWORDS.includes(keyword)) {
+      if (!Array.isArray(value)) return `${at} must be an array of schemas`;
+      children = value.map((child, index) => [child, `${at}/${index}`]);
+    } else if (SCHEMA_MAP_KEYWORDS.includes(keyword)) {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return `${at} must be an object of schemas`;
+      children = Object.entries(value).map(([name, child]) => [child, `${at}/${name}`]);
+    }
+    for (const [child, childPath] of children) {
+      const problem = schemaProblem(child, childPath, depth + 1);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+// Compiled validators by the hash of their schema, most recently used last
+const compiled = new Map();
+const COMPILED_CACHE_SIZE = 100;
+
+const invalidSchema = (message, field) => new ValidationError(`Invalid responseSchema: ${message}`, {
+  code: 'INVALID_RESPONSE_SCHEMA',
+  details: [{ field, message }]
+});
+
+// The validator for a caller's schema; a schema that is too large, uses an
+// unsupported keyword or that Ajv cannot compile is a bad request. Every
+// schema gets its own Ajv instance, so $ids of different requests cannot
+// collide.
+export function compileResponseSchema(schema, { field = 'body.responseSchema' } = {}) {
+  let json;
+  try {
+    json = JSON.stringify(schema);
+  } catch (error) {
+    // Nested too deeply to even serialize
+    throw invalidSchema(`is nested more than ${MAX_SCHEMA_DEPTH} levels deep`, field);
+  }
+  if (Buffer.byteLength(json) > MAX_SCHEMA_BYTES) {
+    throw invalidSchema(`must be at most ${MAX_SCHEMA_BYTES} bytes as JSON`, field);
+  }
+  const key = crypto.createHash('sha256').update(json).digest('hex');
+  let validate = compiled.get(key);
+  if (validate) {
+    compiled.delete(key);
+  } else {
+    const problem = schemaProblem(schema, '', 1);
+    if (problem) throw invalidSchema(problem, field);
+    try {
+      validate = new Ajv({ allErrors: true, strict: false, validateFormats: false }).compile(schema);
+    } catch (error) {
+      throw invalidSchema(error.message, field);
+    }
+    if (compiled.size >= COMPILED_CACHE_SIZE) compiled.delete(compiled.keys().next().value);
+  }
+  compiled.set(key, validate);
+  return validate;
+}
+
+const appendText = (parts, text) => (
+  typeof parts === 'string' ? `${parts}\n\n${text}` : [...parts, { text }]
+);
+
+// Message parts (a string or parts as from toMessageParts) asking for a
+// reply that matches `schema`
+export function withResponseSchema(parts, schema) {
+  return appendText(parts, [
+    'Reply with a single JSON value that matches the JSON schema below. Do not add any other text, and do not',
+    'wrap the JSON in a code block.',
+    '',
+    JSON.stringify(schema)
+  ].join('\n'));
+}
+
+// The same request again, with the reply that did not match and why
+export function withCorrection(parts, reply, errors) {
+  return appendText(parts, [
+    'Your previous reply was:',
+    reply,
+    '',
+    `It is not valid: ${errors.join('; ')}.`,
+    'Reply again with only the corrected JSON.'
+  ].join('\n'));
+}
+
+// Models like to wrap JSON in a code block anyway
+const stripCodeFence = (text) => text.trim().replace(/^```[\w-]*\s*\n([\s\S]*?)\n?```$/, '$1').trim();
+
+// { valid: true, data } or { valid: false, errors: [message] }
+export function parseStructuredReply(text, validate) {
+  let data;
+  try {
+    data = JSON.parse(stripCodeFence(text));
+  } catch (error) {
+    return { valid: false, errors: [`the reply is not JSON (${error.message})`] };
+  }
+  if (!validate(data)) {
+    return {
+      valid: false,
+      errors: validate.errors.map(({ instancePath, message }) => `${instancePath || '/'} ${message}`)
+    };
+  }
+  return { valid: true, data };
+}
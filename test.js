@@ -1,20 +1,63 @@
 // Simple Text-based Chat Interface using Google Generative AI
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import crypto from 'node:crypto';
 import * as readline from 'node:readline/promises';
 import { stdin as input, stdout as output } from 'node:process';
+import { readFileSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import dotenv from 'dotenv';
+import { FirebaseChatStore } from './firebase-store.js';
+import { createProviders, exchangesToHistory, parseModelSpec } from './providers.js';
+import { createDefaultToolRegistry, sendWithTools } from './tools.js';
+import { readAttachmentFile, toMessageParts, attachmentMetadata, ATTACHMENT_TYPES } from './attachments.js';
+import { pathTo, latestLeaf, listBranches } from './branches.js';
+import { EXPORT_FORMATS, buildTranscript, formatTranscript, parseTranscript } from './transcripts.js';
+import { PersonaRegistry } from './personas.js';
+import { SearchIndex } from './search.js';
+import { createRecordStore } from './session-store.js';
+import { ModelGateway, resilienceConfigFromEnv, modelErrorOf } from './resilience.js';
+import { ChatApiClient } from './chat-client.js';
+import { EXIT_CODES, USAGE, UsageError, parseCliArgs, parseBatch } from './cli-args.js';
 
-// Load environment variables
-dotenv.config();
+// Load environment variables; quietly, as stdout may be a script's output
+dotenv.config({ quiet: true });
 
-// Initialize the AI client
-const ai = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Progress and status messages. One-shot and batch runs send them to stderr
+// (see main), so that stdout carries only the replies.
+let notify = console.log;
 
-// Configure the model for text-based chat
-const model = "gemini-1.5-flash";
+// Initialize the model providers (Gemini, OpenAI-compatible, Ollama)
+const providers = createProviders();
+
+// Tools the assistant may call (current time, calculator)
+const tools = createDefaultToolRegistry();
+
+// Configure the default model for text-based chat
+const defaultProvider = process.env.DEFAULT_PROVIDER || 'gemini';
+const model = process.env.DEFAULT_MODEL || providers.get(defaultProvider)?.defaultModel || "gemini-1.5-flash";
+
+// Timeouts, retries, circuit breakers and the fallback model (MODEL_*,
+// CIRCUIT_* and FALLBACK_MODEL variables, see resilience.js)
+const resilience = resilienceConfigFromEnv();
+const fallbackModel = resilience.fallbackModel ? parseModelSpec(resilience.fallbackModel, providers, defaultProvider) : null;
+const modelGateway = new ModelGateway(resilience, {
+  onRetry: ({ attempt, delay, error }) => {
+    notify(`🔄 ${error.message}; retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1})...`);
+  }
+});
+
+// Built-in personas, plus the server's custom ones when PERSONA_STORE points
+// at the same file or database
+const personas = new PersonaRegistry({
+  store: createRecordStore({
+    type: process.env.PERSONA_STORE || 'memory',
+    path: process.env.PERSONA_STORE_PATH,
+    table: 'personas'
+  })
+});
+const defaultPersona = process.env.DEFAULT_PERSONA || 'assistant';
 
 const config = {
-  systemInstruction: "You are a helpful assistant. Answer in a friendly, conversational tone. Keep responses concise but informative.",
   generationConfig: {
     temperature: 0.7,
     topK: 40,
@@ -23,33 +66,70 @@ const config = {
   }
 };
 
-// Create readline interface for user input
-const rl = readline.createInterface({ input, output });
+// Readline interface for interactive input, see openReadline
+let rl = null;
+
+// Lines typed in earlier interactive runs come back with the up and down
+// arrows. CHAT_HISTORY_FILE moves the file ('off' keeps no history).
+const historyFile = process.env.CHAT_HISTORY_FILE === 'off'
+  ? null
+  : process.env.CHAT_HISTORY_FILE || path.join(os.homedir(), '.chat_history');
+const historySize = Number(process.env.CHAT_HISTORY_SIZE) || 500;
+
+function openReadline() {
+  let history = [];
+  if (historyFile) {
+    try {
+      // The file is oldest first, readline wants the newest first
+      history = readFileSync(historyFile, 'utf8').split('\n').filter(Boolean).reverse().slice(0, historySize);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`⚠️ Could not read input history: ${error.message}`);
+    }
+  }
+  rl = readline.createInterface({ input, output, history, historySize, removeHistoryDuplicates: true });
+  if (historyFile) {
+    rl.on('history', (lines) => {
+      try {
+        writeFileSync(historyFile, `${[...lines].reverse().join('\n')}\n`, { mode: 0o600 });
+      } catch (error) {
+        console.error(`⚠️ Could not save input history: ${error.message}`);
+      }
+    });
+  }
+}
+
+// Shown by /help
+const MULTILINE_HELP = '✍️ End a line with \\ to continue the message on the next line, or put it between two """ lines';
 
 class TextChatInterface {
-  constructor() {
+  // options override the defaults: provider, model, systemInstruction (instead
+  // of the persona's) and generationConfig (on top of the persona's)
+  constructor(options = {}) {
     this.chatSession = null;
+    this.provider = options.provider || defaultProvider;
+    this.model = options.model || model;
+    this.options = options;
+    // Every exchange ever made (a tree, see branches.js); conversationHistory
+    // is the active branch
+    this.exchanges = [];
+    this.activeExchangeId = null;
     this.conversationHistory = [];
     this.isClosing = false;
   }
 
   async initialize() {
     try {
-      // Get the generative model
-      const generativeModel = ai.getGenerativeModel({ 
-        model: model,
-        systemInstruction: config.systemInstruction,
-        generationConfig: config.generationConfig
-      });
+      await personas.load();
+      this.applyPersona(personas.render(defaultPersona));
+      this.systemInstruction = this.options.systemInstruction ?? this.systemInstruction;
+      this.generationConfig = { ...this.generationConfig, ...this.options.generationConfig };
 
       // Start a chat session to maintain conversation context
-      this.chatSession = generativeModel.startChat({
-        history: [],
-      });
+      this.chatSession = this.startChatSession();
 
-      console.log("🤖 Chat Interface Initialized!");
-      console.log("💡 Type your messages and press Enter to chat.");
-      console.log("📝 Type 'exit', 'quit', or 'bye' to end the conversation.\n");
+      notify("🤖 Chat Interface Initialized!");
+      notify("💡 Type your messages and press Enter to chat.");
+      notify("📝 Type 'exit', 'quit', or 'bye' to end the conversation.\n");
       
     } catch (error) {
       console.error("❌ Error initializing chat:", error.message);
@@ -57,36 +137,126 @@ class TextChatInterface {
     }
   }
 
-  async sendMessage(userInput) {
+  // Starts a chat on the current provider and model (or on `target`, e.g. the
+  // fallback model), replaying any earlier exchanges so the model keeps the
+  // conversation context
+  startChatSession(history = [], { provider: providerName = this.provider, model: modelName = this.model } = {}) {
+    const provider = providers.get(providerName);
+    if (!provider) {
+      throw new Error(`Provider "${providerName}" is not configured`);
+    }
+    return provider.startChat({
+      model: modelName,
+      systemInstruction: this.systemInstruction,
+      generationConfig: this.generationConfig,
+      history: exchangesToHistory(history),
+      tools: tools.list()
+    });
+  }
+
+  async sendMessage(userInput, attachments = []) {
     try {
-      console.log("🤖 Thinking...");
+      notify("🤖 Thinking...");
       
-      // Send message to the chat session
-      const result = await this.chatSession.sendMessage(userInput);
-      const response = await result.response;
-      const text = response.text();
+      // Send message to the chat session, running any tool calls the model
+      // makes. Failed attempts are retried, each on a fresh chat, until a tool
+      // has run.
+      const parts = toMessageParts(userInput, attachments);
+      let toolsRan = false;
+      const { result: { text, toolCalls, usage }, target, fallback } = await modelGateway.call(
+        modelGateway.targets({ provider: this.provider, model: this.model }, fallbackModel),
+        (modelTarget, signal, { attempt, fallback: useFallback }) => {
+          if (attempt > 1 && !useFallback) this.chatSession = this.startChatSession(this.conversationHistory);
+          const chat = useFallback ? this.startChatSession(this.conversationHistory, modelTarget) : this.chatSession;
+          return sendWithTools(chat, parts, tools, {
+            signal,
+            onToolCall: (call) => {
+              toolsRan = true;
+              const outcome = call.error ? `failed: ${call.error}` : JSON.stringify(call.result);
+              notify(`🔧 ${call.name}(${JSON.stringify(call.args)}) ${outcome}`);
+            }
+          });
+        },
+        { canRetry: () => !toolsRan }
+      );
 
       // Store in conversation history
-      this.conversationHistory.push({
+      const exchange = {
+        id: crypto.randomUUID(),
+        parentId: this.activeExchangeId,
         user: userInput,
         assistant: text,
-        timestamp: new Date().toLocaleTimeString()
-      });
+        usage,
+        ...(attachments.length > 0 ? { attachments: attachments.map(attachmentMetadata) } : {}),
+        ...(toolCalls.length > 0 ? { toolCalls } : {}),
+        ...(fallback ? { fallbackModel: `${target.provider}:${target.model}` } : {}),
+        timestamp: new Date().toISOString()
+      };
+      this.exchanges.push(exchange);
+      this.conversationHistory.push(exchange);
+      this.activeExchangeId = exchange.id;
 
+      if (fallback) {
+        notify(`↪️ Answered by the fallback model ${target.provider}:${target.model}`);
+        // The next message tries the current model again, with this exchange
+        this.chatSession = this.startChatSession(this.conversationHistory);
+      }
       return text;
     } catch (error) {
-      console.error("❌ Error sending message:", error.message);
-      return "Sorry, I encountered an error processing your message. Please try again.";
+      const modelError = modelErrorOf(error);
+      console.error(`❌ Error sending message: ${error.message}${modelError ? ` (${modelError.code})` : ''}`);
+      if (modelError?.retryAfter) {
+        notify(`⏳ Try again in ${modelError.retryAfter}s.`);
+      }
+      // The failed message may be half recorded in the chat; start over from the history
+      this.chatSession = this.startChatSession(this.conversationHistory);
+      return null;
     }
   }
 
+  // Takes the system instruction and generation settings of a rendered
+  // persona (see PersonaRegistry.render)
+  applyPersona({ persona, variables, systemInstruction, generationConfig }) {
+    this.persona = persona;
+    this.personaVariables = variables;
+    this.systemInstruction = systemInstruction;
+    this.generationConfig = { ...config.generationConfig, ...generationConfig };
+  }
+
+  // Makes the branch ending at exchangeId active (null for an empty
+  // conversation) and restarts the chat from it
+  checkout(exchangeId) {
+    this.conversationHistory = pathTo(this.exchanges, exchangeId);
+    this.activeExchangeId = exchangeId;
+    this.chatSession = this.startChatSession(this.conversationHistory);
+  }
+
+  // Reads one message: a line ending in a backslash continues on the next
+  // line, and a line of """ starts a block that ends at the next such line
+  async readInput(prompt) {
+    const first = await rl.question(prompt);
+    if (first.trim() === '"""') {
+      const lines = [];
+      for (let line = await rl.question('… '); line.trim() !== '"""'; line = await rl.question('… ')) {
+        lines.push(line);
+      }
+      return lines.join('\n');
+    }
+    const lines = [first];
+    while (lines.at(-1).endsWith('\\')) {
+      lines[lines.length - 1] = lines.at(-1).slice(0, -1);
+      lines.push(await rl.question('… '));
+    }
+    return lines.join('\n');
+  }
+
   async startChat() {
     console.log("👋 Hello! I'm your AI assistant. How can I help you today?");
     
     while (!this.isClosing) {
       try {
         // Get user input
-        const userInput = await rl.question('\n💬 You: ');
+        const userInput = await this.readInput('\n💬 You: ');
         
         // Check for exit commands
         if (['exit', 'quit', 'bye', 'goodbye'].includes(userInput.toLowerCase().trim())) {
@@ -101,9 +271,11 @@ class TextChatInterface {
           continue;
         }
 
-        // Send message and get response
+        // Send message and get response; failures have been reported already
         const response = await this.sendMessage(userInput);
-        console.log(`\n🤖 Assistant: ${response}`);
+        if (response !== null) {
+          console.log(`\n🤖 Assistant: ${response}`);
+        }
 
       } catch (error) {
         if (!this.isClosing) {
@@ -120,8 +292,14 @@ class TextChatInterface {
     console.log("=".repeat(50));
     
     this.conversationHistory.forEach((exchange, index) => {
-      console.log(`\n[${exchange.timestamp}] Exchange ${index + 1}:`);
+      console.log(`\n[${new Date(exchange.timestamp).toLocaleTimeString()}] Exchange ${index + 1}:`);
       console.log(`👤 User: ${exchange.user}`);
+      exchange.attachments?.forEach(file => {
+        console.log(`📎 Attached: ${file.name} (${file.mimeType}, ${file.size} bytes)`);
+      });
+      exchange.toolCalls?.forEach(call => {
+        console.log(`🔧 Tool: ${call.name}(${JSON.stringify(call.args)})`);
+      });
       console.log(`🤖 Assistant: ${exchange.assistant}`);
     });
   }
@@ -130,12 +308,14 @@ class TextChatInterface {
     if (this.isClosing) return;
     this.isClosing = true;
     
-    console.log("\n📊 Chat session ended.");
+    notify("\n📊 Chat session ended.");
     
     if (this.conversationHistory.length > 0) {
-      console.log(`💬 Total exchanges: ${this.conversationHistory.length}`);
-      
-      // Ask if user wants to see conversation history BEFORE closing readline
+      notify(`💬 Total exchanges: ${this.conversationHistory.length}`);
+    }
+
+    // Ask if user wants to see conversation history BEFORE closing readline
+    if (rl && this.conversationHistory.length > 0) {
       try {
         const showHistory = await rl.question("📋 Would you like to see the conversation history? (y/n): ");
         if (showHistory.toLowerCase().startsWith('y')) {
@@ -148,28 +328,91 @@ class TextChatInterface {
     }
     
     // Close readline interface
-    rl.close();
+    rl?.close();
   }
 }
 
 // Enhanced chat with additional features
 class AdvancedTextChat extends TextChatInterface {
-  constructor() {
-    super();
+  constructor(options = {}) {
+    super(options);
     this.sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.startedAt = new Date();
+    this.firebase = null;
     this.firebaseSessionDoc = null;
+    this.pendingAttachments = [];
     this.commands = {
       '/help': 'Show available commands',
       '/history': 'Show conversation history',
       '/clear': 'Clear conversation history',
-      '/save': 'Save conversation to file',
-      '/model': 'Show current model info',
+      '/retry': 'Regenerate the last reply',
+      '/edit': 'Edit an earlier message and continue from it (/edit <number> <new message>)',
+      '/branches': 'List conversation branches, or switch with /branches <number>',
+      '/search': 'Search this conversation, including other branches (/search <terms> or "a phrase")',
+      '/save': `Save conversation to file (/save [${Object.keys(EXPORT_FORMATS).join('|')}])`,
+      '/load': 'Load a conversation saved as json or jsonl (/load <file>)',
+      '/model': 'Show model info, or switch with /model [provider:]<model>',
+      '/persona': 'Show the persona, /persona list, or switch with /persona use <name> [variable=value ...]',
+      '/tools': 'List tools the assistant can use',
       '/firebase': 'Show Firebase session info',
+      '/attach': 'Attach a file to your next message (/attach <path> | /attach clear)',
       '/upload': 'Upload file to Firebase Storage',
       '/recent': 'Show recent conversations from Firebase'
     };
   }
 
+  async initialize() {
+    await super.initialize();
+
+    try {
+      this.firebase = FirebaseChatStore.fromEnv();
+      if (!this.firebase) {
+        notify("ℹ️ Firebase not configured (set FIREBASE_PROJECT_ID to enable saving).");
+        return;
+      }
+
+      this.firebaseSessionDoc = await this.firebase.createSession(this.sessionId, {
+        provider: this.provider,
+        model: this.model,
+        persona: this.persona,
+        systemInstruction: this.systemInstruction
+      });
+      const target = this.firebase.isEmulator ? 'Firebase emulator' : 'Firebase';
+      notify(`🔥 Connected to ${target}: ${this.firebaseSessionDoc}`);
+    } catch (error) {
+      console.error("⚠️ Firebase unavailable, continuing without it:", error.message);
+      this.firebase?.close().catch(() => {});
+      this.firebase = null;
+      this.firebaseSessionDoc = null;
+    }
+  }
+
+  // Pending /attach files go with the next message unless attachments are given
+  async sendMessage(userInput, attachments = this.pendingAttachments.splice(0)) {
+    const previousCount = this.conversationHistory.length;
+    const text = await super.sendMessage(userInput, attachments);
+
+    // Only successful exchanges are added to the history, so only those are saved
+    if (this.firebaseSessionDoc && this.conversationHistory.length > previousCount) {
+      try {
+        await this.firebase.addExchange(this.sessionId, this.conversationHistory.at(-1));
+      } catch (error) {
+        console.error("⚠️ Error saving exchange to Firebase:", error.message);
+      }
+    }
+
+    return text;
+  }
+
+  async close() {
+    await super.close();
+
+    // Release Firestore connections so the process can exit
+    if (this.firebase) {
+      await this.firebase.close().catch(() => {});
+    }
+  }
+
   async handleCommand(command) {
     const parts = command.split(' ');
     const cmd = parts[0].toLowerCase();
@@ -184,18 +427,52 @@ class AdvancedTextChat extends TextChatInterface {
         return true;
         
       case '/clear':
+        this.exchanges = [];
+        this.activeExchangeId = null;
         this.conversationHistory = [];
         console.log("🧹 Conversation history cleared!");
         return true;
         
+      case '/retry':
+        await this.retryLastMessage();
+        return true;
+        
+      case '/edit':
+        await this.editMessage(parts[1], parts.slice(2).join(' '));
+        return true;
+        
+      case '/branches':
+        if (parts[1]) {
+          this.switchBranch(parts[1]);
+        } else {
+          this.showBranches();
+        }
+        return true;
+        
+      case '/search':
+        this.searchConversation(parts.slice(1).join(' ').trim());
+        return true;
+        
       case '/save':
-        await this.saveConversation();
+        await this.saveConversation(parts[1]);
+        return true;
+        
+      case '/load':
+        await this.loadConversation(parts.slice(1).join(' ').trim());
+        return true;
+        
+      case '/tools':
+        this.showTools();
         return true;
         
       case '/firebase':
         this.showFirebaseInfo();
         return true;
         
+      case '/attach':
+        await this.handleAttachCommand(parts);
+        return true;
+        
       case '/upload':
         await this.handleUploadCommand(parts);
         return true;
@@ -205,7 +482,23 @@ class AdvancedTextChat extends TextChatInterface {
         return true;
         
       case '/model':
-        this.showModelInfo();
+        if (parts[1]) {
+          this.switchModel(parts[1]);
+        } else {
+          this.showModelInfo();
+        }
+        return true;
+        
+      case '/persona':
+        if (parts[1] === 'list') {
+          this.showPersonas();
+        } else if (parts[1] === 'use' && parts[2]) {
+          this.switchPersona(parts[2], parts.slice(3).join(' '));
+        } else if (!parts[1]) {
+          this.showPersonaInfo();
+        } else {
+          console.log("❓ Usage: /persona [list | use <name> [variable=value ...]]");
+        }
         return true;
         
       default:
@@ -224,22 +517,234 @@ class AdvancedTextChat extends TextChatInterface {
     console.log("  - Session data stored in Firestore");
     console.log("\n📎 File Upload:");
     console.log("  /upload <file_path> [description] - Upload file to Firebase");
+    console.log(`\n${MULTILINE_HELP}`);
+  }
+
+  showTools() {
+    console.log("\n🔧 Available Tools:");
+    tools.list().forEach(tool => {
+      console.log(`  ${tool.name} - ${tool.description}`);
+    });
   }
 
   showFirebaseInfo() {
     console.log(`\n🔥 Firebase Session Info:`);
     console.log(`   📍 Session ID: ${this.sessionId}`);
     console.log(`   📄 Document ID: ${this.firebaseSessionDoc || 'Not initialized'}`);
+    console.log(`   🧪 Emulator: ${this.firebase?.isEmulator ? process.env.FIRESTORE_EMULATOR_HOST : 'No'}`);
     console.log(`   💬 Messages: ${this.conversationHistory.length}`);
-    console.log(`   🕒 Started: ${new Date().toLocaleString()}`);
+    console.log(`   🕒 Started: ${this.startedAt.toLocaleString()}`);
   }
 
   showModelInfo() {
-    console.log(`\n🤖 Current Model: ${model}`);
-    console.log(`📝 System Instruction: ${config.systemInstruction}`);
+    console.log(`\n🤖 Current Model: ${this.provider}:${this.model}`);
+    console.log(`🔌 Available Providers: ${Array.from(providers.keys()).join(', ') || 'none'}`);
+    if (fallbackModel) {
+      console.log(`↪️ Fallback Model: ${fallbackModel.provider}:${fallbackModel.model}`);
+    }
+    console.log(`🎭 Persona: ${this.persona}`);
+    console.log(`📝 System Instruction: ${this.systemInstruction}`);
     console.log(`🔥 Session ID: ${this.sessionId}`);
   }
 
+  switchModel(spec) {
+    const { provider, model: nextModel } = parseModelSpec(spec, providers, this.provider);
+    const previous = { provider: this.provider, model: this.model, chatSession: this.chatSession };
+
+    try {
+      this.provider = provider;
+      this.model = nextModel;
+      this.chatSession = this.startChatSession(this.conversationHistory);
+      console.log(`🔄 Switched to ${provider}:${nextModel} (${this.conversationHistory.length} exchanges carried over)`);
+    } catch (error) {
+      Object.assign(this, previous);
+      console.error(`❌ Could not switch model: ${error.message}`);
+    }
+  }
+
+  showPersonas() {
+    console.log("\n🎭 Personas:");
+    personas.list().forEach(persona => {
+      const marker = persona.name === this.persona ? '*' : ' ';
+      const variables = Object.keys(persona.variables || {});
+      console.log(`${marker} ${persona.name} - ${persona.description || persona.systemPrompt.slice(0, 60)}` +
+        (variables.length > 0 ? ` (variables: ${variables.join(', ')})` : ''));
+    });
+  }
+
+  showPersonaInfo() {
+    console.log(`\n🎭 Persona: ${this.persona}`);
+    for (const [name, value] of Object.entries(this.personaVariables)) {
+      console.log(`   ${name} = ${value}`);
+    }
+    console.log(`📝 System Instruction: ${this.systemInstruction}`);
+  }
+
+  // Switches persona and restarts the chat with its system instruction; the
+  // conversation so far is carried over. Assignments look like
+  // subject=chemistry level="high school".
+  switchPersona(name, assignments = '') {
+    const previous = {
+      persona: this.persona,
+      personaVariables: this.personaVariables,
+      systemInstruction: this.systemInstruction,
+      generationConfig: this.generationConfig,
+      chatSession: this.chatSession
+    };
+
+    try {
+      const pattern = /(\w+)=(?:"([^"]*)"|(\S+))\s*/gy;
+      const matches = Array.from(assignments.trim().matchAll(pattern));
+      if (matches.reduce((length, match) => length + match[0].length, 0) !== assignments.trim().length) {
+        throw new Error('Invalid variables: expected name=value or name="some value"');
+      }
+      const variables = Object.fromEntries(matches.map(([, variable, quoted, plain]) => [variable, quoted ?? plain]));
+      const rendered = personas.render(name, variables);
+      this.applyPersona(rendered);
+      this.chatSession = this.startChatSession(this.conversationHistory);
+      console.log(`🎭 Switched to the ${name} persona (${this.conversationHistory.length} exchanges carried over)`);
+      if (rendered.greeting) {
+        console.log(`\n🤖 AI: ${rendered.greeting}\n`);
+      }
+    } catch (error) {
+      Object.assign(this, previous);
+      console.error(`❌ Could not switch persona: ${error.message}`);
+    }
+  }
+
+  // Sends userInput as a new reply to parentId. The old branch is kept, and
+  // stays active if sending fails.
+  async replyFrom(parentId, userInput, attachments) {
+    const previous = {
+      activeExchangeId: this.activeExchangeId,
+      conversationHistory: this.conversationHistory,
+      chatSession: this.chatSession
+    };
+    this.checkout(parentId);
+    const previousCount = this.conversationHistory.length;
+    const response = await this.sendMessage(userInput, attachments);
+    if (this.conversationHistory.length === previousCount) {
+      Object.assign(this, previous);
+      return;
+    }
+    console.log(`\n🤖 Assistant: ${response}`);
+  }
+
+  async retryLastMessage() {
+    const last = this.conversationHistory.at(-1);
+    if (!last) {
+      console.log("📝 Nothing to retry yet.");
+      return;
+    }
+    if (last.attachments) {
+      console.log("⚠️ That message had attachments, which are not kept. Use /attach and /edit to send it again.");
+      return;
+    }
+    console.log("🔁 Regenerating the last reply...");
+    await this.replyFrom(last.parentId, last.user, []);
+  }
+
+  async editMessage(number, message) {
+    const exchange = this.conversationHistory[Number(number) - 1];
+    if (!exchange || !message.trim()) {
+      console.log("❓ Usage: /edit <number> <new message>  (numbers as shown by /history)");
+      return;
+    }
+    console.log(`✏️ Editing message ${number}, the original branch is kept (see /branches).`);
+    await this.replyFrom(exchange.parentId, message);
+  }
+
+  showBranches() {
+    const branches = listBranches(this.exchanges, this.activeExchangeId);
+    if (branches.length === 0) {
+      console.log("📝 No conversation yet.");
+      return;
+    }
+    console.log("\n🌿 Conversation Branches:");
+    branches.forEach((branch, index) => {
+      const active = branch.active ? ' (active)' : '';
+      console.log(`  ${index + 1}. ${branch.messageCount} messages, last: "${branch.lastMessage}"${active}`);
+    });
+    console.log("💡 Switch with /branches <number>");
+  }
+
+  switchBranch(number) {
+    const branch = listBranches(this.exchanges, this.activeExchangeId)[Number(number) - 1];
+    if (!branch) {
+      console.log("❓ No such branch, see /branches");
+      return;
+    }
+    try {
+      this.checkout(latestLeaf(this.exchanges, branch.leafId));
+      console.log(`🌿 Switched to branch ${number} (${this.conversationHistory.length} messages)`);
+    } catch (error) {
+      console.error(`❌ Could not switch branch: ${error.message}`);
+    }
+  }
+
+  // Matches are numbered like /history when they are on the active branch
+  searchConversation(query) {
+    if (!query) {
+      console.log('❓ Usage: /search <terms> (use "quotes" for phrases)');
+      return;
+    }
+    try {
+      const index = new SearchIndex();
+      index.indexSession({ id: this.sessionId, exchanges: this.exchanges });
+      const { results, total } = index.search(query, {
+        limit: 10,
+        highlight: { radius: 50, pre: '**', post: '**', escape: text => text }
+      });
+      if (total === 0) {
+        console.log(`🔍 No messages match "${query}".`);
+        return;
+      }
+      console.log(`\n🔍 ${total} match${total === 1 ? '' : 'es'} for "${query}":`);
+      for (const result of results) {
+        const position = this.conversationHistory.findIndex(exchange => exchange.id === result.exchangeId);
+        const where = position >= 0 ? `#${position + 1}` : 'other branch';
+        const time = new Date(result.timestamp).toLocaleTimeString();
+        console.log(`  [${where}, ${result.role}, ${time}] ${result.snippet}`);
+      }
+      if (total > results.length) {
+        console.log(`  … and ${total - results.length} more, narrow the search to see them`);
+      }
+    } catch (error) {
+      console.error(`❌ Search failed: ${error.message}`);
+    }
+  }
+
+  async handleAttachCommand(parts) {
+    const argument = parts.slice(1).join(' ').trim();
+
+    if (!argument) {
+      if (this.pendingAttachments.length === 0) {
+        console.log("❓ Usage: /attach <file_path>  (images, PDF, text, markdown, CSV, JSON)");
+        console.log(`📝 Supported types: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`);
+        return;
+      }
+      console.log("\n📎 Attached to your next message:");
+      this.pendingAttachments.forEach(file => {
+        console.log(`  ${file.name} (${file.mimeType}, ${file.size} bytes)`);
+      });
+      return;
+    }
+
+    if (argument === 'clear') {
+      this.pendingAttachments = [];
+      console.log("🧹 Pending attachments cleared.");
+      return;
+    }
+
+    try {
+      const attachment = await readAttachmentFile(argument);
+      this.pendingAttachments.push(attachment);
+      console.log(`📎 Attached ${attachment.name} (${attachment.mimeType}, ${attachment.size} bytes). It will be sent with your next message.`);
+    } catch (error) {
+      console.error(`❌ Could not attach file: ${error.message}`);
+    }
+  }
+
   async handleUploadCommand(parts) {
     if (parts.length < 2) {
       console.log("❓ Usage: /upload <file_path> [description]");
@@ -247,79 +752,195 @@ class AdvancedTextChat extends TextChatInterface {
       return;
     }
     
+    if (!this.firebaseSessionDoc) {
+      console.log("⚠️ Firebase is not configured, cannot upload files.");
+      return;
+    }
+    
     const filePath = parts[1];
     const description = parts.slice(2).join(' ') || 'No description provided';
     
     try {
-      // Placeholder for Firebase upload functionality
       console.log(`📤 Uploading file: ${filePath}`);
       console.log(`📝 Description: ${description}`);
-      console.log("⚠️ Firebase upload functionality not implemented yet");
+      const upload = await this.firebase.uploadFile(this.sessionId, filePath, description);
+      console.log(`✅ Uploaded ${upload.name} (${upload.size} bytes, ${upload.contentType})`);
+      console.log(`📍 Location: ${upload.storagePath}`);
     } catch (error) {
       console.error(`❌ Upload failed: ${error.message}`);
     }
   }
 
   async showRecentConversations() {
+    if (!this.firebase) {
+      console.log("⚠️ Firebase is not configured, no saved conversations to show.");
+      return;
+    }
+
     console.log("🔍 Loading recent conversations from Firebase...");
     try {
-      // Placeholder for Firebase recent conversations functionality
-      console.log("⚠️ Firebase recent conversations functionality not implemented yet");
+      const sessions = await this.firebase.listRecentSessions(10);
+      if (sessions.length === 0) {
+        console.log("📭 No saved conversations yet.");
+        return;
+      }
+
+      console.log("\n🕘 Recent Conversations:");
+      sessions.forEach((session, index) => {
+        const current = session.sessionId === this.sessionId ? ' (current)' : '';
+        const when = session.lastActivity ? session.lastActivity.toLocaleString() : 'unknown';
+        console.log(`\n${index + 1}. ${session.sessionId}${current}`);
+        console.log(`   🕒 Last activity: ${when}`);
+        console.log(`   💬 Messages: ${session.messageCount}`);
+        if (session.lastMessage) {
+          console.log(`   📝 Last message: ${session.lastMessage}`);
+        }
+      });
     } catch (error) {
       console.error(`❌ Error loading recent conversations: ${error.message}`);
     }
   }
 
-  async saveConversation() {
+  async saveConversation(format = 'json') {
     if (this.conversationHistory.length === 0) {
       console.log("📝 No conversation to save.");
       return;
     }
+    if (!EXPORT_FORMATS[format]) {
+      console.log(`❓ Usage: /save [${Object.keys(EXPORT_FORMATS).join('|')}]`);
+      return;
+    }
 
     try {
       const fs = await import('node:fs/promises');
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `chat-history-${timestamp}.json`;
+      const filename = `chat-history-${timestamp}.${EXPORT_FORMATS[format].extension}`;
       
-      const data = {
-        sessionId: this.sessionId,
-        timestamp: new Date().toISOString(),
-        model: model,
-        totalExchanges: this.conversationHistory.length,
-        conversation: this.conversationHistory
-      };
-      
-      await fs.writeFile(filename, JSON.stringify(data, null, 2));
+      await fs.writeFile(filename, formatTranscript(this.toTranscript(), format));
       console.log(`💾 Conversation saved to: ${filename}`);
     } catch (error) {
       console.error("❌ Error saving conversation:", error.message);
     }
   }
 
+  toTranscript() {
+    return buildTranscript({
+      id: this.sessionId,
+      provider: this.provider,
+      model: this.model,
+      generationConfig: this.generationConfig,
+      tools: tools.list().map(tool => tool.name),
+      persona: this.persona,
+      variables: this.personaVariables,
+      systemInstruction: this.systemInstruction,
+      activeExchangeId: this.activeExchangeId,
+      createdAt: this.startedAt.toISOString(),
+      lastActivity: new Date().toISOString(),
+      exchanges: this.exchanges
+    });
+  }
+
+  // Replaces the conversation with a json/jsonl export (from /save or the
+  // server's export endpoint) and continues it
+  async loadConversation(filePath) {
+    if (!filePath) {
+      console.log("❓ Usage: /load <file>  (a json or jsonl file written by /save)");
+      return;
+    }
+
+    try {
+      const fs = await import('node:fs/promises');
+      const { session, exchanges } = parseTranscript(await fs.readFile(filePath, 'utf8'));
+
+      const previous = {
+        provider: this.provider,
+        model: this.model,
+        persona: this.persona,
+        personaVariables: this.personaVariables,
+        systemInstruction: this.systemInstruction,
+        generationConfig: this.generationConfig,
+        exchanges: this.exchanges,
+        activeExchangeId: this.activeExchangeId,
+        conversationHistory: this.conversationHistory,
+        chatSession: this.chatSession
+      };
+      try {
+        if (session.provider && providers.has(session.provider)) {
+          this.provider = session.provider;
+          this.model = session.model || providers.get(session.provider).defaultModel;
+        } else if (session.provider) {
+          console.log(`⚠️ Provider "${session.provider}" is not configured, continuing with ${this.provider}:${this.model}`);
+        }
+        // Continue under the prompt the conversation was held with
+        if (session.systemInstruction) {
+          this.persona = session.persona || this.persona;
+          this.personaVariables = session.variables || {};
+          this.systemInstruction = session.systemInstruction;
+          this.generationConfig = { ...config.generationConfig, ...session.generationConfig };
+        }
+        this.exchanges = exchanges;
+        this.checkout(session.activeExchangeId);
+      } catch (error) {
+        Object.assign(this, previous);
+        throw error;
+      }
+
+      console.log(`📂 Loaded ${this.conversationHistory.length} exchanges from ${filePath} (${this.provider}:${this.model})`);
+    } catch (error) {
+      console.error(`❌ Error loading conversation: ${error.message}`);
+    }
+  }
+
+  // Final save to Firebase
+  async endFirebaseSession() {
+    if (!this.firebaseSessionDoc) return;
+    try {
+      await this.firebase.endSession(this.sessionId, {
+        totalExchanges: this.conversationHistory.length
+      });
+      notify("💾 Final session data saved to Firebase");
+    } catch (error) {
+      console.error("⚠️ Error saving final session data:", error.message);
+    }
+  }
+
+  // Sends the prompts one after another in this session, without the
+  // interactive loop, and stops at the first that fails. Text output prints
+  // each reply as it arrives; json and markdown print the transcript at the
+  // end. Returns whether every prompt was answered.
+  async runPrompts(prompts, format = 'text') {
+    let answered = 0;
+    for (const prompt of prompts) {
+      const response = await this.sendMessage(prompt);
+      if (response === null) break;
+      if (format === 'text') {
+        process.stdout.write(`${answered > 0 ? '\n' : ''}${response}\n`);
+      }
+      answered++;
+    }
+    if (format !== 'text') {
+      process.stdout.write(`${formatTranscript(this.toTranscript(), format).trimEnd()}\n`);
+    }
+    await this.endFirebaseSession();
+    return answered === prompts.length;
+  }
+
   async startChat() {
     console.log("👋 Hello! I'm your advanced AI assistant with Firebase integration!");
     console.log("💡 Type your messages or use commands (type '/help' for available commands)");
-    console.log("🔥 All conversations are automatically saved to Firebase Storage & Firestore");
-    console.log("📁 You can upload files with '/upload <file_path>' command");
+    if (this.firebaseSessionDoc) {
+      console.log("🔥 All conversations are automatically saved to Firestore");
+      console.log("📁 You can upload files with '/upload <file_path>' command");
+    }
     
     while (!this.isClosing) {
       try {
-        const userInput = await rl.question('\n💬 You: ');
+        const userInput = await this.readInput('\n💬 You: ');
         
         // Check for exit commands
         if (['exit', 'quit', 'bye', 'goodbye'].includes(userInput.toLowerCase().trim())) {
           console.log("👋 Goodbye! Thanks for chatting with me!");
-          
-          // Final save to Firebase (placeholder)
-          if (this.firebaseSessionDoc) {
-            try {
-              console.log("💾 Final session data would be saved to Firebase");
-              // Actual Firebase update would go here
-            } catch (error) {
-              console.error("⚠️ Error saving final session data:", error.message);
-            }
-          }
-          
+          await this.endFirebaseSession();
           await this.close();
           break;
         }
@@ -338,9 +959,11 @@ class AdvancedTextChat extends TextChatInterface {
           continue;
         }
 
-        // Send message and get response
+        // Send message and get response; failures have been reported already
         const response = await this.sendMessage(userInput);
-        console.log(`\n🤖 Assistant: ${response}`);
+        if (response !== null) {
+          console.log(`\n🤖 Assistant: ${response}`);
+        }
 
       } catch (error) {
         if (!this.isClosing) {
@@ -353,57 +976,429 @@ class AdvancedTextChat extends TextChatInterface {
   }
 }
 
-// Main function to run the chat interface
+// Commands that work on a conversation held in this process
+const LOCAL_ONLY_COMMANDS = ['/retry', '/edit', '/branches', '/load', '/tools', '/firebase', '/upload'];
+
+// Server snippets are HTML with the matches in <mark>; the terminal gets the
+// same **markers** as a local search
+const terminalSnippet = (html) => html
+  .replace(/<\/?mark>/g, '**')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&');
+
+// The CLI's DEFAULT_PERSONA for new server sessions; otherwise the server's own default applies
+const defaultPersonaOption = () => (process.env.DEFAULT_PERSONA ? { persona: process.env.DEFAULT_PERSONA } : {});
+
+// Chats through the REST server (--server <url>) instead of calling the model
+// directly, so the conversation is a server session that the web app and
+// other terminals can open too. Messages, /history, /clear, /recent and
+// /search go through the API; the server's key or token comes from
+// CHAT_API_KEY or CHAT_API_TOKEN.
+class ServerTextChat extends AdvancedTextChat {
+  // Resumes sessionId when given, otherwise creates a session with the
+  // options' provider, model and generationConfig
+  constructor(api, { sessionId, ...options } = {}) {
+    super(options);
+    this.api = api;
+    this.sessionId = sessionId || null;
+    this.personaVariables = {};
+    for (const cmd of LOCAL_ONLY_COMMANDS) {
+      delete this.commands[cmd];
+    }
+    Object.assign(this.commands, {
+      '/clear': 'Clear the conversation history on the server',
+      '/model': 'Show model info',
+      '/persona': 'Show the persona',
+      '/recent': 'Show your recent sessions on the server',
+      '/search': 'Search all your conversations on the server (/search <terms> or "a phrase")',
+      '/delete': 'Delete this session on the server and exit'
+    });
+  }
+
+  async initialize() {
+    let greeting;
+    try {
+      if (!this.sessionId) {
+        const { provider, model: modelName, generationConfig } = this.options;
+        const created = await this.api.createSession({ ...defaultPersonaOption(), provider, model: modelName, generationConfig });
+        this.sessionId = created.sessionId;
+        greeting = created.greeting;
+      }
+      this.applyServerSession(await this.api.getHistory(this.sessionId));
+    } catch (error) {
+      this.reportError('Error initializing chat', error);
+      throw error;
+    }
+
+    notify(`🌐 Connected to ${this.api.baseUrl}, session ${this.sessionId} (${this.provider}:${this.model})`);
+    if (this.conversationHistory.length > 0) {
+      notify(`📂 Resumed a conversation of ${this.conversationHistory.length} exchanges (see /history)`);
+    }
+    notify("💡 Type your messages and press Enter to chat.");
+    notify("📝 Type 'exit', 'quit', or 'bye' to end the conversation.\n");
+    if (greeting) {
+      notify(`🤖 AI: ${greeting}\n`);
+    }
+  }
+
+  // Takes the settings and active branch from a history response
+  applyServerSession(session) {
+    this.sessionId = session.sessionId;
+    this.provider = session.provider;
+    this.model = session.model;
+    this.persona = session.persona;
+    this.personaVariables = session.variables || {};
+    this.systemInstruction = session.systemInstruction;
+    this.generationConfig = session.generationConfig;
+    this.exchanges = session.history;
+    this.conversationHistory = [...session.history];
+    this.activeExchangeId = session.activeExchangeId;
+  }
+
+  reportError(action, error) {
+    console.error(`❌ ${action}: ${error.message}${error.code ? ` (${error.code})` : ''}`);
+    error.details?.forEach(({ field, message }) => console.error(`   ${field} ${message}`));
+    if (error.retryAfter) {
+      notify(`⏳ Try again in ${error.retryAfter}s.`);
+    }
+    if (error.status === 401) {
+      notify("💡 Set CHAT_API_KEY (or CHAT_API_TOKEN) to authenticate with the server.");
+    }
+  }
+
+  async sendMessage(userInput, attachments = this.pendingAttachments.splice(0)) {
+    try {
+      notify("🤖 Thinking...");
+      const reply = await this.api.sendMessage(this.sessionId, userInput, attachments);
+      reply.toolCalls?.forEach(call => {
+        const outcome = call.error ? `failed: ${call.error}` : JSON.stringify(call.result);
+        notify(`🔧 ${call.name}(${JSON.stringify(call.args)}) ${outcome}`);
+      });
+      if (reply.fallbackModel) {
+        notify(`↪️ Answered by the fallback model ${reply.fallbackModel}`);
+      }
+
+      // A local copy for /save; /history reads the server's
+      const exchange = {
+        id: reply.exchangeId,
+        parentId: this.activeExchangeId,
+        user: userInput,
+        assistant: reply.response,
+        usage: reply.usage,
+        ...(attachments.length > 0 ? { attachments: attachments.map(attachmentMetadata) } : {}),
+        ...(reply.toolCalls ? { toolCalls: reply.toolCalls } : {}),
+        ...(reply.fallbackModel ? { fallbackModel: reply.fallbackModel } : {}),
+        ...(reply.citations ? { citations: reply.citations } : {}),
+        timestamp: reply.timestamp
+      };
+      this.exchanges.push(exchange);
+      this.conversationHistory.push(exchange);
+      this.activeExchangeId = exchange.id;
+      return reply.response;
+    } catch (error) {
+      this.reportError('Error sending message', error);
+      return null;
+    }
+  }
+
+  async handleCommand(command) {
+    const parts = command.split(' ');
+    const cmd = parts[0].toLowerCase();
+
+    switch (cmd) {
+      case '/history':
+        await this.showServerHistory();
+        return true;
+
+      case '/clear':
+        await this.clearServerHistory();
+        return true;
+
+      case '/recent':
+        await this.showRecentConversations();
+        return true;
+
+      case '/search':
+        await this.searchServerConversations(parts.slice(1).join(' ').trim());
+        return true;
+
+      case '/delete':
+        await this.deleteServerSession();
+        return true;
+    }
+
+    if (LOCAL_ONLY_COMMANDS.includes(cmd) || (['/model', '/persona'].includes(cmd) && parts[1])) {
+      console.log(`⚠️ ${command.trim()} is not available when chatting through a server.`);
+      return true;
+    }
+    return super.handleCommand(command);
+  }
+
+  showHelp() {
+    console.log(`\n🔧 Available Commands (via ${this.api.baseUrl}):`);
+    Object.entries(this.commands).forEach(([cmd, desc]) => {
+      console.log(`  ${cmd} - ${desc}`);
+    });
+    console.log(`\n${MULTILINE_HELP}`);
+  }
+
+  showModelInfo() {
+    console.log(`\n🤖 Current Model: ${this.provider}:${this.model}`);
+    console.log(`🌐 Server: ${this.api.baseUrl}`);
+    console.log(`🎭 Persona: ${this.persona}`);
+    console.log(`📝 System Instruction: ${this.systemInstruction}`);
+    console.log(`🔑 Session ID: ${this.sessionId}`);
+  }
+
+  async showServerHistory() {
+    try {
+      this.applyServerSession(await this.api.getHistory(this.sessionId));
+    } catch (error) {
+      this.reportError('Could not load the history', error);
+      return;
+    }
+    if (this.conversationHistory.length === 0) {
+      console.log("📝 No conversation yet.");
+      return;
+    }
+    this.displayConversationHistory();
+  }
+
+  async clearServerHistory() {
+    try {
+      await this.api.clearHistory(this.sessionId);
+    } catch (error) {
+      this.reportError('Could not clear the history', error);
+      return;
+    }
+    this.exchanges = [];
+    this.activeExchangeId = null;
+    this.conversationHistory = [];
+    console.log("🧹 Conversation history cleared!");
+  }
+
+  async showRecentConversations() {
+    console.log("🔍 Loading your recent sessions from the server...");
+    try {
+      const { sessions } = await this.api.recentSessions(10);
+      if (sessions.length === 0) {
+        console.log("📭 No sessions yet.");
+        return;
+      }
+
+      console.log("\n🕘 Recent Conversations:");
+      sessions.forEach((session, index) => {
+        const current = session.id === this.sessionId ? ' (current)' : '';
+        const when = session.lastActivity ? new Date(session.lastActivity).toLocaleString() : 'unknown';
+        console.log(`\n${index + 1}. ${session.id}${current}`);
+        console.log(`   🤖 Model: ${session.provider}:${session.model}`);
+        console.log(`   🕒 Last activity: ${when}`);
+        console.log(`   💬 Messages: ${session.messageCount}`);
+        if (session.lastMessage) {
+          console.log(`   📝 Last message: ${session.lastMessage}`);
+        }
+      });
+      console.log(`\n💡 Continue one with --server ${this.api.baseUrl} --session <id>`);
+    } catch (error) {
+      this.reportError('Could not load recent sessions', error);
+    }
+  }
+
+  // Matches in this session are numbered like /history when they are on the
+  // active branch; the others name their session
+  async searchServerConversations(query) {
+    if (!query) {
+      console.log('❓ Usage: /search <terms> (use "quotes" for phrases)');
+      return;
+    }
+    let page;
+    try {
+      page = await this.api.search(query, { limit: 10 });
+    } catch (error) {
+      this.reportError('Search failed', error);
+      return;
+    }
+    const { results, total } = page;
+    if (total === 0) {
+      console.log(`🔍 No messages match "${query}".`);
+      return;
+    }
+    console.log(`\n🔍 ${total} match${total === 1 ? '' : 'es'} for "${query}":`);
+    for (const result of results) {
+      let where = `session ${result.sessionId}`;
+      if (result.sessionId === this.sessionId) {
+        const position = this.conversationHistory.findIndex(exchange => exchange.id === result.exchangeId);
+        where = position >= 0 ? `#${position + 1}` : 'other branch';
+      }
+      const time = result.timestamp ? new Date(result.timestamp).toLocaleString() : 'unknown';
+      console.log(`  [${where}, ${result.role}, ${time}] ${terminalSnippet(result.snippet)}`);
+    }
+    if (total > results.length) {
+      console.log(`  … and ${total - results.length} more, narrow the search to see them`);
+    }
+    if (results.some(result => result.sessionId !== this.sessionId)) {
+      console.log(`💡 Continue another session with --server ${this.api.baseUrl} --session <id>`);
+    }
+  }
+
+  async deleteServerSession() {
+    const answer = await rl.question(`🗑️ Delete session ${this.sessionId} and its history on the server? (y/n): `);
+    if (!answer.toLowerCase().startsWith('y')) {
+      console.log("↩️ Kept the session.");
+      return;
+    }
+    try {
+      await this.api.deleteSession(this.sessionId);
+    } catch (error) {
+      this.reportError('Could not delete the session', error);
+      return;
+    }
+    console.log(`🗑️ Session ${this.sessionId} deleted.`);
+    this.sessionId = null;
+    this.exchanges = [];
+    this.conversationHistory = [];
+    await this.close();
+  }
+
+  async close() {
+    if (this.isClosing) return;
+    await super.close();
+    if (this.sessionId) {
+      notify(`💡 Continue this conversation with --server ${this.api.baseUrl} --session ${this.sessionId}`);
+    }
+  }
+}
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// The prompts of a one-shot or batch run
+async function readPrompts(options) {
+  if (options.batch) {
+    try {
+      return parseBatch(options.batch === '-' ? await readStdin() : readFileSync(options.batch, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Could not read ${options.batch}: ${error.message}`);
+    }
+  }
+  const piped = process.stdin.isTTY ? '' : (await readStdin()).trim();
+  const prompt = [options.prompt, piped].filter(Boolean).join('\n\n');
+  return prompt ? [prompt] : [];
+}
+
+// Main function to run the chat interface. With --server <url> (or
+// CHAT_SERVER_URL) it chats through the REST server, and --session <id>
+// continues an existing session there. Resolves to the exit code.
 async function main() {
-  try {
+  const options = parseCliArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  const interactive = options.interactive || (!options.prompt && !options.batch && process.stdin.isTTY);
+  if (!interactive) {
+    notify = console.error;
+  }
+  const prompts = interactive ? [] : await readPrompts(options);
+  if (!interactive && prompts.length === 0) {
+    throw new UsageError('Nothing to send: give a prompt, pipe one on stdin or use --batch <file>');
+  }
+  const generationConfig = options.temperature !== undefined ? { temperature: options.temperature } : undefined;
+
+  let chat;
+  if (options.server) {
+    let api;
+    try {
+      api = ChatApiClient.fromEnv(options.server);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    // The server knows which providers it has, so the spec is only split here
+    const separator = options.model?.indexOf(':') ?? -1;
+    chat = new ServerTextChat(api, {
+      sessionId: options.session,
+      provider: separator > 0 ? options.model.slice(0, separator) : undefined,
+      model: separator > 0 ? options.model.slice(separator + 1) : options.model,
+      generationConfig
+    });
+  } else {
+    const target = options.model ? parseModelSpec(options.model, providers, defaultProvider) : { provider: defaultProvider, model };
+
     // Check if API key is available
-    if (!process.env.GEMINI_API_KEY) {
-      console.error("❌ Error: GEMINI_API_KEY environment variable is not set.");
-      console.log("💡 Please set your API key in the .env file:");
-      console.log("   GEMINI_API_KEY=your-api-key-here");
-      process.exit(1);
+    if (!providers.has(target.provider)) {
+      console.error(`❌ Error: the "${target.provider}" provider is not configured.`);
+      notify("💡 Please set your API key in the .env file:");
+      notify("   GEMINI_API_KEY=your-api-key-here");
+      notify("   (or OPENAI_API_KEY / OLLAMA_BASE_URL together with DEFAULT_PROVIDER)");
+      return EXIT_CODES.unavailable;
     }
 
-    console.log("🔑 API Key loaded successfully!");
-    console.log(`🤖 Using model: ${model}`);
+    notify("🔑 API Key loaded successfully!");
+    notify(`🤖 Using model: ${target.provider}:${target.model}`);
+    chat = new AdvancedTextChat({ ...target, systemInstruction: options.system, generationConfig });
+  }
 
-    // Create and initialize chat interface
-    const chat = new AdvancedTextChat();
+  if (interactive) {
+    openReadline();
+  }
+  try {
     await chat.initialize();
-    
-    // Start the chat session
-    await chat.startChat();
-    
   } catch (error) {
     console.error("❌ Fatal error:", error.message);
-    process.exit(1);
+    return EXIT_CODES.unavailable;
   }
+
+  if (interactive) {
+    await chat.startChat();
+    return EXIT_CODES.ok;
+  }
+  const answered = await chat.runPrompts(prompts, options.output);
+  await chat.close();
+  return answered ? EXIT_CODES.ok : EXIT_CODES.failed;
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
-  console.log("\n\n👋 Goodbye! Chat session terminated.");
-  rl.close();
-  process.exit(0);
+  console.error("\n\n👋 Goodbye! Chat session terminated.");
+  rl?.close();
+  process.exit(EXIT_CODES.interrupted);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
   console.error('❌ Uncaught Exception:', error.message);
-  rl.close();
-  process.exit(1);
+  rl?.close();
+  process.exit(EXIT_CODES.failed);
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
   console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  rl.close();
-  process.exit(1);
+  rl?.close();
+  process.exit(EXIT_CODES.failed);
 });
 
 // Run the application
-main().catch((error) => {
-  console.error("❌ Application error:", error.message);
-  rl.close();
-  process.exit(1);
-});
\ No newline at end of file
+main()
+  .catch((error) => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      console.error("💡 Run with --help for usage.");
+      return EXIT_CODES.usage;
+    }
+    console.error("❌ Application error:", error.message);
+    return EXIT_CODES.failed;
+  })
+  .then((code) => {
+    rl?.close();
+    // Let piped output drain before exiting
+    process.stdout.write('', () => process.exit(code));
+  });
\ No newline at end of file
@@ -0,0 +1,98 @@
+// Unit tests of message attachments (attachments.js) and which of them the
+// providers take.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createAttachment, parseAttachments, readAttachmentFile, toMessageParts, attachmentMetadata, attachmentLimitsFromEnv
+} from '../attachments.js';
+import { ValidationError } from '../errors.js';
+import { MockProvider } from '../providers.js';
+
+const limits = { maxBytes: 64, maxCount: 2 };
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+const pdf = Buffer.from('%PDF-1.4\n');
+
+const invalid = (message) => (error) => error instanceof ValidationError && error.status === 400 && message.test(error.message);
+
+test('attachmentLimitsFromEnv reads ATTACHMENT_MAX_BYTES and ATTACHMENT_MAX_COUNT', () => {
+  assert.deepEqual(attachmentLimitsFromEnv({}), { maxBytes: 5 * 1024 * 1024, maxCount: 5 });
+  assert.deepEqual(attachmentLimitsFromEnv({ ATTACHMENT_MAX_BYTES: '1024', ATTACHMENT_MAX_COUNT: '2' }), { maxBytes: 1024, maxCount: 2 });
+});
+
+test('createAttachment checks the type, size and content of a file', () => {
+  const attachment = createAttachment({ name: '../../etc/photo.png', mimeType: 'IMAGE/PNG; charset=binary', buffer: png }, limits);
+  assert.deepEqual(attachmentMetadata(attachment), {
+    name: 'photo.png',
+    mimeType: 'image/png',
+    size: png.length,
+    sha256: crypto.createHash('sha256').update(png).digest('hex')
+  });
+  assert.equal(Buffer.from(attachment.data, 'base64').equals(png), true);
+
+  assert.throws(() => createAttachment({ name: 'a.exe', mimeType: 'application/x-msdownload', buffer: png }, limits), invalid(/unsupported MIME type application\/x-msdownload/));
+  assert.throws(() => createAttachment({ name: 'a.png', buffer: png }, limits), invalid(/unsupported MIME type \(none\)/));
+  assert.throws(() => createAttachment({ name: 'a.png', mimeType: 'image/png', buffer: Buffer.alloc(0) }, limits), invalid(/file is empty/));
+  assert.throws(() => createAttachment({ name: 'a.png', mimeType: 'image/png', buffer: Buffer.alloc(65) }, limits), invalid(/65 bytes exceeds the 64 byte limit/));
+  assert.throws(() => createAttachment({ name: 'a.png', mimeType: 'image/png', buffer: pdf }, limits), invalid(/content does not match image\/png/));
+  assert.throws(() => createAttachment({ name: 'a.txt', mimeType: 'text/plain', buffer: Buffer.from([0x61, 0x00]) }, limits), invalid(/must be UTF-8 text/));
+  assert.throws(() => createAttachment({ name: 'a.txt', mimeType: 'text/plain', buffer: Buffer.from([0xc3, 0x28]) }, limits), invalid(/must be UTF-8 text/));
+});
+
+test('parseAttachments takes base64, data URLs and uploaded files', () => {
+  const attachments = parseAttachments({
+    json: [
+      { name: 'notes.txt', mimeType: 'text/plain', data: Buffer.from('hello').toString('base64') },
+      { data: `data:application/pdf;name=a.pdf;base64,${pdf.toString('base64')}` }
+    ]
+  }, { ...limits, maxCount: 3 });
+  assert.deepEqual(attachments.map(({ name, mimeType, size }) => [name, mimeType, size]), [
+    ['notes.txt', 'text/plain', 5],
+    ['attachment-2', 'application/pdf', pdf.length]
+  ]);
+
+  const [upload] = parseAttachments({ files: [{ originalname: 'photo.png', mimetype: 'image/png', buffer: png }] }, limits);
+  assert.equal(upload.name, 'photo.png');
+});
+
+test('parseAttachments refuses too many files and data that is not base64', () => {
+  const text = { name: 'a.txt', mimeType: 'text/plain', data: Buffer.from('a').toString('base64') };
+  assert.throws(() => parseAttachments({ json: [text, text], files: [{ originalname: 'b.png', mimetype: 'image/png', buffer: png }] }, limits), invalid(/at most 2 files per message/));
+  assert.throws(() => parseAttachments({ json: 'a.txt' }, limits), invalid(/expected an array/));
+  assert.throws(() => parseAttachments({ json: [{ name: 'a.txt', mimeType: 'text/plain' }] }, limits), invalid(/data must be a base64 string/));
+  assert.throws(() => parseAttachments({ json: [{ ...text, data: 'not base64!' }] }, limits), invalid(/a\.txt: data is not valid base64/));
+  assert.deepEqual(parseAttachments({}, limits), []);
+});
+
+test('readAttachmentFile picks the type from the extension', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, 'notes.md'), '# Notes');
+  await fs.writeFile(path.join(dir, 'big.txt'), 'x'.repeat(65));
+  await fs.writeFile(path.join(dir, 'fake.png'), 'not a png');
+
+  const attachment = await readAttachmentFile(path.join(dir, 'notes.md'), limits);
+  assert.equal(attachment.name, 'notes.md');
+  assert.equal(attachment.mimeType, 'text/markdown');
+  await assert.rejects(readAttachmentFile(path.join(dir, 'big.txt'), limits), /big\.txt is 65 bytes, the limit is 64/);
+  await assert.rejects(readAttachmentFile(path.join(dir, 'fake.png'), limits), /content does not match image\/png/);
+  await assert.rejects(readAttachmentFile(path.join(dir, 'archive.zip'), limits), /Unsupported file type: \.zip/);
+});
+
+test('toMessageParts puts the text first and the files after it', () => {
+  const attachment = createAttachment({ name: 'photo.png', mimeType: 'image/png', buffer: png }, limits);
+  assert.equal(toMessageParts('just text'), 'just text');
+  assert.deepEqual(toMessageParts('look', [attachment]), [{ text: 'look' }, { inlineData: { mimeType: 'image/png', data: attachment.data } }]);
+  assert.deepEqual(toMessageParts('', [attachment]), [{ inlineData: { mimeType: 'image/png', data: attachment.data } }]);
+});
+
+test('providers without document support take text and images only', () => {
+  const provider = new MockProvider();
+  for (const mimeType of ['text/plain', 'text/csv', 'application/json', 'image/png', 'image/webp']) {
+    assert.equal(provider.supportsAttachment(mimeType), true, mimeType);
+  }
+  assert.equal(provider.supportsAttachment('application/pdf'), false);
+});
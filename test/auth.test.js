@@ -0,0 +1,96 @@
+// Unit tests of authentication and session ownership (auth.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { parseApiKeys, createAuthenticator, createAuthMiddleware, requireRole, canAccessSession } from '../auth.js';
+import { UnauthorizedError, ForbiddenError } from '../errors.js';
+
+const secret = 'test-secret';
+const authenticate = createAuthenticator({
+  apiKeys: parseApiKeys('admin-key:root:admin, user-key:alice'),
+  jwtSecret: secret,
+  jwtIssuer: 'chat-tests',
+  jwtAudience: 'chat-api'
+});
+const sign = (claims, options = {}) => jwt.sign(claims, secret, { issuer: 'chat-tests', audience: 'chat-api', ...options });
+
+test('parseApiKeys reads key:userId[:role] entries, defaulting to the user role', () => {
+  const keys = parseApiKeys('a:alice, b:bob:admin,,');
+  assert.equal(keys.size, 2);
+  // Keys are kept hashed
+  assert.equal(keys.has('a'), false);
+  assert.deepEqual([...keys.values()], [
+    { id: 'alice', role: 'user', authMethod: 'api-key' },
+    { id: 'bob', role: 'admin', authMethod: 'api-key' }
+  ]);
+  assert.equal(parseApiKeys().size, 0);
+  assert.throws(() => parseApiKeys('just-a-key'), /Invalid API_KEYS entry/);
+});
+
+test('API keys resolve to their user', () => {
+  assert.deepEqual(authenticate({ apiKey: 'admin-key' }), { id: 'root', role: 'admin', authMethod: 'api-key' });
+  assert.deepEqual(authenticate({ apiKey: 'user-key' }), { id: 'alice', role: 'user', authMethod: 'api-key' });
+  assert.throws(() => authenticate({ apiKey: 'wrong' }), (error) => error instanceof UnauthorizedError && error.message === 'Invalid API key');
+});
+
+test('JWTs resolve to their subject, admins by role or roles', () => {
+  assert.deepEqual(authenticate({ token: sign({ sub: 'bob' }) }), { id: 'bob', role: 'user', authMethod: 'jwt' });
+  assert.equal(authenticate({ token: sign({ sub: 'bob', role: 'admin' }) }).role, 'admin');
+  assert.equal(authenticate({ token: sign({ sub: 'bob', roles: ['reader', 'admin'] }) }).role, 'admin');
+});
+
+test('JWTs with a bad signature, issuer, audience or algorithm, expired or without subject are refused', () => {
+  const refused = (token, message) => assert.throws(() => authenticate({ token }), (error) => (
+    error instanceof UnauthorizedError && error.status === 401 && message.test(error.message)
+  ));
+  refused(jwt.sign({ sub: 'bob' }, 'other-secret', { issuer: 'chat-tests', audience: 'chat-api' }), /^Invalid token: invalid signature/);
+  refused(sign({ sub: 'bob' }, { issuer: 'someone-else' }), /^Invalid token: jwt issuer invalid/);
+  refused(sign({ sub: 'bob' }, { audience: 'another-api' }), /^Invalid token: jwt audience invalid/);
+  refused(sign({ sub: 'bob' }, { expiresIn: -10 }), /^Invalid token: jwt expired/);
+  refused(sign({ sub: 'bob' }, { algorithm: 'HS512' }), /^Invalid token: invalid algorithm/);
+  refused(sign({ name: 'bob' }), /^Token has no subject$/);
+});
+
+test('requests without credentials are refused unless authentication is disabled', () => {
+  assert.throws(() => authenticate({}), { message: 'Authentication required' });
+  // Tokens are not accepted without a secret to check them with
+  assert.throws(() => createAuthenticator({})({ token: sign({ sub: 'bob' }) }), { message: 'Authentication required' });
+  assert.deepEqual(createAuthenticator({ disabled: true })({}), { id: 'anonymous', role: 'admin', authMethod: 'none' });
+});
+
+test('the middleware reads X-API-Key and Bearer tokens', () => {
+  const middleware = createAuthMiddleware(authenticate);
+  const run = (headers) => {
+    const req = { get: name => headers[name] };
+    middleware(req, {}, () => {});
+    return req.user;
+  };
+  assert.equal(run({ 'X-API-Key': 'user-key' }).id, 'alice');
+  assert.equal(run({ Authorization: `Bearer ${sign({ sub: 'bob' })}` }).id, 'bob');
+  assert.throws(() => run({ Authorization: `Basic ${sign({ sub: 'bob' })}` }), { message: 'Authentication required' });
+});
+
+test('requireRole passes admins and refuses everyone else with ROLE_REQUIRED', () => {
+  const middleware = requireRole('admin');
+  assert.equal(middleware.requiredRole, 'admin');
+  const run = (user) => {
+    let result;
+    middleware({ user }, {}, (error) => { result = error; });
+    return result;
+  };
+  assert.equal(run({ id: 'root', role: 'admin' }), undefined);
+  const error = run({ id: 'alice', role: 'user' });
+  assert.ok(error instanceof ForbiddenError);
+  assert.equal(error.code, 'ROLE_REQUIRED');
+  assert.ok(run(undefined) instanceof ForbiddenError);
+});
+
+test('canAccessSession lets owners and admins in', () => {
+  const session = { id: 's', owner: 'alice' };
+  assert.equal(canAccessSession({ id: 'alice', role: 'user' }, session), true);
+  assert.equal(canAccessSession({ id: 'bob', role: 'user' }, session), false);
+  assert.equal(canAccessSession({ id: 'root', role: 'admin' }, session), true);
+  // Sessions without an owner (made before authentication) belong to admins only
+  assert.ok(!canAccessSession({ id: 'alice', role: 'user' }, { id: 's' }));
+  assert.equal(canAccessSession(undefined, session), false);
+});
@@ -0,0 +1,51 @@
+// Unit tests of conversation branching (branches.js) on a small tree:
+//   a ─ b ─ c
+//   │   └── c2   (c edited)
+//   └── b2       (b regenerated)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { linkExchanges, pathTo, latestLeaf, sharedPrefixLength, listBranches } from '../branches.js';
+
+const exchange = (id, parentId) => ({ id, parentId, user: `question ${id}`, assistant: `answer ${id}`, timestamp: `2026-01-01T00:00:0${id.length}.000Z` });
+const exchanges = [exchange('a', null), exchange('b', 'a'), exchange('c', 'b'), exchange('c2', 'b'), exchange('b2', 'a')];
+const ids = (list) => list.map(item => item.id);
+
+test('linkExchanges chains a flat history into one branch', () => {
+  const linked = linkExchanges([{ id: 'x' }, { id: 'y' }, { id: 'z', parentId: 'x' }]);
+  assert.deepEqual(linked, [{ id: 'x', parentId: null }, { id: 'y', parentId: 'x' }, { id: 'z', parentId: 'x' }]);
+});
+
+test('pathTo walks from the root down to an exchange', () => {
+  assert.deepEqual(ids(pathTo(exchanges, 'c2')), ['a', 'b', 'c2']);
+  assert.deepEqual(ids(pathTo(exchanges, 'b2')), ['a', 'b2']);
+  assert.deepEqual(pathTo(exchanges, 'missing'), []);
+  assert.deepEqual(pathTo(exchanges, null), []);
+});
+
+test('latestLeaf follows the newest child down', () => {
+  assert.equal(latestLeaf(exchanges, 'a'), 'b2');
+  assert.equal(latestLeaf(exchanges, 'b'), 'c2');
+  assert.equal(latestLeaf(exchanges, 'c'), 'c');
+  // From the top of the tree
+  assert.equal(latestLeaf(exchanges, null), 'b2');
+});
+
+test('sharedPrefixLength counts the common leading exchanges', () => {
+  assert.equal(sharedPrefixLength(pathTo(exchanges, 'c'), pathTo(exchanges, 'c2')), 2);
+  assert.equal(sharedPrefixLength(pathTo(exchanges, 'c'), pathTo(exchanges, 'b2')), 1);
+  assert.equal(sharedPrefixLength([], pathTo(exchanges, 'c')), 0);
+});
+
+test('listBranches has one entry per leaf, relative to the active branch', () => {
+  assert.deepEqual(listBranches(exchanges, 'c2'), [
+    { leafId: 'c', active: false, messageCount: 3, sharedExchanges: 2, lastMessage: 'question c', updatedAt: exchanges[2].timestamp },
+    { leafId: 'c2', active: true, messageCount: 3, sharedExchanges: 3, lastMessage: 'question c2', updatedAt: exchanges[3].timestamp },
+    { leafId: 'b2', active: false, messageCount: 2, sharedExchanges: 1, lastMessage: 'question b2', updatedAt: exchanges[4].timestamp }
+  ]);
+  assert.deepEqual(listBranches([], null), []);
+});
+
+test('listBranches cuts the last message to 100 characters', () => {
+  const [branch] = listBranches([{ ...exchange('a', null), user: 'x'.repeat(150) }], 'a');
+  assert.equal(branch.lastMessage.length, 100);
+});
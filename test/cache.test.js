@@ -0,0 +1,133 @@
+// Unit tests of the response cache (cache.js): keys, hits, shared in-flight
+// calls, expiry, eviction and purges.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemorySessionStore } from '../session-store.js';
+import { ResponseCache, responseCacheKey } from '../cache.js';
+
+// A promise with its resolve and reject functions
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+test('responseCacheKey ignores whitespace runs, key order and tool order', () => {
+  const request = {
+    provider: 'mock',
+    model: 'echo',
+    generationConfig: { temperature: 0.5, topK: 3 },
+    tools: ['calculator', 'current_time'],
+    history: [{ role: 'user', parts: [{ text: 'hello  there' }] }],
+    parts: [{ text: 'cache me' }]
+  };
+  const same = {
+    ...request,
+    generationConfig: { topK: 3, temperature: 0.5 },
+    tools: ['current_time', 'calculator'],
+    history: [{ role: 'user', parts: [{ text: ' hello there ' }] }],
+    parts: [{ text: 'cache\nme' }]
+  };
+  assert.equal(responseCacheKey(same), responseCacheKey(request));
+  assert.notEqual(responseCacheKey({ ...request, model: 'flaky' }), responseCacheKey(request));
+  assert.notEqual(responseCacheKey({ ...request, parts: [{ text: 'other' }] }), responseCacheKey(request));
+});
+
+test('fetch computes once, then hits, and shares calls in flight', async () => {
+  const cache = new ResponseCache();
+  const call = deferred();
+  let calls = 0;
+  const compute = () => { calls++; return call.promise; };
+
+  const first = cache.fetch('k', compute);
+  const second = cache.fetch('k', compute);
+  call.resolve('reply');
+  assert.deepEqual(await first, { value: 'reply', source: 'miss' });
+  assert.deepEqual(await second, { value: 'reply', source: 'shared' });
+  assert.deepEqual(await cache.fetch('k', compute), { value: 'reply', source: 'hit' });
+  assert.equal(calls, 1);
+
+  const { hits, misses, shared, stored, hitRate } = cache.stats();
+  assert.deepEqual({ hits, misses, shared, stored, hitRate }, { hits: 1, misses: 1, shared: 1, stored: 1, hitRate: 0.6667 });
+});
+
+test('values that are not cacheable are not stored', async () => {
+  const cache = new ResponseCache();
+  await cache.fetch('k', async () => 'blocked', { cacheable: () => false });
+  assert.equal(cache.size, 0);
+});
+
+test('a call that finishes after a refresh leaves the refreshed call in flight', async () => {
+  const cache = new ResponseCache();
+  const stale = deferred();
+  const fresh = deferred();
+
+  const first = cache.fetch('k', () => stale.promise, { cacheable: () => false });
+  const refreshed = cache.fetch('k', () => fresh.promise, { refresh: true });
+  stale.resolve('stale');
+  await first;
+
+  // Still joins the refresh instead of calling the model again
+  const joined = cache.fetch('k', () => assert.fail('the refreshed call is in flight'));
+  fresh.resolve('fresh');
+  assert.deepEqual(await refreshed, { value: 'fresh', source: 'miss' });
+  assert.deepEqual(await joined, { value: 'fresh', source: 'shared' });
+  assert.equal(cache.stats().inflight, 0);
+});
+
+test('a caller sharing an aborted call makes its own', async () => {
+  const cache = new ResponseCache();
+  const controller = new AbortController();
+  const leader = cache.fetch('k', () => new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+  }), { signal: controller.signal });
+  const follower = cache.fetch('k', async () => 'own reply');
+  controller.abort();
+  await assert.rejects(leader, { name: 'AbortError' });
+  assert.deepEqual(await follower, { value: 'own reply', source: 'miss' });
+});
+
+test('entries expire after ttlMs and the least recently used are evicted', async () => {
+  const store = new MemorySessionStore();
+  const cache = new ResponseCache({ store, ttlMs: 1000, maxEntries: 2 });
+  cache.set('a', 'A', {}, 0);
+  cache.set('b', 'B', {}, 0);
+  assert.equal(cache.lookup('a', 10), 'A');
+  cache.set('c', 'C', {}, 20);
+  assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+  assert.equal(cache.counts.evicted, 1);
+
+  assert.equal(cache.lookup('a', 1000), undefined);
+  assert.equal(cache.counts.expired, 1);
+  await new Promise(setImmediate);
+  assert.deepEqual((await store.load()).map(entry => entry.id), ['c']);
+});
+
+test('load restores unexpired entries from the store', async () => {
+  const store = new MemorySessionStore();
+  const now = Date.now();
+  await store.save({ id: 'old', value: 'x', hits: 0, createdAt: new Date(now - 5000).toISOString(), lastUsedAt: new Date(now - 5000).toISOString() });
+  await store.save({ id: 'new', value: 'y', hits: 2, createdAt: new Date(now).toISOString(), lastUsedAt: new Date(now).toISOString() });
+  const cache = new ResponseCache({ store, ttlMs: 1000 });
+  assert.deepEqual(await cache.load(now), { loaded: 1 });
+  assert.equal(cache.lookup('new', now), 'y');
+  assert.deepEqual((await store.load()).map(entry => entry.id), ['new']);
+});
+
+test('purge removes matching entries even when the store fails', async () => {
+  const store = new MemorySessionStore();
+  const failures = [];
+  store.delete = async (id) => {
+    if (id === 'a') throw new Error('disk full');
+  };
+  const cache = new ResponseCache({ store, onError: error => failures.push(error.message) });
+  cache.set('a', 'A', { provider: 'mock', model: 'echo' });
+  cache.set('b', 'B', { provider: 'mock', model: 'flaky' });
+  cache.set('c', 'C', { provider: 'gemini', model: 'gemini-1.5-flash' });
+
+  assert.equal(await cache.purge({ provider: 'mock' }), 2);
+  assert.deepEqual([...cache.entries.keys()], ['c']);
+  assert.deepEqual(failures, ['disk full']);
+  assert.equal(await cache.purge(), 1);
+  assert.equal(cache.size, 0);
+});
@@ -0,0 +1,234 @@
+// Tests of the REST API client (chat-client.js) against a stub HTTP server,
+// and of the CLI's --server mode (test.js) against the API server with the
+// mock provider.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { ChatApiClient, ChatApiError } from '../chat-client.js';
+
+const USER_KEY = 'client-user-key';
+const cwd = fileURLToPath(new URL('..', import.meta.url));
+
+const freePort = async () => {
+  const listener = createServer().listen(0);
+  await once(listener, 'listening');
+  const { port } = listener.address();
+  listener.close();
+  return port;
+};
+
+// A server that records each request and answers with `reply(req, body)`:
+// { status, headers, body } where a non-string body is sent as JSON
+const stubServer = async (reply) => {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : undefined });
+    const answer = await reply(req, body);
+    if (answer.hang) return;
+    res.writeHead(answer.status || 200, { 'Content-Type': typeof answer.body === 'string' ? 'text/html' : 'application/json', ...answer.headers });
+    res.end(typeof answer.body === 'string' ? answer.body : JSON.stringify(answer.body));
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests, close: () => { server.closeAllConnections(); server.close(); } };
+};
+
+let apiServer;
+let apiUrl;
+
+before(async () => {
+  const port = await freePort();
+  apiUrl = `http://127.0.0.1:${port}`;
+  apiServer = spawn(process.execPath, ['test2.js'], {
+    cwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AUTH_DISABLED: 'false',
+      API_KEYS: `${USER_KEY}:alice`,
+      MOCK_PROVIDER: 'true',
+      DEFAULT_PROVIDER: 'mock',
+      MOCK_MODEL: 'echo',
+      SESSION_STORE: 'memory',
+      PERSONA_STORE: 'memory',
+      USAGE_STORE: 'memory',
+      RESPONSE_CACHE: 'false',
+      LOG_LEVEL: 'error'
+    },
+    stdio: 'ignore'
+  });
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${apiUrl}/health`)).ok) break;
+    } catch (error) {
+      if (attempt > 100) throw error;
+    }
+    await sleep(100);
+  }
+});
+
+after(() => {
+  apiServer?.kill();
+});
+
+// Runs the CLI with `args`, writing `input` to its stdin, or with `lines`
+// typing one line at each prompt of an interactive chat
+const runCli = async (args, { input = '', lines, env = {} } = {}) => {
+  const cli = spawn(process.execPath, ['test.js', ...args], {
+    cwd,
+    env: {
+      ...process.env,
+      CHAT_API_KEY: USER_KEY,
+      CHAT_SERVER_URL: '',
+      CHAT_HISTORY_FILE: 'off',
+      DEFAULT_PERSONA: '',
+      FIREBASE_PROJECT_ID: '',
+      GCLOUD_PROJECT: '',
+      ...env
+    }
+  });
+  let stdout = '';
+  let stderr = '';
+  let prompts = 0;
+  cli.stdout.on('data', (chunk) => {
+    stdout += chunk;
+    for (const count = stdout.split('💬 You: ').length - 1; lines && prompts < count; prompts++) {
+      cli.stdin.write(`${lines[prompts] ?? 'exit'}\n`);
+    }
+  });
+  cli.stderr.on('data', chunk => { stderr += chunk; });
+  if (!lines) cli.stdin.end(input);
+  const [code] = await once(cli, 'close');
+  return { code, stdout, stderr };
+};
+
+test('requests carry the API key or the bearer token and JSON bodies', async () => {
+  const stub = await stubServer(() => ({ body: { success: true, sessionId: 's 1' } }));
+  try {
+    const withKey = new ChatApiClient({ baseUrl: `${stub.baseUrl}//`, apiKey: 'key-1' });
+    assert.equal(withKey.baseUrl, stub.baseUrl);
+    await withKey.createSession({ model: 'echo' });
+    await new ChatApiClient({ baseUrl: stub.baseUrl, token: 'jwt-1' }).getHistory('s 1');
+    await ChatApiClient.fromEnv(stub.baseUrl, { CHAT_API_KEY: 'key-2' }).search('rose garden', { limit: 5, role: undefined });
+
+    const [create, history, search] = stub.requests;
+    assert.deepEqual([create.method, create.url, create.headers['x-api-key'], create.headers.authorization], ['POST', '/api/chat/session', 'key-1', undefined]);
+    assert.equal(create.headers['content-type'], 'application/json');
+    assert.deepEqual(create.body, { model: 'echo' });
+    assert.deepEqual([history.method, history.url, history.headers.authorization, history.headers['x-api-key']], ['GET', '/api/chat/session/s%201/history', 'Bearer jwt-1', undefined]);
+    assert.equal(history.headers['content-type'], undefined);
+    assert.deepEqual([search.url, search.headers['x-api-key']], ['/api/chat/search?q=rose+garden&limit=5', 'key-2']);
+  } finally {
+    stub.close();
+  }
+});
+
+test('error responses become ChatApiErrors with the envelope', async () => {
+  const answers = [
+    { status: 429, headers: { 'Retry-After': '9' }, body: { success: false, error: 'Slow down', code: 'RATE_LIMITED', retryAfter: 4, requestId: 'req-1' } },
+    { status: 400, body: { success: false, error: 'Invalid message', code: 'VALIDATION_ERROR', details: [{ field: 'body.message', message: 'is required' }] } },
+    { status: 503, headers: { 'Retry-After': '7', 'X-Request-Id': 'req-2' }, body: '<html>Service unavailable</html>' },
+    { status: 200, body: { success: false, error: 'Refused', code: 'REFUSED' } },
+    { status: 200, body: 'not json' }
+  ];
+  const stub = await stubServer(() => answers.shift());
+  const api = new ChatApiClient({ baseUrl: stub.baseUrl });
+  const failsWith = (expected) => (error) => {
+    assert.ok(error instanceof ChatApiError);
+    assert.deepEqual(Object.fromEntries(Object.keys(expected).map(key => [key, error[key]])), expected);
+    return true;
+  };
+  try {
+    await assert.rejects(api.sendMessage('s1', 'hi'), failsWith({ message: 'Slow down', status: 429, code: 'RATE_LIMITED', retryAfter: 4, requestId: 'req-1' }));
+    await assert.rejects(api.sendMessage('s1', ''), failsWith({ code: 'VALIDATION_ERROR', details: [{ field: 'body.message', message: 'is required' }] }));
+    await assert.rejects(api.recentSessions(), failsWith({ message: 'Server answered 503 Service Unavailable', status: 503, code: 'HTTP_503', retryAfter: 7, requestId: 'req-2' }));
+    await assert.rejects(api.clearHistory('s1'), failsWith({ status: 200, code: 'REFUSED' }));
+    await assert.rejects(api.deleteSession('s1'), failsWith({ message: 'DELETE /api/chat/session/s1 did not answer with JSON', code: 'INVALID_RESPONSE' }));
+  } finally {
+    stub.close();
+  }
+});
+
+test('unreachable and slow servers, and bad URLs, fail with codes of their own', async () => {
+  const stub = await stubServer(() => ({ hang: true }));
+  try {
+    await assert.rejects(new ChatApiClient({ baseUrl: stub.baseUrl, timeoutMs: 50 }).getHistory('s1'), { code: 'TIMEOUT', status: null, message: 'GET /api/chat/session/s1/history timed out after 50ms' });
+  } finally {
+    stub.close();
+  }
+  await assert.rejects(new ChatApiClient({ baseUrl: `http://127.0.0.1:${await freePort()}` }).recentSessions(), (error) => (
+    error.code === 'SERVER_UNREACHABLE' && /^Cannot reach http:\/\/127\.0\.0\.1:\d+: /.test(error.message)
+  ));
+  assert.throws(() => new ChatApiClient({ baseUrl: 'chat.test' }), /Invalid server URL: chat\.test$/);
+  assert.throws(() => new ChatApiClient({ baseUrl: 'ftp://chat.test' }), /expected http or https/);
+});
+
+test('the client works against the API server', async () => {
+  const api = new ChatApiClient({ baseUrl: apiUrl, apiKey: USER_KEY });
+  const { sessionId } = await api.createSession({ sessionId: 'client-1' });
+  assert.equal(sessionId, 'client-1');
+  const reply = await api.sendMessage(sessionId, 'Hello', [{ name: 'notes.txt', mimeType: 'text/plain', data: Buffer.from('Bring tea').toString('base64'), size: 9 }]);
+  assert.match(reply.response, /^echo: Hello\n\nBring tea/);
+  const { history } = await api.getHistory(sessionId);
+  assert.equal(history.length, 1);
+  assert.deepEqual((await api.search('Hello')).results.map(result => result.role).sort(), ['assistant', 'user']);
+  await assert.rejects(new ChatApiClient({ baseUrl: apiUrl }).getHistory(sessionId), { status: 401 });
+  await assert.rejects(api.getHistory('missing'), { status: 404, code: 'SESSION_NOT_FOUND' });
+});
+
+test('--server sends prompts to a new server session and prints the replies', async () => {
+  const { code, stdout, stderr } = await runCli(['--server', apiUrl, '--batch', '-'], { input: 'First\nSecond\n' });
+  assert.equal(code, 0, stderr);
+  assert.equal(stdout, 'echo: First\n\necho: Second\n');
+  const [, sessionId] = stderr.match(/--session (\S+)/);
+  const { history } = await new ChatApiClient({ baseUrl: apiUrl, apiKey: USER_KEY }).getHistory(sessionId);
+  assert.deepEqual(history.map(exchange => exchange.user), ['First', 'Second']);
+
+  // --session continues it, the model and JSON output come along
+  const resumed = await runCli(['--server', apiUrl, '--session', sessionId, '-o', 'json', 'Third'], { env: { CHAT_API_KEY: '', CHAT_API_TOKEN: USER_KEY } });
+  assert.equal(resumed.code, 3, 'a bearer token is not an API key');
+  const json = await runCli(['--session', sessionId, '-o', 'json', 'Third'], { env: { CHAT_SERVER_URL: apiUrl } });
+  assert.equal(json.code, 0, json.stderr);
+  const transcript = JSON.parse(json.stdout);
+  assert.deepEqual(transcript.exchanges.map(exchange => exchange.user), ['First', 'Second', 'Third']);
+});
+
+test('--server reports server errors with their code and exit status', async () => {
+  const unauthenticated = await runCli(['--server', apiUrl, 'Hi'], { env: { CHAT_API_KEY: '' } });
+  assert.equal(unauthenticated.code, 3);
+  assert.match(unauthenticated.stderr, /Error initializing chat: .* \(UNAUTHORIZED\)/);
+  assert.match(unauthenticated.stderr, /Set CHAT_API_KEY \(or CHAT_API_TOKEN\)/);
+
+  const unknown = await runCli(['--server', apiUrl, '--session', 'no-such-session', 'Hi']);
+  assert.equal(unknown.code, 3);
+  assert.match(unknown.stderr, /\(SESSION_NOT_FOUND\)/);
+
+  const unreachable = await runCli(['--server', `http://127.0.0.1:${await freePort()}`, 'Hi']);
+  assert.equal(unreachable.code, 3);
+  assert.match(unreachable.stderr, /Cannot reach http:\/\/127\.0\.0\.1:\d+.*\(SERVER_UNREACHABLE\)/);
+
+  const invalid = await runCli(['--server', 'chat.test', 'Hi']);
+  assert.equal(invalid.code, 2);
+  assert.match(invalid.stderr, /Invalid server URL: chat\.test/);
+});
+
+test('--server commands go through the API', async () => {
+  const { code, stdout, stderr } = await runCli(['--server', apiUrl, '-i'], {
+    lines: ['Find the teapot', '/history', '/search teapot', '/search', '/recent', '/upload notes.txt', '/clear', '/history', 'exit']
+  });
+  assert.equal(code, 0, stderr);
+  assert.match(stdout, /echo: Find the teapot/);
+  assert.match(stdout, /2 matches for "teapot":\n {2}\[#1, user, [^\]]+\] Find the \*\*teapot\*\*\n {2}\[#1, assistant, /);
+  assert.match(stdout, /Usage: \/search <terms>/);
+  assert.match(stdout, /Recent Conversations:/);
+  assert.match(stdout, /\/upload notes\.txt is not available when chatting through a server/);
+  assert.match(stdout, /Conversation history cleared!/);
+  assert.match(stdout, /No conversation yet\./);
+});
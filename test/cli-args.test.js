@@ -0,0 +1,65 @@
+// Unit tests of the text chat's command-line arguments (cli-args.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCliArgs, parseBatch, UsageError, USAGE, OUTPUT_FORMATS } from '../cli-args.js';
+
+const parse = (args, env = {}) => parseCliArgs(args, env);
+const usageError = (message) => (error) => error instanceof UsageError && message.test(error.message);
+
+test('prompts, short and long options are read', () => {
+  assert.deepEqual(parse(['-m', 'openai:gpt-4o', '-t', '0.5', '-o', 'json', 'What', 'is', 'up?']), {
+    output: 'json',
+    model: 'openai:gpt-4o',
+    temperature: 0.5,
+    prompt: 'What is up?',
+    server: undefined
+  });
+  assert.deepEqual(parse([]), { output: 'text', prompt: '', server: undefined });
+  assert.equal(parse(['--batch', 'prompts.txt']).batch, 'prompts.txt');
+  assert.equal(parse(['-h']).help, true);
+  assert.equal(parse(['-t', '0']).temperature, 0);
+});
+
+test('CHAT_SERVER_URL stands in for --server', () => {
+  assert.equal(parse(['hi'], { CHAT_SERVER_URL: 'http://chat.test' }).server, 'http://chat.test');
+  assert.equal(parse(['--server', 'http://other.test', 'hi'], { CHAT_SERVER_URL: 'http://chat.test' }).server, 'http://other.test');
+  assert.equal(parse(['--session', 's1', 'hi'], { CHAT_SERVER_URL: 'http://chat.test' }).session, 's1');
+});
+
+test('invalid and conflicting arguments are usage errors', () => {
+  for (const [args, message] of [
+    [['--colour'], /Unknown option '--colour'/],
+    [['-o', 'yaml'], /--output must be one of text, json, markdown/],
+    [['-t', 'hot'], /--temperature must be a number from 0 to 2/],
+    [['-t', ' '], /--temperature must be a number from 0 to 2/],
+    [['-t', '2.5'], /--temperature must be a number from 0 to 2/],
+    [['-b', 'prompts.txt', 'hi'], /either a prompt or --batch/],
+    [['-i', 'hi'], /--interactive does not take a prompt or --batch/],
+    [['--session', 's1'], /--session needs --server/],
+    [['--server', 'http://chat.test', '-s', 'Be brief'], /--system is not available with --server/],
+    [['--server', 'http://chat.test', '--session', 's1', '-m', 'echo'], /only apply to new sessions/]
+  ]) {
+    assert.throws(() => parse(args), usageError(message), args.join(' '));
+  }
+});
+
+test('the usage text lists the output formats', () => {
+  assert.match(USAGE, new RegExp(`-o, --output <format>  ${OUTPUT_FORMATS.join(', ')}`));
+});
+
+test('parseBatch takes one prompt per line with continuations and comments', () => {
+  const text = [
+    '# Questions for the model',
+    '',
+    'What is 6*7?',
+    'Write a haiku \\',
+    'about the sea',
+    '  # an indented comment',
+    '   ',
+    '# the next line ends the file mid-continuation',
+    'Last one \\'
+  ].join('\r\n');
+  assert.deepEqual(parseBatch(text), ['What is 6*7?', 'Write a haiku \nabout the sea', 'Last one']);
+  assert.deepEqual(parseBatch('first\n# continued\\\nsecond'), ['first', 'second']);
+  assert.deepEqual(parseBatch('\n# only comments\n'), []);
+});
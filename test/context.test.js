@@ -0,0 +1,77 @@
+// Unit tests of token accounting and context-window management (context.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  contextConfigFromEnv, estimateTokens, exchangeTokens, emptyUsage, addUsage, summaryPreamble, slidingWindowStart, summarizeExchanges
+} from '../context.js';
+
+// An exchange whose user message and reply together are `tokens` estimated tokens
+const exchange = (tokens, label = '') => ({ user: label.padEnd(tokens * 2, '.'), assistant: ''.padEnd(tokens * 2, '.') });
+
+test('contextConfigFromEnv reads the CONTEXT_* variables', () => {
+  assert.deepEqual(contextConfigFromEnv({}), { strategy: 'none', tokenBudget: 32000, threshold: 0.8, target: 0.5, keepRecent: 4 });
+  assert.deepEqual(contextConfigFromEnv({
+    CONTEXT_STRATEGY: 'summarize',
+    CONTEXT_TOKEN_BUDGET: '1000',
+    CONTEXT_THRESHOLD: '0.9',
+    CONTEXT_TARGET: '0.3',
+    CONTEXT_KEEP_RECENT: '2'
+  }), { strategy: 'summarize', tokenBudget: 1000, threshold: 0.9, target: 0.3, keepRecent: 2 });
+  assert.throws(() => contextConfigFromEnv({ CONTEXT_STRATEGY: 'truncate' }), /Unknown CONTEXT_STRATEGY: truncate/);
+});
+
+test('estimateTokens counts four characters per token, rounding up', () => {
+  assert.equal(estimateTokens(), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+  assert.equal(exchangeTokens({ user: 'abcd', assistant: 'efgh' }), 2);
+});
+
+test('addUsage adds reported usage and ignores missing counts', () => {
+  const total = emptyUsage();
+  addUsage(total, { inputTokens: 10, outputTokens: 5, totalTokens: 15 });
+  addUsage(total, { inputTokens: 3 });
+  addUsage(total, undefined);
+  assert.deepEqual(total, { inputTokens: 13, outputTokens: 5, totalTokens: 15 });
+});
+
+test('slidingWindowStart keeps the newest exchanges that fit the budget', () => {
+  const exchanges = [exchange(10), exchange(10), exchange(10), exchange(10)];
+  assert.equal(slidingWindowStart(exchanges, 0, 100), 0);
+  assert.equal(slidingWindowStart(exchanges, 0, 25), 2);
+  assert.equal(slidingWindowStart(exchanges, 0, 20), 2);
+  // Never before `start`
+  assert.equal(slidingWindowStart(exchanges, 3, 100), 3);
+  // The newest exchange stays even when it alone is over the budget
+  assert.equal(slidingWindowStart([exchange(10), exchange(50)], 0, 20), 1);
+  assert.equal(slidingWindowStart([], 0, 20), 0);
+});
+
+test('summaryPreamble is one exchange carrying the summary', () => {
+  const [preamble, ...rest] = summaryPreamble('We talked about cats.');
+  assert.deepEqual(rest, []);
+  assert.match(preamble.user, /\nWe talked about cats\.$/);
+  assert.ok(preamble.assistant);
+});
+
+test('summarizeExchanges sends the transcript and any earlier summary to the model', async () => {
+  const sent = [];
+  const provider = {
+    startChat: (options) => ({
+      sendMessage: async (prompt) => {
+        sent.push({ options, prompt });
+        return { text: '  A short summary.\n', usage: { inputTokens: 40, outputTokens: 4, totalTokens: 44 } };
+      }
+    })
+  };
+  const exchanges = [{ user: 'Hi, I am Ada', assistant: 'Hello Ada' }, { user: 'I like 42', assistant: 'Noted' }];
+
+  const first = await summarizeExchanges(provider, { model: 'echo' }, exchanges);
+  assert.deepEqual(first, { summary: 'A short summary.', usage: { inputTokens: 40, outputTokens: 4, totalTokens: 44 } });
+  assert.equal(sent[0].prompt, 'User: Hi, I am Ada\nAssistant: Hello Ada\n\nUser: I like 42\nAssistant: Noted');
+  assert.equal(sent[0].options.model, 'echo');
+  assert.match(sent[0].options.systemInstruction, /summary/);
+
+  await summarizeExchanges(provider, { model: 'echo' }, exchanges.slice(1), 'Ada said hi.');
+  assert.equal(sent[1].prompt, 'Earlier summary:\nAda said hi.\n\nLater conversation:\nUser: I like 42\nAssistant: Noted');
+});
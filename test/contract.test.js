@@ -0,0 +1,334 @@
+// Contract test: starts the API server with the mock provider and checks that
+// real responses match the OpenAPI document it serves. Run with
+// `npm run test:contract`.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import { withResponseSchema } from '../structured-output.js';
+
+const ADMIN_KEY = 'contract-admin-key';
+const USER_KEY = 'contract-user-key';
+
+const freePort = async () => {
+  const server = createServer().listen(0);
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  return port;
+};
+
+let server;
+let baseUrl;
+let spec;
+let ajv;
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['test2.js'], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AUTH_DISABLED: 'false',
+      API_KEYS: `${ADMIN_KEY}:root:admin,${USER_KEY}:alice`,
+      MOCK_PROVIDER: 'true',
+      DEFAULT_PROVIDER: 'mock',
+      MOCK_MODEL: 'echo',
+      SESSION_STORE: 'memory',
+      PERSONA_STORE: 'memory',
+      USAGE_STORE: 'memory',
+      RESPONSE_CACHE: 'true',
+      RESPONSE_CACHE_STORE: 'memory',
+      // Phone numbers in messages reach the model, and are redacted in replies
+      MODERATION_POLICY: JSON.stringify({ input: { pii: { phone: 'flag' } } }),
+      LOG_LEVEL: 'error'
+    },
+    stdio: 'ignore'
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) break;
+    } catch (error) {
+      if (attempt > 100) throw error;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+  ajv = new Ajv({ strict: false, allErrors: true, allowUnionTypes: true });
+  ajv.addSchema(spec, 'openapi.json');
+});
+
+after(() => {
+  server?.kill();
+});
+
+// JSON pointer escaping of one path segment
+const escapePointer = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// The spec path matching a concrete URL path, e.g. /api/personas/{name}
+const specPathFor = (path) => Object.keys(spec.paths).find(template => (
+  new RegExp(`^${template.replace(/\{\w+\}/g, '[^/]+')}$`).test(path)
+));
+
+// Sends a request expecting `status` and checks the response against the
+// documented one: the status must be listed, and JSON bodies must match its schema
+async function call(method, path, { status = 200, body, key = ADMIN_KEY, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(key ? { 'X-API-Key': key } : {}),
+      ...(body !== undefined && typeof body !== 'string' ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const mediaType = (response.headers.get('content-type') || '').split(';')[0];
+  const text = await response.text();
+  const data = mediaType === 'application/json' ? JSON.parse(text) : text;
+
+  assert.equal(response.status, status, `${method} ${path}: ${text}`);
+
+  const template = specPathFor(path.split('?')[0]);
+  const operation = spec.paths[template]?.[method.toLowerCase()];
+  assert.ok(operation, `${method} ${path} is not documented`);
+  const documented = operation.responses[response.status];
+  assert.ok(documented, `${method} ${template} answered ${response.status}, which is not documented`);
+  assert.ok(documented.content?.[mediaType], `${method} ${template} ${response.status} answered ${mediaType}, which is not documented`);
+
+  if (documented.content[mediaType].schema) {
+    const pointer = ['paths', template, method.toLowerCase(), 'responses', response.status, 'content', mediaType, 'schema']
+      .map(escapePointer).join('/');
+    const validate = ajv.getSchema(`openapi.json#/${pointer}`);
+    assert.ok(validate(data), `${method} ${template} ${response.status}: ${ajv.errorsText(validate.errors)}\n${text}`);
+  }
+  return { status: response.status, data };
+}
+
+test('every operation is described', () => {
+  for (const [path, operations] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      assert.ok(operation.summary, `${method.toUpperCase()} ${path} has no describeRoute()`);
+      const success = Object.keys(operation.responses).filter(status => status.startsWith('2'));
+      assert.ok(success.length > 0, `${method.toUpperCase()} ${path} documents no success response`);
+    }
+  }
+});
+
+test('server and docs routes', async () => {
+  await call('GET', '/health', { key: null });
+  await call('GET', '/metrics', { key: null });
+  await call('GET', '/api/openapi.json', { key: null });
+  await call('GET', '/api/docs', { key: null });
+  await call('GET', '/api/docs/init.js', { key: null });
+  await call('GET', '/api/info');
+  await call('GET', '/api/tools');
+});
+
+test('sessions, messages and branches', async () => {
+  const { data: session } = await call('POST', '/api/chat/session', { status: 201, body: { sessionId: 'contract-1' }, key: USER_KEY });
+  assert.equal(session.sessionId, 'contract-1');
+  await call('POST', '/api/chat/session', { status: 409, body: { sessionId: 'contract-1' }, key: USER_KEY });
+
+  const { data: first } = await call('POST', '/api/chat/message', { body: { sessionId: 'contract-1', message: 'hello there' }, key: USER_KEY });
+  const { data: redacted } = await call('POST', '/api/chat/message', { body: { sessionId: 'contract-1', message: 'mail me at someone@example.com' }, key: USER_KEY });
+  assert.equal(redacted.moderation.flags[0].type, 'email');
+  await call('POST', '/api/chat/message/stream', { body: { sessionId: 'contract-1', message: 'streamed' }, key: USER_KEY });
+  await call('POST', '/api/chat/session/contract-1/regenerate', { key: USER_KEY });
+  const { data: edited } = await call('POST', '/api/chat/session/contract-1/edit', {
+    body: { exchangeId: first.exchangeId, message: 'hello again' },
+    key: USER_KEY
+  });
+
+  await call('GET', '/api/chat/session/contract-1/history', { key: USER_KEY });
+  await call('GET', '/api/chat/session/contract-1/branches', { key: USER_KEY });
+  await call('PUT', '/api/chat/session/contract-1/branch', { body: { exchangeId: first.exchangeId }, key: USER_KEY });
+  await call('PUT', '/api/chat/session/contract-1/branch', { body: { exchangeId: edited.exchangeId }, key: USER_KEY });
+  await call('POST', '/api/chat/session/contract-1/abort', { key: USER_KEY });
+  await call('GET', '/api/chat/search?q=hello', { key: USER_KEY });
+  const { data: recent } = await call('GET', '/api/chat/recent?limit=5', { key: USER_KEY });
+  assert.equal(recent.sessions[0].id, 'contract-1');
+
+  const { data: transcript } = await call('GET', '/api/chat/session/contract-1/export', { key: USER_KEY });
+  await call('GET', '/api/chat/session/contract-1/export?format=markdown', { key: USER_KEY });
+  await call('POST', '/api/chat/session/import?sessionId=contract-2', { status: 201, body: transcript, key: USER_KEY });
+
+  await call('PUT', '/api/chat/session/contract-2/clear', { key: USER_KEY });
+  await call('DELETE', '/api/chat/session/contract-2', { key: USER_KEY });
+});
+
+test('usage, admin and personas', async () => {
+  await call('GET', '/api/usage', { key: USER_KEY });
+  await call('GET', '/api/chat/sessions');
+  await call('POST', '/api/chat/cleanup', { body: { maxAge: 3600000 } });
+  await call('GET', '/api/admin/usage');
+  await call('GET', '/api/admin/usage/alice');
+  await call('PUT', '/api/admin/usage/alice', { body: { limits: { daily: { requests: 1000 } } } });
+
+  await call('GET', '/api/personas');
+  await call('GET', '/api/personas/assistant');
+  await call('POST', '/api/personas', { status: 201, body: { name: 'contract-persona', systemPrompt: 'You are {{mood}}.', variables: { mood: 'calm' } }, key: USER_KEY });
+  await call('PUT', '/api/personas/contract-persona', { body: { description: 'For the contract test' }, key: USER_KEY });
+  await call('DELETE', '/api/personas/contract-persona', { key: USER_KEY });
+});
+
+test('knowledge collections and cited replies', async () => {
+  await call('POST', '/api/knowledge/collections', { status: 201, body: { name: 'contract-docs', description: 'Contract test' }, key: USER_KEY });
+  const { data: ingested } = await call('POST', '/api/knowledge/collections/contract-docs/documents', {
+    status: 201,
+    body: { name: 'policy.md', mimeType: 'text/markdown', text: '# Policy\n\n## Vacation\n\nEmployees get 25 vacation days per year.' },
+    key: USER_KEY
+  });
+  const [document] = ingested.documents;
+  await call('GET', '/api/knowledge/collections', { key: USER_KEY });
+  await call('GET', '/api/knowledge/collections/contract-docs', { key: USER_KEY });
+  await call('GET', `/api/knowledge/collections/contract-docs/documents/${document.id}`, { key: USER_KEY });
+  await call('GET', '/api/knowledge/search?q=vacation%20days&collections=contract-docs', { key: USER_KEY });
+
+  await call('POST', '/api/chat/session', { status: 201, body: { sessionId: 'contract-rag', collections: ['contract-docs'] }, key: USER_KEY });
+  const { data: reply } = await call('POST', '/api/chat/message', { body: { sessionId: 'contract-rag', message: 'How many vacation days?' }, key: USER_KEY });
+  assert.equal(reply.citations[0].documentId, document.id);
+  await call('GET', reply.citations[0].link, { key: USER_KEY });
+
+  await call('DELETE', `/api/knowledge/collections/contract-docs/documents/${document.id}`, { key: USER_KEY });
+  await call('DELETE', '/api/knowledge/collections/contract-docs', { key: USER_KEY });
+  await call('DELETE', '/api/chat/session/contract-rag', { key: USER_KEY });
+});
+
+test('async replies, jobs and webhooks', async () => {
+  // Only admins may register webhooks on private networks; theirs get the
+  // events of every session
+  const { data: created } = await call('POST', '/api/webhooks', {
+    status: 201,
+    body: { url: 'http://127.0.0.1:9/hook', events: ['message.completed', 'session.deleted'], description: 'Contract test' }
+  });
+  const { webhook } = created;
+  assert.ok(webhook.secret);
+  assert.equal(webhook.allowPrivateNetworks, true);
+  await call('GET', '/api/webhooks');
+  const { data: fetched } = await call('GET', `/api/webhooks/${webhook.id}`);
+  assert.equal(fetched.webhook.secret, undefined);
+
+  await call('POST', '/api/chat/session', { status: 201, body: { sessionId: 'contract-jobs' }, key: USER_KEY });
+  const { data: accepted } = await call('POST', '/api/chat/message?async=true', {
+    status: 202,
+    body: { sessionId: 'contract-jobs', message: 'hello later' },
+    key: USER_KEY
+  });
+  let job;
+  for (let attempt = 0; attempt < 50; attempt++) {
+    ({ data: { job } } = await call('GET', accepted.links.job, { key: USER_KEY }));
+    if (job.status === 'succeeded' || job.status === 'failed') break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.result.sessionId, 'contract-jobs');
+  await call('POST', '/api/chat/session/contract-jobs/regenerate?async=true', { status: 202, key: USER_KEY });
+
+  await call('DELETE', '/api/chat/session/contract-jobs', { key: USER_KEY });
+  const { data: log } = await call('GET', `/api/webhooks/${webhook.id}/deliveries`);
+  assert.ok(log.deliveries.some(delivery => delivery.event === 'session.deleted'));
+  await call('DELETE', `/api/webhooks/${webhook.id}`);
+});
+
+test('response cache', async () => {
+  await call('POST', '/api/chat/session', { status: 201, body: { sessionId: 'contract-cache-1' }, key: USER_KEY });
+  await call('POST', '/api/chat/session', { status: 201, body: { sessionId: 'contract-cache-2' }, key: USER_KEY });
+  const { data: first } = await call('POST', '/api/chat/message', { body: { sessionId: 'contract-cache-1', message: 'cache me' }, key: USER_KEY });
+  const { data: second } = await call('POST', '/api/chat/message', { body: { sessionId: 'contract-cache-2', message: 'cache  me' }, key: USER_KEY });
+  assert.equal(first.cached, undefined);
+  assert.equal(second.cached, true);
+  assert.equal(second.response, first.response);
+  const { data: regenerated } = await call('POST', '/api/chat/session/contract-cache-2/regenerate', { key: USER_KEY });
+  assert.equal(regenerated.cached, undefined);
+
+  const { data: stats } = await call('GET', '/api/info/cache');
+  assert.ok(stats.cache.hits >= 1);
+  await call('GET', '/api/info/cache', { status: 403, key: USER_KEY });
+  await call('DELETE', '/api/info/cache?provider=mock');
+  const { data: purged } = await call('DELETE', '/api/info/cache');
+  assert.equal(purged.remaining, 0);
+
+  await call('DELETE', '/api/chat/session/contract-cache-1', { key: USER_KEY });
+  await call('DELETE', '/api/chat/session/contract-cache-2', { key: USER_KEY });
+});
+
+test('generation overrides and structured replies', async () => {
+  await call('POST', '/api/chat/session', { status: 201, body: { sessionId: 'contract-structured', generationConfig: { temperature: 0.2 } }, key: USER_KEY });
+  const generationConfig = { temperature: 1.5, maxOutputTokens: 256, stopSequences: ['END'] };
+  await call('POST', '/api/chat/message', { body: { sessionId: 'contract-structured', message: 'hot', generationConfig }, key: USER_KEY });
+
+  const responseSchema = { type: 'object', required: ['reply'], properties: { reply: { type: 'string' } } };
+  const { data: structured } = await call('POST', '/api/chat/message', {
+    body: { sessionId: 'contract-structured', message: 'as json', responseSchema },
+    key: USER_KEY
+  });
+  assert.match(structured.data.reply, /^echo: as json/);
+  assert.equal(structured.attempts, 1);
+  const { data: regenerated } = await call('POST', '/api/chat/session/contract-structured/regenerate', { key: USER_KEY });
+  assert.equal(typeof regenerated.data.reply, 'string');
+
+  const { data: history } = await call('GET', '/api/chat/session/contract-structured/history', { key: USER_KEY });
+  assert.equal(history.generationConfig.temperature, 0.2);
+  assert.deepEqual(history.history[0].generationConfig, generationConfig);
+  assert.deepEqual(history.history[1].responseSchema, responseSchema);
+
+  const { data: invalid } = await call('POST', '/api/chat/message', {
+    status: 502,
+    body: { sessionId: 'contract-structured', message: 'never', responseSchema: { ...responseSchema, required: ['reply', 'missing'] } },
+    key: USER_KEY
+  });
+  assert.equal(invalid.code, 'INVALID_STRUCTURED_OUTPUT');
+  // The echo only fits maxLength until its phone number is redacted, which
+  // makes it longer (the placeholder has as many digits as the real length)
+  const fitting = { ...responseSchema, properties: { reply: { type: 'string', maxLength: 100 } } };
+  fitting.properties.reply.maxLength = `echo: ${withResponseSchema('call 555-123-4567', fitting)}`.length;
+  const { data: moderated } = await call('POST', '/api/chat/message', {
+    status: 502,
+    body: { sessionId: 'contract-structured', message: 'call 555-123-4567', responseSchema: fitting },
+    key: USER_KEY
+  });
+  assert.equal(moderated.code, 'STRUCTURED_OUTPUT_MODERATED');
+  const { data: badSchema } = await call('POST', '/api/chat/message', {
+    status: 400,
+    body: { sessionId: 'contract-structured', message: 'hi', responseSchema: { type: 'no-such-type' } },
+    key: USER_KEY
+  });
+  assert.equal(badSchema.code, 'INVALID_RESPONSE_SCHEMA');
+  await call('POST', '/api/chat/message', { status: 400, body: { sessionId: 'contract-structured', message: 'hi', generationConfig: { temperature: 3 } }, key: USER_KEY });
+
+  await call('DELETE', '/api/chat/session/contract-structured', { key: USER_KEY });
+});
+
+test('error responses', async () => {
+  await call('GET', '/api/info', { status: 401, key: null });
+  await call('GET', '/api/info', { status: 401, key: 'wrong-key' });
+  await call('GET', '/api/chat/sessions', { status: 403, key: USER_KEY });
+  await call('POST', '/api/chat/session', { status: 400, body: { sessionId: 'bad id!' } });
+  await call('POST', '/api/chat/session', { status: 400, body: '{"broken"', headers: { 'Content-Type': 'application/json' } });
+  await call('POST', '/api/chat/message', { status: 404, body: { sessionId: 'missing', message: 'hi' } });
+  await call('GET', '/api/chat/session/missing/history', { status: 404 });
+  await call('GET', '/api/personas/missing', { status: 404 });
+  await call('DELETE', '/api/personas/assistant', { status: 403 });
+  await call('POST', '/api/chat/session', { status: 400, body: { collections: ['missing'] } });
+  await call('GET', '/api/knowledge/collections/missing', { status: 404 });
+  await call('POST', '/api/knowledge/collections/missing/documents', { status: 404, body: { name: 'a.txt', text: 'a' } });
+  await call('GET', '/api/jobs/missing', { status: 404 });
+  await call('GET', '/api/webhooks/missing', { status: 404 });
+  await call('POST', '/api/webhooks', { status: 400, body: { url: 'ftp://example.com', events: ['message.completed'] } });
+  const { data: privateUrl } = await call('POST', '/api/webhooks', { status: 400, body: { url: 'http://localhost:9/hook', events: ['message.completed'] }, key: USER_KEY });
+  assert.equal(privateUrl.code, 'WEBHOOK_URL_NOT_ALLOWED');
+  await call('POST', '/api/chat/message?async=maybe', { status: 400, body: { sessionId: 'missing', message: 'hi' } });
+
+  await call('POST', '/api/chat/session', { status: 201, body: { sessionId: 'contract-errors' } });
+  const pdf = { name: 'a.pdf', mimeType: 'application/pdf', data: Buffer.from('%PDF-1.4\n').toString('base64') };
+  const { data: unsupported } = await call('POST', '/api/chat/message', { status: 400, body: { sessionId: 'contract-errors', message: 'read this', attachments: [pdf] } });
+  assert.equal(unsupported.code, 'UNSUPPORTED_ATTACHMENT');
+  await call('DELETE', '/api/chat/session/contract-errors');
+});
@@ -0,0 +1,92 @@
+// Tests of the CLI's Firebase store (firebase-store.js). The round trips run
+// against the emulator suite (npm run emulators) and are skipped unless
+// FIRESTORE_EMULATOR_HOST, and for uploads FIREBASE_STORAGE_EMULATOR_HOST,
+// are set.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FirebaseChatStore } from '../firebase-store.js';
+
+const firestore = !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set';
+const storage = firestore || (!process.env.FIREBASE_STORAGE_EMULATOR_HOST && 'FIREBASE_STORAGE_EMULATOR_HOST is not set');
+
+// One collection per run, so runs against the same emulator do not meet
+const store = new FirebaseChatStore({
+  projectId: 'demo-chat',
+  storageBucket: 'demo-chat.appspot.com',
+  collection: `test-sessions-${process.pid}-${Date.now()}`,
+  timeoutMs: 5000
+});
+const uploaded = [];
+
+after(async () => {
+  if (firestore) return;
+  await store.db.recursiveDelete(store.collection);
+  for (const storagePath of uploaded) {
+    await store.storage.bucket(store.storageBucket).file(storagePath.replace(`gs://${store.storageBucket}/`, '')).delete({ ignoreNotFound: true });
+  }
+  await store.close();
+});
+
+test('sessions and their exchanges are saved and loaded again', { skip: firestore }, async () => {
+  assert.equal(store.isEmulator, true);
+  const docPath = await store.createSession('save-1', { model: 'echo' });
+  assert.equal(docPath, `${store.collection.id}/save-1`);
+  await store.addExchange('save-1', { user: 'Hello', assistant: 'echo: Hello' });
+  await store.addExchange('save-1', { user: 'x'.repeat(300), assistant: 'echo: x' });
+  await store.endSession('save-1', { reason: 'quit' });
+
+  const session = (await store.collection.doc('save-1').get()).data();
+  assert.equal(session.model, 'echo');
+  assert.equal(session.messageCount, 2);
+  assert.equal(session.lastMessage, 'x'.repeat(200));
+  assert.equal(session.reason, 'quit');
+  assert.ok(session.endedAt);
+  const exchanges = await store.collection.doc('save-1').collection('exchanges').orderBy('createdAt').get();
+  assert.deepEqual(exchanges.docs.map(doc => doc.data().user.slice(0, 5)), ['Hello', 'xxxxx']);
+});
+
+test('recent sessions are listed newest first and deleted sessions are gone', { skip: firestore }, async () => {
+  await store.createSession('list-1', { model: 'echo' });
+  await store.createSession('list-2', { model: 'flaky' });
+  await store.addExchange('list-1', { user: 'Latest', assistant: 'echo: Latest' });
+
+  const [latest, ...rest] = await store.listRecentSessions(50);
+  assert.deepEqual([latest.sessionId, latest.model, latest.messageCount, latest.lastMessage], ['list-1', 'echo', 1, 'Latest']);
+  assert.ok(latest.createdAt instanceof Date);
+  assert.ok(rest.some(session => session.sessionId === 'list-2'));
+  assert.equal((await store.listRecentSessions(1)).length, 1);
+
+  await store.db.recursiveDelete(store.collection.doc('list-2'));
+  assert.equal((await store.listRecentSessions(50)).some(session => session.sessionId === 'list-2'), false);
+});
+
+test('files are uploaded to Cloud Storage and recorded with the session', { skip: storage }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'firebase-store-'));
+  const file = path.join(dir, 'notes.md');
+  await fs.writeFile(file, '# Notes\n');
+  try {
+    await store.createSession('upload-1');
+    const upload = await store.uploadFile('upload-1', file, 'Meeting notes');
+    uploaded.push(upload.storagePath);
+    assert.deepEqual({ ...upload, storagePath: undefined }, { name: 'notes.md', contentType: 'text/markdown', size: 8, description: 'Meeting notes', storagePath: undefined });
+    assert.match(upload.storagePath, /^gs:\/\/demo-chat\.appspot\.com\/uploads\/upload-1\/\d+_notes\.md$/);
+
+    const [contents] = await store.storage.bucket(store.storageBucket).file(upload.storagePath.replace('gs://demo-chat.appspot.com/', '')).download();
+    assert.equal(contents.toString(), '# Notes\n');
+    const records = await store.collection.doc('upload-1').collection('uploads').get();
+    assert.deepEqual(records.docs.map(doc => doc.data().storagePath), [upload.storagePath]);
+    await assert.rejects(store.uploadFile('upload-1', dir), /Not a file/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('an upload that does not finish times out', async () => {
+  const stalled = new FirebaseChatStore({ projectId: 'demo-chat', storageBucket: 'demo-chat.appspot.com', timeoutMs: 20 });
+  stalled.storage = { bucket: () => ({ upload: () => new Promise(() => {}) }) };
+  await assert.rejects(stalled.uploadFile('s1', fileURLToPath(import.meta.url)), /Firebase uploadFile timed out after 20ms/);
+});
@@ -0,0 +1,103 @@
+// Unit tests of the background job queue (jobs.js), with jobs that finish
+// when the test says so.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as tick } from 'node:timers/promises';
+import { JobQueue, jobConfigFromEnv } from '../jobs.js';
+import { NotFoundError, UpstreamError } from '../errors.js';
+
+// A job run that waits for finish(); started lists the runs begun
+const controlled = (started) => {
+  let resolve;
+  const run = (job) => {
+    started.push(job.id);
+    return new Promise((done) => { resolve = done; });
+  };
+  return { run, finish: async (result) => { resolve(result); await tick(); } };
+};
+
+test('jobConfigFromEnv reads JOB_CONCURRENCY, JOB_QUEUE_SIZE and JOB_RETENTION_MS', () => {
+  assert.deepEqual(jobConfigFromEnv({}), { concurrency: 2, maxQueued: 100, retentionMs: 60 * 60 * 1000 });
+  assert.deepEqual(jobConfigFromEnv({ JOB_CONCURRENCY: '4', JOB_QUEUE_SIZE: '10', JOB_RETENTION_MS: '1000' }), { concurrency: 4, maxQueued: 10, retentionMs: 1000 });
+});
+
+test('at most `concurrency` jobs run and the rest wait in order', async () => {
+  const started = [];
+  const queue = new JobQueue({ concurrency: 2 });
+  const runs = [controlled(started), controlled(started), controlled(started)];
+  const jobs = runs.map(({ run }, index) => queue.enqueue({ type: 'reply', owner: 'alice', key: `s${index}`, run }));
+
+  assert.deepEqual(started, [jobs[0].id, jobs[1].id]);
+  assert.deepEqual(jobs.map(job => job.status), ['running', 'running', 'queued']);
+  assert.deepEqual(jobs.map(job => queue.positionOf(job.id)), [null, null, 0]);
+  assert.equal(queue.queued, 1);
+
+  await runs[1].finish({ response: 'done' });
+  assert.equal(jobs[1].status, 'succeeded');
+  assert.deepEqual(jobs[1].result, { response: 'done' });
+  assert.ok(jobs[1].startedAt && jobs[1].finishedAt);
+  assert.deepEqual(started, jobs.map(job => job.id));
+  assert.equal(queue.get(jobs[2].id).status, 'running');
+});
+
+test('jobs with the same key run one after another', async () => {
+  const started = [];
+  const queue = new JobQueue({ concurrency: 3 });
+  const runs = [controlled(started), controlled(started), controlled(started)];
+  const [first, second, other] = [['s1', runs[0]], ['s1', runs[1]], ['s2', runs[2]]]
+    .map(([key, { run }]) => queue.enqueue({ type: 'reply', owner: 'alice', key, run }));
+
+  // The second s1 job waits, the s2 job behind it does not
+  assert.deepEqual(started, [first.id, other.id]);
+  assert.equal(queue.positionOf(second.id), 0);
+  await runs[0].finish('one');
+  assert.deepEqual(started, [first.id, other.id, second.id]);
+});
+
+test('hasPending knows the keys of queued and running jobs', async () => {
+  const started = [];
+  const queue = new JobQueue({ concurrency: 1 });
+  const runs = [controlled(started), controlled(started)];
+  queue.enqueue({ type: 'reply', owner: 'alice', key: 's1', run: runs[0].run });
+  queue.enqueue({ type: 'reply', owner: 'alice', key: 's2', run: runs[1].run });
+  assert.deepEqual(['s1', 's2', 's3'].map(key => queue.hasPending(key)), [true, true, false]);
+  await runs[0].finish('one');
+  await runs[1].finish('two');
+  assert.deepEqual(['s1', 's2'].map(key => queue.hasPending(key)), [false, false]);
+});
+
+test('failed jobs keep the error envelope and its HTTP status', async () => {
+  const settled = [];
+  const queue = new JobQueue({ onSettled: (job, error) => settled.push([job.status, error?.message]) });
+  const job = queue.enqueue({
+    type: 'reply',
+    owner: 'alice',
+    run: async () => { throw new UpstreamError('The model is unavailable', { code: 'MODEL_UNAVAILABLE' }); }
+  });
+  await tick();
+  assert.equal(job.status, 'failed');
+  assert.deepEqual(job.error, { status: 502, error: 'The model is unavailable', code: 'MODEL_UNAVAILABLE' });
+  assert.equal(job.result, undefined);
+
+  queue.enqueue({ type: 'reply', owner: 'alice', run: async () => 'ok' });
+  await tick();
+  assert.deepEqual(settled, [['failed', 'The model is unavailable'], ['succeeded', undefined]]);
+});
+
+test('a full queue refuses with 503 QUEUE_FULL', () => {
+  const queue = new JobQueue({ concurrency: 1, maxQueued: 1 });
+  const run = () => new Promise(() => {});
+  queue.enqueue({ type: 'reply', run });
+  queue.enqueue({ type: 'reply', run });
+  assert.throws(() => queue.enqueue({ type: 'reply', run }), { status: 503, code: 'QUEUE_FULL', retryAfter: 5 });
+});
+
+test('finished jobs are dropped after retentionMs', async () => {
+  const queue = new JobQueue({ retentionMs: 1000 });
+  const job = queue.enqueue({ type: 'reply', run: async () => 'ok' });
+  await tick();
+  queue.prune(Date.parse(job.finishedAt) + 1000);
+  assert.equal(queue.get(job.id), job);
+  queue.prune(Date.parse(job.finishedAt) + 1001);
+  assert.throws(() => queue.get(job.id), (error) => error instanceof NotFoundError && error.code === 'JOB_NOT_FOUND');
+});
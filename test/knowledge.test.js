@@ -0,0 +1,164 @@
+// Unit tests of knowledge collections (knowledge.js): chunking, BM25 and
+// fused retrieval, ownership and the prompt and citation helpers.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KnowledgeBase, chunkText, knowledgeConfigFromEnv, withSources, toCitations } from '../knowledge.js';
+import { MemorySessionStore } from '../session-store.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../errors.js';
+
+const alice = { id: 'alice', role: 'user' };
+const bob = { id: 'bob', role: 'user' };
+const admin = { id: 'root', role: 'admin' };
+const file = (name, text) => ({ name, buffer: Buffer.from(text) });
+
+const GUIDE = `# Garden guide
+
+## Tomatoes
+
+Tomatoes need full sun and regular watering. Stake tomatoes early.
+
+## Roses
+
+Prune roses in late winter. Roses like rich soil.
+`;
+
+const createKnowledge = async (options = {}) => {
+  const knowledge = new KnowledgeBase({ limits: { ...knowledgeConfigFromEnv({}), chunkSize: 200, chunkOverlap: 50, maxBytes: 4096 }, ...options });
+  await knowledge.createCollection({ name: 'garden', description: 'Gardening notes' }, alice);
+  await knowledge.addDocuments('garden', [
+    file('guide.md', GUIDE),
+    file('notes.txt', 'Water the lawn in the morning. Lawn mowing once a week keeps the lawn healthy.')
+  ], alice);
+  return knowledge;
+};
+
+test('knowledgeConfigFromEnv reads the KNOWLEDGE_* variables', () => {
+  assert.deepEqual(knowledgeConfigFromEnv({}), { chunkSize: 1200, chunkOverlap: 200, topK: 4, maxBytes: 20 * 1024 * 1024, maxFiles: 10 });
+  const { chunkSize, topK } = knowledgeConfigFromEnv({ KNOWLEDGE_CHUNK_SIZE: '500', KNOWLEDGE_TOP_K: '2' });
+  assert.deepEqual([chunkSize, topK], [500, 2]);
+});
+
+test('chunkText splits along paragraphs, sentences and words with overlap', () => {
+  const paragraphs = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+  assert.deepEqual(chunkText(paragraphs, { size: 90, overlap: 45 }).map(chunk => chunk.text), [
+    `${'a'.repeat(40)}\n\n${'b'.repeat(40)}`,
+    `${'b'.repeat(40)}\n\n${'c'.repeat(40)}`
+  ]);
+  assert.deepEqual(chunkText('One two three. Four five six.', { size: 16, overlap: 0 }).map(chunk => chunk.text), ['One two three.', 'Four five six.']);
+  assert.deepEqual(chunkText('x'.repeat(25), { size: 10, overlap: 0 }).map(chunk => chunk.text), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  assert.deepEqual(chunkText(' \r\n\r\n '), []);
+});
+
+test('markdown chunks stay within a section and know its heading', () => {
+  const chunks = chunkText('Intro\n\n# One\n\nFirst\n\n```\n# not a heading\n```\n\n## Two\n\nSecond', { markdown: true });
+  assert.deepEqual(chunks.map(chunk => [chunk.heading, chunk.text]), [
+    [undefined, 'Intro'],
+    ['One', '# One\n\nFirst\n\n```\n# not a heading\n```'],
+    ['Two', '## Two\n\nSecond']
+  ]);
+});
+
+test('BM25 retrieval finds the passages about the query', async () => {
+  const knowledge = await createKnowledge();
+  const [best, ...rest] = await knowledge.search(['garden'], 'how should I prune roses?', { limit: 2 });
+  assert.equal(best.heading, 'Roses');
+  assert.equal(best.title, 'Garden guide');
+  assert.equal(best.document, 'guide.md');
+  assert.ok(best.score > 0);
+  assert.ok(rest.every(passage => passage.score <= best.score));
+  assert.equal((await knowledge.search(['garden'], 'lawn'))[0].document, 'notes.txt');
+  assert.deepEqual(await knowledge.search(['garden'], 'helicopter'), []);
+  assert.deepEqual(await knowledge.search(['missing'], 'roses'), []);
+  assert.deepEqual(await knowledge.search(['garden'], '?!'), []);
+
+  const chunk = knowledge.getChunk('garden', best.chunkId);
+  assert.equal(chunk.text, best.text);
+  assert.throws(() => knowledge.getChunk('other', best.chunkId), (error) => error instanceof NotFoundError && error.code === 'CHUNK_NOT_FOUND');
+});
+
+test('collections are stored and loaded again with their index', async () => {
+  const store = new MemorySessionStore();
+  const knowledge = await createKnowledge({ store });
+  const reloaded = new KnowledgeBase({ store });
+  assert.deepEqual(await reloaded.load(), { collections: 1, documents: 2 });
+  assert.equal(reloaded.chunkCount, knowledge.chunkCount);
+  assert.deepEqual(reloaded.listCollections().map(({ name, documentCount }) => [name, documentCount]), [['garden', 2]]);
+  assert.equal((await reloaded.search(['garden'], 'tomatoes'))[0].heading, 'Tomatoes');
+});
+
+test('a document with the same name replaces the old one', async () => {
+  const knowledge = await createKnowledge();
+  const [old] = knowledge.documentsOf('garden').filter(document => document.name === 'notes.txt');
+  const { documents, replaced } = await knowledge.addDocuments('garden', [file('notes.txt', 'Compost kitchen scraps.')], alice);
+  assert.deepEqual(replaced, [old.id]);
+  assert.equal(documents[0].chunkCount, 1);
+  assert.deepEqual(await knowledge.search(['garden'], 'lawn'), []);
+  assert.equal((await knowledge.search(['garden'], 'compost'))[0].document, 'notes.txt');
+  assert.throws(() => knowledge.getDocument('garden', old.id), NotFoundError);
+});
+
+test('only the owner or an admin changes a collection', async () => {
+  const knowledge = await createKnowledge();
+  await assert.rejects(knowledge.createCollection({ name: 'garden' }, bob), (error) => error instanceof ConflictError && error.code === 'COLLECTION_EXISTS');
+  await assert.rejects(knowledge.createCollection({ name: 'My Notes' }, bob), ValidationError);
+  await assert.rejects(knowledge.addDocuments('garden', [file('b.txt', 'text')], bob), ForbiddenError);
+  const [document] = knowledge.documentsOf('garden');
+  await assert.rejects(knowledge.deleteDocument('garden', document.id, bob), ForbiddenError);
+  await knowledge.deleteDocument('garden', document.id, alice);
+  assert.equal(knowledge.describeCollection('garden').documentCount, 1);
+  await knowledge.deleteCollection('garden', admin);
+  assert.equal(knowledge.has('garden'), false);
+  assert.equal(knowledge.chunkCount, 0);
+});
+
+test('unsupported, oversized, empty and broken documents are refused before any is stored', async () => {
+  const knowledge = await createKnowledge();
+  const count = knowledge.documentsOf('garden').length;
+  const refused = async (files, match) => {
+    await assert.rejects(knowledge.addDocuments('garden', files, alice), match);
+    assert.equal(knowledge.documentsOf('garden').length, count);
+  };
+  await refused([file('ok.txt', 'fine'), file('image.png', 'png')], (error) => error.code === 'UNSUPPORTED_DOCUMENT_TYPE');
+  await refused([file('big.txt', 'x'.repeat(knowledge.limits.maxBytes + 1))], (error) => error.status === 413);
+  await refused([file('empty.md', '\n\n')], (error) => error.code === 'EMPTY_DOCUMENT');
+  await refused([{ name: 'latin1.txt', buffer: Buffer.from([0x63, 0x61, 0x66, 0xe9]) }], /text documents must be UTF-8/);
+  await refused([file('fake.pdf', 'not a pdf')], /not a PDF file/);
+  await refused([], /expected 1 to 10 files/);
+});
+
+test('with an embedder, keyword and vector rankings are fused', async () => {
+  // Vectors that only know whether a text is about roses or lawns
+  const embedder = {
+    model: 'toy',
+    embed: async (texts) => texts.map(text => [/rose|flower/i.test(text) ? 1 : 0, /lawn|grass/i.test(text) ? 1 : 0])
+  };
+  const knowledge = await createKnowledge({ embedder });
+  assert.equal(knowledge.documentsOf('garden')[0].embeddingModel, 'toy');
+  // No keyword matches "flower", the vectors still find the roses
+  const [passage] = await knowledge.search(['garden'], 'flower care', { limit: 1 });
+  assert.equal(passage.heading, 'Roses');
+  assert.ok(passage.score < 1);
+  assert.equal(passage.embedding, undefined);
+
+  const errors = [];
+  embedder.embed = async () => { throw new Error('embedding service down'); };
+  knowledge.onEmbeddingError = error => errors.push(error.message);
+  assert.equal((await knowledge.search(['garden'], 'lawn'))[0].document, 'notes.txt');
+  assert.deepEqual(errors, ['embedding service down']);
+});
+
+test('withSources numbers the passages and toCitations reports which were cited', () => {
+  const passages = [
+    { collection: 'garden', documentId: 'd1', document: 'guide.md', title: 'Garden guide', heading: 'Roses', chunkId: 'd1:2', text: 'Prune roses in late winter.', score: 2.5 },
+    { collection: 'garden', documentId: 'd2', document: 'manual.pdf', page: 4, chunkId: 'd2:0', text: 'Mow the lawn weekly.', score: 1.1 }
+  ];
+  assert.equal(withSources('When?', []), 'When?');
+  const prompt = withSources('When do I prune roses?', passages);
+  assert.match(prompt, /\[1\] Garden guide, Roses\nPrune roses in late winter\.\n\n\[2\] manual\.pdf, page 4\nMow the lawn weekly\.\n\nQuestion: When do I prune roses\?$/);
+
+  const citations = toCitations(passages, 'In late winter [1].', 'prune roses');
+  assert.deepEqual(citations.map(({ index, cited }) => [index, cited]), [[1, true], [2, false]]);
+  assert.equal(citations[0].link, '/api/knowledge/collections/garden/chunks/d1:2');
+  assert.equal(citations[1].page, 4);
+  assert.equal(toCitations(passages, 'See [1, 2].', 'lawn').filter(citation => citation.cited).length, 2);
+});
@@ -0,0 +1,102 @@
+// Unit tests of the Prometheus metrics (metrics.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { MetricsRegistry, createHttpMetricsMiddleware, createMetricsHandler, boundedLabel, PROMETHEUS_CONTENT_TYPE } from '../metrics.js';
+import { UnauthorizedError } from '../errors.js';
+
+test('counters keep one series per label combination', () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter({ name: 'jobs_total', help: 'Jobs by "state"\nand queue', labelNames: ['state'] });
+  counter.inc({ state: 'done' });
+  counter.inc({ state: 'done' }, 2);
+  counter.inc({ state: 'say "hi"\\' });
+  counter.inc();
+  assert.equal(registry.render(), [
+    '# HELP jobs_total Jobs by "state"\\nand queue',
+    '# TYPE jobs_total counter',
+    'jobs_total{state="done"} 3',
+    'jobs_total{state="say \\"hi\\"\\\\"} 1',
+    'jobs_total{state=""} 1',
+    ''
+  ].join('\n'));
+  assert.throws(() => counter.inc({}, -1), /Counter jobs_total cannot decrease/);
+  assert.throws(() => registry.counter({ name: 'jobs_total', help: 'again' }), /already registered/);
+});
+
+test('gauges are set directly or collected at scrape time', () => {
+  const registry = new MetricsRegistry();
+  const active = registry.gauge({ name: 'active', help: 'Active things' });
+  active.inc();
+  active.inc({}, 4);
+  active.dec({}, 2);
+  let sessions = 7;
+  registry.gauge({ name: 'sessions', help: 'Sessions', collect: () => sessions });
+  assert.match(registry.render(), /^active 3$/m);
+  assert.match(registry.render(), /^sessions 7$/m);
+  sessions = 8;
+  assert.match(registry.render(), /^sessions 8$/m);
+});
+
+test('histograms count observations into cumulative buckets', () => {
+  const registry = new MetricsRegistry();
+  const histogram = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['model'], buckets: [1, 0.1] });
+  for (const value of [0.05, 0.5, 3]) histogram.observe({ model: 'echo' }, value);
+  assert.deepEqual(registry.render().trim().split('\n').slice(2), [
+    'latency_seconds_bucket{model="echo",le="0.1"} 1',
+    'latency_seconds_bucket{model="echo",le="1"} 2',
+    'latency_seconds_bucket{model="echo",le="+Inf"} 3',
+    'latency_seconds_sum{model="echo"} 3.55',
+    'latency_seconds_count{model="echo"} 3'
+  ]);
+});
+
+test('bounded labels count values outside the allowed ones as other', () => {
+  const modelLabel = boundedLabel(['echo', 'gpt-4o-mini']);
+  assert.deepEqual(['echo', 'gpt-4o-mini', 'my-own-model', undefined].map(modelLabel), ['echo', 'gpt-4o-mini', 'other', 'other']);
+});
+
+test('the HTTP middleware counts requests by route pattern and errors by type', () => {
+  const registry = new MetricsRegistry();
+  const errors = registry.counter({ name: 'errors_total', help: 'Errors', labelNames: ['type'] });
+  const middleware = createHttpMetricsMiddleware(registry, { errors });
+  const request = (req, statusCode) => {
+    const res = Object.assign(new EventEmitter(), { statusCode });
+    middleware(req, res, () => {});
+    res.emit('finish');
+  };
+  request({ method: 'GET', baseUrl: '/api/chat', route: { path: '/sessions/:id' } }, 200);
+  request({ method: 'GET', baseUrl: '/api/chat', route: { path: '/sessions/:id' } }, 404);
+  request({ method: 'POST' }, 404);
+  request({ method: 'POST', baseUrl: '', route: { path: '/boom' } }, 503);
+
+  const text = registry.render();
+  assert.match(text, /^http_requests_total{method="GET",route="\/api\/chat\/sessions\/:id",status="200"} 1$/m);
+  assert.match(text, /^http_requests_total{method="POST",route="unmatched",status="404"} 1$/m);
+  assert.match(text, /^http_request_duration_seconds_count{method="GET",route="\/api\/chat\/sessions\/:id"} 2$/m);
+  assert.match(text, /^errors_total{type="not_found"} 2$/m);
+  assert.match(text, /^errors_total{type="internal"} 1$/m);
+});
+
+test('the metrics endpoint asks for the bearer token when one is set', () => {
+  const registry = new MetricsRegistry();
+  registry.counter({ name: 'up_total', help: 'Up' }).inc();
+  const scrape = (authorization, token) => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      type(contentType) { this.contentType = contentType; return this; },
+      send(body) { this.body = body; return this; }
+    };
+    createMetricsHandler(registry, { token })({ get: () => authorization }, res);
+    return res;
+  };
+
+  const open = scrape(undefined);
+  assert.equal(open.contentType, PROMETHEUS_CONTENT_TYPE);
+  assert.match(open.body, /^up_total 1$/m);
+  for (const authorization of ['Bearer wrong', 'Bearer secret2', undefined]) {
+    assert.throws(() => scrape(authorization, 'secret'), (error) => error instanceof UnauthorizedError && error.status === 401);
+  }
+  assert.match(scrape('Bearer secret', 'secret').body, /^up_total 1$/m);
+});
@@ -0,0 +1,119 @@
+// Unit tests of content moderation (moderation.js): block lists, PII actions,
+// persona policies and the stream filter.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  ModerationPipeline, compileModerationPolicy, mergeModerationPolicies, moderateText, moderationPolicyFromEnv, DEFAULT_MODERATION_POLICY
+} from '../moderation.js';
+import { ValidationError } from '../errors.js';
+
+const stage = (rules = {}) => ({ blockWords: [], blockPatterns: [], pii: {}, ...rules });
+const input = (rules) => compileModerationPolicy({ input: stage(rules) }).input;
+
+test('PII is redacted by default, cards and phones only when they look real', () => {
+  const moderation = new ModerationPipeline();
+  const { text, blocked, flags } = moderation.checkInput('Mail ada@example.com or call +1 (555) 123-4567, card 4111 1111 1111 1111');
+  assert.equal(text, 'Mail [REDACTED EMAIL] or call [REDACTED PHONE], card [REDACTED CARD]');
+  assert.equal(blocked, false);
+  assert.deepEqual(flags.map(flag => `${flag.type}:${flag.action}:${flag.count}`), ['email:redact:1', 'phone:redact:1', 'card:redact:1']);
+
+  // A long number failing the Luhn check, a date, an IP address and a short run of digits
+  const plain = 'Order 4111 1111 1111 1112 on 2026-01-15 from 192.168.1.10, room 1234567';
+  assert.equal(moderation.checkInput(plain).text, plain);
+});
+
+test('block words match whole words and block patterns are regular expressions', () => {
+  const rules = input({ blockWords: ['secret plan', ' '], blockPatterns: ['pass(word)?\\s*[:=]'] });
+  assert.deepEqual(moderateText('The Secret Plan is here', rules, 'input').flags, [{ stage: 'input', rule: 'word', action: 'block', count: 1 }]);
+  assert.equal(moderateText('secret plans', rules, 'input').blocked, false);
+  assert.equal(moderateText('my PASSWORD: hunter2', rules, 'input').blocked, true);
+  assert.throws(() => input({ blockPatterns: ['(unclosed'] }), (error) => error instanceof ValidationError && /Invalid moderation\.input\.blockPatterns/.test(error.message));
+});
+
+test('flagged PII is counted and passed through', () => {
+  const flags = [];
+  const moderation = new ModerationPipeline({ input: stage({ pii: { email: 'flag' } }) }, { onFlag: flag => flags.push(flag) });
+  const result = moderation.checkInput('a@b.io and c@d.io');
+  assert.equal(result.text, 'a@b.io and c@d.io');
+  assert.deepEqual(flags, [{ stage: 'input', rule: 'pii', type: 'email', action: 'flag', count: 2 }]);
+});
+
+test('blocked replies are replaced with the blocked message, provider blocks included', () => {
+  const moderation = new ModerationPipeline({ output: stage({ blockWords: ['forbidden'] }), blockedMessage: 'Withheld.' });
+  assert.deepEqual(moderation.checkOutput('a forbidden reply'), {
+    text: 'Withheld.',
+    blocked: true,
+    flags: [{ stage: 'output', rule: 'word', action: 'block', count: 1 }]
+  });
+  const provider = moderation.checkOutput('', undefined, { safetyBlock: { stage: 'prompt', reason: 'SAFETY', categories: ['HARASSMENT'] } });
+  assert.equal(provider.text, 'Withheld.');
+  assert.deepEqual(provider.flags, [{ stage: 'input', rule: 'provider', type: 'SAFETY', action: 'block', count: 1, categories: ['HARASSMENT'] }]);
+});
+
+test('a persona policy adds block lists and overrides PII actions and the message', () => {
+  const deployment = { input: stage({ blockWords: ['alpha'], pii: { email: 'redact', phone: 'block' } }), output: stage(), blockedMessage: 'No.' };
+  const persona = { input: { blockWords: ['beta'], pii: { email: 'off' } }, blockedMessage: 'Not here.' };
+  assert.deepEqual(mergeModerationPolicies(deployment, persona), {
+    input: { blockWords: ['alpha', 'beta'], blockPatterns: [], pii: { email: 'off', phone: 'block' } },
+    output: { blockWords: [], blockPatterns: [], pii: {} },
+    blockedMessage: 'Not here.'
+  });
+
+  const moderation = new ModerationPipeline(deployment);
+  assert.equal(moderation.checkInput('ada@example.com').text, '[REDACTED EMAIL]');
+  assert.equal(moderation.checkInput('ada@example.com', persona).text, 'ada@example.com');
+  assert.equal(moderation.checkInput('beta', persona).blocked, true);
+  assert.equal(moderation.checkInput('beta').blocked, false);
+  // Compiled once per persona policy
+  assert.equal(moderation.policyFor(persona), moderation.policyFor(persona));
+});
+
+test('the stream filter catches matches split across chunks', () => {
+  const moderation = new ModerationPipeline();
+  const emitted = [];
+  const filter = moderation.streamFilter(undefined, text => emitted.push(text));
+  const reply = `${'Some filler text. '.repeat(6)}Write to ada@exam`;
+  filter.push(reply);
+  filter.push('ple.com today.');
+  filter.flush();
+  assert.equal(emitted.join(''), `${'Some filler text. '.repeat(6)}Write to [REDACTED EMAIL] today.`);
+  assert.ok(emitted.length > 1);
+});
+
+test('the stream filter stops at blocked output and passes everything through without rules', () => {
+  const blocking = new ModerationPipeline({ output: stage({ blockWords: ['forbidden'] }) });
+  const emitted = [];
+  const filter = blocking.streamFilter(undefined, text => emitted.push(text));
+  filter.push(`${'fine '.repeat(30)}forbid`);
+  filter.push(`den${' more'.repeat(30)}`);
+  filter.flush();
+  assert.match(emitted.join(''), /^fine fine /);
+  assert.doesNotMatch(emitted.join(''), /forbid|more/);
+
+  const open = new ModerationPipeline({ input: stage(), output: stage() });
+  const chunks = [];
+  const passthrough = open.streamFilter(undefined, text => chunks.push(text));
+  passthrough.push('a');
+  passthrough.push('b');
+  assert.deepEqual(chunks, ['a', 'b']);
+});
+
+test('moderationPolicyFromEnv puts MODERATION_POLICY or its file on top of the defaults', async () => {
+  assert.equal(moderationPolicyFromEnv({}), DEFAULT_MODERATION_POLICY);
+  const policy = moderationPolicyFromEnv({ MODERATION_POLICY: JSON.stringify({ input: { blockWords: ['x'], pii: { phone: 'flag' } } }) });
+  assert.deepEqual(policy.input, { blockWords: ['x'], blockPatterns: [], pii: { email: 'redact', phone: 'flag', card: 'redact' } });
+  assert.deepEqual(policy.output, DEFAULT_MODERATION_POLICY.output);
+  assert.throws(() => moderationPolicyFromEnv({ MODERATION_POLICY: '{' }), /Invalid MODERATION_POLICY/);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'moderation-'));
+  const file = path.join(dir, 'policy.json');
+  await fs.writeFile(file, JSON.stringify({ blockedMessage: 'From a file.' }));
+  try {
+    assert.equal(moderationPolicyFromEnv({ MODERATION_POLICY_FILE: file }).blockedMessage, 'From a file.');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
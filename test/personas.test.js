@@ -0,0 +1,95 @@
+// Unit tests of built-in and custom personas (personas.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PersonaRegistry, renderTemplate, BUILT_IN_PERSONAS } from '../personas.js';
+import { MemorySessionStore } from '../session-store.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../errors.js';
+
+const alice = { id: 'alice', role: 'user' };
+const bob = { id: 'bob', role: 'user' };
+const admin = { id: 'root', role: 'admin' };
+const pirate = { name: 'pirate', systemPrompt: 'Talk like a pirate named {{ name }}.', variables: { name: 'Jack' }, greeting: 'Ahoy, I be {{name}}!' };
+
+const withCode = (ErrorClass, code) => (error) => error instanceof ErrorClass && (!code || error.code === code);
+
+test('renderTemplate fills placeholders and refuses missing variables', () => {
+  assert.equal(renderTemplate('{{a}} and {{ b }}', { a: 1, b: true }), '1 and true');
+  assert.throws(() => renderTemplate('Hello {{name}}', {}), /Missing persona variable: name/);
+});
+
+test('built-in personas render with their defaults and cannot be changed', async () => {
+  const personas = new PersonaRegistry();
+  assert.deepEqual(personas.list().map(persona => persona.name), BUILT_IN_PERSONAS.map(persona => persona.name));
+  const tutor = personas.render('tutor', { subject: 'chemistry' });
+  assert.match(tutor.systemInstruction, /^You are a patient chemistry tutor for a beginner student\./);
+  assert.equal(tutor.greeting, "Hi! I'm your chemistry tutor. What would you like to work on today?");
+  assert.deepEqual(tutor.generationConfig, { temperature: 0.4 });
+  assert.equal(personas.render('assistant').greeting, null);
+
+  await assert.rejects(personas.update('tutor', { description: 'mine' }, admin), withCode(ForbiddenError, 'PERSONA_BUILT_IN'));
+  await assert.rejects(personas.delete('translator', admin), withCode(ForbiddenError, 'PERSONA_BUILT_IN'));
+  assert.throws(() => personas.get('missing'), withCode(NotFoundError, 'PERSONA_NOT_FOUND'));
+  assert.throws(() => personas.render('tutor', { subject: ['math'] }), /subject must be a string/);
+});
+
+test('custom personas are kept in the store and loaded again', async () => {
+  const store = new MemorySessionStore();
+  const personas = new PersonaRegistry({ store });
+  const created = await personas.create(pirate, alice);
+  assert.equal(created.owner, 'alice');
+  assert.ok(created.createdAt);
+  assert.equal(personas.render('pirate').greeting, 'Ahoy, I be Jack!');
+  assert.equal(personas.render('pirate', { name: 'Anne' }).systemInstruction, 'Talk like a pirate named Anne.');
+  await assert.rejects(personas.create(pirate, bob), withCode(ConflictError, 'PERSONA_EXISTS'));
+
+  const reloaded = new PersonaRegistry({ store });
+  assert.deepEqual(await reloaded.load(), { loaded: 1 });
+  assert.deepEqual(reloaded.get('pirate'), created);
+});
+
+test('stored records cannot replace built-in personas', async () => {
+  const store = new MemorySessionStore();
+  await store.save({ id: 'tutor', name: 'tutor', systemPrompt: 'Hijacked' });
+  const personas = new PersonaRegistry({ store });
+  await personas.load();
+  assert.equal(personas.get('tutor').builtIn, true);
+});
+
+test('only the owner or an admin changes a persona, and null removes a field', async () => {
+  const personas = new PersonaRegistry();
+  await personas.create(pirate, alice);
+  await assert.rejects(personas.update('pirate', { greeting: 'Arr' }, bob), ForbiddenError);
+
+  const updated = await personas.update('pirate', { greeting: null, description: 'Pirate talk' }, alice);
+  assert.equal(updated.greeting, undefined);
+  assert.equal(updated.description, 'Pirate talk');
+  assert.equal(updated.owner, 'alice');
+  await assert.rejects(personas.update('pirate', { name: 'corsair' }, alice), /name cannot be changed/);
+
+  await assert.rejects(personas.delete('pirate', bob), ForbiddenError);
+  assert.equal((await personas.delete('pirate', admin)).name, 'pirate');
+  assert.equal(personas.has('pirate'), false);
+});
+
+test('personas are validated, with generation settings and moderation checked by the caller', async () => {
+  const personas = new PersonaRegistry({
+    validateGenerationConfig: (config) => {
+      if (config.temperature > 2) throw new ValidationError('Invalid generationConfig: temperature must be at most 2');
+      return config;
+    }
+  });
+  for (const [fields, message] of [
+    [{ ...pirate, colour: 'red' }, /unknown field colour/],
+    [{ ...pirate, name: 'Pirate!' }, /name must be lowercase letters/],
+    [{ ...pirate, systemPrompt: '  ' }, /systemPrompt must be a non-empty string/],
+    [{ ...pirate, greeting: 42 }, /greeting must be a string/],
+    [{ ...pirate, variables: [] }, /variables: expected an object of strings/],
+    [{ ...pirate, generationConfig: { temperature: 3 } }, /temperature must be at most 2/]
+  ]) {
+    await assert.rejects(personas.create(fields, alice), (error) => error instanceof ValidationError && message.test(error.message), message.source);
+  }
+
+  const policy = { output: { pii: { email: 'allow' } } };
+  await assert.rejects(personas.create({ ...pirate, moderation: policy }, alice), withCode(ForbiddenError, 'ROLE_REQUIRED'));
+  assert.deepEqual((await personas.create({ ...pirate, moderation: policy }, admin)).moderation, policy);
+});
@@ -0,0 +1,221 @@
+// Unit tests of the HTTP model providers (providers.js) against a stubbed
+// fetch: request building, message conversion, usage and errors.
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  OpenAICompatibleProvider, OllamaProvider, GeminiProvider, MockProvider, createProviders, parseModelSpec, exchangesToHistory
+} from '../providers.js';
+
+const realFetch = globalThis.fetch;
+let requests;
+let responses;
+
+// Each fetch takes the next queued response and records its request
+beforeEach(() => {
+  requests = [];
+  responses = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, ...options, body: JSON.parse(options.body) });
+    return responses.shift();
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const json = (body, init = {}) => new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' }, ...init });
+const lines = (...events) => new Response(events.join('\n'));
+
+const history = [
+  ...exchangesToHistory([{ user: 'Hi', assistant: 'Hello!' }]),
+  { role: 'model', parts: [{ functionCall: { id: 'call-1', name: 'get_time', args: { zone: 'UTC' } } }] },
+  { role: 'function', parts: [{ functionResponse: { id: 'call-1', name: 'get_time', response: { time: '12:00' } } }] }
+];
+const tools = [{ name: 'get_time', description: 'Current time', parameters: { type: 'object', properties: { zone: { type: 'string' } } } }];
+const generationConfig = { temperature: 0.5, topK: 20, topP: 0.9, maxOutputTokens: 100, stopSequences: ['END'], responseMimeType: 'application/json' };
+
+test('OpenAI-compatible requests carry the key, the converted messages and the settings', async () => {
+  const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', baseUrl: 'http://llm.test/v1/' });
+  const chat = provider.startChat({ model: 'gpt-test', systemInstruction: 'Be brief', generationConfig, history, tools });
+  responses.push(json({
+    choices: [{ message: { content: 'Noon', tool_calls: [{ id: 'call-2', function: { name: 'get_time', arguments: '{"zone":"CET"}' } }] } }],
+    usage: { prompt_tokens: 30, completion_tokens: 4 }
+  }));
+  const result = await chat.sendMessage([{ text: 'What time is it?' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }]);
+
+  const [request] = requests;
+  assert.equal(request.url, 'http://llm.test/v1/chat/completions');
+  assert.equal(request.headers.Authorization, 'Bearer sk-test');
+  assert.deepEqual(request.body.messages, [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'assistant', content: '', tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'get_time', arguments: '{"zone":"UTC"}' } }] },
+    { role: 'tool', tool_call_id: 'call-1', content: '{"time":"12:00"}' },
+    { role: 'user', content: [{ type: 'text', text: 'What time is it?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }
+  ]);
+  assert.deepEqual({ ...request.body, messages: undefined }, {
+    model: 'gpt-test',
+    messages: undefined,
+    stream: false,
+    tools: [{ type: 'function', function: tools[0] }],
+    response_format: { type: 'json_object' },
+    temperature: 0.5,
+    top_p: 0.9,
+    max_tokens: 100,
+    stop: ['END']
+  });
+  assert.deepEqual(result, {
+    text: 'Noon',
+    usage: { inputTokens: 30, outputTokens: 4, totalTokens: 34 },
+    functionCalls: [{ id: 'call-2', name: 'get_time', args: { zone: 'CET' } }]
+  });
+  assert.equal((await chat.getHistory()).length, history.length + 2);
+});
+
+test('OpenAI-compatible streams yield text, usage and the assembled tool calls', async () => {
+  const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm.test/v1' });
+  const chat = provider.startChat({ model: 'gpt-test' });
+  responses.push(lines(
+    'data: {"choices":[{"delta":{"content":"Hel"}}]}',
+    ': keep-alive',
+    'data: {"choices":[{"delta":{"content":"lo","tool_calls":[{"index":0,"id":"call-3","function":{"name":"get_","arguments":"{\\"zone\\""}}]}}]}',
+    'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"name":"time","arguments":":\\"UTC\\"}"}}]}}]}',
+    'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2}}',
+    'data: [DONE]'
+  ));
+  const { stream, response } = await chat.sendMessageStream('Hi');
+  const chunks = [];
+  for await (const text of stream) chunks.push(text);
+
+  assert.equal(requests[0].headers.Authorization, undefined);
+  assert.equal(requests[0].body.stream, true);
+  assert.deepEqual(requests[0].body.stream_options, { include_usage: true });
+  assert.deepEqual(chunks, ['Hel', 'lo']);
+  assert.deepEqual(await response, {
+    text: 'Hello',
+    usage: { inputTokens: 5, outputTokens: 2, totalTokens: 7 },
+    functionCalls: [{ id: 'call-3', name: 'get_time', args: { zone: 'UTC' } }]
+  });
+});
+
+test('Ollama requests put the settings in options and images beside the text', async () => {
+  const provider = new OllamaProvider({ baseUrl: 'http://ollama.test/' });
+  const chat = provider.startChat({ systemInstruction: 'Be brief', generationConfig, history, tools });
+  responses.push(json({
+    message: { content: '{"time":"noon"}', tool_calls: [{ function: { name: 'get_time', arguments: { zone: 'CET' } } }] },
+    prompt_eval_count: 12,
+    eval_count: 3
+  }));
+  const notes = Buffer.from('Meeting at noon').toString('base64');
+  const result = await chat.sendMessage([
+    { text: 'Read these' },
+    { inlineData: { mimeType: 'text/plain', data: notes } },
+    { inlineData: { mimeType: 'image/jpeg', data: 'BBBB' } }
+  ]);
+
+  const [request] = requests;
+  assert.equal(request.url, 'http://ollama.test/api/chat');
+  assert.equal(request.body.model, 'llama3.1');
+  assert.equal(request.body.format, 'json');
+  assert.deepEqual(request.body.options, { temperature: 0.5, top_k: 20, top_p: 0.9, num_predict: 100, stop: ['END'] });
+  assert.deepEqual(request.body.messages.slice(3), [
+    { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_time', arguments: { zone: 'UTC' } } }] },
+    { role: 'tool', name: 'get_time', content: '{"time":"12:00"}' },
+    { role: 'user', content: 'Read these\n\nMeeting at noon', images: ['BBBB'] }
+  ]);
+  assert.deepEqual(result, {
+    text: '{"time":"noon"}',
+    usage: { inputTokens: 12, outputTokens: 3, totalTokens: 15 },
+    functionCalls: [{ name: 'get_time', args: { zone: 'CET' } }]
+  });
+  await assert.rejects(chat.sendMessage([{ text: 'And this' }, { inlineData: { mimeType: 'application/pdf', data: 'CCCC' } }]), /ollama does not support application\/pdf attachments/);
+});
+
+test('Ollama streams end with the usage of the done event and report stream errors', async () => {
+  const provider = new OllamaProvider({});
+  responses.push(lines(
+    '{"message":{"content":"Hel"}}',
+    '{"message":{"content":"lo"}}',
+    '{"message":{"content":""},"done":true,"prompt_eval_count":4,"eval_count":2}'
+  ));
+  const { stream, response } = await provider.startChat({}).sendMessageStream('Hi');
+  const chunks = [];
+  for await (const text of stream) chunks.push(text);
+  assert.deepEqual(chunks, ['Hel', 'lo']);
+  assert.deepEqual((await response).usage, { inputTokens: 4, outputTokens: 2, totalTokens: 6 });
+
+  responses.push(lines('{"message":{"content":"Hel"}}', '{"error":"model unloaded"}'));
+  const failing = await provider.startChat({}).sendMessageStream('Hi');
+  await assert.rejects(async () => { for await (const text of failing.stream) assert.equal(text, 'Hel'); }, /ollama stream failed: model unloaded/);
+  await assert.rejects(failing.response, /model unloaded/);
+});
+
+test('error responses keep their status, message and Retry-After', async () => {
+  const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test' });
+  responses.push(json({ error: { message: 'Slow down' } }, { status: 429, headers: { 'Retry-After': '7' } }));
+  await assert.rejects(provider.startChat({}).sendMessage('Hi'), (error) => (
+    error.message === 'openai request failed (429): Slow down' && error.status === 429 && error.retryAfter === 7
+  ));
+
+  responses.push(new Response('<html>Bad gateway</html>', { status: 502, statusText: 'Bad Gateway', headers: { 'Retry-After': 'Wed, 21 Oct 2026 07:28:00 GMT' } }));
+  await assert.rejects(new OllamaProvider({}).startChat({}).sendMessage('Hi'), (error) => (
+    error.message === 'ollama request failed (502): Bad Gateway' && error.status === 502 && error.retryAfter === undefined
+  ));
+});
+
+test('embeddings come back in input order', async () => {
+  responses.push(json({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] }));
+  assert.deepEqual(await new OpenAICompatibleProvider({ apiKey: 'sk-test' }).embed(['a', 'b']), [[1, 0], [0, 1]]);
+  assert.deepEqual(requests[0].body, { model: 'text-embedding-3-small', input: ['a', 'b'] });
+
+  responses.push(json({ embeddings: [[1, 2]] }));
+  assert.deepEqual(await new OllamaProvider({}).embed(['a'], { model: 'mxbai-embed-large' }), [[1, 2]]);
+  assert.equal(requests[1].url, 'http://localhost:11434/api/embed');
+  assert.equal(requests[1].body.model, 'mxbai-embed-large');
+});
+
+test('token counts are estimated from the message list', async () => {
+  const chat = new OllamaProvider({}).startChat({ systemInstruction: 'Be brief' });
+  const messages = [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hello there' }];
+  assert.equal(await chat.countTokens('Hello there'), Math.ceil(JSON.stringify(messages).length / 4));
+  assert.equal(new OpenAICompatibleProvider({}).supportsAttachment('application/pdf'), false);
+  assert.equal(new OpenAICompatibleProvider({}).supportsAttachment('image/webp'), true);
+});
+
+test('parseModelSpec reads "model" and "provider:model"', () => {
+  const providers = createProviders({ OLLAMA_MODEL: 'llama3.1', MOCK_PROVIDER: 'true' });
+  for (const [spec, expected] of [
+    ['ollama:qwen2.5:7b', { provider: 'ollama', model: 'qwen2.5:7b' }],
+    ['ollama', { provider: 'ollama', model: 'llama3.1' }],
+    ['mock', { provider: 'mock', model: 'echo' }],
+    ['flaky', { provider: 'mock', model: 'flaky' }],
+    ['openai:gpt-4o', { provider: 'mock', model: 'openai:gpt-4o' }],
+    [':echo', { provider: 'mock', model: ':echo' }]
+  ]) {
+    assert.deepEqual(parseModelSpec(spec, providers, 'mock'), expected, spec);
+  }
+});
+
+test('createProviders registers the providers that are configured', () => {
+  assert.deepEqual(Array.from(createProviders({}).keys()), []);
+  const providers = createProviders({
+    GEMINI_API_KEY: 'gemini-key',
+    OPENAI_BASE_URL: 'http://vllm.test/v1',
+    OPENAI_MODEL: 'qwen',
+    OLLAMA_BASE_URL: 'http://ollama.test',
+    MOCK_PROVIDER: 'true',
+    MOCK_MODEL: 'flaky',
+    MOCK_LATENCY_MS: '5',
+    MOCK_FAILURES: '0'
+  });
+  assert.deepEqual(Array.from(providers.keys()), ['gemini', 'openai', 'ollama', 'mock']);
+  assert.ok(providers.get('gemini') instanceof GeminiProvider);
+  assert.deepEqual([providers.get('openai').baseUrl, providers.get('openai').defaultModel, providers.get('openai').apiKey], ['http://vllm.test/v1', 'qwen', undefined]);
+  assert.deepEqual([providers.get('ollama').baseUrl, providers.get('ollama').defaultModel], ['http://ollama.test', 'llama3.1']);
+  const mock = providers.get('mock');
+  assert.ok(mock instanceof MockProvider);
+  assert.deepEqual([mock.defaultModel, mock.latencyMs, mock.failures], ['flaky', 5, 0]);
+  assert.equal(createProviders({ MOCK_PROVIDER: 'true' }).get('mock').failures, 2);
+});
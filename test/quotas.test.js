@@ -0,0 +1,127 @@
+// Unit tests of per-user quotas (quotas.js) with a fixed clock.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuotaManager, MemoryUsageStore, quotaLimitsFromEnv, createQuotaMiddleware } from '../quotas.js';
+import { ValidationError, TooManyRequestsError } from '../errors.js';
+
+const unlimited = { requests: null, inputTokens: null, outputTokens: null };
+// A clock the tests can move with set()
+const clock = (iso) => {
+  let date = new Date(iso);
+  const now = () => date;
+  now.set = (next) => { date = new Date(next); };
+  return now;
+};
+const createQuotas = (limits = {}, now = clock('2026-03-31T23:00:00.000Z')) => new QuotaManager({
+  store: new MemoryUsageStore(),
+  limits: { daily: { ...unlimited, ...limits.daily }, monthly: { ...unlimited, ...limits.monthly } },
+  now
+});
+
+test('quotaLimitsFromEnv reads QUOTA_<PERIOD>_<METRIC>, unset meaning unlimited', () => {
+  assert.deepEqual(quotaLimitsFromEnv({ QUOTA_DAILY_REQUESTS: '100', QUOTA_MONTHLY_OUTPUT_TOKENS: '50000' }), {
+    daily: { requests: 100, inputTokens: null, outputTokens: null },
+    monthly: { requests: null, inputTokens: null, outputTokens: 50000 }
+  });
+});
+
+test('requests are counted per day and month until a quota is used up', async () => {
+  const quotas = createQuotas({ daily: { requests: 2 } });
+  const first = await quotas.consumeRequest('alice');
+  assert.equal(first.allowed, true);
+  assert.equal(first.status.periods.daily.usage.requests, 1);
+  assert.equal(first.status.periods.daily.period, '2026-03-31');
+  assert.equal(first.status.periods.monthly.period, '2026-03');
+  assert.equal(first.status.periods.daily.resetAt, '2026-04-01T00:00:00.000Z');
+  assert.equal((await quotas.consumeRequest('alice')).allowed, true);
+
+  const refused = await quotas.consumeRequest('alice');
+  assert.equal(refused.allowed, false);
+  assert.deepEqual(refused.exceeded, { period: 'daily', metric: 'requests', limit: 2, used: 2, resetAt: '2026-04-01T00:00:00.000Z' });
+  // A refused request is not counted, and other users are not affected
+  assert.equal((await quotas.status('alice')).periods.daily.usage.requests, 2);
+  assert.equal((await quotas.consumeRequest('bob')).allowed, true);
+});
+
+test('a new day starts a new daily count, a new month a new monthly one', async () => {
+  const now = clock('2026-03-31T23:00:00.000Z');
+  const quotas = createQuotas({ daily: { requests: 1 }, monthly: { requests: 2 } }, now);
+  assert.equal((await quotas.consumeRequest('alice')).allowed, true);
+  now.set('2026-04-01T00:00:01.000Z');
+  const status = (await quotas.consumeRequest('alice')).status;
+  assert.equal(status.periods.daily.usage.requests, 1);
+  assert.equal(status.periods.monthly.usage.requests, 1);
+});
+
+test('concurrent requests cannot get past a quota together', async () => {
+  const quotas = createQuotas({ daily: { requests: 3 } });
+  const results = await Promise.all(Array.from({ length: 10 }, () => quotas.consumeRequest('alice')));
+  assert.equal(results.filter(result => result.allowed).length, 3);
+  assert.equal((await quotas.status('alice')).periods.daily.usage.requests, 3);
+});
+
+test('token quotas refuse the next request once crossed', async () => {
+  const quotas = createQuotas({ monthly: { outputTokens: 100 } });
+  assert.equal((await quotas.consumeRequest('alice')).allowed, true);
+  await quotas.recordTokens('alice', { inputTokens: 20, outputTokens: 150 });
+  await quotas.recordTokens('alice', {});
+  const { allowed, exceeded, status } = await quotas.consumeRequest('alice');
+  assert.equal(allowed, false);
+  assert.deepEqual([exceeded.period, exceeded.metric, exceeded.used], ['monthly', 'outputTokens', 150]);
+  assert.deepEqual(status.periods.daily.usage, { requests: 1, inputTokens: 20, outputTokens: 150 });
+});
+
+test('admins override limits and reset usage per user', async () => {
+  const quotas = createQuotas({ daily: { requests: 1 } });
+  await quotas.consumeRequest('alice');
+  assert.equal((await quotas.consumeRequest('alice')).allowed, false);
+
+  const status = await quotas.adjust('alice', { limits: { daily: { requests: null } }, usage: { daily: { requests: 0 } } });
+  assert.equal(status.periods.daily.limits.requests, null);
+  assert.equal(status.periods.daily.usage.requests, 0);
+  assert.equal((await quotas.consumeRequest('alice')).allowed, true);
+  assert.equal((await quotas.limitsFor('bob')).daily.requests, 1);
+
+  for (const adjustment of [
+    { limits: [] },
+    { limits: { weekly: { requests: 1 } } },
+    { limits: { daily: { messages: 1 } } },
+    { limits: { daily: { requests: -1 } } },
+    { usage: { daily: { requests: null } } }
+  ]) {
+    await assert.rejects(quotas.adjust('alice', adjustment), ValidationError, JSON.stringify(adjustment));
+  }
+});
+
+test('listStatuses covers every user with usage this month', async () => {
+  const quotas = createQuotas();
+  await quotas.consumeRequest('alice');
+  await quotas.consumeRequest('bob');
+  assert.deepEqual((await quotas.listStatuses()).map(status => status.userId).sort(), ['alice', 'bob']);
+});
+
+test('the middleware sets RateLimit headers and refuses with 429 QUOTA_EXCEEDED', async () => {
+  const quotas = new QuotaManager({
+    store: new MemoryUsageStore(),
+    limits: { daily: { ...unlimited, requests: 1 }, monthly: { ...unlimited, inputTokens: 1000 } }
+  });
+  const middleware = createQuotaMiddleware(quotas);
+  const run = async () => {
+    const headers = {};
+    let result;
+    await middleware({ user: { id: 'alice' } }, { set: values => Object.assign(headers, values) }, (error) => { result = error; });
+    return { headers, error: result };
+  };
+
+  const allowed = await run();
+  assert.equal(allowed.error, undefined);
+  assert.equal(allowed.headers['RateLimit-Limit'], '1');
+  assert.equal(allowed.headers['RateLimit-Remaining'], '0');
+  assert.match(allowed.headers['RateLimit-Policy'], /^1;w=86400;comment="daily requests", 1000;w=2592000;comment="monthly inputTokens"$/);
+
+  const { error } = await run();
+  assert.ok(error instanceof TooManyRequestsError);
+  assert.equal(error.code, 'QUOTA_EXCEEDED');
+  assert.equal(error.message, 'Daily requests quota exceeded');
+  assert.ok(error.retryAfter > 0 && error.retryAfter <= 24 * 60 * 60);
+});
@@ -0,0 +1,246 @@
+// Tests of the WebSocket channel (realtime.js) against a stand-in chat service.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { EventEmitter, once } from 'node:events';
+import WebSocket from 'ws';
+import { attachRealtimeServer } from '../realtime.js';
+import { createAuthenticator, parseApiKeys, canAccessSession } from '../auth.js';
+import { QuotaManager, MemoryUsageStore } from '../quotas.js';
+import { NotFoundError, ConflictError } from '../errors.js';
+
+// The part of ChatService the channel uses. Replies echo the message; the
+// message "hang" waits until it is aborted.
+class ChatServiceStub {
+  constructor() {
+    this.events = new EventEmitter();
+    this.generations = new Map();
+    this.sessions = new Map([
+      ['alice-session', { owner: 'alice', history: [], activeExchangeId: null }],
+      ['bob-session', { owner: 'bob', history: [], activeExchangeId: null }]
+    ]);
+  }
+
+  getSession(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+
+  assertSessionAccess(sessionId, user) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !canAccessSession(user, session)) {
+      throw new NotFoundError('Session not found', { code: 'SESSION_NOT_FOUND' });
+    }
+    return session;
+  }
+
+  publish(sessionId, type, data = {}) {
+    this.events.emit(sessionId, { type, sessionId, ...data });
+  }
+
+  async sendMessage(sessionId, message) {
+    const controller = new AbortController();
+    this.generations.set(sessionId, controller);
+    this.publish(sessionId, 'status', { status: 'generating', message });
+    try {
+      if (message === 'hang') {
+        await once(controller.signal, 'abort');
+        this.publish(sessionId, 'status', { status: 'idle', outcome: 'aborted' });
+        throw new ConflictError('Generation aborted', { code: 'GENERATION_ABORTED' });
+      }
+      const reply = { response: `echo: ${message}`, exchangeId: 'e1', sessionId, usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 } };
+      this.publish(sessionId, 'delta', { text: reply.response });
+      this.publish(sessionId, 'done', reply);
+      this.publish(sessionId, 'status', { status: 'idle', outcome: 'completed' });
+      return reply;
+    } finally {
+      this.generations.delete(sessionId);
+    }
+  }
+
+  abortGeneration(sessionId) {
+    const controller = this.generations.get(sessionId);
+    controller?.abort();
+    return { sessionId, aborted: Boolean(controller) };
+  }
+}
+
+let server;
+let url;
+let chatService;
+let quotas;
+
+before(async () => {
+  chatService = new ChatServiceStub();
+  quotas = new QuotaManager({
+    store: new MemoryUsageStore(),
+    limits: { daily: { requests: 3, inputTokens: null, outputTokens: null }, monthly: { requests: null, inputTokens: null, outputTokens: null } }
+  });
+  server = http.createServer();
+  attachRealtimeServer(server, {
+    chatService,
+    quotas,
+    authenticate: createAuthenticator({ apiKeys: parseApiKeys('alice-key:alice,bob-key:bob,carol-key:carol') }),
+    attachmentLimits: { maxBytes: 1024, maxCount: 1 }
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `ws://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// An open connection with the messages it received and a way to wait for one
+const connect = async (key, path = '/api/ws') => {
+  const ws = new WebSocket(`${url}${path}?api_key=${key}`);
+  const received = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    received.push(message);
+    for (const waiter of [...waiting]) {
+      if (waiter.match(message)) {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        waiter.resolve(message);
+      }
+    }
+  });
+  await once(ws, 'open');
+  const next = (match) => {
+    const found = received.find(match);
+    if (found) {
+      received.splice(received.indexOf(found), 1);
+      return Promise.resolve(found);
+    }
+    return new Promise(resolve => waiting.push({ match, resolve: (message) => {
+      received.splice(received.indexOf(message), 1);
+      resolve(message);
+    } }));
+  };
+  const send = (message) => ws.send(JSON.stringify(message));
+  return { ws, received, next, send, close: () => ws.close() };
+};
+
+const ofType = (type, fields = {}) => message => message.type === type && Object.entries(fields).every(([key, value]) => message[key] === value);
+
+test('upgrades need a known path and valid credentials', async () => {
+  const refused = async (address) => {
+    const ws = new WebSocket(address);
+    // Ending a connection that never opened reports an error
+    ws.on('error', () => {});
+    const [, response] = await once(ws, 'unexpected-response');
+    ws.terminate();
+    return response.statusCode;
+  };
+  assert.equal(await refused(`${url}/api/ws?api_key=wrong`), 401);
+  assert.equal(await refused(`${url}/api/ws`), 401);
+  assert.equal(await refused(`${url}/elsewhere?api_key=alice-key`), 404);
+});
+
+test('answers pings and reports unknown and malformed messages', async () => {
+  const client = await connect('alice-key');
+  client.send({ type: 'ping' });
+  await client.next(ofType('pong'));
+
+  client.ws.send('not json');
+  assert.equal((await client.next(ofType('error'))).code, 'INVALID_JSON');
+  client.send({ type: 'dance', sessionId: 'alice-session', requestId: 'r1' });
+  const unknown = await client.next(ofType('error'));
+  assert.equal(unknown.code, 'UNKNOWN_MESSAGE_TYPE');
+  assert.equal(unknown.requestId, 'r1');
+  client.send({ type: 'join' });
+  assert.equal((await client.next(ofType('error'))).code, 'VALIDATION_ERROR');
+  client.close();
+});
+
+test('joined clients see replies to the session, whoever asked', async () => {
+  const alice = await connect('alice-key');
+  const watcher = await connect('alice-key');
+  watcher.send({ type: 'join', sessionId: 'alice-session' });
+  const joined = await watcher.next(ofType('joined'));
+  assert.deepEqual(joined, { type: 'joined', sessionId: 'alice-session', messageCount: 0, activeExchangeId: null, generating: false });
+
+  alice.send({ type: 'message', sessionId: 'alice-session', message: 'hello' });
+  for (const client of [alice, watcher]) {
+    assert.equal((await client.next(ofType('delta'))).text, 'echo: hello');
+    assert.equal((await client.next(ofType('done'))).response, 'echo: hello');
+    await client.next(ofType('status', { status: 'idle', outcome: 'completed' }));
+  }
+
+  watcher.send({ type: 'leave', sessionId: 'alice-session' });
+  await watcher.next(ofType('left'));
+  alice.send({ type: 'message', sessionId: 'alice-session', message: 'again' });
+  await alice.next(ofType('done'));
+  assert.equal(watcher.received.some(ofType('done')), false);
+  alice.close();
+  watcher.close();
+});
+
+test('other users cannot join, type in or abort a session', async () => {
+  const bob = await connect('bob-key');
+  for (const type of ['join', 'typing', 'abort', 'message']) {
+    bob.send({ type, sessionId: 'alice-session', message: 'hi' });
+    const error = await bob.next(ofType('error'));
+    assert.equal(error.code, 'SESSION_NOT_FOUND', type);
+    assert.equal(error.sessionId, 'alice-session');
+  }
+  bob.close();
+});
+
+test('typing is relayed to the other clients only', async () => {
+  const first = await connect('alice-key');
+  const second = await connect('alice-key');
+  second.send({ type: 'join', sessionId: 'alice-session' });
+  await second.next(ofType('joined'));
+
+  first.send({ type: 'typing', sessionId: 'alice-session', typing: 1 });
+  assert.deepEqual(await second.next(ofType('typing')), { type: 'typing', sessionId: 'alice-session', userId: 'alice', typing: true });
+  first.send({ type: 'ping' });
+  await first.next(ofType('pong'));
+  assert.equal(first.received.some(ofType('typing')), false);
+  first.close();
+  second.close();
+});
+
+test('abort cancels the reply in progress', async () => {
+  const client = await connect('bob-key');
+  client.send({ type: 'message', sessionId: 'bob-session', message: 'hang' });
+  await client.next(ofType('status', { status: 'generating' }));
+  client.send({ type: 'abort', sessionId: 'bob-session' });
+  assert.equal((await client.next(ofType('abort'))).aborted, true);
+  await client.next(ofType('status', { status: 'idle', outcome: 'aborted' }));
+  // The aborted reply is not reported as an error
+  client.send({ type: 'ping' });
+  await client.next(ofType('pong'));
+  assert.equal(client.received.some(ofType('error')), false);
+  client.close();
+});
+
+test('messages are validated like REST messages', async () => {
+  const client = await connect('bob-key');
+  client.send({ type: 'message', sessionId: 'bob-session' });
+  assert.match((await client.next(ofType('error'))).error, /message is required without attachments/);
+  const file = { name: 'a.txt', mimeType: 'text/plain', data: Buffer.from('a').toString('base64') };
+  client.send({ type: 'message', sessionId: 'bob-session', message: 'hi', attachments: [file, file] });
+  assert.match((await client.next(ofType('error'))).error, /at most 1 files per message/);
+  client.send({ type: 'message', sessionId: 'bob-session', message: 42 });
+  assert.equal((await client.next(ofType('error'))).code, 'VALIDATION_ERROR');
+  client.close();
+});
+
+test('messages count against the quotas', async () => {
+  const client = await connect('carol-key');
+  chatService.sessions.set('carol-session', { owner: 'carol', history: [], activeExchangeId: null });
+  for (let count = 0; count < 3; count++) {
+    client.send({ type: 'message', sessionId: 'carol-session', message: `hi ${count}` });
+    await client.next(ofType('done'));
+  }
+  client.send({ type: 'message', sessionId: 'carol-session', message: 'one more' });
+  const error = await client.next(ofType('error'));
+  assert.equal(error.code, 'QUOTA_EXCEEDED');
+  assert.ok(error.retryAfter > 0);
+  assert.deepEqual((await quotas.status('carol')).periods.daily.usage, { requests: 3, inputTokens: 9, outputTokens: 6 });
+  client.close();
+});
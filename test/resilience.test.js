@@ -0,0 +1,230 @@
+// Unit tests of the resilient model calls (resilience.js) against the mock
+// provider's flaky, unavailable and hanging models.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { MockProvider } from '../providers.js';
+import { ModelGateway, ModelCallError, CircuitBreaker, backoffDelay, classifyModelError, modelErrorOf } from '../resilience.js';
+
+const config = {
+  timeoutMs: 1000,
+  maxRetries: 2,
+  baseDelayMs: 1,
+  maxDelayMs: 10,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+const target = (model) => ({ provider: 'mock', model });
+
+// An attempt that sends one message to the target's mock model
+const sendTo = (provider) => (modelTarget, signal) => provider.startChat({ model: modelTarget.model }).sendMessage('hi', { signal });
+
+// A gateway that does not sleep between attempts, recording its retries
+const createGateway = (overrides = {}) => {
+  const retries = [];
+  const gateway = new ModelGateway({ ...config, ...overrides }, {
+    onRetry: retry => retries.push(retry),
+    wait: async () => {}
+  });
+  return { gateway, retries };
+};
+
+test('retries a flaky model until it answers', async () => {
+  const provider = new MockProvider({ failures: 2 });
+  const { gateway, retries } = createGateway();
+  const { result, target: servedBy, fallback } = await gateway.call([target('flaky')], sendTo(provider));
+  assert.equal(result.text, 'flaky: hi');
+  assert.deepEqual(servedBy, target('flaky'));
+  assert.equal(fallback, false);
+  assert.equal(provider.calls, 3);
+  assert.deepEqual(retries.map(({ attempt, error }) => [attempt, error.code]), [[1, 'MODEL_UNAVAILABLE'], [2, 'MODEL_UNAVAILABLE']]);
+});
+
+test('gives up after maxRetries with a retryable error and a retryAfter', async () => {
+  const provider = new MockProvider();
+  const { gateway } = createGateway({ maxRetries: 1 });
+  await assert.rejects(gateway.call([target('unavailable')], sendTo(provider)), (error) => {
+    assert.ok(error instanceof ModelCallError);
+    assert.equal(error.code, 'MODEL_UNAVAILABLE');
+    assert.equal(error.status, 503);
+    assert.equal(error.retryAfter, 1);
+    return true;
+  });
+  assert.equal(provider.calls, 2);
+});
+
+test('does not retry when canRetry says the attempt had visible effects', async () => {
+  const provider = new MockProvider();
+  const { gateway, retries } = createGateway();
+  await assert.rejects(gateway.call([target('unavailable')], sendTo(provider), { canRetry: () => false }), { code: 'MODEL_UNAVAILABLE' });
+  assert.equal(provider.calls, 1);
+  assert.equal(retries.length, 0);
+});
+
+test('a backend asking to wait longer than maxDelayMs is not retried', async () => {
+  const provider = new MockProvider();
+  const { gateway } = createGateway();
+  await assert.rejects(gateway.call([target('rate-limited')], sendTo(provider)), { code: 'MODEL_RATE_LIMITED', status: 429, retryAfter: 2 });
+  assert.equal(provider.calls, 1);
+});
+
+test('times out a model that does not answer', async () => {
+  const provider = new MockProvider();
+  const { gateway } = createGateway({ timeoutMs: 50, maxRetries: 0 });
+  const started = performance.now();
+  await assert.rejects(gateway.call([target('hang')], sendTo(provider)), { code: 'MODEL_TIMEOUT', status: 504 });
+  assert.ok(performance.now() - started < 1000);
+});
+
+test('aborting the caller signal stops the call without retries', async () => {
+  const provider = new MockProvider();
+  const { gateway, retries } = createGateway();
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(gateway.call([target('hang')], sendTo(provider), { signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(retries.length, 0);
+});
+
+test('the circuit opens after repeated failures and half-opens after resetTimeoutMs', async () => {
+  const provider = new MockProvider({ failures: 2 });
+  const changes = [];
+  const gateway = new ModelGateway({ ...config, maxRetries: 0, failureThreshold: 2, resetTimeoutMs: 50 }, {
+    onCircuitChange: change => changes.push(change.state),
+    wait: async () => {}
+  });
+  const call = () => gateway.call([target('flaky')], sendTo(provider));
+
+  await assert.rejects(call(), { code: 'MODEL_UNAVAILABLE' });
+  await assert.rejects(call(), { code: 'MODEL_UNAVAILABLE' });
+  assert.deepEqual(gateway.circuits().map(({ target: key, state }) => [key, state]), [['mock:flaky', 'open']]);
+
+  // Open: fails fast without calling the model
+  await assert.rejects(call(), /temporarily unavailable/);
+  assert.equal(provider.calls, 2);
+
+  // After the reset timeout one probe goes through, and its success closes the circuit
+  await sleep(60);
+  const { result } = await call();
+  assert.equal(result.text, 'flaky: hi');
+  assert.deepEqual(changes, ['open', 'half-open', 'closed']);
+  assert.deepEqual(gateway.circuits(), []);
+});
+
+test('only the least recently used closed circuits are forgotten', async () => {
+  const provider = new MockProvider();
+  const { gateway } = createGateway({ maxRetries: 0, failureThreshold: 1, maxCircuits: 2 });
+  await assert.rejects(gateway.call([target('unavailable')], sendTo(provider)), { code: 'MODEL_UNAVAILABLE' });
+  for (const model of ['echo', 'model-a', 'model-b']) await gateway.call([target(model)], sendTo(provider));
+  assert.deepEqual(Array.from(gateway.breakers.keys()), ['mock:unavailable', 'mock:model-b']);
+  assert.deepEqual(gateway.circuits().map(({ target: key }) => key), ['mock:unavailable']);
+});
+
+test('falls back to the fallback model when the primary fails', async () => {
+  const provider = new MockProvider();
+  const { gateway } = createGateway({ maxRetries: 0 });
+  const attempts = [];
+  const { result, target: servedBy, fallback } = await gateway.call(gateway.targets(target('unavailable'), target('echo')), (modelTarget, signal, info) => {
+    attempts.push([modelTarget.model, info.fallback]);
+    return sendTo(provider)(modelTarget, signal);
+  });
+  assert.equal(result.text, 'echo: hi');
+  assert.deepEqual(servedBy, target('echo'));
+  assert.equal(fallback, true);
+  assert.deepEqual(attempts, [['unavailable', false], ['echo', true]]);
+});
+
+test('an open circuit sends calls straight to the fallback model', async () => {
+  const provider = new MockProvider();
+  const { gateway } = createGateway({ maxRetries: 0, failureThreshold: 1 });
+  const targets = gateway.targets(target('unavailable'), target('echo'));
+  await gateway.call(targets, sendTo(provider));
+  const callsBefore = provider.calls;
+  const { fallback } = await gateway.call(targets, sendTo(provider));
+  assert.equal(fallback, true);
+  assert.equal(provider.calls, callsBefore + 1);
+});
+
+test('a rejected request is not retried and does not count against the circuit', async () => {
+  const { gateway } = createGateway({ failureThreshold: 1 });
+  let calls = 0;
+  const attempt = async () => {
+    calls++;
+    throw Object.assign(new Error('bad request'), { status: 400 });
+  };
+  await assert.rejects(gateway.call([target('echo')], attempt), { code: 'MODEL_ERROR', status: 502 });
+  await assert.rejects(gateway.call([target('echo')], attempt), { code: 'MODEL_ERROR' });
+  assert.equal(calls, 2);
+  assert.deepEqual(gateway.circuits(), []);
+});
+
+test('targets leaves out a fallback equal to the primary', () => {
+  const { gateway } = createGateway();
+  assert.deepEqual(gateway.targets(target('echo'), target('echo')), [target('echo')]);
+  assert.deepEqual(gateway.targets(target('echo'), null), [target('echo')]);
+});
+
+test('CircuitBreaker lets a single probe through when half-open', () => {
+  let now = 0;
+  const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => now });
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed');
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+  now = 400;
+  assert.equal(breaker.retryAfter(), 1);
+
+  now = 1000;
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.allowRequest(), false);
+
+  // A failed probe opens the circuit again at once
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  now = 2000;
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.failures, 0);
+});
+
+test('backoffDelay grows exponentially up to maxDelayMs with full jitter', () => {
+  const limits = { baseDelayMs: 100, maxDelayMs: 1000 };
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, limits, () => 1)), [100, 200, 400, 800, 1000]);
+  assert.equal(backoffDelay(3, limits, () => 0), 0);
+  assert.equal(backoffDelay(3, limits, () => 0.5), 200);
+});
+
+test('classifyModelError maps provider failures to stable codes', () => {
+  const where = { provider: 'gemini', model: 'gemini-1.5-flash' };
+  const classify = (error, options = {}) => classifyModelError(error, { ...where, ...options });
+
+  const limited = classify(Object.assign(new Error('slow down'), { status: 429, retryAfter: 7 }));
+  assert.equal(limited.code, 'MODEL_RATE_LIMITED');
+  assert.equal(limited.retryAfter, 7);
+
+  // Gemini puts the status in the message and the wait in errorDetails
+  const gemini = classify(Object.assign(new Error('[503 Service Unavailable] overloaded'), {
+    errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '3.5s' }]
+  }));
+  assert.equal(gemini.code, 'MODEL_UNAVAILABLE');
+  assert.equal(gemini.retryAfter, 4);
+
+  const network = classify(new Error('fetch failed', { cause: Object.assign(new Error('reset'), { code: 'ECONNRESET' }) }));
+  assert.equal(network.code, 'MODEL_UNAVAILABLE');
+  assert.equal(classify(Object.assign(new Error('gateway timeout'), { status: 504 })).code, 'MODEL_TIMEOUT');
+  assert.equal(classify(new Error('aborted'), { timedOut: true }).code, 'MODEL_TIMEOUT');
+
+  const rejected = classify(Object.assign(new Error('invalid argument'), { status: 400 }));
+  assert.equal(rejected.code, 'MODEL_ERROR');
+  assert.equal(rejected.retryable, false);
+  assert.equal(rejected.provider, 'gemini');
+  assert.equal(rejected.cause.message, 'invalid argument');
+
+  // Already classified errors pass through, and wrapped ones are found
+  assert.equal(classify(rejected), rejected);
+  assert.equal(modelErrorOf(new Error('Failed to send message', { cause: rejected })), rejected);
+  assert.equal(modelErrorOf(new Error('other')), null);
+});
@@ -0,0 +1,95 @@
+// Unit tests of full-text conversation search (search.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, tokenize, parseQuery, highlight } from '../search.js';
+import { ValidationError } from '../errors.js';
+
+const exchange = (id, user, assistant, timestamp) => ({ id, parentId: null, user, assistant, timestamp });
+
+const createIndex = () => {
+  const index = new SearchIndex();
+  index.indexSession({
+    id: 's1',
+    exchanges: [
+      exchange('a', 'How do I bake sourdough bread?', 'Feed the starter, then bake the bread hot.', '2026-01-01T10:00:00.000Z'),
+      exchange('b', 'Is rye bread healthy?', 'Rye has more fibre.', '2026-01-02T10:00:00.000Z')
+    ]
+  });
+  index.indexSession({
+    id: 's2',
+    exchanges: [exchange('c', 'Bread bread bread', 'You really like bread.', '2026-01-03T10:00:00.000Z')]
+  });
+  return index;
+};
+
+const found = ({ results }) => results.map(({ sessionId, exchangeId, role }) => `${sessionId}/${exchangeId}/${role}`);
+
+test('tokenize and parseQuery split words and keep quoted phrases', () => {
+  assert.deepEqual(tokenize('Crème brûlée, 2 ways!'), ['crème', 'brûlée', '2', 'ways']);
+  assert.deepEqual(parseQuery('bread "Sourdough Starter" bread ""'), { terms: ['bread', 'sourdough', 'starter'], phrases: ['sourdough starter'] });
+});
+
+test('highlight marks whole-word matches and escapes the rest', () => {
+  const query = parseQuery('bread');
+  assert.equal(highlight('<b>Bread</b> and breadcrumbs', query), '&lt;b&gt;<mark>Bread</mark>&lt;/b&gt; and breadcrumbs');
+  assert.equal(highlight('a bread b', query, { pre: '[', post: ']', escape: text => text }), 'a [bread] b');
+  // Phrases win over the words inside them
+  assert.equal(highlight('rye bread', parseQuery('"rye bread" bread')), '<mark>rye bread</mark>');
+  const long = `${'word '.repeat(40)}bread${' word'.repeat(40)}`;
+  assert.match(highlight(long, query, { radius: 10 }), /^…word word <mark>bread<\/mark> word word word…$/);
+});
+
+test('every word has to match, and more frequent, rarer words rank higher', () => {
+  const index = createIndex();
+  const results = index.search('bread');
+  assert.equal(results.total, 5);
+  assert.equal(found(results)[0], 's2/c/user');
+  assert.deepEqual(found(index.search('bake bread')).sort(), ['s1/a/assistant', 's1/a/user']);
+  assert.deepEqual(found(index.search('BREAD rye')), ['s1/b/user']);
+  assert.equal(index.search('pizza').total, 0);
+});
+
+test('phrases match as written', () => {
+  const index = createIndex();
+  assert.deepEqual(found(index.search('"rye bread"')), ['s1/b/user']);
+  assert.deepEqual(found(index.search('"bread rye"')), []);
+});
+
+test('results are filtered by session, role, dates and the caller', () => {
+  const index = createIndex();
+  assert.deepEqual(found(index.search('bread', { sessionId: 's2', role: 'assistant' })), ['s2/c/assistant']);
+  assert.deepEqual(found(index.search('bread', { from: '2026-01-02', to: '2026-01-02' })), ['s1/b/user']);
+  assert.equal(index.search('bread', { filter: document => document.sessionId !== 's2' }).total, 3);
+});
+
+test('results are paged with limit and offset', () => {
+  const index = createIndex();
+  const first = index.search('bread', { limit: 2 });
+  assert.deepEqual([first.results.length, first.limit, first.offset, first.nextOffset], [2, 2, 0, 2]);
+  const last = index.search('bread', { limit: '2', offset: '4' });
+  assert.deepEqual([last.results.length, last.nextOffset], [1, null]);
+  assert.deepEqual([...found(first), ...found(index.search('bread', { limit: 2, offset: 2 })), ...found(last)], found(index.search('bread')));
+});
+
+test('reindexing and removing a session keep the index current', () => {
+  const index = createIndex();
+  index.indexSession({ id: 's1', exchanges: [exchange('d', 'Pasta tonight', 'Sounds good', '2026-01-04T10:00:00.000Z')] });
+  assert.equal(index.search('bread').total, 2);
+  assert.equal(index.search('pasta').total, 1);
+  index.removeSession('s2');
+  assert.equal(index.search('bread').total, 0);
+  assert.equal(index.postings.has('bread'), false);
+});
+
+test('invalid queries and options are refused', () => {
+  const index = createIndex();
+  for (const [query, options, message] of [
+    ['  "" !', {}, /expected at least one word/],
+    ['bread', { role: 'system' }, /Invalid role/],
+    ['bread', { from: 'yesterday' }, /Invalid from: expected an ISO date/],
+    ['bread', { limit: 101 }, /Invalid limit: expected an integer between 1 and 100/],
+    ['bread', { offset: -1 }, /Invalid offset/]
+  ]) {
+    assert.throws(() => index.search(query, options), (error) => error instanceof ValidationError && message.test(error.message), message.source);
+  }
+});
@@ -0,0 +1,103 @@
+// Unit tests of the session and record stores (session-store.js): every
+// backend against the same interface, and what each keeps on disk.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  MemorySessionStore, FileSessionStore, SqliteSessionStore, SqliteRecordStore, createSessionStore, createRecordStore
+} from '../session-store.js';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const session = (id, fields = {}) => ({ id, owner: 'alice', exchanges: [], lastActivity: '2026-01-01T00:00:00.000Z', ...fields });
+
+const backends = {
+  memory: () => new MemorySessionStore(),
+  file: () => new FileSessionStore(path.join(dir, `sessions-${Math.random()}.json`)),
+  sqlite: () => new SqliteSessionStore(path.join(dir, `sessions-${Math.random()}.db`)),
+  'sqlite records': () => new SqliteRecordStore(path.join(dir, `records-${Math.random()}.db`), 'webhooks')
+};
+
+for (const [name, createStore] of Object.entries(backends)) {
+  test(`${name}: saves, replaces, loads and deletes records`, async () => {
+    const store = createStore();
+    assert.deepEqual(await store.load(), []);
+    await store.save(session('a'));
+    await store.save(session('b'));
+    await store.save(session('a', { title: 'renamed' }));
+    const records = (await store.load()).sort((x, y) => x.id.localeCompare(y.id));
+    assert.deepEqual(records, [session('a', { title: 'renamed' }), session('b')]);
+
+    await store.delete('a');
+    await store.delete('missing');
+    assert.deepEqual(await store.load(), [session('b')]);
+  });
+
+  test(`${name}: records are copies in both directions`, async () => {
+    const store = createStore();
+    const record = session('a');
+    await store.save(record);
+    record.exchanges.push('changed after saving');
+    const [loaded] = await store.load();
+    assert.deepEqual(loaded.exchanges, []);
+    loaded.exchanges.push('changed after loading');
+    assert.deepEqual((await store.load())[0].exchanges, []);
+  });
+}
+
+test('file: records survive a new store on the same file, written atomically', async () => {
+  const filePath = path.join(dir, 'nested', 'sessions.json');
+  const store = new FileSessionStore(filePath);
+  await Promise.all([store.save(session('a')), store.save(session('b')), store.save(session('c'))]);
+
+  const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  assert.equal(data.version, 1);
+  assert.deepEqual(Object.keys(data.sessions).sort(), ['a', 'b', 'c']);
+  await assert.rejects(fs.access(`${filePath}.tmp`));
+  assert.equal((await new FileSessionStore(filePath).load()).length, 3);
+});
+
+test('file: an unreadable file is an error, not an empty store', async () => {
+  const filePath = path.join(dir, 'broken.json');
+  await fs.writeFile(filePath, '{ not json');
+  await assert.rejects(new FileSessionStore(filePath).load(), /Failed to read session file/);
+});
+
+test('sqlite: sessions keep their last activity in a column', async () => {
+  const store = new SqliteSessionStore(path.join(dir, 'activity.db'));
+  await store.save(session('a', { lastActivity: '2026-02-03T04:05:06.000Z' }));
+  const db = await store.open();
+  assert.deepEqual(db.prepare('SELECT id, last_activity FROM sessions').all(), [{ id: 'a', last_activity: '2026-02-03T04:05:06.000Z' }]);
+});
+
+test('sqlite records: each kind of record has its own table without session columns', async () => {
+  const filePath = path.join(dir, 'shared.db');
+  const webhooks = new SqliteRecordStore(filePath, 'webhooks');
+  const cache = new SqliteRecordStore(filePath, 'response_cache');
+  await webhooks.save({ id: 'w', url: 'https://example.com/hook' });
+  await cache.save({ id: 'w', value: 'a cached reply' });
+
+  assert.deepEqual(await webhooks.load(), [{ id: 'w', url: 'https://example.com/hook' }]);
+  assert.deepEqual(await cache.load(), [{ id: 'w', value: 'a cached reply' }]);
+  const columns = (await webhooks.open()).prepare('PRAGMA table_info(webhooks)').all().map(column => column.name);
+  assert.deepEqual(columns, ['id', 'data']);
+  assert.throws(() => new SqliteRecordStore(filePath, 'webhooks; DROP TABLE sessions'), /Invalid table name/);
+});
+
+test('createSessionStore and createRecordStore pick the configured backend', () => {
+  assert.ok(createSessionStore() instanceof MemorySessionStore);
+  assert.ok(createSessionStore({ type: 'json', path: path.join(dir, 'x.json') }) instanceof FileSessionStore);
+  assert.ok(createSessionStore({ type: 'sqlite', path: path.join(dir, 'x.db') }) instanceof SqliteSessionStore);
+  assert.throws(() => createSessionStore({ type: 'redis' }), /Unknown session store type: redis/);
+
+  const records = createRecordStore({ type: 'sqlite', table: 'knowledge' });
+  assert.ok(records instanceof SqliteRecordStore);
+  assert.equal(records.table, 'knowledge');
+  assert.equal(records.filePath, path.resolve('./data/knowledge.db'));
+  assert.equal(createRecordStore({ type: 'file', table: 'webhooks' }).filePath, path.resolve('./data/webhooks.json'));
+  assert.throws(() => createRecordStore({ type: 'redis', table: 'webhooks' }), /Unknown record store type: redis/);
+});
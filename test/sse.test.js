@@ -0,0 +1,165 @@
+// Streamed replies over Server-Sent Events: starts the API server with the
+// mock provider and reads the event streams of its reply routes.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const listener = createServer().listen(0);
+  await once(listener, 'listening');
+  const { port } = listener.address();
+  listener.close();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['test2.js'], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AUTH_DISABLED: 'true',
+      MOCK_PROVIDER: 'true',
+      DEFAULT_PROVIDER: 'mock',
+      MOCK_MODEL: 'echo',
+      MODEL_MAX_RETRIES: '0',
+      METRICS_MODELS: 'hang',
+      SESSION_STORE: 'memory',
+      PERSONA_STORE: 'memory',
+      USAGE_STORE: 'memory',
+      RESPONSE_CACHE: 'false',
+      LOG_LEVEL: 'error'
+    },
+    stdio: 'ignore'
+  });
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) break;
+    } catch (error) {
+      if (attempt > 100) throw error;
+    }
+    await sleep(100);
+  }
+});
+
+after(() => {
+  server?.kill();
+});
+
+const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+// The events of a complete stream as [{ event, data }]
+const readEvents = async (response) => (await response.text()).split('\n\n').filter(Boolean).map((block) => {
+  const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+  return { event: fields.event, data: JSON.parse(fields.data) };
+});
+
+const createSession = async (sessionId, body = {}) => {
+  const response = await post('/api/chat/session', { sessionId, ...body });
+  assert.equal(response.status, 201);
+};
+
+test('streams deltas and ends with a done event carrying the reply', async () => {
+  await createSession('sse-stream');
+  const response = await post('/api/chat/message/stream', { sessionId: 'sse-stream', message: 'one two three' });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  assert.equal(response.headers.get('cache-control'), 'no-cache');
+
+  const events = await readEvents(response);
+  const deltas = events.filter(({ event }) => event === 'delta');
+  assert.ok(deltas.length > 0);
+  const done = events.at(-1);
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.success, true);
+  assert.equal(done.data.response, 'echo: one two three');
+  assert.equal(deltas.map(({ data }) => data.text).join(''), done.data.response);
+  assert.ok(done.data.exchangeId);
+});
+
+test('Accept: text/event-stream streams the plain message route', async () => {
+  await createSession('sse-accept');
+  const response = await post('/api/chat/message', { sessionId: 'sse-accept', message: 'hi' }, { Accept: 'text/event-stream' });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const events = await readEvents(response);
+  assert.equal(events.at(-1).event, 'done');
+});
+
+test('bad requests are refused before the stream opens', async () => {
+  const response = await post('/api/chat/message/stream', { sessionId: 'sse-missing', message: 'hi' });
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).code, 'SESSION_NOT_FOUND');
+});
+
+test('a failed reply ends the stream with an error event', async () => {
+  await createSession('sse-error', { model: 'unavailable' });
+  const response = await post('/api/chat/message/stream', { sessionId: 'sse-error', message: 'hi' });
+  assert.equal(response.status, 200);
+  const events = await readEvents(response);
+  assert.deepEqual(events.map(({ event }) => event), ['error']);
+  assert.equal(events[0].data.success, false);
+  assert.equal(events[0].data.code, 'MODEL_UNAVAILABLE');
+  assert.ok(events[0].data.requestId);
+});
+
+test('closing the stream aborts the reply', async () => {
+  await createSession('sse-abort', { model: 'hang' });
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/api/chat/message/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: 'sse-abort', message: 'hi' }),
+    signal: controller.signal
+  });
+  assert.equal(response.status, 200);
+  controller.abort();
+
+  // The model call of the hanging model ends as soon as the stream is gone
+  let calls;
+  for (let attempt = 0; attempt < 50 && !calls; attempt++) {
+    await sleep(20);
+    const metrics = await (await fetch(`${baseUrl}/metrics`)).text();
+    calls = metrics.split('\n').find(line => line.startsWith('chat_model_request_duration_seconds_count') && line.includes('model="hang"'));
+  }
+  assert.match(calls || '', /outcome="aborted"\} 1$/);
+  const { history } = await (await fetch(`${baseUrl}/api/chat/session/sse-abort/history`)).json();
+  assert.deepEqual(history, []);
+});
+
+test('closing a stream does not abort the reply of another request', async () => {
+  await createSession('sse-own', { model: 'hang' });
+  const first = new AbortController();
+  const hanging = await fetch(`${baseUrl}/api/chat/message/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: 'sse-own', message: 'first' }),
+    signal: first.signal
+  });
+  assert.equal(hanging.status, 200);
+
+  const second = new AbortController();
+  const refused = await fetch(`${baseUrl}/api/chat/message/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: 'sse-own', message: 'second' }),
+    signal: second.signal
+  });
+  second.abort();
+  await assert.rejects(refused.text());
+  await sleep(50);
+
+  // The first reply is still being generated until its own stream closes
+  const abort = () => post('/api/chat/session/sse-own/abort', {}).then(response => response.json());
+  assert.equal((await abort()).aborted, true);
+  first.abort();
+  await sleep(50);
+  assert.equal((await abort()).aborted, false);
+});
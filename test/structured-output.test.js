@@ -0,0 +1,94 @@
+// Unit tests of structured replies (structured-output.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileResponseSchema, parseStructuredReply, withResponseSchema, withCorrection, structuredOutputConfigFromEnv, MAX_SCHEMA_BYTES, MAX_SCHEMA_DEPTH
+} from '../structured-output.js';
+import { ValidationError } from '../errors.js';
+
+const schema = {
+  type: 'object',
+  required: ['city', 'population'],
+  properties: { city: { type: 'string' }, population: { type: 'integer', minimum: 0 } },
+  additionalProperties: false
+};
+
+test('structuredOutputConfigFromEnv reads STRUCTURED_OUTPUT_MAX_ATTEMPTS', () => {
+  assert.deepEqual(structuredOutputConfigFromEnv({}), { maxAttempts: 3 });
+  assert.deepEqual(structuredOutputConfigFromEnv({ STRUCTURED_OUTPUT_MAX_ATTEMPTS: '5' }), { maxAttempts: 5 });
+});
+
+test('compileResponseSchema compiles a schema once and refuses invalid ones', () => {
+  assert.equal(compileResponseSchema(schema), compileResponseSchema(schema));
+  assert.throws(() => compileResponseSchema({ type: 'nonsense' }, { field: 'message.responseSchema' }), (error) => (
+    error instanceof ValidationError
+      && error.code === 'INVALID_RESPONSE_SCHEMA'
+      && /^Invalid responseSchema: /.test(error.message)
+      && error.details[0].field === 'message.responseSchema'
+  ));
+  // Schemas of different requests may share an $id
+  const first = compileResponseSchema({ $id: 'reply', type: 'string' });
+  const second = compileResponseSchema({ $id: 'reply', type: 'number' });
+  assert.equal(first('a'), true);
+  assert.equal(second(1), true);
+});
+
+test('schemas are limited in size, depth and keywords', () => {
+  const refused = (responseSchema, message) => assert.throws(() => compileResponseSchema(responseSchema), (error) => (
+    error instanceof ValidationError && error.code === 'INVALID_RESPONSE_SCHEMA' && message.test(error.message)
+  ), message.source);
+  refused({ type: 'object', properties: { name: { type: 'string', pattern: '^(a+)+$' } } }, /\/properties\/name\/pattern is not supported/);
+  refused({ type: 'object', patternProperties: { '^x': {} } }, /\/patternProperties is not supported/);
+  refused({ anyOf: [{ type: 'string' }, { myKeyword: true }] }, /\/anyOf\/1\/myKeyword is not supported/);
+  refused({ $ref: 'https://example.com/schema.json' }, /\/\$ref must point inside the schema/);
+  refused({ type: 'string', description: 'x'.repeat(MAX_SCHEMA_BYTES) }, /must be at most 16384 bytes/);
+  let nested = { type: 'string' };
+  for (let level = 0; level < MAX_SCHEMA_DEPTH; level++) nested = { type: 'array', items: nested };
+  refused(nested, /nested more than 10 levels deep/);
+
+  // Keyword names are fine as property names, local $refs and formats as hints
+  assert.equal(compileResponseSchema({ type: 'object', properties: { pattern: { type: 'string' } } })({ pattern: 'x' }), true);
+  const validate = compileResponseSchema({ $defs: { city: { type: 'string', format: 'city-name' } }, type: 'array', items: { $ref: '#/$defs/city' } });
+  assert.equal(validate(['Lisbon']), true);
+  assert.equal(validate([7]), false);
+});
+
+test('compiled schemas are shared by equal schemas', () => {
+  assert.equal(compileResponseSchema({ type: 'string', maxLength: 3 }), compileResponseSchema({ type: 'string', maxLength: 3 }));
+});
+
+test('parseStructuredReply takes JSON with or without a code fence', () => {
+  const validate = compileResponseSchema(schema);
+  const data = { city: 'Lisbon', population: 545000 };
+  assert.deepEqual(parseStructuredReply(JSON.stringify(data), validate), { valid: true, data });
+  assert.deepEqual(parseStructuredReply(`\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\`\n`, validate), { valid: true, data });
+  assert.deepEqual(parseStructuredReply(`\`\`\`\n${JSON.stringify(data)}\`\`\``, validate), { valid: true, data });
+});
+
+test('parseStructuredReply lists what is wrong with a reply', () => {
+  const validate = compileResponseSchema(schema);
+  const notJson = parseStructuredReply('Here you go: {"city": "Lisbon"}', validate);
+  assert.equal(notJson.valid, false);
+  assert.match(notJson.errors[0], /^the reply is not JSON \(/);
+
+  assert.deepEqual(parseStructuredReply('{"city": 7, "population": -1, "country": "PT"}', validate), {
+    valid: false,
+    errors: ['/ must NOT have additional properties', '/city must be string', '/population must be >= 0']
+  });
+});
+
+test('withResponseSchema and withCorrection add to text and to message parts', () => {
+  const prompt = withResponseSchema('Largest city in Portugal?', schema);
+  assert.match(prompt, /^Largest city in Portugal\?\n\nReply with a single JSON value/);
+  assert.ok(prompt.endsWith(JSON.stringify(schema)));
+
+  const parts = [{ text: 'Describe this' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }];
+  const withSchema = withResponseSchema(parts, schema);
+  assert.deepEqual(withSchema.slice(0, 2), parts);
+  assert.match(withSchema[2].text, /^Reply with a single JSON value/);
+  assert.equal(parts.length, 2);
+
+  const corrected = withCorrection(prompt, '{"city": 7}', ['/city must be string', "/ must have required property 'population'"]);
+  assert.match(corrected, /\n\nYour previous reply was:\n{"city": 7}\n\nIt is not valid: \/city must be string; \/ must have required property 'population'\.\nReply again with only the corrected JSON\.$/);
+  assert.equal(withCorrection(parts, '{}', ['x']).length, 3);
+});
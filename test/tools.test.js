@@ -0,0 +1,169 @@
+// Unit tests of tool calling (tools.js): the calculator, the registry and the
+// function-call loop.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolRegistry, sendWithTools, evaluateExpression, createDefaultToolRegistry } from '../tools.js';
+
+test('evaluateExpression follows operator precedence and associativity', () => {
+  const cases = {
+    '1 + 2 * 3': 7,
+    '(1 + 2) * 3': 9,
+    '10 - 4 - 3': 3,
+    '2 ^ 3 ^ 2': 512,
+    '2 ** -1': 0.5,
+    '-2 ^ 2': -4,
+    '--3 + +1': 4,
+    '10 % 4 / 2': 1,
+    '1e3 + .5': 1000.5,
+    'sqrt(16) + max(1, 5, 3) - abs(-2)': 7,
+    'round(PI * 100) / 100': 3.14,
+    'ln(e)': 1,
+    'log(1000)': 3
+  };
+  for (const [expression, value] of Object.entries(cases)) {
+    assert.equal(evaluateExpression(expression), value, expression);
+  }
+});
+
+test('evaluateExpression refuses anything that is not arithmetic', () => {
+  const errors = {
+    '2 3': /Unexpected token "3"/,
+    '(1 + 2': /Expected "\)" but found end of expression/,
+    'sqrt 4': /Expected "\(" but found "4"/,
+    '1 +': /Unexpected end of expression/,
+    'process.exit(1)': /Unexpected token "process"/,
+    'constructor': /Unexpected token "constructor"/,
+    '1 / 0': /Result is not a finite number/,
+    'sqrt(-1)': /Result is not a finite number/,
+    '2; 3': /Unexpected token ";"/
+  };
+  for (const [expression, message] of Object.entries(errors)) {
+    assert.throws(() => evaluateExpression(expression), message, expression);
+  }
+});
+
+test('register checks names, duplicates and handlers', () => {
+  const registry = new ToolRegistry();
+  const handler = async () => 'ok';
+  registry.register({ name: 'lookup', handler });
+  assert.throws(() => registry.register({ name: 'lookup', handler }), /Tool already registered: lookup/);
+  assert.throws(() => registry.register({ name: '1-bad name', handler }), /Invalid tool name/);
+  assert.throws(() => registry.register({ name: 'no_handler' }), /needs a handler function/);
+});
+
+test('execute validates arguments and reports failures as error results', async () => {
+  const registry = new ToolRegistry().register({
+    name: 'divide',
+    description: 'Divide a by b',
+    parameters: {
+      type: 'object',
+      properties: { a: { type: 'number' }, b: { type: 'number', default: 1 } },
+      required: ['a']
+    },
+    handler: async ({ a, b }) => {
+      if (b === 0) throw new Error('Division by zero');
+      return a / b;
+    }
+  });
+
+  assert.deepEqual(await registry.execute('divide', { a: 6, b: 3 }), { name: 'divide', args: { a: 6, b: 3 }, result: 2 });
+  // Defaults are filled in without changing the caller's arguments
+  const args = { a: 6 };
+  assert.deepEqual(await registry.execute('divide', args), { name: 'divide', args: { a: 6, b: 1 }, result: 6 });
+  assert.deepEqual(args, { a: 6 });
+
+  assert.match((await registry.execute('divide', { b: 2 })).error, /^Invalid arguments: args must have required property 'a'/);
+  assert.equal((await registry.execute('divide', { a: 1, b: 0 })).error, 'Division by zero');
+  assert.equal((await registry.execute('missing')).error, 'Unknown tool: missing');
+});
+
+test('select and list limit the registry to named tools', () => {
+  const registry = createDefaultToolRegistry();
+  assert.deepEqual(registry.list().map(tool => tool.name), ['get_current_time', 'calculate']);
+  assert.deepEqual(registry.list(['calculate']).map(tool => tool.name), ['calculate']);
+  const selected = registry.select(['calculate', 'unknown']);
+  assert.equal(selected.has('calculate'), true);
+  assert.equal(selected.has('get_current_time'), false);
+  assert.deepEqual(Object.keys(selected.list()[0]), ['name', 'description', 'parameters']);
+});
+
+test('the built-in tools calculate and tell the time', async () => {
+  const registry = createDefaultToolRegistry();
+  assert.deepEqual((await registry.execute('calculate', { expression: '(2 + 3) * sqrt(16) / 4' })).result, { expression: '(2 + 3) * sqrt(16) / 4', value: 5 });
+  assert.equal((await registry.execute('calculate', { expression: '1 / 0' })).error, 'Result is not a finite number');
+
+  const { result } = await registry.execute('get_current_time', { timeZone: 'Europe/Berlin' });
+  assert.equal(result.timeZone, 'Europe/Berlin');
+  assert.ok(!Number.isNaN(Date.parse(result.iso)));
+  assert.equal((await registry.execute('get_current_time', {})).result.timeZone, 'UTC');
+  assert.match((await registry.execute('get_current_time', { timeZone: 'Mars/Olympus' })).error, /time zone/i);
+});
+
+// A chat that answers with the scripted replies in turn and records what it was sent
+const scriptedChat = (replies) => {
+  const sent = [];
+  const next = () => replies[Math.min(sent.length - 1, replies.length - 1)];
+  return {
+    sent,
+    async sendMessage(message) {
+      sent.push(message);
+      return next();
+    },
+    async sendMessageStream(message) {
+      sent.push(message);
+      const reply = next();
+      return {
+        stream: (async function* () { yield reply.text; })(),
+        response: Promise.resolve(reply)
+      };
+    }
+  };
+};
+
+const usage = { inputTokens: 10, outputTokens: 2, totalTokens: 12 };
+
+test('sendWithTools runs tool calls until the model answers with text', async () => {
+  const chat = scriptedChat([
+    { text: '', usage, functionCalls: [{ id: 'call-1', name: 'calculate', args: { expression: '6 * 7' } }] },
+    { text: 'It is 42.', usage, functionCalls: [] }
+  ]);
+  const calls = [];
+  const result = await sendWithTools(chat, 'What is 6 * 7?', createDefaultToolRegistry(), { onToolCall: call => calls.push(call) });
+
+  assert.equal(result.text, 'It is 42.');
+  assert.deepEqual(result.usage, { inputTokens: 20, outputTokens: 4, totalTokens: 24 });
+  assert.deepEqual(result.toolCalls, [{ name: 'calculate', args: { expression: '6 * 7' }, result: { expression: '6 * 7', value: 42 } }]);
+  assert.deepEqual(calls, result.toolCalls);
+  assert.deepEqual(chat.sent[1], [{ functionResponse: { id: 'call-1', name: 'calculate', response: { expression: '6 * 7', value: 42 } } }]);
+});
+
+test('sendWithTools stops the model after maxRounds of tool calls', async () => {
+  const chat = scriptedChat([{ text: '', usage, functionCalls: [{ name: 'calculate', args: { expression: '1 + 1' } }] }]);
+  const result = await sendWithTools(chat, 'loop', createDefaultToolRegistry(), { maxRounds: 2 });
+  assert.equal(chat.sent.length, 4);
+  assert.deepEqual(result.toolCalls.map(call => call.error || call.result.value), [2, 2, 'Tool call limit reached. Answer the user without calling more tools.']);
+  assert.deepEqual(chat.sent[3], [{ functionResponse: { name: 'calculate', response: { error: 'Tool call limit reached. Answer the user without calling more tools.' } } }]);
+});
+
+test('sendWithTools streams deltas and ends at a safety block', async () => {
+  const safetyBlock = { stage: 'reply', reason: 'SAFETY' };
+  const chat = scriptedChat([{ text: 'partial', usage, functionCalls: [{ name: 'calculate', args: {} }], safetyBlock }]);
+  const deltas = [];
+  const result = await sendWithTools(chat, 'hi', createDefaultToolRegistry(), { onDelta: delta => deltas.push(delta) });
+  assert.deepEqual(deltas, ['partial']);
+  assert.deepEqual(result, { text: 'partial', usage, toolCalls: [], safetyBlock });
+});
+
+test('sendWithTools stops when its signal aborts', async () => {
+  const controller = new AbortController();
+  const chat = scriptedChat([{ text: '', usage, functionCalls: [{ name: 'calculate', args: { expression: '1' } }] }]);
+  const registry = new ToolRegistry().register({
+    name: 'calculate',
+    handler: async () => {
+      controller.abort();
+      return 1;
+    }
+  });
+  await assert.rejects(sendWithTools(chat, 'hi', registry, { signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(chat.sent.length, 2);
+});
@@ -0,0 +1,108 @@
+// Unit tests of conversation export and import (transcripts.js) on a session
+// with one edited message, so its tree has two branches.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTranscript, formatTranscript, parseTranscript, EXPORT_FORMATS, TRANSCRIPT_VERSION } from '../transcripts.js';
+import { ValidationError } from '../errors.js';
+
+const session = {
+  id: 'session-1',
+  provider: 'mock',
+  model: 'echo',
+  generationConfig: { temperature: 0.2 },
+  tools: ['calculator'],
+  usage: { inputTokens: 30, outputTokens: 12, totalTokens: 42 },
+  activeExchangeId: 'c2',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  lastActivity: '2026-01-01T00:03:00.000Z',
+  exchanges: [
+    { id: 'a', parentId: null, user: 'What is 6*7?', assistant: '42', toolCalls: [{ name: 'calculator', args: { expression: '6*7' }, result: { result: 42 } }], timestamp: '2026-01-01T00:01:00.000Z' },
+    { id: 'c', parentId: 'a', user: 'Old <question>', assistant: 'Old answer', timestamp: '2026-01-01T00:02:00.000Z' },
+    {
+      id: 'c2',
+      parentId: 'a',
+      user: 'Show me the <b>report</b>',
+      assistant: 'Here it is [1]',
+      attachments: [{ name: 'report.pdf', mimeType: 'application/pdf', size: 120 }],
+      citations: [{ index: 1, title: 'Annual report', page: 3, cited: true }, { index: 2, document: 'notes.txt', cited: false }],
+      timestamp: '2026-01-01T00:03:00.000Z'
+    }
+  ]
+};
+
+const invalid = (message) => (error) => error instanceof ValidationError && message.test(error.message);
+
+test('every export format has a renderer', () => {
+  const transcript = buildTranscript(session);
+  for (const format of Object.keys(EXPORT_FORMATS)) {
+    assert.equal(typeof formatTranscript(transcript, format), 'string', format);
+  }
+  assert.throws(() => formatTranscript(transcript, 'pdf'), invalid(/expected one of json, jsonl, markdown, html, txt/));
+});
+
+test('JSON and JSONL exports import back to the same tree', () => {
+  const transcript = buildTranscript(session);
+  assert.equal(transcript.version, TRANSCRIPT_VERSION);
+  for (const format of ['json', 'jsonl']) {
+    const imported = parseTranscript(formatTranscript(transcript, format));
+    assert.deepEqual(imported.exchanges, session.exchanges, format);
+    assert.equal(imported.session.activeExchangeId, 'c2');
+    assert.deepEqual(imported.session.usage, session.usage);
+  }
+  const lines = formatTranscript(transcript, 'jsonl').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.type), ['session', 'exchange', 'exchange', 'exchange']);
+});
+
+test('readable formats show the active branch with tools, files and cited sources', () => {
+  const transcript = buildTranscript(session);
+  const markdown = formatTranscript(transcript, 'markdown');
+  assert.match(markdown, /^# Chat session session-1\n/);
+  assert.match(markdown, /- Exchanges: 2/);
+  assert.match(markdown, /- Tool: `calculator\({"expression":"6\*7"}\) -> {"result":42}`/);
+  assert.match(markdown, /- Attachment: report\.pdf \(application\/pdf, 120 bytes\)/);
+  assert.match(markdown, /- Source \[1\] Annual report, page 3/);
+  assert.doesNotMatch(markdown, /notes\.txt|Old answer/);
+
+  const html = formatTranscript(transcript, 'html');
+  assert.match(html, /Show me the &lt;b&gt;report&lt;\/b&gt;/);
+  assert.doesNotMatch(html, /<b>report/);
+
+  const txt = formatTranscript(transcript, 'txt');
+  assert.match(txt, /\[2026-01-01T00:03:00\.000Z\] User: Show me the <b>report<\/b>\n  Attachment: report\.pdf/);
+  assert.match(txt, /Assistant: Here it is \[1\]\n  Source \[1\] Annual report, page 3/);
+});
+
+test('the /save dump of earlier releases is upgraded to a linked tree', () => {
+  const imported = parseTranscript({
+    sessionId: 'old',
+    timestamp: '2025-06-01T10:00:00.000Z',
+    model: 'echo',
+    conversation: [{ user: 'hi', assistant: 'hello', timestamp: '10:00:00' }, { user: 'bye', assistant: 'goodbye', timestamp: '10:01:00' }]
+  });
+  assert.equal(imported.version, TRANSCRIPT_VERSION);
+  const [first, second] = imported.exchanges;
+  assert.equal(first.parentId, null);
+  assert.equal(second.parentId, first.id);
+  assert.equal(second.timestamp, '2025-06-01T10:00:00.000Z');
+  assert.equal(imported.session.activeExchangeId, second.id);
+  assert.equal(imported.session.id, 'old');
+});
+
+test('imports refuse unknown versions, broken trees and malformed input', () => {
+  const transcript = buildTranscript(session);
+  const withExchanges = (exchanges) => ({ ...transcript, exchanges });
+  assert.throws(() => parseTranscript('not json'), invalid(/line 1 is not JSON/));
+  assert.throws(() => parseTranscript('{"type":"exchange"}\n{"type":"session"}'), invalid(/first JSONL line must be the session/));
+  assert.throws(() => parseTranscript([]), invalid(/expected an object/));
+  assert.throws(() => parseTranscript({ ...transcript, version: TRANSCRIPT_VERSION + 1 }), invalid(/unsupported schema or version/));
+  assert.throws(() => parseTranscript({ ...transcript, schema: 'other' }), invalid(/unsupported schema or version/));
+  assert.throws(() => parseTranscript(withExchanges([{ id: 'a', parentId: null, user: 'hi' }])), invalid(/\/exchanges\/0 must have required property 'assistant'/));
+  assert.throws(() => parseTranscript(withExchanges([session.exchanges[0], session.exchanges[0]])), invalid(/duplicate exchange id a/));
+  assert.throws(() => parseTranscript(withExchanges([session.exchanges[1]])), invalid(/exchange c replies to unknown exchange a/));
+});
+
+test('an unknown active exchange falls back to the last one', () => {
+  const transcript = buildTranscript({ ...session, activeExchangeId: 'gone' });
+  const imported = parseTranscript(transcript);
+  assert.equal(imported.session.activeExchangeId, 'c2');
+});
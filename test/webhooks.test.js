@@ -0,0 +1,125 @@
+// Unit tests of the webhook registry (webhooks.js): which URLs it accepts,
+// where deliveries may connect to and how they are signed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { MemorySessionStore } from '../session-store.js';
+import { WebhookRegistry, isPrivateAddress, signPayload, verifySignature } from '../webhooks.js';
+
+const admin = { id: 'root', role: 'admin' };
+const user = { id: 'alice', role: 'user' };
+const config = { maxAttempts: 3, timeoutMs: 1000, baseDelayMs: 1, maxDelayMs: 1, logSize: 10 };
+
+// Waits until the latest delivery of a webhook is no longer pending or retrying
+const settled = async (registry, webhook) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const [delivery] = registry.deliveriesOf(webhook.id, admin);
+    if (delivery && !['pending', 'retrying'].includes(delivery.status)) return delivery;
+    await sleep(10);
+  }
+  throw new Error('The delivery did not settle');
+};
+
+test('isPrivateAddress covers loopback, private, link-local and reserved ranges', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not an address']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('users cannot register webhooks on private networks', async () => {
+  const registry = new WebhookRegistry({ config });
+  for (const url of ['http://localhost:9/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::ffff:10.0.0.1]/hook',
+    'http://2130706433/hook', 'http://0x7f.1/hook']) {
+    await assert.rejects(registry.create({ url, events: ['session.deleted'] }, user), { code: 'WEBHOOK_URL_NOT_ALLOWED', status: 400 }, url);
+  }
+  await assert.rejects(registry.create({ url: 'ftp://example.com', events: ['session.deleted'] }, user), { code: 'INVALID_WEBHOOK_URL' });
+  assert.deepEqual(registry.list(admin), []);
+
+  const webhook = await registry.create({ url: 'http://93.184.216.34/hook', events: ['session.deleted'] }, user);
+  assert.equal(webhook.allowPrivateNetworks, undefined);
+  assert.equal(webhook.allSessions, false);
+});
+
+test('deliveries check the address again and do not name the network error', async () => {
+  const store = new MemorySessionStore();
+  // Stored before the check existed, or edited in the store
+  await store.save({ id: 'literal', owner: 'alice', allSessions: false, url: 'http://127.0.0.1:9/hook', events: ['session.deleted'], secret: 's', createdAt: new Date().toISOString() });
+  await store.save({ id: 'resolved', owner: 'alice', allSessions: false, url: 'http://localhost:9/hook', events: ['session.deleted'], secret: 's', createdAt: new Date().toISOString() });
+  const registry = new WebhookRegistry({ store, config });
+  await registry.load();
+
+  registry.dispatch('session.deleted', 'alice', { sessionId: 'a' });
+  for (const id of ['literal', 'resolved']) {
+    const delivery = await settled(registry, { id });
+    assert.equal(delivery.status, 'failed', id);
+    assert.equal(delivery.attempts, 1, id);
+    assert.equal(delivery.error, 'The url does not point to a public address');
+    assert.equal(delivery.responseStatus, undefined);
+  }
+});
+
+test('admin webhooks may reach private networks and are signed', async () => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end();
+    });
+  }).listen(0, '127.0.0.1');
+  await once(receiver, 'listening');
+  try {
+    const registry = new WebhookRegistry({ config });
+    const webhook = await registry.create({ url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['session.deleted'], secret: 'top-secret' }, admin);
+    assert.equal(webhook.allowPrivateNetworks, true);
+
+    const event = registry.dispatch('session.deleted', 'alice', { sessionId: 'a' });
+    const delivery = await settled(registry, webhook);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers['x-webhook-id'], event.id);
+    assert.deepEqual(JSON.parse(received[0].body), event);
+    assert.ok(verifySignature('top-secret', received[0].body, received[0].headers['x-webhook-signature']));
+  } finally {
+    receiver.closeAllConnections();
+    receiver.close();
+  }
+});
+
+test('a refused connection is retried and logged without its details', async () => {
+  const registry = new WebhookRegistry({ config });
+  const webhook = await registry.create({ url: 'http://127.0.0.1:9/hook', events: ['session.deleted'] }, admin);
+  registry.dispatch('session.deleted', 'alice', {});
+  const delivery = await settled(registry, webhook);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.error, 'The connection failed');
+});
+
+test('signatures cover the timestamp and body and expire', () => {
+  const body = JSON.stringify({ type: 'session.deleted' });
+  const header = signPayload('secret', body, 1700000000);
+  assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+  const now = 1700000000 * 1000;
+  assert.equal(verifySignature('secret', body, header, { now }), true);
+  assert.equal(verifySignature('secret', body, header, { now: now + 300 * 1000 }), true);
+
+  assert.equal(verifySignature('secret', body, header, { now: now + 301 * 1000 }), false);
+  assert.equal(verifySignature('secret', body, header, { now: now + 3600 * 1000, toleranceSeconds: 7200 }), true);
+  assert.equal(verifySignature('other', body, header, { now }), false);
+  assert.equal(verifySignature('secret', `${body} `, header, { now }), false);
+  assert.equal(verifySignature('secret', body, header.replace('t=1700000000', 't=1700000001'), { now }), false);
+  for (const broken of [undefined, '', 'v1=abc', 't=1700000000', 't=soon,v1=' + 'a'.repeat(64), 't=1700000000,v1=' + 'a'.repeat(63)]) {
+    assert.equal(verifySignature('secret', body, broken, { now }), false, String(broken));
+  }
+  // Signed now by default
+  assert.equal(verifySignature('secret', body, signPayload('secret', body)), true);
+});
@@ -1,16 +1,130 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { EventEmitter } from 'node:events';
+import { readFileSync } from 'node:fs';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
+import { createSessionStore, createRecordStore } from './session-store.js';
+import { createAuthenticator, createAuthMiddleware, requireRole, canAccessSession, parseApiKeys } from './auth.js';
+import { createProviders, exchangesToHistory, parseModelSpec } from './providers.js';
+import { createDefaultToolRegistry, sendWithTools } from './tools.js';
+import { attachmentLimitsFromEnv, parseAttachments, toMessageParts, attachmentMetadata } from './attachments.js';
+import {
+  contextConfigFromEnv, emptyUsage, addUsage, estimateTokens, summaryPreamble, slidingWindowStart, summarizeExchanges
+} from './context.js';
+import { QuotaManager, createUsageStore, createQuotaMiddleware } from './quotas.js';
+import { attachRealtimeServer } from './realtime.js';
+import { EXPORT_FORMATS, buildTranscript, formatTranscript, parseTranscript } from './transcripts.js';
+import { linkExchanges, pathTo, latestLeaf, sharedPrefixLength, listBranches } from './branches.js';
+import { PersonaRegistry } from './personas.js';
+import { SearchIndex } from './search.js';
+import { createLogger, createRequestLogging } from './logger.js';
+import { MetricsRegistry, createHttpMetricsMiddleware, createMetricsHandler, boundedLabel } from './metrics.js';
+import { ModelGateway, resilienceConfigFromEnv, modelErrorOf } from './resilience.js';
+import { ModerationPipeline, moderationPolicyFromEnv, compileModerationPolicy } from './moderation.js';
+import { KnowledgeBase, knowledgeConfigFromEnv, withSources, toCitations } from './knowledge.js';
+import { JobQueue, jobConfigFromEnv } from './jobs.js';
+import { WEBHOOK_EVENTS, WebhookRegistry, webhookConfigFromEnv } from './webhooks.js';
+import { ResponseCache, cacheConfigFromEnv, responseCacheKey } from './cache.js';
+import {
+  JSON_MIME_TYPE, structuredOutputConfigFromEnv, compileResponseSchema, withResponseSchema, withCorrection, parseStructuredReply
+} from './structured-output.js';
+import {
+  AppError, ValidationError, NotFoundError, ConflictError, TooManyRequestsError, UpstreamError, errorEnvelope, createErrorHandler
+} from './errors.js';
+import {
+  validateRequest, assertValid, setRequestLimits, generationConfigSchema, moderationPolicySchema, sessionParams, createSessionBody, messageBody, editBody, regenerateBody, branchBody,
+  searchQuery, exportQuery, importQuery, recentSessionsQuery, cleanupBody, userParams, usageAdjustBody, personaParams, personaBody,
+  personaUpdateBody, collectionParams, documentParams, chunkParams, collectionBody, documentBody, knowledgeSearchQuery, replyQuery,
+  jobParams, webhookParams, webhookBody, cachePurgeQuery,
+  healthResponse, sessionResponse, replyResponse, searchResponse, historyResponse, abortResponse, branchesResponse,
+  branchSwitchResponse, importResponse, deleteResponse, clearResponse, sessionsResponse, recentSessionsResponse, cleanupResponse,
+  usageResponse, usageListResponse, personasResponse, personaResponse, personaDeletedResponse, collectionResponse, collectionsResponse,
+  collectionDeletedResponse, ingestResponse, documentResponse, documentDeletedResponse, chunkResponse, knowledgeSearchResponse,
+  jobAcceptedResponse, jobResponse, webhookResponse, webhooksResponse, webhookDeletedResponse, deliveriesResponse, toolsResponse,
+  infoResponse, cacheStatsResponse, cachePurgeResponse
+} from './schemas.js';
+import { describeRoute, mountApiDocs } from './openapi.js';
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// JSON logs (LOG_LEVEL) and Prometheus metrics (served on /metrics)
+const logger = createLogger();
+const metrics = new MetricsRegistry();
+const errorsTotal = metrics.counter({
+  name: 'chat_errors_total',
+  help: 'Errors by type: HTTP error responses, failed model calls and background jobs',
+  labelNames: ['type']
+});
+const modelRequestDuration = metrics.histogram({
+  name: 'chat_model_request_duration_seconds',
+  help: 'Latency of model calls by provider, model, operation and outcome',
+  labelNames: ['provider', 'model', 'operation', 'outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60]
+});
+const tokensTotal = metrics.counter({
+  name: 'chat_tokens_total',
+  help: 'Tokens reported by the model provider, by direction',
+  labelNames: ['provider', 'model', 'direction']
+});
+const cleanupRuns = metrics.counter({
+  name: 'chat_session_cleanup_runs_total',
+  help: 'Runs of the inactive session cleanup by outcome',
+  labelNames: ['outcome']
+});
+const cleanedSessions = metrics.counter({
+  name: 'chat_sessions_cleaned_total',
+  help: 'Sessions removed by the inactive session cleanup'
+});
+const modelRetries = metrics.counter({
+  name: 'chat_model_retries_total',
+  help: 'Retried model calls by provider, model and error code',
+  labelNames: ['provider', 'model', 'code']
+});
+const modelFallbacks = metrics.counter({
+  name: 'chat_model_fallbacks_total',
+  help: 'Model calls answered by the fallback model',
+  labelNames: ['provider', 'model']
+});
+const moderationFlags = metrics.counter({
+  name: 'chat_moderation_flags_total',
+  help: 'Content found by moderation, by stage, rule, type and action',
+  labelNames: ['stage', 'rule', 'type', 'action']
+});
+const knowledgeRetrievals = metrics.counter({
+  name: 'chat_knowledge_retrievals_total',
+  help: 'Passage retrievals for messages of sessions with collections, by outcome (hit, miss, error)',
+  labelNames: ['outcome']
+});
+const jobsTotal = metrics.counter({
+  name: 'chat_jobs_total',
+  help: 'Finished background jobs by type and outcome (succeeded, failed)',
+  labelNames: ['type', 'outcome']
+});
+const webhookDeliveries = metrics.counter({
+  name: 'chat_webhook_deliveries_total',
+  help: 'Webhook delivery attempts by event and outcome (delivered, retrying, failed)',
+  labelNames: ['event', 'outcome']
+});
+const responseCacheLookups = metrics.counter({
+  name: 'chat_response_cache_lookups_total',
+  help: 'Response cache lookups by outcome (hit, shared, miss)',
+  labelNames: ['outcome']
+});
+const circuitState = metrics.gauge({
+  name: 'chat_model_circuit_state',
+  help: 'Circuit breaker state per model: 0 closed, 1 half-open, 2 open',
+  labelNames: ['provider', 'model']
+});
+
+app.use(createRequestLogging(logger));
+app.use(createHttpMetricsMiddleware(metrics, { errors: errorsTotal }));
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -19,15 +133,71 @@ app.use(express.urlencoded({ extended: true }));
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: { error: 'Too many requests from this IP' }
+  handler: (req, res, next, options) => next(new TooManyRequestsError('Too many requests from this IP', {
+    code: 'RATE_LIMITED',
+    retryAfter: Math.ceil((req.rateLimit.resetTime ? req.rateLimit.resetTime - Date.now() : options.windowMs) / 1000)
+  }))
 });
 app.use('/api/', limiter);
 
-const ai = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = "gemini-1.5-flash";
+// OpenAPI document and docs page, open to everyone (see openapi.js)
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+mountApiDocs(app, {
+  info: {
+    title: 'Chat API',
+    version,
+    description: 'Chat sessions with generative models. Replies can also be streamed over the WebSocket channel at /api/ws.'
+  }
+});
+
+const authDisabled = process.env.AUTH_DISABLED === 'true';
+const authenticate = createAuthenticator({
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  jwtSecret: process.env.JWT_SECRET,
+  jwtIssuer: process.env.JWT_ISSUER,
+  jwtAudience: process.env.JWT_AUDIENCE,
+  disabled: authDisabled
+});
+app.use('/api/', createAuthMiddleware(authenticate));
+
+// Daily and monthly per-user quotas (QUOTA_* variables, see quotas.js)
+const quotas = new QuotaManager({
+  store: createUsageStore({ type: process.env.USAGE_STORE || 'memory' })
+});
+app.use('/api/', createQuotaMiddleware(quotas));
+
+const providers = createProviders();
+const defaultProvider = process.env.DEFAULT_PROVIDER || 'gemini';
+const model = process.env.DEFAULT_MODEL || providers.get(defaultProvider)?.defaultModel || "gemini-1.5-flash";
+
+// Timeouts, retries, circuit breakers and the fallback model (MODEL_*,
+// CIRCUIT_* and FALLBACK_MODEL variables, see resilience.js)
+const resilience = resilienceConfigFromEnv();
+const fallbackModel = resilience.fallbackModel ? parseModelSpec(resilience.fallbackModel, providers, defaultProvider) : null;
+// Model names come from clients, so metrics only label the configured ones
+// (the defaults, the fallback and METRICS_MODELS, comma separated) by name
+const modelLabel = boundedLabel([
+  model,
+  ...Array.from(providers.values(), modelProvider => modelProvider.defaultModel),
+  ...(fallbackModel ? [fallbackModel.model] : []),
+  ...(process.env.METRICS_MODELS || '').split(',').map(name => name.trim()).filter(Boolean)
+]);
+const modelGateway = new ModelGateway(resilience, {
+  onRetry: ({ provider, model: modelName, attempt, delay, error }) => {
+    modelRetries.inc({ provider, model: modelLabel(modelName), code: error.code });
+    logger.warn('Retrying model call', { provider, model: modelName, attempt, delayMs: delay, code: error.code, error });
+  },
+  onCircuitChange: ({ provider, model: modelName, state }) => {
+    circuitState.set({ provider, model: modelLabel(modelName) }, { closed: 0, 'half-open': 1, open: 2 }[state]);
+    logger.log(state === 'open' ? 'error' : 'info', `Circuit ${state}`, { provider, model: modelName });
+  }
+});
+
+// Sessions created without a persona use this one; the system instruction
+// comes from the persona's prompt (see personas.js)
+const defaultPersona = process.env.DEFAULT_PERSONA || 'assistant';
 
 const config = {
-  systemInstruction: "You are a helpful assistant. Answer in a friendly, conversational tone. Keep responses concise but informative.",
   generationConfig: {
     temperature: 0.7,
     topK: 40,
@@ -36,68 +206,818 @@ const config = {
   }
 };
 
+// Per-session generationConfig overrides on top of `base`; the bounds are in
+// generationConfigSchema (see schemas.js)
+function normalizeGenerationConfig(overrides = {}, base = config.generationConfig) {
+  assertValid(generationConfigSchema, overrides, { label: 'generationConfig' });
+  return { ...base, ...overrides };
+}
+
+// Context-window management (CONTEXT_* variables, see context.js)
+const contextConfig = contextConfigFromEnv();
+
+// Attachment limits (ATTACHMENT_* variables, see attachments.js), which
+// message bodies are validated against too, as is MAX_MESSAGE_LENGTH
+const attachmentLimits = attachmentLimitsFromEnv();
+setRequestLimits({
+  maxMessageLength: Number(process.env.MAX_MESSAGE_LENGTH) || 32000,
+  maxAttachments: attachmentLimits.maxCount
+});
+
+// Replies asked for as JSON matching a schema (STRUCTURED_OUTPUT_* variables,
+// see structured-output.js)
+const structuredOutput = structuredOutputConfigFromEnv();
+
+// Content moderation of messages and replies: the deployment policy from
+// MODERATION_POLICY, refined per persona (see moderation.js)
+const moderationPolicy = moderationPolicyFromEnv();
+assertValid(moderationPolicySchema, moderationPolicy, { label: 'MODERATION_POLICY' });
+const moderation = new ModerationPipeline(moderationPolicy, {
+  onFlag: ({ stage, rule, type, action, count }) => moderationFlags.inc({ stage, rule, type, action }, count)
+});
+
+const validateModeration = (policy) => {
+  assertValid(moderationPolicySchema, policy, { label: 'persona', root: 'moderation' });
+  compileModerationPolicy(policy);
+};
+
+// Built-in personas plus custom ones from PERSONA_STORE
+const personas = new PersonaRegistry({
+  store: createRecordStore({
+    type: process.env.PERSONA_STORE || 'memory',
+    path: process.env.PERSONA_STORE_PATH,
+    table: 'personas'
+  }),
+  validateGenerationConfig: overrides => normalizeGenerationConfig(overrides, {}),
+  validateModeration
+});
+
+// Document collections sessions can answer from (KNOWLEDGE_* variables, see
+// knowledge.js). EMBEDDING_MODEL ("provider" or "provider:model") adds
+// embeddings to keyword retrieval; they are requested through the model gateway.
+const knowledgeConfig = knowledgeConfigFromEnv();
+const embeddingModel = process.env.EMBEDDING_MODEL
+  ? (providers.has(process.env.EMBEDDING_MODEL)
+    ? { provider: process.env.EMBEDDING_MODEL, model: providers.get(process.env.EMBEDDING_MODEL).defaultEmbeddingModel }
+    : parseModelSpec(process.env.EMBEDDING_MODEL, providers, defaultProvider))
+  : null;
+const knowledge = new KnowledgeBase({
+  limits: knowledgeConfig,
+  store: createRecordStore({
+    type: process.env.KNOWLEDGE_STORE || 'memory',
+    path: process.env.KNOWLEDGE_STORE_PATH,
+    table: 'knowledge'
+  }),
+  embedder: embeddingModel ? {
+    model: `${embeddingModel.provider}:${embeddingModel.model}`,
+    embed: async (texts) => {
+      const { result } = await modelGateway.call([embeddingModel], (target, signal) => (
+        providers.get(target.provider).embed(texts, { model: target.model, signal })
+      ));
+      return result;
+    }
+  } : null,
+  onEmbeddingError: (error) => logger.warn('Embedding the query failed, retrieving by keywords only', { error })
+});
+
+// Replies requested with ?async=true wait here (JOB_* variables, see jobs.js)
+const jobs = new JobQueue({
+  ...jobConfigFromEnv(),
+  onSettled: (job, error) => {
+    jobsTotal.inc({ type: job.type, outcome: job.status });
+    if (job.error?.status === 500) {
+      errorsTotal.inc({ type: 'job' });
+      logger.error('Job failed', { jobId: job.id, type: job.type, error });
+    }
+  }
+});
+
+// Webhooks for session events, kept in WEBHOOK_STORE (WEBHOOK_* variables,
+// see webhooks.js)
+const webhooks = new WebhookRegistry({
+  store: createRecordStore({
+    type: process.env.WEBHOOK_STORE || 'memory',
+    path: process.env.WEBHOOK_STORE_PATH,
+    table: 'webhooks'
+  }),
+  config: webhookConfigFromEnv(),
+  onDelivery: ({ webhook, delivery, outcome, error }) => {
+    webhookDeliveries.inc({ event: delivery.event, outcome });
+    if (outcome !== 'delivered') {
+      logger.warn(outcome === 'failed' ? 'Webhook delivery failed' : 'Retrying webhook delivery', {
+        webhookId: webhook.id, eventId: delivery.eventId, event: delivery.event, attempts: delivery.attempts,
+        responseStatus: delivery.responseStatus, error: error ? (error.cause?.message || error.message) : undefined
+      });
+    }
+  }
+});
+
+// Cache of model replies, off unless RESPONSE_CACHE=true (RESPONSE_CACHE_*
+// variables, see cache.js); RESPONSE_CACHE_STORE=file or sqlite keeps it
+// across restarts
+const responseCacheConfig = cacheConfigFromEnv();
+const responseCache = responseCacheConfig.enabled ? new ResponseCache({
+  ...responseCacheConfig,
+  store: createRecordStore({
+    type: process.env.RESPONSE_CACHE_STORE || 'memory',
+    path: process.env.RESPONSE_CACHE_STORE_PATH || (process.env.RESPONSE_CACHE_STORE === 'sqlite' ? './data/response-cache.db' : './data/response-cache.json'),
+    table: 'response_cache'
+  }),
+  onError: (error) => logger.error('Failed to update the response cache store', { error })
+}) : null;
+
 class ChatService {
-  constructor() {
+  constructor(store = createSessionStore(), modelProviders = providers, tools = createDefaultToolRegistry(), personaRegistry = personas, knowledgeBase = knowledge) {
     this.sessions = new Map();
-    this.generativeModel = ai.getGenerativeModel({ 
-      model: model,
-      systemInstruction: config.systemInstruction,
-      generationConfig: config.generationConfig
+    this.store = store;
+    this.providers = modelProviders;
+    this.tools = tools;
+    this.personas = personaRegistry;
+    this.knowledge = knowledgeBase;
+    // Full-text index of every session's messages, see search.js
+    this.searchIndex = new SearchIndex();
+    // Live session events, emitted under the session id (see publish)
+    this.events = new EventEmitter().setMaxListeners(0);
+    // AbortControllers of the replies being generated, by session id
+    this.generations = new Map();
+  }
+
+  // Rebuilds live sessions from the store, replaying each stored exchange
+  // into a fresh chat so follow-up messages keep their context.
+  async restoreSessions() {
+    const records = await this.store.load();
+    for (const record of records) {
+      const { history = [], ...fields } = record;
+      const session = {
+        provider: defaultProvider,
+        model,
+        generationConfig: config.generationConfig,
+        tools: this.tools.list().map(tool => tool.name),
+        // Records saved before personas existed used the default prompt
+        ...this.personas.render(defaultPersona),
+        collections: [],
+        usage: emptyUsage(),
+        context: { start: 0, summary: null },
+        // Records saved before branching only have the flat history
+        exchanges: linkExchanges(history),
+        activeExchangeId: history.at(-1)?.id || null,
+        ...fields
+      };
+      session.history = pathTo(session.exchanges, session.activeExchangeId);
+      session.chatSession = this.startChatSession(session);
+      this.sessions.set(record.id, session);
+      this.searchIndex.indexSession(session);
+    }
+    return { restored: records.length };
+  }
+
+  // Validates a session's provider, model, generationConfig, tool choice,
+  // persona and knowledge collections, filling in the server defaults for
+  // anything left out. The persona's generationConfig sits between the server
+  // defaults and the session's own overrides.
+  resolveModelSettings({ provider = defaultProvider, model: modelName, generationConfig, tools, persona = defaultPersona, variables, collections = [] } = {}) {
+    const modelProvider = this.providers.get(provider);
+    if (!modelProvider) {
+      throw new ValidationError(`Unknown provider: ${provider}`, { code: 'UNKNOWN_PROVIDER' });
+    }
+    if (tools !== undefined && (!Array.isArray(tools) || !tools.every(name => typeof name === 'string'))) {
+      throw new ValidationError('Invalid tools: expected an array of tool names');
+    }
+    const unknownTool = tools?.find(name => !this.tools.has(name));
+    if (unknownTool) {
+      throw new ValidationError(`Unknown tool: ${unknownTool}`, { code: 'UNKNOWN_TOOL' });
+    }
+    // A persona named in the request is part of the settings, not a resource
+    // being looked up, so an unknown one is a bad request
+    if (!this.personas.has(persona)) {
+      throw new ValidationError(`Unknown persona: ${persona}`, { code: 'UNKNOWN_PERSONA' });
+    }
+    const unknownCollection = collections.find(name => !this.knowledge.has(name));
+    if (unknownCollection) {
+      throw new ValidationError(`Unknown collection: ${unknownCollection}`, { code: 'UNKNOWN_COLLECTION' });
+    }
+    const { generationConfig: personaConfig, ...rendered } = this.personas.render(persona, variables);
+    return {
+      provider,
+      model: modelName || (provider === defaultProvider ? model : modelProvider.defaultModel),
+      generationConfig: normalizeGenerationConfig(generationConfig, normalizeGenerationConfig(personaConfig)),
+      tools: tools || this.tools.list().map(tool => tool.name),
+      collections,
+      ...rendered
+    };
+  }
+
+  // The model sees the context summary (if any) plus the exchanges after
+  // context.start; see context.js. The options pick another provider and
+  // model (e.g. the fallback model), generationConfig or tools for a chat
+  // used for one message only.
+  startChatSession(session, {
+    provider = session.provider, model: modelName = session.model, generationConfig = session.generationConfig, tools = session.tools
+  } = {}) {
+    return this.providers.get(provider).startChat({
+      model: modelName,
+      systemInstruction: session.systemInstruction,
+      generationConfig,
+      history: exchangesToHistory(this.contextOf(session)),
+      tools: this.tools.list(tools)
     });
   }
 
-  createSession(sessionId = null) {
+  // The exchanges the model sees, after the context summary (if any)
+  contextOf(session) {
+    const { start, summary } = session.context;
+    return [...(summary ? summaryPreamble(summary) : []), ...session.history.slice(start)];
+  }
+
+  // history is the active branch and is rebuilt from exchanges on restore
+  async persistSession(session) {
+    const { chatSession, history, ...record } = session;
+    await this.store.save(record);
+  }
+
+  async createSession(sessionId = null, owner = null, modelSettings = {}) {
     const id = sessionId || uuidv4();
     try {
-      const chatSession = this.generativeModel.startChat({ history: [] });
+      if (this.sessions.has(id)) {
+        throw new ConflictError('Session already exists', { code: 'SESSION_EXISTS' });
+      }
       const session = {
         id,
-        chatSession,
+        owner,
+        ...this.resolveModelSettings(modelSettings),
+        exchanges: [],
+        activeExchangeId: null,
         history: [],
+        usage: emptyUsage(),
+        context: { start: 0, summary: null },
         createdAt: new Date().toISOString(),
         lastActivity: new Date().toISOString()
       };
+      session.chatSession = this.startChatSession(session);
       this.sessions.set(id, session);
+      await this.persistSession(session);
       return session;
     } catch (error) {
-      throw new Error(`Failed to create chat session: ${error.message}`);
+      throw new Error(`Failed to create chat session: ${error.message}`, { cause: error });
     }
   }
 
   getSession(sessionId) {
     const session = this.sessions.get(sessionId);
     if (!session) {
-      throw new Error('Session not found');
+      throw new NotFoundError('Session not found', { code: 'SESSION_NOT_FOUND' });
+    }
+    return session;
+  }
+
+  // Sessions the user may not access are reported as missing, so IDs
+  // belonging to other users cannot be probed.
+  assertSessionAccess(sessionId, user) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !canAccessSession(user, session)) {
+      throw new NotFoundError('Session not found', { code: 'SESSION_NOT_FOUND' });
     }
     return session;
   }
 
-  async sendMessage(sessionId, message) {
+  // Attachments are validated files from parseAttachments; they are sent as
+  // inline data and only their metadata is kept in history. With onDelta the
+  // reply is streamed, and onToolCall is told about every executed tool call.
+  // jobId is set for replies generated as a job (see jobs.js). generationConfig
+  // overrides the session's for this message only, and with responseSchema the
+  // reply is JSON matching it (see reply). Aborting `signal` cancels this
+  // reply only.
+  async sendMessage(sessionId, message, { attachments = [], onDelta, onToolCall, jobId, generationConfig, responseSchema, signal } = {}) {
     try {
       const session = this.getSession(sessionId);
-      
-      const result = await session.chatSession.sendMessage(message);
-      const response = await result.response;
-      const text = response.text();
-
-      const exchange = {
-        id: uuidv4(),
-        user: message,
-        assistant: text,
-        timestamp: new Date().toISOString()
-      };
+      return await this.reply(session, session.activeExchangeId, message, {
+        attachments, onDelta, onToolCall, jobId, generationConfig, responseSchema, signal
+      });
+    } catch (error) {
+      throw new Error(`Failed to send message: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Streams the reply through onDelta as chunks arrive; the finished exchange
+  // is recorded exactly like sendMessage does.
+  async sendMessageStream(sessionId, message, { onDelta, onToolCall, attachments = [] }) {
+    return this.sendMessage(sessionId, message, { attachments, onDelta, onToolCall });
+  }
+
+  // Asks again for the last reply on the active branch. The old reply stays
+  // in the tree as a sibling branch. The generationConfig overrides and
+  // responseSchema of the last message apply again unless others are given.
+  async regenerateReply(sessionId, { onDelta, onToolCall, jobId, generationConfig, responseSchema, signal } = {}) {
+    try {
+      const session = this.getSession(sessionId);
+      const last = session.history.at(-1);
+      if (!last) {
+        throw new ValidationError('Nothing to regenerate', { code: 'NOTHING_TO_REGENERATE' });
+      }
+      // Only attachment metadata is stored, so the files cannot be resent
+      if (last.attachments) {
+        throw new ValidationError('Cannot regenerate a reply to a message with attachments, edit the message instead', {
+          code: 'ATTACHMENTS_NOT_KEPT'
+        });
+      }
+      // A new answer is wanted, not the cached one
+      return await this.reply(session, last.parentId, last.user, {
+        onDelta,
+        onToolCall,
+        jobId,
+        generationConfig: generationConfig || last.generationConfig,
+        responseSchema: responseSchema || last.responseSchema,
+        refresh: true,
+        signal
+      });
+    } catch (error) {
+      throw new Error(`Failed to regenerate reply: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Replaces the user message of any exchange by forking a new branch from
+  // the point just before it; the original branch is kept.
+  async editMessage(sessionId, exchangeId, message, { attachments = [], onDelta, onToolCall, jobId, generationConfig, responseSchema, signal } = {}) {
+    try {
+      const session = this.getSession(sessionId);
+      const exchange = this.findExchange(session, exchangeId);
+      return await this.reply(session, exchange.parentId, message, {
+        attachments, onDelta, onToolCall, jobId, generationConfig, responseSchema, signal
+      });
+    } catch (error) {
+      throw new Error(`Failed to edit message: ${error.message}`, { cause: error });
+    }
+  }
+
+  findExchange(session, exchangeId) {
+    const exchange = session.exchanges.find(item => item.id === exchangeId);
+    if (!exchange) {
+      throw new NotFoundError('Exchange not found', { code: 'EXCHANGE_NOT_FOUND' });
+    }
+    return exchange;
+  }
+
+  // The moderation policy of the session's persona, looked up on every
+  // message so that a changed policy also applies to existing sessions
+  moderationPolicyOf(session) {
+    return this.personas.has(session.persona) ? this.personas.get(session.persona).moderation : undefined;
+  }
+
+  // The best passages of the session's collections for a message. Retrieval
+  // problems never fail the message, it is then sent without sources.
+  async retrieve(session, message) {
+    if (!session.collections?.length || !message.trim()) return [];
+    try {
+      const passages = await this.knowledge.search(session.collections, message);
+      knowledgeRetrievals.inc({ outcome: passages.length > 0 ? 'hit' : 'miss' });
+      return passages;
+    } catch (error) {
+      knowledgeRetrievals.inc({ outcome: 'error' });
+      logger.warn('Retrieving passages failed, sending the message without sources', { sessionId: session.id, error });
+      return [];
+    }
+  }
+
+  // Sends a message as a reply to parentId (null for the first message),
+  // checking out that point of the tree first if it is not the active leaf.
+  // One reply is generated per session at a time, and it can be cancelled
+  // with abortGeneration, or by the caller with `signal`. The message and the reply pass through moderation:
+  // a blocked message is refused, a blocked reply is replaced, and what was
+  // found is kept on the exchange. In sessions with knowledge collections the
+  // prompt carries the passages retrieved for the message, and the exchange
+  // keeps them as citations. Webhooks hear about every finished or failed
+  // reply (message.completed, message.failed). With `refresh` the response
+  // cache is bypassed.
+  //
+  // generationConfig overrides the session's for this message only. With a
+  // responseSchema the model is asked for JSON matching it, without tools,
+  // and a reply that does not match is sent back for correction up to
+  // structuredOutput.maxAttempts replies in all (see structured-output.js);
+  // the parsed JSON comes back as `data`. A reply that output moderation
+  // redacted until it no longer matches fails with STRUCTURED_OUTPUT_MODERATED,
+  // and a blocked one has no `data`. Structured replies are not streamed.
+  async reply(session, parentId, text, {
+    attachments = [], onDelta, onToolCall, jobId, generationConfig, responseSchema, refresh = false, signal
+  }) {
+    if (this.generations.has(session.id)) {
+      throw new ConflictError('A reply is already being generated for this session', { code: 'GENERATION_IN_PROGRESS' });
+    }
+    const overrides = generationConfig && Object.keys(generationConfig).length > 0 ? generationConfig : null;
+    const validate = responseSchema ? compileResponseSchema(responseSchema) : null;
+    // Overrides and structured replies use a chat of their own for this message
+    const chatOptions = (overrides || validate) ? {
+      generationConfig: {
+        ...session.generationConfig,
+        ...overrides,
+        ...(validate ? { responseMimeType: JSON_MIME_TYPE } : {})
+      },
+      tools: validate ? [] : session.tools
+    } : null;
+    const policy = this.moderationPolicyOf(session);
+    const input = moderation.checkInput(text, policy);
+    if (input.blocked) {
+      logger.warn('Message blocked by the content policy', { sessionId: session.id, flags: input.flags });
+      const reasons = input.flags.filter(flag => flag.action === 'block').map(flag => flag.type || flag.rule);
+      throw new ValidationError(`Message blocked by the content policy (${reasons.join(', ')})`, {
+        code: 'CONTENT_BLOCKED',
+        details: [{ field: 'message', message: 'contains content the policy blocks' }]
+      });
+    }
+    this.assertAttachmentsSupported(session, attachments);
+    const message = input.text;
+    const controller = new AbortController();
+    this.generations.set(session.id, controller);
+    const cancel = () => controller.abort();
+    if (signal?.aborted) cancel();
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    const previous = {
+      activeExchangeId: session.activeExchangeId,
+      history: session.history,
+      context: session.context
+    };
+
+    let reply;
+    try {
+      if (parentId !== session.activeExchangeId) {
+        this.checkout(session, parentId);
+      }
+      this.publish(session.id, 'status', {
+        status: 'generating',
+        message,
+        parentId,
+        ...(attachments.length > 0 ? { attachments: attachments.map(attachmentMetadata) } : {})
+      });
+
+      // Stream whenever someone is watching the session, even if the caller
+      // only wants the finished reply
+      const watched = this.events.listenerCount(session.id) > 0;
+      const passages = await this.retrieve(session, message);
+      const parts = toMessageParts(withSources(message, passages), attachments);
+      await this.manageContext(session, parts);
+      // Failed attempts are only retried while nothing has reached the client
+      let emitted = false;
+      // Streamed text is moderated before it is emitted
+      const startStreamFilter = () => moderation.streamFilter(policy, (delta) => {
+        emitted = true;
+        onDelta?.(delta);
+        this.publish(session.id, 'delta', { text: delta });
+      });
+      let streamFilter = null;
+      const stream = !validate && (onDelta || watched);
+      const usage = emptyUsage();
+      let messageParts = validate ? withResponseSchema(parts, responseSchema) : parts;
+      let attempts = 0;
+      let cached = true;
+      let result, target, fallback, structured;
+      for (;;) {
+        attempts++;
+        const call = await this.cachedCall(session, messageParts, () => (
+          this.callModel(session, 'reply', (modelTarget, signal, { attempt, fallback: useFallback }) => {
+            if (attempt > 1 && !useFallback && !chatOptions) session.chatSession = this.startChatSession(session);
+            const chat = (useFallback || chatOptions)
+              ? this.startChatSession(session, { ...modelTarget, ...chatOptions })
+              : session.chatSession;
+            streamFilter = startStreamFilter();
+            return sendWithTools(chat, messageParts, this.tools.select(chatOptions?.tools || session.tools), {
+              signal,
+              onDelta: stream ? (delta) => streamFilter.push(delta) : undefined,
+              onToolCall: (toolCall) => {
+                emitted = true;
+                onToolCall?.(toolCall);
+                this.publish(session.id, 'tool', toolCall);
+              }
+            });
+          }, { signal: controller.signal, canRetry: () => !emitted })
+        ), {
+          signal: controller.signal,
+          refresh,
+          generationConfig: chatOptions?.generationConfig,
+          tools: chatOptions?.tools,
+          valid: validate ? ({ result: reply }) => parseStructuredReply(reply.text, validate).valid : undefined
+        });
+        ({ result, target, fallback } = call.value);
+        addUsage(usage, result.usage);
+        // A reply from the cache or another request's call arrives in one piece
+        cached &&= call.source !== 'miss';
+        // A blocked reply is recorded as such, there is no JSON to check
+        if (!validate || result.safetyBlock) break;
+        structured = parseStructuredReply(result.text, validate);
+        if (structured.valid) break;
+        if (attempts >= structuredOutput.maxAttempts) {
+          throw new UpstreamError(`The model did not reply with JSON matching responseSchema in ${attempts} attempts`, {
+            code: 'INVALID_STRUCTURED_OUTPUT',
+            details: structured.errors.map(message => ({ field: 'response', message }))
+          });
+        }
+        logger.info('Structured reply did not match the schema, asking again', { sessionId: session.id, attempts, errors: structured.errors });
+        messageParts = withCorrection(withResponseSchema(parts, responseSchema), result.text, structured.errors);
+      }
+      if (cached) {
+        streamFilter = startStreamFilter();
+        if (stream) streamFilter.push(result.text);
+      }
+
+      const output = moderation.checkOutput(result.text, policy, { safetyBlock: result.safetyBlock });
+      if (!output.blocked) streamFilter.flush();
+      // Moderation may have changed the JSON, so it is parsed from what is recorded
+      const data = validate && !output.blocked ? parseStructuredReply(output.text, validate) : null;
+      const flags = [...input.flags, ...output.flags];
+      if (flags.length > 0) {
+        logger[output.blocked ? 'warn' : 'info']('Content moderated', { sessionId: session.id, blocked: output.blocked, flags });
+      }
+      if (data && !data.valid) {
+        throw new UpstreamError('The structured reply does not match responseSchema once moderated', {
+          code: 'STRUCTURED_OUTPUT_MODERATED',
+          details: data.errors.map(message => ({ field: 'response', message }))
+        });
+      }
+      const exchange = await this.recordExchange(session, message, {
+        ...result,
+        text: output.text,
+        usage: attempts > 1 ? usage : result.usage,
+        moderation: flags.length > 0 ? { blocked: output.blocked, flags } : null,
+        citations: output.blocked ? [] : toCitations(passages, output.text, message),
+        cached,
+        generationConfig: overrides,
+        ...(validate ? { responseSchema, data: data?.data, attempts } : {})
+      }, attachments, fallback ? target : null);
+      // The fallback chat and a chat with overrides were temporary, a
+      // moderated chat still holds the original reply, sources would pile up
+      // in the chat and a cached reply never went through it; the next message
+      // starts from the recorded history
+      if (fallback || chatOptions || cached || output.flags.length > 0 || passages.length > 0) {
+        session.chatSession = this.startChatSession(session);
+      }
+      reply = this.toMessageResult(session, exchange);
+    } catch (error) {
+      // A failed edit or regeneration leaves the previous branch active, and
+      // the chat is rebuilt so no half-finished tool round stays in it
+      if (parentId !== previous.activeExchangeId) Object.assign(session, previous);
+      session.chatSession = this.startChatSession(session);
+
+      const aborted = controller.signal.aborted;
+      this.publish(session.id, 'status', {
+        status: 'idle',
+        outcome: aborted ? 'aborted' : 'failed',
+        ...(aborted ? {} : { error: error.message })
+      });
+      const failure = aborted ? new ConflictError('Generation aborted', { code: 'GENERATION_ABORTED' }) : error;
+      const { body } = errorEnvelope(failure);
+      webhooks.dispatch('message.failed', session.owner, {
+        sessionId: session.id,
+        ...(jobId ? { jobId } : {}),
+        outcome: aborted ? 'aborted' : 'failed',
+        error: body.error,
+        code: body.code
+      });
+      throw failure;
+    } finally {
+      this.generations.delete(session.id);
+      signal?.removeEventListener('abort', cancel);
+    }
+
+    this.publish(session.id, 'done', reply);
+    this.publish(session.id, 'status', { status: 'idle', outcome: 'completed' });
+    webhooks.dispatch('message.completed', session.owner, { ...reply, ...(jobId ? { jobId } : {}) });
+    return reply;
+  }
+
+  // Files the session's provider cannot take are a bad request, not a model
+  // failure
+  assertAttachmentsSupported(session, attachments) {
+    const provider = this.providers.get(session.provider);
+    const unsupported = attachments.filter(file => !provider.supportsAttachment(file.mimeType));
+    if (unsupported.length > 0) {
+      const types = [...new Set(unsupported.map(file => file.mimeType))];
+      throw new ValidationError(`Invalid attachments: ${session.provider} models do not accept ${types.join(', ')} files`, {
+        code: 'UNSUPPORTED_ATTACHMENT',
+        details: unsupported.map(file => ({ field: 'attachments', message: `${file.name}: ${file.mimeType} is not supported by ${session.provider}` }))
+      });
+    }
+  }
+
+  // Runs call() (a callModel for a reply to `parts`) through the response
+  // cache when it is enabled, see cache.js. Replies that used tools, came
+  // from the fallback model or were blocked are not cached, since asking
+  // again may well give a different answer. Resolves to
+  // { value: the call, source: 'hit' | 'shared' | 'miss' }.
+  // generationConfig and tools are those of the chat if it is not the
+  // session's; replies that valid(value) refuses are not cached either.
+  async cachedCall(session, parts, call, {
+    signal, refresh = false, generationConfig = session.generationConfig, tools = session.tools, valid = () => true
+  } = {}) {
+    if (!responseCache) {
+      return { value: await call(), source: 'miss' };
+    }
+    const key = responseCacheKey({
+      provider: session.provider,
+      model: session.model,
+      systemInstruction: session.systemInstruction,
+      generationConfig,
+      tools,
+      history: exchangesToHistory(this.contextOf(session)),
+      parts
+    });
+    const lookup = await responseCache.fetch(key, async () => {
+      const { result, target, fallback } = await call();
+      // Only what the reply needs is kept
+      return { result: { text: result.text, usage: result.usage, toolCalls: result.toolCalls, safetyBlock: result.safetyBlock }, target, fallback };
+    }, {
+      signal,
+      refresh,
+      meta: { provider: session.provider, model: session.model },
+      cacheable: (value) => !value.fallback && !value.result.toolCalls?.length && !value.result.safetyBlock && valid(value)
+    });
+    responseCacheLookups.inc({ outcome: lookup.source });
+    return lookup;
+  }
+
+  // Cancels the reply being generated for the session, if any
+  abortGeneration(sessionId) {
+    this.getSession(sessionId);
+    const controller = this.generations.get(sessionId);
+    controller?.abort();
+    return { sessionId, aborted: Boolean(controller) };
+  }
+
+  // Runs a model call for the session through the model gateway (timeouts,
+  // retries, circuit breaker and fallback model; see resilience.js) and
+  // records its latency, outcome and reported token usage. `attempt` is
+  // called as attempt(target, signal, { attempt, fallback }) and must use
+  // target's provider and model. Resolves to { result, target, fallback }.
+  async callModel(session, operation, attempt, { signal, canRetry } = {}) {
+    const primary = { provider: session.provider, model: session.model };
+    const started = performance.now();
+    try {
+      const call = await modelGateway.call(modelGateway.targets(primary, fallbackModel), attempt, { signal, canRetry });
+      const { provider, model: modelName } = call.target;
+      const seconds = (performance.now() - started) / 1000;
+      modelRequestDuration.observe({ provider, model: modelLabel(modelName), operation, outcome: 'success' }, seconds);
+      tokensTotal.inc({ provider, model: modelLabel(modelName), direction: 'input' }, call.result.usage?.inputTokens || 0);
+      tokensTotal.inc({ provider, model: modelLabel(modelName), direction: 'output' }, call.result.usage?.outputTokens || 0);
+      if (call.fallback) modelFallbacks.inc({ provider, model: modelLabel(modelName) });
+      logger.info('Model call completed', {
+        sessionId: session.id, provider, model: modelName, operation, fallback: call.fallback,
+        durationMs: Math.round(seconds * 1000), usage: call.result.usage
+      });
+      return call;
+    } catch (error) {
+      const modelError = modelErrorOf(error);
+      const labels = { provider: modelError?.provider || primary.provider, model: modelError?.model || primary.model, operation };
+      const outcome = signal?.aborted ? 'aborted' : 'error';
+      const seconds = (performance.now() - started) / 1000;
+      modelRequestDuration.observe({ ...labels, model: modelLabel(labels.model), outcome }, seconds);
+      errorsTotal.inc({ type: outcome === 'aborted' ? 'model_aborted' : (modelError?.code || 'MODEL_ERROR').toLowerCase() });
+      logger.warn(outcome === 'aborted' ? 'Model call aborted' : 'Model call failed', {
+        sessionId: session.id, ...labels, durationMs: Math.round(seconds * 1000), code: modelError?.code, error
+      });
+      throw error;
+    }
+  }
+
+  // Emits { type, sessionId, ...data } to everyone watching the session
+  publish(sessionId, type, data = {}) {
+    this.events.emit(sessionId, { type, sessionId, ...data });
+  }
 
-      session.history.push(exchange);
+  // Makes the branch ending at exchangeId active and rebuilds the chat from
+  // it. The context summary only survives if it covers a shared prefix.
+  checkout(session, exchangeId) {
+    const history = pathTo(session.exchanges, exchangeId);
+    if (session.context.start > sharedPrefixLength(session.history, history)) {
+      session.context = { start: 0, summary: null };
+    }
+    session.activeExchangeId = exchangeId;
+    session.history = history;
+    session.chatSession = this.startChatSession(session);
+  }
+
+  getBranches(sessionId) {
+    const session = this.getSession(sessionId);
+    const branches = listBranches(session.exchanges, session.activeExchangeId);
+    return { sessionId, activeExchangeId: session.activeExchangeId, branches, count: branches.length };
+  }
+
+  // Activates the branch containing exchangeId; when it has several
+  // continuations the most recent one is chosen.
+  async switchBranch(sessionId, exchangeId) {
+    try {
+      const session = this.getSession(sessionId);
+      this.findExchange(session, exchangeId);
+      this.checkout(session, latestLeaf(session.exchanges, exchangeId));
       session.lastActivity = new Date().toISOString();
-      
+      await this.persistSession(session);
       return {
-        response: text,
-        exchangeId: exchange.id,
-        sessionId: session.id
+        sessionId,
+        activeExchangeId: session.activeExchangeId,
+        messageCount: session.history.length,
+        history: session.history
       };
     } catch (error) {
-      throw new Error(`Failed to send message: ${error.message}`);
+      throw new Error(`Failed to switch branch: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Applies the configured context strategy when the next prompt would come
+  // close to the token budget, then rebuilds the chat from the trimmed context.
+  async manageContext(session, parts) {
+    const { strategy, tokenBudget, threshold, target, keepRecent } = contextConfig;
+    if (strategy === 'none' || session.history.length === session.context.start) return;
+
+    const promptTokens = await session.chatSession.countTokens(parts);
+    const maxOutputTokens = session.generationConfig.maxOutputTokens || 0;
+    if (promptTokens + maxOutputTokens < tokenBudget * threshold) return;
+
+    const { history, context } = session;
+    const windowStart = slidingWindowStart(history, context.start, tokenBudget * target);
+    let start = windowStart;
+    let summary = context.summary;
+
+    if (strategy === 'summarize') {
+      start = Math.max(windowStart, history.length - keepRecent);
+      if (start <= context.start) return;
+      try {
+        const { result } = await this.callModel(session, 'summarize', (target) => summarizeExchanges(
+          this.providers.get(target.provider),
+          target,
+          history.slice(context.start, start),
+          context.summary
+        ));
+        summary = result.summary;
+        addUsage(session.usage, result.usage);
+      } catch (error) {
+        // Fall back to dropping the oldest exchanges rather than failing the message
+        logger.warn('Context summarization failed, dropping the oldest exchanges instead', { sessionId: session.id, error });
+        start = windowStart;
+      }
     }
+
+    if (start <= context.start) return;
+
+    session.context = {
+      start,
+      summary,
+      promptTokensBefore: promptTokens,
+      updatedAt: new Date().toISOString()
+    };
+    session.chatSession = this.startChatSession(session);
+  }
+
+  // `servedBy` is the fallback { provider, model } when it answered instead
+  // of the session's model. generationConfig holds the overrides the reply
+  // was generated with; structured replies keep responseSchema, data and
+  // attempts.
+  async recordExchange(session, message, {
+    text, toolCalls = [], usage, moderation: moderated = null, citations = [], cached = false,
+    generationConfig = null, responseSchema = null, data, attempts
+  }, attachments = [], servedBy = null) {
+    // Providers that report no usage get an estimate
+    const exchangeUsage = usage?.totalTokens
+      ? { ...usage }
+      : { inputTokens: estimateTokens(message), outputTokens: estimateTokens(text), estimated: true };
+    exchangeUsage.totalTokens = exchangeUsage.inputTokens + exchangeUsage.outputTokens;
+    addUsage(session.usage, exchangeUsage);
+
+    const exchange = {
+      id: uuidv4(),
+      parentId: session.activeExchangeId,
+      user: message,
+      assistant: text,
+      usage: exchangeUsage,
+      ...(attachments.length > 0 ? { attachments: attachments.map(attachmentMetadata) } : {}),
+      ...(toolCalls.length > 0 ? { toolCalls } : {}),
+      ...(servedBy ? { fallbackModel: `${servedBy.provider}:${servedBy.model}` } : {}),
+      ...(moderated ? { moderation: moderated } : {}),
+      ...(citations.length > 0 ? { citations } : {}),
+      ...(cached ? { cached } : {}),
+      ...(generationConfig ? { generationConfig } : {}),
+      ...(responseSchema ? { responseSchema, ...(data !== undefined ? { data } : {}), attempts } : {}),
+      timestamp: new Date().toISOString()
+    };
+
+    session.exchanges.push(exchange);
+    session.history.push(exchange);
+    session.activeExchangeId = exchange.id;
+    session.lastActivity = new Date().toISOString();
+    this.searchIndex.addExchange(session.id, exchange);
+    await this.persistSession(session);
+    return exchange;
+  }
+
+  toMessageResult(session, exchange) {
+    return {
+      response: exchange.assistant,
+      exchangeId: exchange.id,
+      sessionId: session.id,
+      usage: exchange.usage,
+      ...(exchange.toolCalls ? { toolCalls: exchange.toolCalls } : {}),
+      ...(exchange.fallbackModel ? { fallbackModel: exchange.fallbackModel } : {}),
+      ...(exchange.moderation ? { moderation: exchange.moderation } : {}),
+      ...(exchange.citations ? { citations: exchange.citations } : {}),
+      ...(exchange.cached ? { cached: true } : {}),
+      ...(exchange.responseSchema ? { ...('data' in exchange ? { data: exchange.data } : {}), attempts: exchange.attempts } : {})
+    };
   }
 
   getSessionHistory(sessionId) {
@@ -105,56 +1025,220 @@ class ChatService {
       const session = this.getSession(sessionId);
       return {
         sessionId: session.id,
+        owner: session.owner,
+        provider: session.provider,
+        model: session.model,
+        generationConfig: session.generationConfig,
+        tools: session.tools,
+        persona: session.persona,
+        variables: session.variables,
+        collections: session.collections,
+        systemInstruction: session.systemInstruction,
         createdAt: session.createdAt,
         lastActivity: session.lastActivity,
         messageCount: session.history.length,
+        usage: session.usage,
+        context: { strategy: contextConfig.strategy, ...session.context },
+        activeExchangeId: session.activeExchangeId,
+        branchCount: listBranches(session.exchanges, session.activeExchangeId).length,
         history: session.history
       };
     } catch (error) {
-      throw new Error(`Failed to get session history: ${error.message}`);
+      throw new Error(`Failed to get session history: ${error.message}`, { cause: error });
+    }
+  }
+
+  exportSession(sessionId) {
+    return buildTranscript(this.getSession(sessionId));
+  }
+
+  // Recreates a live session from a parsed transcript (see transcripts.js),
+  // with the chat rebuilt from its active branch. Settings this server cannot
+  // honour fall back to the defaults and are reported as warnings.
+  async importSession(transcript, owner, sessionId = null) {
+    const id = sessionId || uuidv4();
+    try {
+      if (this.sessions.has(id)) {
+        throw new ConflictError('Session already exists', { code: 'SESSION_EXISTS' });
+      }
+      const { session: source, exchanges } = transcript;
+      const warnings = [];
+
+      const provider = this.providers.has(source.provider) ? source.provider : defaultProvider;
+      if (source.provider && provider !== source.provider) {
+        warnings.push(`Provider ${source.provider} is not configured, using ${provider}`);
+      }
+      const tools = source.tools?.filter(name => this.tools.has(name));
+      if (tools && tools.length < source.tools.length) {
+        warnings.push(`Unknown tools removed: ${source.tools.filter(name => !tools.includes(name)).join(', ')}`);
+      }
+      let { generationConfig } = source;
+      try {
+        normalizeGenerationConfig(generationConfig);
+      } catch (error) {
+        warnings.push(`${error.message}, using the default generationConfig`);
+        generationConfig = undefined;
+      }
+      const collections = source.collections?.filter(name => this.knowledge.has(name));
+      if (collections && collections.length < source.collections.length) {
+        warnings.push(`Unknown collections removed: ${source.collections.filter(name => !collections.includes(name)).join(', ')}`);
+      }
+      let persona = source.persona;
+      let { variables } = source;
+      try {
+        if (persona) this.personas.render(persona, variables);
+      } catch (error) {
+        warnings.push(`${error.message}, using the ${defaultPersona} persona with the exported system instruction`);
+        persona = undefined;
+        variables = undefined;
+      }
+
+      const now = new Date().toISOString();
+      const session = {
+        id,
+        owner,
+        ...this.resolveModelSettings({
+          provider,
+          model: provider === source.provider ? source.model : undefined,
+          generationConfig,
+          tools,
+          persona,
+          variables,
+          collections
+        }),
+        // The conversation was held under the exported prompt, which may
+        // differ from what the persona renders to today
+        ...(source.systemInstruction ? { systemInstruction: source.systemInstruction } : {}),
+        exchanges,
+        activeExchangeId: source.activeExchangeId,
+        history: pathTo(exchanges, source.activeExchangeId),
+        usage: source.usage || exchanges.reduce((total, exchange) => addUsage(total, exchange.usage), emptyUsage()),
+        context: { start: 0, summary: null },
+        createdAt: source.createdAt || now,
+        lastActivity: now,
+        importedAt: now
+      };
+      session.chatSession = this.startChatSession(session);
+      this.sessions.set(id, session);
+      this.searchIndex.indexSession(session);
+      await this.persistSession(session);
+      return { session, warnings };
+    } catch (error) {
+      throw new Error(`Failed to import session: ${error.message}`, { cause: error });
     }
   }
 
-  deleteSession(sessionId) {
+  async deleteSession(sessionId) {
     try {
       const session = this.getSession(sessionId);
+      this.generations.get(sessionId)?.abort();
       this.sessions.delete(sessionId);
-      return { sessionId, deletedAt: new Date().toISOString() };
+      this.searchIndex.removeSession(sessionId);
+      await this.store.delete(sessionId);
+      const deletedAt = new Date().toISOString();
+      webhooks.dispatch('session.deleted', session.owner, { sessionId, deletedAt });
+      return { sessionId, deletedAt };
     } catch (error) {
-      throw new Error(`Failed to delete session: ${error.message}`);
+      throw new Error(`Failed to delete session: ${error.message}`, { cause: error });
     }
   }
 
-  clearSessionHistory(sessionId) {
+  async clearSessionHistory(sessionId) {
     try {
       const session = this.getSession(sessionId);
+      this.generations.get(sessionId)?.abort();
+      session.exchanges = [];
+      session.activeExchangeId = null;
       session.history = [];
-      session.chatSession = this.generativeModel.startChat({ history: [] });
+      session.context = { start: 0, summary: null };
+      session.chatSession = this.startChatSession(session);
       session.lastActivity = new Date().toISOString();
+      this.searchIndex.removeSession(sessionId);
+      await this.persistSession(session);
       return { sessionId, clearedAt: new Date().toISOString() };
     } catch (error) {
-      throw new Error(`Failed to clear session history: ${error.message}`);
+      throw new Error(`Failed to clear session history: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Searches the messages of every session the user can access; see
+  // SearchIndex.search for the options
+  searchConversations(query, user, options = {}) {
+    try {
+      if (options.sessionId) {
+        this.assertSessionAccess(options.sessionId, user);
+      }
+      const page = this.searchIndex.search(query, {
+        ...options,
+        filter: ({ sessionId }) => canAccessSession(user, this.sessions.get(sessionId))
+      });
+      page.results = page.results.map(result => ({
+        ...result,
+        activeBranch: this.sessions.get(result.sessionId).history.some(exchange => exchange.id === result.exchangeId),
+        links: {
+          history: `/api/chat/session/${result.sessionId}/history`,
+          branch: `/api/chat/session/${result.sessionId}/branch`
+        }
+      }));
+      return page;
+    } catch (error) {
+      throw new Error(`Failed to search: ${error.message}`, { cause: error });
     }
   }
 
   getAllSessions() {
     const sessions = Array.from(this.sessions.values()).map(session => ({
       id: session.id,
+      owner: session.owner,
+      provider: session.provider,
+      model: session.model,
+      persona: session.persona,
       createdAt: session.createdAt,
       lastActivity: session.lastActivity,
-      messageCount: session.history.length
+      messageCount: session.history.length,
+      usage: session.usage
     }));
     return { sessions, count: sessions.length };
   }
 
-  cleanupInactiveSessions(maxAge = 24 * 60 * 60 * 1000) { // 24 hours default
+  // The user's own sessions, most recently active first
+  getRecentSessions(user, limit = 10) {
+    const sessions = Array.from(this.sessions.values())
+      .filter(session => session.owner && session.owner === user?.id)
+      .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+      .slice(0, limit)
+      .map(session => ({
+        id: session.id,
+        provider: session.provider,
+        model: session.model,
+        persona: session.persona,
+        createdAt: session.createdAt,
+        lastActivity: session.lastActivity,
+        messageCount: session.history.length,
+        ...(session.history.length > 0 ? { lastMessage: session.history.at(-1).user.slice(0, 200) } : {})
+      }));
+    return { sessions, count: sessions.length };
+  }
+
+  // Removed sessions are announced to webhooks as session.expired
+  async cleanupInactiveSessions(maxAge = 24 * 60 * 60 * 1000) { // 24 hours default
     const now = new Date();
     let cleaned = 0;
     
     for (const [sessionId, session] of this.sessions.entries()) {
+      // A reply in progress or waiting as a job will bring the session back
+      // into use, so it is not expired from under it
+      if (this.generations.has(sessionId) || jobs.hasPending(sessionId)) continue;
       const lastActivity = new Date(session.lastActivity);
       if (now - lastActivity > maxAge) {
         this.sessions.delete(sessionId);
+        this.searchIndex.removeSession(sessionId);
+        await this.store.delete(sessionId);
+        webhooks.dispatch('session.expired', session.owner, {
+          sessionId,
+          lastActivity: session.lastActivity,
+          expiredAt: new Date().toISOString()
+        });
         cleaned++;
       }
     }
@@ -163,194 +1247,923 @@ class ChatService {
   }
 }
 
-const chatService = new ChatService();
+const chatService = new ChatService(createSessionStore({
+  type: process.env.SESSION_STORE || 'memory',
+  path: process.env.SESSION_STORE_PATH
+}));
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', describeRoute({ summary: 'Health check', tags: ['server'], responses: { 200: healthResponse } }), (req, res) => {
+  const circuits = modelGateway.circuits();
   res.json({ 
-    status: 'healthy', 
+    status: circuits.length > 0 ? 'degraded' : 'healthy', 
+    circuits,
     timestamp: new Date().toISOString(),
-    sessions: chatService.sessions.size
+    uptime: Math.round(process.uptime()),
+    sessions: chatService.sessions.size,
+    generating: chatService.generations.size
   });
 });
 
+// Prometheus metrics; set METRICS_TOKEN to require it as a bearer token
+metrics.gauge({
+  name: 'chat_active_sessions',
+  help: 'Sessions currently held in memory',
+  collect: () => chatService.sessions.size
+});
+metrics.gauge({
+  name: 'chat_generations_in_progress',
+  help: 'Replies currently being generated',
+  collect: () => chatService.generations.size
+});
+metrics.gauge({
+  name: 'chat_knowledge_chunks',
+  help: 'Indexed chunks of all knowledge collections',
+  collect: () => knowledge.chunkCount
+});
+metrics.gauge({
+  name: 'chat_response_cache_entries',
+  help: 'Replies held in the response cache',
+  collect: () => responseCache?.size || 0
+});
+metrics.gauge({
+  name: 'chat_jobs_queued',
+  help: 'Jobs waiting in the queue',
+  collect: () => jobs.queued
+});
+metrics.gauge({
+  name: 'chat_jobs_running',
+  help: 'Jobs currently running',
+  collect: () => jobs.running
+});
+app.get('/metrics', describeRoute({
+  summary: 'Prometheus metrics',
+  description: 'Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.',
+  tags: ['server'],
+  responses: { 200: { content: { 'text/plain': null } } },
+  errors: [401]
+}), createMetricsHandler(metrics, { token: process.env.METRICS_TOKEN }));
+
 // Create new chat session
-app.post('/api/chat/session', (req, res) => {
-  try {
-    const { sessionId } = req.body;
-    const session = chatService.createSession(sessionId);
-    res.status(201).json({
-      success: true,
-      sessionId: session.id,
-      createdAt: session.createdAt
+app.post('/api/chat/session', describeRoute({
+  summary: 'Create a session',
+  tags: ['sessions'],
+  responses: { 201: sessionResponse },
+  errors: [409]
+}), validateRequest({ body: createSessionBody }), async (req, res) => {
+  const { sessionId, provider, model, generationConfig, tools, persona, variables, collections } = req.body || {};
+  const session = await chatService.createSession(sessionId, req.user.id, { provider, model, generationConfig, tools, persona, variables, collections });
+  res.status(201).json({
+    success: true,
+    sessionId: session.id,
+    owner: session.owner,
+    provider: session.provider,
+    model: session.model,
+    generationConfig: session.generationConfig,
+    tools: session.tools,
+    persona: session.persona,
+    variables: session.variables,
+    collections: session.collections,
+    greeting: session.greeting,
+    createdAt: session.createdAt
+  });
+});
+
+// Message bodies are JSON (attachments as base64) or multipart/form-data
+// with the files under `files`
+const acceptFiles = ({ maxBytes, maxCount }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxCount }
+  });
+  return (req, res, next) => {
+    upload.array('files', maxCount)(req, res, (error) => {
+      if (!error) return next();
+      const message = `Invalid upload: ${error.message}`;
+      next(error.code === 'LIMIT_FILE_SIZE'
+        ? new AppError(message, { status: 413, code: 'PAYLOAD_TOO_LARGE' })
+        : new ValidationError(message));
     });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
+  };
+};
+
+const acceptUploads = acceptFiles(attachmentLimits);
+
+// Reads sessionId (from the URL or the body), message and attachments from
+// either body format; the body has passed messageBody or editBody
+const readMessageRequest = (req) => {
+  const { message = '', attachments: json = [] } = req.body || {};
+  const sessionId = req.params.sessionId || req.body.sessionId;
+  const attachments = parseAttachments({ json, files: req.files || [] }, attachmentLimits);
+  if (!message && attachments.length === 0) {
+    throw new ValidationError('Invalid request: body.message is required without attachments', {
+      details: [{ field: 'body.message', message: 'is required without attachments' }]
     });
   }
-});
+  return { sessionId, message, attachments, ...readReplyOptions(req) };
+};
 
-// Send message to chat session
-app.post('/api/chat/message', async (req, res) => {
-  try {
-    const { sessionId, message } = req.body;
-    
-    if (!sessionId || !message) {
-      return res.status(400).json({
-        success: false,
-        error: 'sessionId and message are required'
-      });
-    }
+// generationConfig and responseSchema of a reply. The schema is compiled
+// here so an invalid one is refused before a stream or job starts.
+const readReplyOptions = (req) => {
+  const { generationConfig, responseSchema } = req.body || {};
+  if (responseSchema) compileResponseSchema(responseSchema);
+  return { generationConfig, responseSchema };
+};
+
+// Stream a reply as Server-Sent Events: `delta` events with text chunks,
+// `tool` events for tool calls, then a single `done` event, or an `error`
+// event (with the error envelope, see errors.js) if generation fails.
+// onDisconnect is called when the client goes away before the end.
+const streamReply = async (res, generate, { onDisconnect } = {}) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) onDisconnect?.();
+  });
 
-    const result = await chatService.sendMessage(sessionId, message);
-    res.json({
+  try {
+    const result = await generate({
+      onDelta: (text) => sendEvent('delta', { text }),
+      onToolCall: (toolCall) => sendEvent('tool', toolCall)
+    });
+    sendEvent('done', {
       success: true,
       ...result,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    const statusCode = error.message.includes('Session not found') ? 404 : 500;
-    res.status(statusCode).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
+    const { status, body } = errorEnvelope(error);
+    if (status === 500) logger.error('Unhandled error', { error });
+    sendEvent('error', { ...body, requestId: res.get('X-Request-Id') });
+  }
+  finished = true;
+  res.end();
+};
+
+// Handler for the routes that produce a reply. `prepare` checks the request
+// and returns the function generating the reply; it throws before an event
+// stream is opened, so bad requests get a plain error response. Replies are
+// streamed when `stream` is set or the client sends `Accept: text/event-stream`.
+// With ?async=true the reply is generated as a job instead: the answer is 202
+// with the job ID, and GET /api/jobs/:jobId has the status and the reply.
+const handleReply = (prepare, { stream = false } = {}) => async (req, res) => {
+  const runAsync = req.query.async === 'true';
+  if (runAsync && stream) {
+    throw new ValidationError('Streamed replies cannot be generated as jobs', {
+      details: [{ field: 'query.async', message: 'is not available for streamed replies' }]
     });
   }
-});
+  const generateReply = prepare(req);
+  const sessionId = req.params.sessionId || req.body.sessionId;
 
-// Get session history
-app.get('/api/chat/session/:sessionId/history', (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const history = chatService.getSessionHistory(sessionId);
-    res.json({
+  // Tokens count against the quotas of the user who asked for the reply,
+  // unless it came from the response cache and no tokens were spent
+  const generate = async (callbacks) => {
+    const result = await generateReply(callbacks);
+    if (!result.cached) {
+      await quotas.recordTokens(req.user.id, result.usage)
+        .catch(error => logger.error('Failed to record usage', { userId: req.user.id, error }));
+    }
+    return result;
+  };
+
+  if (runAsync) {
+    // Jobs of one session run in order, so queued messages do not collide
+    const job = jobs.enqueue({ type: 'reply', owner: req.user.id, key: sessionId, run: job => generate({ jobId: job.id }) });
+    const link = `/api/jobs/${job.id}`;
+    return res.status(202).location(link).json({
       success: true,
-      ...history
+      jobId: job.id,
+      status: job.status,
+      sessionId,
+      links: { job: link },
+      timestamp: new Date().toISOString()
     });
-  } catch (error) {
-    const statusCode = error.message.includes('Session not found') ? 404 : 500;
-    res.status(statusCode).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
+  }
+
+  if (stream || req.get('Accept')?.includes('text/event-stream')) {
+    // Nobody is left to read the reply, so it is not generated any further.
+    // Only this request's reply is cancelled: once it has finished, another
+    // one may be running for the session.
+    const disconnected = new AbortController();
+    return streamReply(res, callbacks => generate({ ...callbacks, signal: disconnected.signal }), {
+      onDisconnect: () => disconnected.abort()
     });
   }
+
+  const result = await generate({});
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const prepareMessage = (req) => {
+  const { sessionId, message, attachments, generationConfig, responseSchema } = readMessageRequest(req);
+  chatService.assertSessionAccess(sessionId, req.user);
+  return (callbacks) => chatService.sendMessage(sessionId, message, { ...callbacks, attachments, generationConfig, responseSchema });
+};
+
+// Replies are JSON, or Server-Sent Events when streamed (see streamReply),
+// or a job with ?async=true
+const describeReply = (summary, { stream = false, uploads = true } = {}) => describeRoute({
+  summary,
+  tags: ['messages'],
+  uploads,
+  responses: {
+    200: { content: stream ? { 'text/event-stream': null } : { 'application/json': replyResponse, 'text/event-stream': null } },
+    ...(stream ? {} : { 202: jobAcceptedResponse })
+  },
+  errors: [403, 404, 409, ...(uploads ? [413] : []), 502, 503, 504]
+});
+
+app.post('/api/chat/message/stream', describeReply('Send a message and stream the reply', { stream: true }), acceptUploads, validateRequest({ body: messageBody }), handleReply(prepareMessage, { stream: true }));
+
+// Send message to chat session
+app.post('/api/chat/message', describeReply('Send a message'), acceptUploads, validateRequest({ body: messageBody, query: replyQuery }), handleReply(prepareMessage));
+
+// Regenerate the last reply on the active branch
+app.post('/api/chat/session/:sessionId/regenerate', describeReply('Regenerate the last reply', { uploads: false }), validateRequest({ params: sessionParams, body: regenerateBody, query: replyQuery }), handleReply((req) => {
+  const { sessionId } = req.params;
+  const { generationConfig, responseSchema } = readReplyOptions(req);
+  chatService.assertSessionAccess(sessionId, req.user);
+  return (callbacks) => chatService.regenerateReply(sessionId, { ...callbacks, generationConfig, responseSchema });
+}));
+
+// Edit an earlier user message, forking a new branch from it
+app.post('/api/chat/session/:sessionId/edit', describeReply('Edit an earlier message, forking a branch'), acceptUploads, validateRequest({ params: sessionParams, body: editBody, query: replyQuery }), handleReply((req) => {
+  const { sessionId, message, attachments, generationConfig, responseSchema } = readMessageRequest(req);
+  const { exchangeId } = req.body;
+  const session = chatService.assertSessionAccess(sessionId, req.user);
+  chatService.findExchange(session, exchangeId);
+  return (callbacks) => chatService.editMessage(sessionId, exchangeId, message, {
+    ...callbacks, attachments, generationConfig, responseSchema
+  });
+}));
+
+// Search the caller's conversations:
+// ?q=terms "or phrases"&sessionId=&role=user|assistant&from=&to=&limit=&offset=
+// Snippets mark matches with <mark>; switch to an exchange on another branch
+// with PUT <links.branch> { exchangeId }.
+app.get('/api/chat/search', describeRoute({ summary: 'Search conversations', tags: ['sessions'], responses: { 200: searchResponse } }), validateRequest({ query: searchQuery }), (req, res) => {
+  const { q, sessionId, role, from, to, limit, offset } = req.query;
+  const page = chatService.searchConversations(q, req.user, { sessionId, role, from, to, limit, offset });
+  res.json({
+    success: true,
+    query: q,
+    ...page,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get session history
+app.get('/api/chat/session/:sessionId/history', describeRoute({
+  summary: 'Get the history of a session',
+  tags: ['sessions'],
+  responses: { 200: historyResponse },
+  errors: [403, 404]
+}), validateRequest({ params: sessionParams }), (req, res) => {
+  const { sessionId } = req.params;
+  chatService.assertSessionAccess(sessionId, req.user);
+  const history = chatService.getSessionHistory(sessionId);
+  res.json({
+    success: true,
+    ...history
+  });
+});
+
+// Cancel the reply currently being generated for a session
+app.post('/api/chat/session/:sessionId/abort', describeRoute({
+  summary: 'Cancel the reply being generated',
+  tags: ['messages'],
+  responses: { 200: abortResponse },
+  errors: [403, 404]
+}), validateRequest({ params: sessionParams }), (req, res) => {
+  const { sessionId } = req.params;
+  chatService.assertSessionAccess(sessionId, req.user);
+  const result = chatService.abortGeneration(sessionId);
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// List the branches of a session's conversation tree
+app.get('/api/chat/session/:sessionId/branches', describeRoute({
+  summary: 'List the branches of a session',
+  tags: ['branches'],
+  responses: { 200: branchesResponse },
+  errors: [403, 404]
+}), validateRequest({ params: sessionParams }), (req, res) => {
+  const { sessionId } = req.params;
+  chatService.assertSessionAccess(sessionId, req.user);
+  const result = chatService.getBranches(sessionId);
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Switch the active branch to the one containing exchangeId
+app.put('/api/chat/session/:sessionId/branch', describeRoute({
+  summary: 'Switch the active branch',
+  tags: ['branches'],
+  responses: { 200: branchSwitchResponse },
+  errors: [403, 404, 409]
+}), validateRequest({ params: sessionParams, body: branchBody }), async (req, res) => {
+  const { sessionId } = req.params;
+  const { exchangeId } = req.body;
+  chatService.assertSessionAccess(sessionId, req.user);
+  const result = await chatService.switchBranch(sessionId, exchangeId);
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Export a session as json, jsonl, markdown, html or txt
+app.get('/api/chat/session/:sessionId/export', describeRoute({
+  summary: 'Export a session',
+  tags: ['sessions'],
+  responses: {
+    200: { content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [contentType.split(';')[0], null])) }
+  },
+  errors: [403, 404]
+}), validateRequest({ params: sessionParams, query: exportQuery }), (req, res) => {
+  const { sessionId } = req.params;
+  const format = req.query.format || 'json';
+  chatService.assertSessionAccess(sessionId, req.user);
+  const body = formatTranscript(chatService.exportSession(sessionId), format);
+  res.attachment(`chat-${sessionId}.${EXPORT_FORMATS[format].extension}`);
+  res.type(EXPORT_FORMATS[format].contentType).send(body);
+});
+
+// Import a json export (as the request body) or a jsonl export (sent as
+// application/x-ndjson) into a new session owned by the caller. The new
+// session gets a fresh id unless ?sessionId= is given.
+app.post('/api/chat/session/import', describeRoute({
+  summary: 'Import an exported session',
+  tags: ['sessions'],
+  requestBody: { 'application/json': { type: 'object' }, 'application/x-ndjson': { type: 'string' } },
+  responses: { 201: importResponse },
+  errors: [409, 413]
+}), express.text({ type: ['application/x-ndjson', 'application/jsonl'], limit: '10mb' }), validateRequest({ query: importQuery }), async (req, res) => {
+  const transcript = parseTranscript(req.body);
+  const { session, warnings } = await chatService.importSession(transcript, req.user.id, req.query.sessionId);
+  res.status(201).json({
+    success: true,
+    sessionId: session.id,
+    owner: session.owner,
+    provider: session.provider,
+    model: session.model,
+    messageCount: session.history.length,
+    exchangeCount: session.exchanges.length,
+    warnings,
+    createdAt: session.createdAt,
+    timestamp: new Date().toISOString()
+  });
 });
 
 // Delete chat session
-app.delete('/api/chat/session/:sessionId', (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const result = chatService.deleteSession(sessionId);
-    res.json({
-      success: true,
-      ...result
-    });
-  } catch (error) {
-    const statusCode = error.message.includes('Session not found') ? 404 : 500;
-    res.status(statusCode).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+app.delete('/api/chat/session/:sessionId', describeRoute({
+  summary: 'Delete a session',
+  tags: ['sessions'],
+  responses: { 200: deleteResponse },
+  errors: [403, 404]
+}), validateRequest({ params: sessionParams }), async (req, res) => {
+  const { sessionId } = req.params;
+  chatService.assertSessionAccess(sessionId, req.user);
+  const result = await chatService.deleteSession(sessionId);
+  res.json({
+    success: true,
+    ...result
+  });
 });
 
 // Clear session history
-app.put('/api/chat/session/:sessionId/clear', (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const result = chatService.clearSessionHistory(sessionId);
-    res.json({
-      success: true,
-      ...result
-    });
-  } catch (error) {
-    const statusCode = error.message.includes('Session not found') ? 404 : 500;
-    res.status(statusCode).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+app.put('/api/chat/session/:sessionId/clear', describeRoute({
+  summary: 'Clear the history of a session',
+  tags: ['sessions'],
+  responses: { 200: clearResponse },
+  errors: [403, 404, 409]
+}), validateRequest({ params: sessionParams }), async (req, res) => {
+  const { sessionId } = req.params;
+  chatService.assertSessionAccess(sessionId, req.user);
+  const result = await chatService.clearSessionHistory(sessionId);
+  res.json({
+    success: true,
+    ...result
+  });
 });
 
-// Get all sessions
-app.get('/api/chat/sessions', (req, res) => {
-  try {
-    const result = chatService.getAllSessions();
-    res.json({
-      success: true,
-      ...result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+// The caller's most recently active sessions (?limit=, at most 50)
+app.get('/api/chat/recent', describeRoute({ summary: 'List your recent sessions', tags: ['sessions'], responses: { 200: recentSessionsResponse } }), validateRequest({ query: recentSessionsQuery }), (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 10, 50);
+  const result = chatService.getRecentSessions(req.user, limit);
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get all sessions (admin only)
+app.get('/api/chat/sessions', describeRoute({ summary: 'List all sessions', tags: ['admin'], responses: { 200: sessionsResponse } }), requireRole('admin'), (req, res) => {
+  const result = chatService.getAllSessions();
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Cleanup inactive sessions (admin only); maxAge in milliseconds
+app.post('/api/chat/cleanup', describeRoute({ summary: 'Remove inactive sessions', tags: ['admin'], responses: { 200: cleanupResponse } }), requireRole('admin'), validateRequest({ body: cleanupBody }), async (req, res) => {
+  const { maxAge } = req.body || {};
+  const result = await chatService.cleanupInactiveSessions(maxAge);
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Current usage and quotas of the calling user
+app.get('/api/usage', describeRoute({ summary: 'Usage and quotas of the caller', tags: ['usage'], responses: { 200: usageResponse } }), async (req, res) => {
+  const status = await quotas.status(req.user.id);
+  res.json({
+    success: true,
+    ...status,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Usage of every user active this month (admin only)
+app.get('/api/admin/usage', describeRoute({ summary: 'Usage of every user this month', tags: ['admin'], responses: { 200: usageListResponse } }), requireRole('admin'), async (req, res) => {
+  const users = await quotas.listStatuses();
+  res.json({
+    success: true,
+    users,
+    count: users.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/admin/usage/:userId', describeRoute({ summary: 'Usage and quotas of a user', tags: ['admin'], responses: { 200: usageResponse } }), requireRole('admin'), validateRequest({ params: userParams }), async (req, res) => {
+  const status = await quotas.status(req.params.userId);
+  res.json({
+    success: true,
+    ...status,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Adjust a user's quota overrides and/or current usage counters (admin only)
+app.put('/api/admin/usage/:userId', describeRoute({ summary: 'Adjust the quotas or usage of a user', tags: ['admin'], responses: { 200: usageResponse } }), requireRole('admin'), validateRequest({ params: userParams, body: usageAdjustBody }), async (req, res) => {
+  const { limits, usage } = req.body || {};
+  const status = await quotas.adjust(req.params.userId, { limits, usage });
+  res.json({
+    success: true,
+    ...status,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// List personas: the built-in ones and those created through the API
+app.get('/api/personas', describeRoute({ summary: 'List personas', tags: ['personas'], responses: { 200: personasResponse } }), (req, res) => {
+  const list = personas.list();
+  res.json({
+    success: true,
+    personas: list,
+    count: list.length,
+    default: defaultPersona,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/personas/:name', describeRoute({
+  summary: 'Get a persona',
+  tags: ['personas'],
+  responses: { 200: personaResponse },
+  errors: [404]
+}), validateRequest({ params: personaParams }), (req, res) => {
+  res.json({
+    success: true,
+    persona: personas.get(req.params.name),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Create a persona owned by the caller:
+// { name, systemPrompt, description?, variables?, generationConfig?, greeting? }
+app.post('/api/personas', describeRoute({
+  summary: 'Create a persona',
+  tags: ['personas'],
+  responses: { 201: personaResponse },
+  errors: [409]
+}), validateRequest({ body: personaBody }), async (req, res) => {
+  const persona = await personas.create(req.body, req.user);
+  res.status(201).json({
+    success: true,
+    persona,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Change some fields of a persona (null removes an optional field). Sessions
+// already created with it keep their rendered system instruction.
+app.put('/api/personas/:name', describeRoute({
+  summary: 'Update a persona',
+  tags: ['personas'],
+  responses: { 200: personaResponse },
+  errors: [403, 404]
+}), validateRequest({ params: personaParams, body: personaUpdateBody }), async (req, res) => {
+  const persona = await personas.update(req.params.name, req.body || {}, req.user);
+  res.json({
+    success: true,
+    persona,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.delete('/api/personas/:name', describeRoute({
+  summary: 'Delete a persona',
+  tags: ['personas'],
+  responses: { 200: personaDeletedResponse },
+  errors: [403, 404]
+}), validateRequest({ params: personaParams }), async (req, res) => {
+  const result = await personas.delete(req.params.name, req.user);
+  res.json({
+    success: true,
+    ...result
+  });
+});
+
+// Status of a job, e.g. a reply requested with ?async=true. Finished jobs
+// carry the reply (result) or the error envelope (error) and are kept for
+// JOB_RETENTION_MS. Jobs of other users are reported as missing.
+app.get('/api/jobs/:jobId', describeRoute({
+  summary: 'Get a job',
+  tags: ['jobs'],
+  responses: { 200: jobResponse },
+  errors: [404]
+}), validateRequest({ params: jobParams }), (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (req.user.role !== 'admin' && job.owner !== req.user.id) {
+    throw new NotFoundError('Job not found', { code: 'JOB_NOT_FOUND' });
   }
+  const { owner, key, ...fields } = job;
+  const position = jobs.positionOf(job.id);
+  res.json({
+    success: true,
+    job: { ...fields, ...(key ? { sessionId: key } : {}), ...(position !== null ? { position } : {}) },
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Cleanup inactive sessions
-app.post('/api/chat/cleanup', (req, res) => {
-  try {
-    const { maxAge } = req.body;
-    const result = chatService.cleanupInactiveSessions(maxAge);
-    res.json({
-      success: true,
-      ...result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
+// Webhooks: signed POSTs about the caller's sessions (about every session
+// when registered by an admin), see webhooks.js for the events and signature
+app.get('/api/webhooks', describeRoute({ summary: 'List webhooks', tags: ['webhooks'], responses: { 200: webhooksResponse } }), (req, res) => {
+  const list = webhooks.list(req.user);
+  res.json({
+    success: true,
+    webhooks: list,
+    count: list.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Register a webhook: { url, events, secret?, description? }. The answer is
+// the only place the secret is shown.
+app.post('/api/webhooks', describeRoute({
+  summary: 'Register a webhook',
+  tags: ['webhooks'],
+  responses: { 201: webhookResponse }
+}), validateRequest({ body: webhookBody }), async (req, res) => {
+  const webhook = await webhooks.create(req.body, req.user);
+  res.status(201).json({
+    success: true,
+    webhook,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/webhooks/:webhookId', describeRoute({
+  summary: 'Get a webhook',
+  tags: ['webhooks'],
+  responses: { 200: webhookResponse },
+  errors: [404]
+}), validateRequest({ params: webhookParams }), (req, res) => {
+  res.json({
+    success: true,
+    webhook: webhooks.get(req.params.webhookId, req.user),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Pending retries of a deleted webhook are dropped
+app.delete('/api/webhooks/:webhookId', describeRoute({
+  summary: 'Delete a webhook',
+  tags: ['webhooks'],
+  responses: { 200: webhookDeletedResponse },
+  errors: [404]
+}), validateRequest({ params: webhookParams }), async (req, res) => {
+  const result = await webhooks.delete(req.params.webhookId, req.user);
+  res.json({
+    success: true,
+    ...result
+  });
+});
+
+// The latest deliveries of a webhook, newest first; kept in memory only
+app.get('/api/webhooks/:webhookId/deliveries', describeRoute({
+  summary: 'List recent deliveries of a webhook',
+  tags: ['webhooks'],
+  responses: { 200: deliveriesResponse },
+  errors: [404]
+}), validateRequest({ params: webhookParams }), (req, res) => {
+  const deliveries = webhooks.deliveriesOf(req.params.webhookId, req.user);
+  res.json({
+    success: true,
+    webhookId: req.params.webhookId,
+    deliveries,
+    count: deliveries.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Knowledge collections: documents sessions can answer from, see knowledge.js.
+// Everyone can read a collection and attach it to a session
+// (POST /api/chat/session { collections }); its owner and admins change it.
+app.get('/api/knowledge/collections', describeRoute({
+  summary: 'List knowledge collections',
+  tags: ['knowledge'],
+  responses: { 200: collectionsResponse }
+}), (req, res) => {
+  const collections = knowledge.listCollections();
+  res.json({
+    success: true,
+    collections,
+    count: collections.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/api/knowledge/collections', describeRoute({
+  summary: 'Create a knowledge collection',
+  tags: ['knowledge'],
+  responses: { 201: collectionResponse },
+  errors: [409]
+}), validateRequest({ body: collectionBody }), async (req, res) => {
+  const collection = await knowledge.createCollection(req.body, req.user);
+  res.status(201).json({
+    success: true,
+    collection,
+    documents: [],
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/knowledge/collections/:collection', describeRoute({
+  summary: 'Get a knowledge collection and its documents',
+  tags: ['knowledge'],
+  responses: { 200: collectionResponse },
+  errors: [404]
+}), validateRequest({ params: collectionParams }), (req, res) => {
+  const { collection } = req.params;
+  res.json({
+    success: true,
+    collection: knowledge.describeCollection(collection),
+    documents: knowledge.documentsOf(collection).map(document => knowledge.describeDocument(document)),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.delete('/api/knowledge/collections/:collection', describeRoute({
+  summary: 'Delete a knowledge collection with its documents',
+  tags: ['knowledge'],
+  responses: { 200: collectionDeletedResponse },
+  errors: [403, 404]
+}), validateRequest({ params: collectionParams }), async (req, res) => {
+  const result = await knowledge.deleteCollection(req.params.collection, req.user);
+  res.json({
+    success: true,
+    ...result
+  });
+});
+
+// Add documents: JSON { name, text, mimeType? } for one text or markdown
+// document, or multipart/form-data with .txt, .md and .pdf files under
+// `files`. A document named like an existing one replaces it.
+app.post('/api/knowledge/collections/:collection/documents', describeRoute({
+  summary: 'Add documents to a knowledge collection',
+  tags: ['knowledge'],
+  uploads: true,
+  responses: { 201: ingestResponse },
+  errors: [403, 404, 413, 501, 502, 503, 504]
+}), acceptFiles({ maxBytes: knowledgeConfig.maxBytes, maxCount: knowledgeConfig.maxFiles }), validateRequest({ params: collectionParams, body: documentBody }), async (req, res) => {
+  const { collection } = req.params;
+  const { name, text, mimeType = 'text/plain' } = req.body || {};
+  const files = (req.files || []).map(file => ({ name: file.originalname, mimeType: file.mimetype, buffer: file.buffer }));
+  if (text !== undefined) {
+    if (!name) {
+      throw new ValidationError('Invalid request: body.name is required with body.text', {
+        details: [{ field: 'body.name', message: 'is required with text' }]
+      });
+    }
+    files.push({ name, mimeType, buffer: Buffer.from(text, 'utf8') });
+  }
+  if (files.length === 0) {
+    throw new ValidationError('Invalid request: send body.text or files', {
+      details: [{ field: 'body.text', message: 'is required without files' }]
     });
   }
+  const result = await knowledge.addDocuments(collection, files, req.user);
+  logger.info('Documents added', {
+    collection,
+    documents: result.documents.map(({ id, name: documentName, chunkCount }) => ({ id, name: documentName, chunkCount })),
+    replaced: result.replaced
+  });
+  res.status(201).json({
+    success: true,
+    collection,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/knowledge/collections/:collection/documents/:documentId', describeRoute({
+  summary: 'Get a document and its chunks',
+  tags: ['knowledge'],
+  responses: { 200: documentResponse },
+  errors: [404]
+}), validateRequest({ params: documentParams }), (req, res) => {
+  const document = knowledge.getDocument(req.params.collection, req.params.documentId);
+  res.json({
+    success: true,
+    document: knowledge.describeDocument(document),
+    chunks: document.chunks.map(({ embedding, ...chunk }) => chunk),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.delete('/api/knowledge/collections/:collection/documents/:documentId', describeRoute({
+  summary: 'Delete a document',
+  tags: ['knowledge'],
+  responses: { 200: documentDeletedResponse },
+  errors: [403, 404]
+}), validateRequest({ params: documentParams }), async (req, res) => {
+  const result = await knowledge.deleteDocument(req.params.collection, req.params.documentId, req.user);
+  res.json({
+    success: true,
+    ...result
+  });
+});
+
+// The chunk a citation points to (its `link`)
+app.get('/api/knowledge/collections/:collection/chunks/:chunkId', describeRoute({
+  summary: 'Get a chunk of a document',
+  tags: ['knowledge'],
+  responses: { 200: chunkResponse },
+  errors: [404]
+}), validateRequest({ params: chunkParams }), (req, res) => {
+  res.json({
+    success: true,
+    chunk: knowledge.getChunk(req.params.collection, req.params.chunkId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// What a message would retrieve: ?q=question&collections=a,b&limit=
+app.get('/api/knowledge/search', describeRoute({
+  summary: 'Search knowledge collections',
+  tags: ['knowledge'],
+  responses: { 200: knowledgeSearchResponse },
+  errors: [404]
+}), validateRequest({ query: knowledgeSearchQuery }), async (req, res) => {
+  const { q, limit } = req.query;
+  const collections = req.query.collections ? req.query.collections.split(',') : Array.from(knowledge.collections.keys());
+  collections.forEach(name => knowledge.getCollection(name));
+  const results = await knowledge.search(collections, q, { limit: Math.min(Number(limit) || knowledgeConfig.topK, 50) });
+  res.json({
+    success: true,
+    query: q,
+    collections,
+    results,
+    count: results.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// List tools the assistant can call
+app.get('/api/tools', describeRoute({ summary: 'List the tools models can call', tags: ['server'], responses: { 200: toolsResponse } }), (req, res) => {
+  const tools = chatService.tools.list();
+  res.json({
+    success: true,
+    tools,
+    count: tools.length,
+    timestamp: new Date().toISOString()
+  });
 });
 
 // Get model info
-app.get('/api/info', (req, res) => {
+app.get('/api/info', describeRoute({ summary: 'Server configuration', tags: ['server'], responses: { 200: infoResponse } }), (req, res) => {
   res.json({
     success: true,
+    provider: defaultProvider,
     model: model,
-    systemInstruction: config.systemInstruction,
+    providers: Array.from(providers.values()).map(({ name, defaultModel }) => ({ name, defaultModel })),
+    persona: defaultPersona,
     generationConfig: config.generationConfig,
+    context: contextConfig,
+    resilience: { ...resilience, fallbackModel },
+    quotas: quotas.limits,
+    knowledge: {
+      collections: knowledge.collections.size,
+      topK: knowledgeConfig.topK,
+      embeddingModel: knowledge.embedder?.model || null
+    },
+    jobs: {
+      concurrency: jobs.concurrency,
+      maxQueued: jobs.maxQueued,
+      queued: jobs.queued,
+      running: jobs.running
+    },
+    webhooks: {
+      events: WEBHOOK_EVENTS,
+      maxAttempts: webhooks.config.maxAttempts
+    },
+    responseCache: responseCache
+      ? { enabled: true, ttlMs: responseCache.ttlMs, maxEntries: responseCache.maxEntries }
+      : { enabled: false },
+    structuredOutput,
     activeSessions: chatService.sessions.size,
     timestamp: new Date().toISOString()
   });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    path: req.originalUrl,
-    method: req.method,
+// Response cache statistics (admin only); counters start at zero on restart
+app.get('/api/info/cache', describeRoute({
+  summary: 'Response cache statistics',
+  tags: ['admin'],
+  responses: { 200: cacheStatsResponse }
+}), requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    cache: responseCache ? { enabled: true, ...responseCache.stats() } : { enabled: false },
     timestamp: new Date().toISOString()
   });
 });
 
-// Global error handler
-app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
+// Empty the response cache, or only drop the replies of ?provider= and/or
+// ?model= (admin only)
+app.delete('/api/info/cache', describeRoute({
+  summary: 'Purge the response cache',
+  tags: ['admin'],
+  responses: { 200: cachePurgeResponse }
+}), requireRole('admin'), validateRequest({ query: cachePurgeQuery }), async (req, res) => {
+  const { provider, model: modelName } = req.query;
+  const removed = responseCache ? await responseCache.purge({ provider, model: modelName }) : 0;
+  logger.info('Purged the response cache', { provider, model: modelName, removed, userId: req.user.id });
+  res.json({
+    success: true,
+    removed,
+    remaining: responseCache?.size || 0,
     timestamp: new Date().toISOString()
   });
 });
 
+// 404 handler
+app.use((req, res, next) => {
+  next(new NotFoundError('Endpoint not found', {
+    code: 'ROUTE_NOT_FOUND',
+    details: { path: req.originalUrl, method: req.method }
+  }));
+});
+
+// Every error ends up here and is answered with the error envelope, see errors.js
+app.use(createErrorHandler(logger));
+
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
-  console.log(`Received ${signal}. Shutting down gracefully...`);
+  logger.info('Shutting down', { signal });
   process.exit(0);
 };
 
@@ -358,24 +2171,57 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Cleanup inactive sessions every hour
-setInterval(() => {
+setInterval(async () => {
   try {
-    const result = chatService.cleanupInactiveSessions();
+    const result = await chatService.cleanupInactiveSessions();
+    cleanupRuns.inc({ outcome: 'success' });
+    cleanedSessions.inc({}, result.cleaned);
     if (result.cleaned > 0) {
-      console.log(`Cleaned up ${result.cleaned} inactive sessions`);
+      logger.info('Cleaned up inactive sessions', result);
     }
   } catch (error) {
-    console.error('Error during session cleanup:', error.message);
+    cleanupRuns.inc({ outcome: 'error' });
+    errorsTotal.inc({ type: 'cleanup' });
+    logger.error('Session cleanup failed', { error });
   }
 }, 60 * 60 * 1000); // 1 hour
 
-// Start server
-app.listen(port, () => {
-  if (!process.env.GEMINI_API_KEY) {
-    console.error('GEMINI_API_KEY environment variable is not set');
+// Start server once custom personas, knowledge collections, webhooks and
+// cached replies are loaded and stored sessions restored
+personas.load()
+  .then(() => knowledge.load())
+  .then(() => webhooks.load())
+  .then(() => responseCache?.load())
+  .then(() => chatService.restoreSessions())
+  .then(({ restored }) => {
+    if (restored > 0) {
+      logger.info('Restored sessions', { restored, store: process.env.SESSION_STORE });
+    }
+    const server = app.listen(port, () => {
+      if (!providers.has(defaultProvider)) {
+        logger.error(`Default provider "${defaultProvider}" is not configured (set GEMINI_API_KEY, OPENAI_API_KEY or OLLAMA_BASE_URL)`);
+        process.exit(1);
+      }
+      if (!personas.has(defaultPersona)) {
+        logger.error(`Default persona "${defaultPersona}" does not exist`);
+        process.exit(1);
+      }
+      if (embeddingModel && !providers.get(embeddingModel.provider)?.embed) {
+        logger.error(`EMBEDDING_MODEL: provider "${embeddingModel.provider}" is not configured or cannot embed text`);
+        process.exit(1);
+      }
+      if (!authDisabled && !process.env.API_KEYS && !process.env.JWT_SECRET) {
+        logger.error('Set API_KEYS and/or JWT_SECRET, or AUTH_DISABLED=true for local development');
+        process.exit(1);
+      }
+      logger.info('Chat API server running', { port: Number(port) });
+    });
+    // Real-time channel on ws://host:port/api/ws, see realtime.js
+    attachRealtimeServer(server, { chatService, authenticate, quotas, logger, attachmentLimits });
+  })
+  .catch((error) => {
+    logger.error('Failed to restore sessions', { error });
     process.exit(1);
-  }
-  console.log(`Chat API server running on port ${port}`);
-});
+  });
 
 export default app;
@@ -0,0 +1,269 @@
+import Ajv from 'ajv';
+
+// Server-side tools the model can call. Each tool has a name, a JSON-schema
+// `parameters` object and an async handler receiving the validated args.
+export class ToolRegistry {
+  constructor(ajv = new Ajv({ allErrors: true, useDefaults: true })) {
+    this.tools = new Map();
+    this.ajv = ajv;
+  }
+
+  register({ name, description, parameters = { type: 'object', properties: {} }, handler }) {
+    if (!/^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/.test(name)) {
+      throw new Error(`Invalid tool name: ${name}`);
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool already registered: ${name}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool ${name} needs a handler function`);
+    }
+    this.tools.set(name, {
+      name,
+      description,
+      parameters,
+      handler,
+      validate: this.ajv.compile(parameters)
+    });
+    return this;
+  }
+
+  // A registry limited to the named tools, e.g. the ones a session enabled
+  select(names) {
+    const registry = new ToolRegistry(this.ajv);
+    for (const name of names) {
+      if (this.tools.has(name)) registry.tools.set(name, this.tools.get(name));
+    }
+    return registry;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  list(names = null) {
+    return Array.from(this.tools.values())
+      .filter(tool => !names || names.includes(tool.name))
+      .map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  // Handler failures and invalid arguments are reported back to the model as
+  // an error result instead of aborting the whole message.
+  async execute(name, args = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { name, args, error: `Unknown tool: ${name}` };
+    }
+
+    const input = structuredClone(args);
+    if (!tool.validate(input)) {
+      const details = tool.validate.errors.map(error => `${error.instancePath || 'args'} ${error.message}`).join('; ');
+      return { name, args, error: `Invalid arguments: ${details}` };
+    }
+
+    try {
+      return { name, args: input, result: await tool.handler(input) };
+    } catch (error) {
+      return { name, args: input, error: error.message };
+    }
+  }
+}
+
+const toFunctionResponse = (call, record) => {
+  let response;
+  if (record.error) {
+    response = { error: record.error };
+  } else if (record.result && typeof record.result === 'object' && !Array.isArray(record.result)) {
+    response = record.result;
+  } else {
+    response = { result: record.result };
+  }
+  return { functionResponse: { ...(call.id ? { id: call.id } : {}), name: call.name, response } };
+};
+
+const TOOL_LIMIT_MESSAGE = 'Tool call limit reached. Answer the user without calling more tools.';
+
+// Sends a message and runs the function-call / function-response loop until
+// the model answers with text. With onDelta the reply is streamed; onToolCall
+// is told about every executed call. Aborting `signal` stops the loop.
+export async function sendWithTools(chat, message, registry, { onDelta, onToolCall, signal, maxRounds = 5 } = {}) {
+  const toolCalls = [];
+  const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  let next = message;
+  let text = '';
+
+  for (let round = 0; ; round++) {
+    let result;
+    if (onDelta) {
+      const { stream, response } = await chat.sendMessageStream(next, { signal });
+      for await (const delta of stream) {
+        signal?.throwIfAborted();
+        onDelta(delta);
+      }
+      result = await response;
+    } else {
+      result = await chat.sendMessage(next, { signal });
+    }
+    signal?.throwIfAborted();
+
+    text += result.text;
+    for (const key of Object.keys(usage)) {
+      usage[key] += result.usage?.[key] || 0;
+    }
+
+    // A reply the provider's safety filters withheld ends the exchange
+    if (result.safetyBlock) {
+      return { text, usage, toolCalls, safetyBlock: result.safetyBlock };
+    }
+
+    const calls = result.functionCalls || [];
+    if (calls.length === 0 || !registry || round > maxRounds) {
+      return { text, usage, toolCalls };
+    }
+
+    const responses = [];
+    for (const call of calls) {
+      const record = round < maxRounds
+        ? await registry.execute(call.name, call.args)
+        : { name: call.name, args: call.args, error: TOOL_LIMIT_MESSAGE };
+      toolCalls.push(record);
+      onToolCall?.(record);
+      responses.push(toFunctionResponse(call, record));
+    }
+    next = responses;
+  }
+}
+
+// Evaluates arithmetic without eval(): numbers, + - * / % ^, parentheses,
+// constants pi and e, and a few Math functions.
+const CALCULATOR_FUNCTIONS = {
+  sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  ln: Math.log, log: Math.log10, log2: Math.log2, exp: Math.exp,
+  min: Math.min, max: Math.max, pow: Math.pow
+};
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+export function evaluateExpression(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),]|\S/gi) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const take = (expected) => {
+    const token = tokens[position++];
+    if (expected && token !== expected) {
+      throw new Error(`Expected "${expected}" but found ${token ? `"${token}"` : 'end of expression'}`);
+    }
+    return token;
+  };
+
+  const parsePrimary = () => {
+    const token = take();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+    if (token === '(') {
+      const value = parseSum();
+      take(')');
+      return value;
+    }
+    if (/^(\d|\.\d)/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    if (Object.hasOwn(CALCULATOR_CONSTANTS, name)) return CALCULATOR_CONSTANTS[name];
+    if (Object.hasOwn(CALCULATOR_FUNCTIONS, name)) {
+      take('(');
+      const args = [parseSum()];
+      while (peek() === ',') {
+        take(',');
+        args.push(parseSum());
+      }
+      take(')');
+      return CALCULATOR_FUNCTIONS[name](...args);
+    }
+    throw new Error(`Unexpected token "${token}"`);
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') {
+      take();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      take();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      take();
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  const parseProduct = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = take();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      value = take() === '+' ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  };
+
+  const value = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token "${peek()}"`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error('Result is not a finite number');
+  }
+  return value;
+}
+
+export function createDefaultToolRegistry() {
+  return new ToolRegistry()
+    .register({
+      name: 'get_current_time',
+      description: 'Get the current date and time, optionally in a specific IANA time zone.',
+      parameters: {
+        type: 'object',
+        properties: {
+          timeZone: { type: 'string', description: 'IANA time zone such as "Europe/Berlin". Defaults to UTC.' }
+        }
+      },
+      handler: async ({ timeZone = 'UTC' }) => {
+        const now = new Date();
+        const local = new Intl.DateTimeFormat('en-US', {
+          timeZone,
+          dateStyle: 'full',
+          timeStyle: 'long'
+        }).format(now);
+        return { iso: now.toISOString(), timeZone, local };
+      }
+    })
+    .register({
+      name: 'calculate',
+      description: 'Evaluate an arithmetic expression, e.g. "(2 + 3) * sqrt(16) / 4". Supports + - * / % ^, parentheses, pi, e and common math functions.',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'The expression to evaluate', maxLength: 500 }
+        },
+        required: ['expression']
+      },
+      handler: async ({ expression }) => ({ expression, value: evaluateExpression(expression) })
+    });
+}
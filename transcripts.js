@@ -0,0 +1,309 @@
+import crypto from 'node:crypto';
+import Ajv from 'ajv';
+import { linkExchanges, pathTo } from './branches.js';
+import { ValidationError } from './errors.js';
+
+// Conversation export and import. JSON and JSONL exports carry the whole
+// exchange tree under a versioned schema and can be imported again; markdown,
+// HTML and plain text render the active branch for reading.
+//
+// A version 1 transcript:
+//   {
+//     schema: 'chat-transcript', version: 1, exportedAt,
+//     session: {
+//       id, provider, model, generationConfig, tools, persona?, variables?, collections?,
+//       systemInstruction?, usage, activeExchangeId, createdAt, lastActivity
+//     },
+//     exchanges: [{ id, parentId, user, assistant, usage?, attachments?, toolCalls?, moderation?, citations?, timestamp }]
+//   }
+// JSONL puts `{ type: 'session', schema, version, exportedAt, session }` on the
+// first line and one `{ type: 'exchange', ... }` line per exchange.
+//
+// Older versions are upgraded on import by TRANSCRIPT_MIGRATIONS, so a new
+// version only needs a migration from the one before it.
+
+export const TRANSCRIPT_SCHEMA = 'chat-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const exchangeSchema = {
+  type: 'object',
+  required: ['id', 'parentId', 'user', 'assistant'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    parentId: { type: ['string', 'null'] },
+    user: { type: 'string' },
+    assistant: { type: 'string' },
+    usage: { type: 'object' },
+    attachments: { type: 'array', items: { type: 'object' } },
+    toolCalls: { type: 'array', items: { type: 'object' } },
+    moderation: { type: 'object' },
+    citations: { type: 'array', items: { type: 'object' } },
+    timestamp: { type: 'string' }
+  }
+};
+
+const transcriptSchema = {
+  type: 'object',
+  required: ['schema', 'version', 'session', 'exchanges'],
+  properties: {
+    schema: { const: TRANSCRIPT_SCHEMA },
+    version: { const: TRANSCRIPT_VERSION },
+    exportedAt: { type: 'string' },
+    session: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        generationConfig: { type: 'object' },
+        tools: { type: 'array', items: { type: 'string' } },
+        persona: { type: 'string' },
+        variables: { type: 'object' },
+        collections: { type: 'array', items: { type: 'string' } },
+        systemInstruction: { type: 'string' },
+        usage: { type: 'object' },
+        activeExchangeId: { type: ['string', 'null'] },
+        createdAt: { type: 'string' },
+        lastActivity: { type: 'string' }
+      }
+    },
+    exchanges: { type: 'array', items: exchangeSchema }
+  }
+};
+
+const validateTranscript = new Ajv({ allErrors: true }).compile(transcriptSchema);
+
+// Upgrades a transcript of the given version to the next one
+export const TRANSCRIPT_MIGRATIONS = {
+  // Version 0: the `/save` dump of earlier CLI releases,
+  // { sessionId, timestamp, provider?, model, conversation: [{ user, assistant, timestamp }] }
+  0: (legacy) => {
+    const exchanges = linkExchanges((legacy.conversation || []).map(exchange => ({
+      id: crypto.randomUUID(),
+      ...exchange,
+      // Those timestamps were local times of day, not dates
+      timestamp: legacy.timestamp
+    })));
+    return {
+      schema: TRANSCRIPT_SCHEMA,
+      version: 1,
+      exportedAt: legacy.timestamp,
+      session: {
+        id: legacy.sessionId,
+        provider: legacy.provider,
+        model: legacy.model,
+        activeExchangeId: exchanges.at(-1)?.id || null
+      },
+      exchanges
+    };
+  }
+};
+
+export function buildTranscript(session) {
+  return {
+    schema: TRANSCRIPT_SCHEMA,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      provider: session.provider,
+      model: session.model,
+      generationConfig: session.generationConfig,
+      tools: session.tools,
+      persona: session.persona,
+      variables: session.variables,
+      collections: session.collections,
+      systemInstruction: session.systemInstruction,
+      usage: session.usage,
+      activeExchangeId: session.activeExchangeId,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity
+    },
+    exchanges: session.exchanges
+  };
+}
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const describeAttachment = ({ name, mimeType, size }) => `${name} (${mimeType}, ${size} bytes)`;
+
+const describeToolCall = ({ name, args, result, error }) =>
+  `${name}(${JSON.stringify(args)}) -> ${error ? `error: ${error}` : JSON.stringify(result)}`;
+
+// The readable formats list the sources a reply cites
+const citedSources = (exchange) => (exchange.citations || [])
+  .filter(citation => citation.cited)
+  .map(({ index, title, document, page }) => `[${index}] ${title || document}${page ? `, page ${page}` : ''}`);
+
+const FORMATTERS = {
+  json: (transcript) => JSON.stringify(transcript, null, 2),
+
+  jsonl: ({ exchanges, ...header }) => [
+    { type: 'session', ...header },
+    ...exchanges.map(exchange => ({ type: 'exchange', ...exchange }))
+  ].map(line => JSON.stringify(line)).join('\n') + '\n',
+
+  markdown: ({ session, exportedAt }, history) => [
+    `# Chat session ${session.id}`,
+    '',
+    `- Model: ${session.provider}:${session.model}`,
+    `- Created: ${session.createdAt || 'unknown'}`,
+    `- Exported: ${exportedAt}`,
+    `- Exchanges: ${history.length}`,
+    '',
+    ...history.flatMap(exchange => [
+      '---',
+      '',
+      `## User${exchange.timestamp ? ` (${exchange.timestamp})` : ''}`,
+      '',
+      exchange.user,
+      '',
+      ...(exchange.attachments || []).map(file => `- Attachment: ${describeAttachment(file)}`),
+      ...(exchange.toolCalls || []).map(call => `- Tool: \`${describeToolCall(call)}\``),
+      ...(exchange.attachments || exchange.toolCalls ? [''] : []),
+      '## Assistant',
+      '',
+      exchange.assistant,
+      '',
+      ...citedSources(exchange).map(source => `- Source ${source}`),
+      ...(citedSources(exchange).length > 0 ? [''] : [])
+    ])
+  ].join('\n'),
+
+  html: ({ session, exportedAt }, history) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Chat session ${escapeHtml(session.id)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  .meta { color: #666; font-size: 0.9rem; }
+  .message { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 0.5rem; white-space: pre-wrap; }
+  .user { background: #e8f0fe; }
+  .assistant { background: #f1f3f4; }
+  .role { font-weight: bold; margin-bottom: 0.25rem; }
+  .extra { color: #555; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>Chat session ${escapeHtml(session.id)}</h1>
+<p class="meta">Model ${escapeHtml(`${session.provider}:${session.model}`)} &middot; exported ${escapeHtml(exportedAt)} &middot; ${history.length} exchanges</p>
+${history.map(exchange => `<div class="message user">
+<div class="role">User${exchange.timestamp ? ` <span class="meta">${escapeHtml(exchange.timestamp)}</span>` : ''}</div>
+${escapeHtml(exchange.user)}${[
+  ...(exchange.attachments || []).map(file => `Attachment: ${describeAttachment(file)}`),
+  ...(exchange.toolCalls || []).map(call => `Tool: ${describeToolCall(call)}`)
+].map(line => `\n<div class="extra">${escapeHtml(line)}</div>`).join('')}
+</div>
+<div class="message assistant">
+<div class="role">Assistant</div>
+${escapeHtml(exchange.assistant)}${citedSources(exchange).map(source => `\n<div class="extra">Source ${escapeHtml(source)}</div>`).join('')}
+</div>`).join('\n')}
+</body>
+</html>
+`,
+
+  txt: ({ session, exportedAt }, history) => [
+    `Chat session ${session.id} (${session.provider}:${session.model}), exported ${exportedAt}`,
+    '',
+    ...history.flatMap(exchange => [
+      `[${exchange.timestamp || ''}] User: ${exchange.user}`,
+      ...(exchange.attachments || []).map(file => `  Attachment: ${describeAttachment(file)}`),
+      ...(exchange.toolCalls || []).map(call => `  Tool: ${describeToolCall(call)}`),
+      `Assistant: ${exchange.assistant}`,
+      ...citedSources(exchange).map(source => `  Source ${source}`),
+      ''
+    ])
+  ].join('\n')
+};
+
+// Renders a transcript; the readable formats show the active branch only
+export function formatTranscript(transcript, format = 'json') {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new ValidationError(`Invalid format: expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return formatter(transcript, pathTo(transcript.exchanges, transcript.session.activeExchangeId));
+}
+
+const parseJsonl = (text) => {
+  const lines = text.split('\n').filter(line => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new ValidationError(`Invalid transcript: line ${index + 1} is not JSON`);
+    }
+  });
+  const [header, ...rest] = lines;
+  if (header?.type !== 'session') {
+    throw new ValidationError('Invalid transcript: the first JSONL line must be the session');
+  }
+  const { type, ...transcript } = header;
+  transcript.exchanges = rest
+    .filter(line => line.type === 'exchange')
+    .map(({ type: lineType, ...exchange }) => exchange);
+  return transcript;
+};
+
+// Accepts a JSON or JSONL export (as text or an already parsed object),
+// upgrades older versions and validates the result
+export function parseTranscript(input) {
+  let transcript = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    try {
+      transcript = JSON.parse(text);
+    } catch (error) {
+      transcript = null;
+    }
+    if (!transcript || transcript.type === 'session') {
+      transcript = parseJsonl(text);
+    }
+  }
+  if (!transcript || typeof transcript !== 'object' || Array.isArray(transcript)) {
+    throw new ValidationError('Invalid transcript: expected an object');
+  }
+
+  let version = transcript.schema === TRANSCRIPT_SCHEMA ? transcript.version : (Array.isArray(transcript.conversation) ? 0 : null);
+  if (typeof version !== 'number' || version > TRANSCRIPT_VERSION) {
+    throw new ValidationError(`Invalid transcript: unsupported schema or version (this server reads ${TRANSCRIPT_SCHEMA} up to version ${TRANSCRIPT_VERSION})`);
+  }
+  while (version < TRANSCRIPT_VERSION) {
+    transcript = TRANSCRIPT_MIGRATIONS[version](transcript);
+    version = transcript.version;
+  }
+
+  if (!validateTranscript(transcript)) {
+    const details = validateTranscript.errors.map(error => `${error.instancePath || 'transcript'} ${error.message}`).join('; ');
+    throw new ValidationError(`Invalid transcript: ${details}`);
+  }
+
+  // Parents have to come before their replies, as they do in exports
+  const seen = new Set();
+  for (const exchange of transcript.exchanges) {
+    if (seen.has(exchange.id)) {
+      throw new ValidationError(`Invalid transcript: duplicate exchange id ${exchange.id}`);
+    }
+    if (exchange.parentId !== null && !seen.has(exchange.parentId)) {
+      throw new ValidationError(`Invalid transcript: exchange ${exchange.id} replies to unknown exchange ${exchange.parentId}`);
+    }
+    seen.add(exchange.id);
+  }
+  const { activeExchangeId } = transcript.session;
+  if (!seen.has(activeExchangeId)) {
+    transcript.session.activeExchangeId = transcript.exchanges.at(-1)?.id || null;
+  }
+  return transcript;
+}
@@ -0,0 +1,311 @@
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { MemorySessionStore } from './session-store.js';
+import { ValidationError, NotFoundError } from './errors.js';
+import { backoffDelay } from './resilience.js';
+
+// Outbound webhooks. A webhook belongs to the user who registered it and gets
+// the events it subscribed to for that user's sessions; webhooks registered
+// by admins get them for every session.
+//   message.completed  a reply was recorded, over any channel (replies
+//                      generated as jobs carry their jobId)
+//   message.failed     generating a reply failed or was aborted
+//   session.deleted    a session was deleted
+//   session.expired    the inactive session cleanup removed a session
+//
+// A delivery POSTs { id, type, createdAt, data } as JSON, signed with the
+// webhook's secret:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// X-Webhook-Id carries the event id, the same on every attempt, so receivers
+// can drop duplicates. A 2xx answer delivers the event; network errors,
+// timeouts, 408, 429 and 5xx are retried with exponential backoff until
+// maxAttempts, anything else fails at once. The last logSize deliveries of
+// each webhook are kept in memory as its delivery log.
+//
+// Webhooks of users other than admins may only reach public addresses: a URL
+// whose host is or resolves to a loopback, private, link-local (cloud
+// metadata) or otherwise reserved address is refused when it is registered,
+// and every delivery checks the address it connects to again, so a DNS
+// answer that changes later cannot redirect it. The delivery log only names
+// the kind of failure, never the underlying network error.
+//
+// Webhooks are kept in a record store with the session-store interface
+// (load/save/delete, keyed by `id`).
+
+export const WEBHOOK_EVENTS = ['message.completed', 'message.failed', 'session.deleted', 'session.expired'];
+
+export function webhookConfigFromEnv(env = process.env) {
+  return {
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || 10000,
+    baseDelayMs: Number(env.WEBHOOK_RETRY_DELAY_MS) || 1000,
+    maxDelayMs: Number(env.WEBHOOK_MAX_RETRY_DELAY_MS) || 60 * 1000,
+    logSize: Number(env.WEBHOOK_LOG_SIZE) || 50
+  };
+}
+
+const RETRYABLE_STATUSES = [408, 429];
+
+// Addresses webhooks of users other than admins may not reach
+const privateNetworks = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  privateNetworks.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateNetworks.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || privateNetworks.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const urlNotAllowed = () => new ValidationError('Invalid webhook: url must point to a public address', { code: 'WEBHOOK_URL_NOT_ALLOWED' });
+
+// dns.lookup for deliveries, failing when the host resolves to a private
+// address; the connection uses the address checked here
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) return callback(urlNotAllowed());
+    callback(null, address, family);
+  });
+};
+
+// URL hosts keep IPv6 addresses in brackets
+const hostAddress = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// What the delivery log says about a failed attempt
+const describeFailure = (error, timeoutMs) => {
+  if (error.name === 'TimeoutError') return `Timed out after ${timeoutMs}ms`;
+  if (error.code === 'WEBHOOK_URL_NOT_ALLOWED') return 'The url does not point to a public address';
+  if (['ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) return 'The host could not be resolved';
+  return 'The connection failed';
+};
+
+// POSTs body to url and resolves with the response status; redirects are not
+// followed
+const post = (url, { headers, body, signal, lookup }) => new Promise((resolve, reject) => {
+  const request = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    signal,
+    ...(lookup ? { lookup } : {})
+  }, (response) => {
+    // Only the status matters; drain the body so the connection is released
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+    response.on('error', reject);
+  });
+  request.on('error', error => reject(signal.aborted ? signal.reason : error));
+  request.end(body);
+});
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// For receivers: checks the X-Webhook-Signature header against the raw body
+// and refuses signatures older than toleranceSeconds (replays)
+export function verifySignature(secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const { t, v1 } = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  if (!/^\d+$/.test(t || '') || !/^[0-9a-f]{64}$/.test(v1 || '') || Math.abs(now / 1000 - Number(t)) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, body, t).split('v1=')[1], 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(v1, 'hex'));
+}
+
+// A webhook as shown by the API: everything except the secret
+const describeWebhook = ({ secret, ...webhook }) => webhook;
+
+export class WebhookRegistry {
+  // onDelivery({ webhook, delivery, outcome, error }) is told about every
+  // attempt, with outcome delivered, retrying or failed and the network error
+  // of a failed attempt (for metrics and logs)
+  constructor({ store = new MemorySessionStore(), config = webhookConfigFromEnv({}), onDelivery } = {}) {
+    this.store = store;
+    this.config = config;
+    this.onDelivery = onDelivery;
+    this.webhooks = new Map();
+    // Delivery logs by webhook id, newest last
+    this.deliveries = new Map();
+  }
+
+  async load() {
+    for (const webhook of await this.store.load()) {
+      this.webhooks.set(webhook.id, webhook);
+    }
+    return { loaded: this.webhooks.size };
+  }
+
+  // Admins see every webhook, everyone else their own
+  list(user) {
+    return Array.from(this.webhooks.values())
+      .filter(webhook => user.role === 'admin' || webhook.owner === user.id)
+      .map(describeWebhook);
+  }
+
+  // Webhooks of other users are reported as missing
+  getOwn(id, user) {
+    const webhook = this.webhooks.get(id);
+    if (!webhook || (user.role !== 'admin' && webhook.owner !== user.id)) {
+      throw new NotFoundError('Webhook not found', { code: 'WEBHOOK_NOT_FOUND' });
+    }
+    return webhook;
+  }
+
+  get(id, user) {
+    return describeWebhook(this.getOwn(id, user));
+  }
+
+  // The secret is only part of the answer here; without one a random secret
+  // is generated
+  async create({ url, events, description, secret }, user) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new ValidationError('Invalid webhook: url must be an absolute URL', { code: 'INVALID_WEBHOOK_URL' });
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) {
+      throw new ValidationError('Invalid webhook: url must be http or https, without credentials', { code: 'INVALID_WEBHOOK_URL' });
+    }
+    if (user.role !== 'admin') {
+      await this.assertPublic(parsed);
+    }
+    const webhook = {
+      id: crypto.randomUUID(),
+      owner: user.id,
+      allSessions: user.role === 'admin',
+      ...(user.role === 'admin' ? { allowPrivateNetworks: true } : {}),
+      url: parsed.href,
+      events: [...new Set(events)],
+      ...(description ? { description } : {}),
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+    await this.store.save(webhook);
+    this.webhooks.set(webhook.id, webhook);
+    return webhook;
+  }
+
+  // Refuses a URL whose host is, or resolves to, a private address
+  async assertPublic(url) {
+    const host = hostAddress(url);
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch {
+      throw new ValidationError('Invalid webhook: the url host could not be resolved', { code: 'INVALID_WEBHOOK_URL' });
+    }
+    if (addresses.some(isPrivateAddress)) throw urlNotAllowed();
+  }
+
+  async delete(id, user) {
+    this.getOwn(id, user);
+    this.webhooks.delete(id);
+    this.deliveries.delete(id);
+    await this.store.delete(id);
+    return { webhookId: id, deletedAt: new Date().toISOString() };
+  }
+
+  // Newest first
+  deliveriesOf(id, user) {
+    this.getOwn(id, user);
+    return [...(this.deliveries.get(id) || [])].reverse();
+  }
+
+  // Sends an event about a session of `owner` to every webhook that should
+  // get it; deliveries happen in the background. Returns the event.
+  dispatch(type, owner, data) {
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+    for (const webhook of this.webhooks.values()) {
+      if (webhook.events.includes(type) && (webhook.allSessions || (owner && webhook.owner === owner))) {
+        this.deliver(webhook, event);
+      }
+    }
+    return event;
+  }
+
+  deliver(webhook, event) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      eventId: event.id,
+      event: event.type,
+      status: 'pending',
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+    const log = this.deliveries.get(webhook.id) || [];
+    log.push(delivery);
+    if (log.length > this.config.logSize) log.splice(0, log.length - this.config.logSize);
+    this.deliveries.set(webhook.id, log);
+    this.attempt(webhook, delivery, JSON.stringify(event));
+    return delivery;
+  }
+
+  async attempt(webhook, delivery, body) {
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+    delete delivery.nextAttemptAt;
+    const started = performance.now();
+    let retryable;
+    let failure;
+    try {
+      const url = new URL(webhook.url);
+      // Addresses written in the URL are not looked up, so they are checked here
+      const host = hostAddress(url);
+      if (!webhook.allowPrivateNetworks && net.isIP(host) && isPrivateAddress(host)) {
+        throw urlNotAllowed();
+      }
+      const status = await post(url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'chat-api-webhooks',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': signPayload(webhook.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.config.timeoutMs),
+        lookup: webhook.allowPrivateNetworks ? undefined : publicLookup
+      });
+      delivery.responseStatus = status;
+      delete delivery.error;
+      if (status >= 200 && status < 300) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+      }
+      retryable = status >= 500 || RETRYABLE_STATUSES.includes(status);
+    } catch (error) {
+      failure = error;
+      delivery.error = describeFailure(error, this.config.timeoutMs);
+      delete delivery.responseStatus;
+      // A URL that is not allowed stays that way
+      retryable = error.code !== 'WEBHOOK_URL_NOT_ALLOWED';
+    }
+    delivery.durationMs = Math.round(performance.now() - started);
+
+    if (delivery.status !== 'delivered') {
+      // Deleted webhooks are not retried
+      if (retryable && delivery.attempts < this.config.maxAttempts && this.webhooks.has(webhook.id)) {
+        const delay = backoffDelay(delivery.attempts, this.config);
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        setTimeout(() => this.attempt(webhook, delivery, body), delay).unref();
+      } else {
+        delivery.status = 'failed';
+      }
+    }
+    this.onDelivery?.({ webhook, delivery, outcome: delivery.status, error: failure });
+  }
+}